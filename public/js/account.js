@@ -0,0 +1,323 @@
+// GreenMind - Account JavaScript
+// Author: Fatemeh - Group 6
+// Description: Learner login/registration, local history import and progress view
+
+"use strict";
+
+// ============================================================================
+// ACCOUNT MANAGER CLASS
+// ============================================================================
+
+/**
+ * Account Manager class - handles learner sign-in and quiz history
+ */
+class AccountManager {
+    /**
+     * Create account manager
+     */
+    constructor() {
+        this.apiClient = new window.GreenMind.ApiClient();
+        this.user = null;
+
+        // DOM elements
+        this.authView = document.getElementById('account-auth');
+        this.historyView = document.getElementById('account-history');
+        this.loginForm = document.getElementById('login-form');
+        this.registerForm = document.getElementById('register-form');
+
+        this.init();
+    }
+
+    /**
+     * Initialize account manager
+     */
+    init() {
+        this.setupEventListeners();
+        this.loadCurrentUser();
+    }
+
+    /**
+     * Setup event listeners for forms and buttons
+     */
+    setupEventListeners() {
+        if (this.loginForm) {
+            this.loginForm.addEventListener('submit', (event) => {
+                event.preventDefault();
+                this.handleAuth(this.loginForm, 'login', '/auth/login');
+            });
+        }
+
+        if (this.registerForm) {
+            this.registerForm.addEventListener('submit', (event) => {
+                event.preventDefault();
+                this.handleAuth(this.registerForm, 'register', '/auth/register');
+            });
+        }
+
+        const logoutButton = document.getElementById('logout-btn');
+        if (logoutButton) {
+            logoutButton.addEventListener('click', () => this.logout());
+        }
+    }
+
+    /**
+     * Load the signed-in user, if any, and show the matching view
+     */
+    async loadCurrentUser() {
+        try {
+            const response = await this.apiClient.get('/auth/me');
+            this.user = response.data.user;
+            await this.showHistory();
+        } catch (error) {
+            // Not signed in (or the session expired)
+            this.user = null;
+            this.showAuthForms();
+        }
+    }
+
+    /**
+     * Submit the login or registration form
+     * @param {HTMLFormElement} form - Form being submitted
+     * @param {string} prefix - Prefix used by the form's field and error IDs
+     * @param {string} endpoint - API endpoint to post to
+     */
+    async handleAuth(form, prefix, endpoint) {
+        const button = form.querySelector('button[type="submit"]');
+        const data = {};
+        form.querySelectorAll('input').forEach(input => {
+            data[input.name] = input.name === 'password' ? input.value : input.value.trim();
+        });
+
+        this.showFieldErrors(form, prefix, {});
+        window.GreenMind.LoadingManager.showButtonLoading(button);
+
+        try {
+            const response = await this.apiClient.post(endpoint, data);
+            this.user = response.data.user;
+            form.reset();
+
+            await this.importLocalHistory();
+            await this.showHistory();
+        } catch (error) {
+            if (error.errors) {
+                this.showFieldErrors(form, prefix, error.errors);
+            }
+            window.GreenMind.Utils.showNotification(error.message, 'error');
+        } finally {
+            window.GreenMind.LoadingManager.hideButtonLoading(button);
+        }
+    }
+
+    /**
+     * Show field-level errors under each input
+     * @param {HTMLFormElement} form - Form containing the fields
+     * @param {string} prefix - Prefix used by the form's field and error IDs
+     * @param {Object} errors - Map of field name to error message
+     */
+    showFieldErrors(form, prefix, errors) {
+        form.querySelectorAll('input').forEach(input => {
+            const errorElement = document.getElementById(`${prefix}-${input.name}-error`);
+            const message = errors[input.name];
+
+            input.classList.toggle('error', Boolean(message));
+            if (errorElement) {
+                errorElement.textContent = message || '';
+                errorElement.classList.toggle('show', Boolean(message));
+            }
+        });
+    }
+
+    /**
+     * Import this browser's quiz history the first time the account signs in
+     */
+    async importLocalHistory() {
+        if (!this.user || this.user.quizHistoryImportedAt) return;
+
+        const statistics = new QuizHistoryStorage();
+        const attempts = statistics.getAttempts();
+
+        try {
+            const response = await this.apiClient.post('/me/quiz-history/import', { attempts });
+            const { claimed, imported } = response.data;
+
+            if (claimed + imported > 0) {
+                window.GreenMind.Utils.showNotification(
+                    `Added ${claimed + imported} quiz attempt(s) from this browser to your account.`,
+                    'success'
+                );
+            }
+        } catch (error) {
+            // Importing is best effort; the account works without it
+            console.warn('⚠️ Failed to import local quiz history:', error);
+        }
+    }
+
+    /**
+     * Log out and return to the sign-in forms
+     */
+    async logout() {
+        try {
+            await this.apiClient.post('/auth/logout', {});
+        } catch (error) {
+            console.warn('⚠️ Logout request failed:', error);
+        }
+
+        this.user = null;
+        this.showAuthForms();
+    }
+
+    /**
+     * Show the login and registration forms
+     */
+    showAuthForms() {
+        if (this.historyView) this.historyView.style.display = 'none';
+        if (this.authView) this.authView.style.display = 'grid';
+    }
+
+    /**
+     * Load and show the learner's quiz history
+     */
+    async showHistory() {
+        if (this.authView) this.authView.style.display = 'none';
+        if (this.historyView) this.historyView.style.display = 'block';
+
+        const greeting = document.getElementById('account-greeting');
+        if (greeting && this.user) {
+            greeting.textContent = `${this.user.name}'s Quiz History`;
+        }
+
+        try {
+            const response = await this.apiClient.get('/me/quiz-history?limit=20');
+            this.renderSummary(response.data.summary);
+            this.renderCategoryTrends(response.data.categoryTrends);
+            this.renderAttempts(response.data.attempts);
+        } catch (error) {
+            console.error('❌ Failed to load quiz history:', error);
+            window.GreenMind.Utils.showNotification('Failed to load your quiz history. Please try again.', 'error');
+        }
+    }
+
+    /**
+     * Render the overall summary cards
+     * @param {Object} summary - History summary
+     */
+    renderSummary(summary) {
+        const container = document.getElementById('history-summary');
+        if (!container) return;
+
+        const cards = [
+            { label: 'Quizzes Taken', value: summary.totalAttempts },
+            { label: 'Average Score', value: `${summary.averageScore}%` },
+            { label: 'Best Score', value: `${summary.bestScore}%` },
+            { label: 'Trend', value: this.formatTrend(summary.trend) }
+        ];
+
+        container.innerHTML = cards.map(card => `
+            <div class="history-card">
+                <span class="history-card-value">${card.value}</span>
+                <span class="history-card-label">${card.label}</span>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Render per-category progress
+     * @param {Array} trends - Category trends
+     */
+    renderCategoryTrends(trends) {
+        const container = document.getElementById('category-trends');
+        if (!container) return;
+
+        if (trends.length === 0) {
+            container.innerHTML = '<p class="history-empty">Take a quiz to see your progress by topic.</p>';
+            return;
+        }
+
+        const sanitize = window.GreenMind.Utils.sanitizeHTML;
+        container.innerHTML = trends.map(trend => `
+            <div class="category-item trend-item">
+                <div class="category-name">${sanitize(trend.category)}</div>
+                <div class="trend-points" aria-label="Scores over time">
+                    ${trend.points.map(point => `<span class="trend-bar" style="height: ${Math.max(point.score, 4)}%" title="${point.score}%"></span>`).join('')}
+                </div>
+                <div class="category-score">
+                    Avg ${trend.averageScore}% · Latest ${trend.latestScore}% · ${this.formatTrend(trend.trend)}
+                </div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Render the list of recent attempts
+     * @param {Array} attempts - Attempts, newest first
+     */
+    renderAttempts(attempts) {
+        const container = document.getElementById('history-attempts');
+        if (!container) return;
+
+        if (attempts.length === 0) {
+            container.innerHTML = '<p class="history-empty">No quiz attempts yet.</p>';
+            return;
+        }
+
+        container.innerHTML = attempts.map(attempt => `
+            <div class="category-item">
+                <div class="category-name">
+                    ${window.GreenMind.Utils.formatDate(new Date(attempt.completedAt))}
+                    ${attempt.difficulty ? `(${attempt.difficulty})` : ''}
+                    ${attempt.source === 'import' ? '<span class="history-badge">from this browser</span>' : ''}
+                </div>
+                <div class="category-score">${attempt.correctAnswers}/${attempt.totalQuestions} (${attempt.score}%)</div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Format a trend value for display
+     * @param {string} trend - Trend identifier
+     * @returns {string} Display text
+     */
+    formatTrend(trend) {
+        const labels = {
+            improving: 'Improving 📈',
+            declining: 'Keep practicing 📚',
+            steady: 'Steady 📊',
+            not_enough_data: 'Not enough data'
+        };
+        return labels[trend] || trend;
+    }
+}
+
+// ============================================================================
+// LOCAL HISTORY STORAGE
+// ============================================================================
+
+/**
+ * Reads the attempts the quiz page keeps in localStorage
+ */
+class QuizHistoryStorage {
+    /**
+     * Get stored attempts in the shape the import endpoint expects
+     * @returns {Array} Stored attempts
+     */
+    getAttempts() {
+        try {
+            const attempts = JSON.parse(localStorage.getItem('quiz_attempts')) || [];
+            return attempts.filter(attempt => attempt && Number.isInteger(attempt.totalQuestions));
+        } catch (error) {
+            console.warn('Failed to read local quiz history:', error);
+            return [];
+        }
+    }
+}
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.getElementById('account-history')) {
+        window.accountManager = new AccountManager();
+        console.log('👤 Account page initialized');
+    }
+});
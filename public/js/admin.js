@@ -0,0 +1,783 @@
+// GreenMind - Admin JavaScript
+// Author: Fatemeh - Group 6
+// Description: Staff login, dashboard charts, exports and contact inbox
+
+"use strict";
+
+// ============================================================================
+// CHARTS (lightweight bar charts, no external libraries)
+// ============================================================================
+
+/**
+ * Simple HTML bar charts
+ */
+class AdminCharts {
+    /**
+     * Render vertical columns, one per item (e.g. attempts per day)
+     * @param {HTMLElement} container - Chart container
+     * @param {Array} items - Items ({ label, value, title })
+     */
+    static renderColumns(container, items) {
+        if (!container) return;
+
+        if (items.length === 0) {
+            container.innerHTML = '<p class="history-empty">No data for this period.</p>';
+            return;
+        }
+
+        const max = Math.max(...items.map(item => item.value), 1);
+        const sanitize = window.GreenMind.Utils.sanitizeHTML;
+
+        container.innerHTML = items.map(item => `
+            <div class="chart-column" title="${sanitize(item.title || `${item.label}: ${item.value}`)}">
+                <span class="chart-value">${item.value}</span>
+                <span class="chart-bar" style="height: ${Math.max((item.value / max) * 100, 2)}%"></span>
+                <span class="chart-label">${sanitize(item.label)}</span>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Render horizontal bars, one row per item (e.g. score buckets)
+     * @param {HTMLElement} container - Chart container
+     * @param {Array} items - Items ({ label, value, display })
+     * @param {number} max - Value of a full-width bar (defaults to the largest value)
+     */
+    static renderRows(container, items, max = null) {
+        if (!container) return;
+
+        if (items.length === 0) {
+            container.innerHTML = '<p class="history-empty">No data yet.</p>';
+            return;
+        }
+
+        const scale = max || Math.max(...items.map(item => item.value), 1);
+        const sanitize = window.GreenMind.Utils.sanitizeHTML;
+
+        container.innerHTML = items.map(item => `
+            <div class="chart-row">
+                <span class="chart-label">${sanitize(item.label)}</span>
+                <span class="chart-track">
+                    <span class="chart-bar" style="width: ${Math.min((item.value / scale) * 100, 100)}%"></span>
+                </span>
+                <span class="chart-value">${sanitize(String(item.display !== undefined ? item.display : item.value))}</span>
+            </div>
+        `).join('');
+    }
+}
+
+// ============================================================================
+// SHARED ADMIN SESSION
+// ============================================================================
+
+/**
+ * Base class for admin pages
+ */
+class AdminPage {
+    constructor() {
+        this.apiClient = new window.GreenMind.ApiClient();
+
+        const logoutLink = document.getElementById('admin-logout');
+        if (logoutLink) {
+            logoutLink.addEventListener('click', (event) => {
+                event.preventDefault();
+                this.logout();
+            });
+        }
+    }
+
+    /**
+     * Handle a failed API call; expired sessions go back to the login page
+     * @param {Error} error - Error thrown by ApiClient
+     * @param {string} fallbackMessage - Message to show for other errors
+     */
+    handleError(error, fallbackMessage) {
+        if (error.status === 401 || error.status === 403) {
+            window.location.href = '/admin/login.html';
+            return;
+        }
+
+        console.error('❌ Admin request failed:', error);
+        window.GreenMind.Utils.showNotification(error.message || fallbackMessage, 'error');
+    }
+
+    /**
+     * Fetch an export endpoint and save the response as a file
+     * @param {string} path - API path including the query string
+     * @param {string} filename - Name for the downloaded file
+     * @param {HTMLElement} button - Button that triggered the export
+     */
+    async downloadExport(path, filename, button) {
+        window.GreenMind.LoadingManager.showButtonLoading(button);
+
+        try {
+            const response = await fetch(`${this.apiClient.baseURL}${path}`, {
+                credentials: 'same-origin'
+            });
+
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                const error = new Error(data.message || 'Export failed');
+                error.status = response.status;
+                throw error;
+            }
+
+            const blob = await response.blob();
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = filename;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(link.href);
+        } catch (error) {
+            this.handleError(error, 'Export failed');
+        } finally {
+            window.GreenMind.LoadingManager.hideButtonLoading(button);
+        }
+    }
+
+    /**
+     * Log out and return to the login page
+     */
+    async logout() {
+        try {
+            await this.apiClient.post('/auth/logout', {});
+        } catch (error) {
+            console.warn('⚠️ Logout request failed:', error);
+        }
+        window.location.href = '/admin/login.html';
+    }
+}
+
+// ============================================================================
+// LOGIN PAGE
+// ============================================================================
+
+/**
+ * Staff login form
+ */
+class AdminLogin extends AdminPage {
+    constructor(form) {
+        super();
+        this.form = form;
+        this.form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.login();
+        });
+    }
+
+    /**
+     * Submit credentials and continue to the dashboard when the user is an admin
+     */
+    async login() {
+        const button = this.form.querySelector('button[type="submit"]');
+        const email = this.form.querySelector('[name="email"]').value.trim();
+        const password = this.form.querySelector('[name="password"]').value;
+
+        window.GreenMind.LoadingManager.showButtonLoading(button);
+
+        try {
+            const response = await this.apiClient.post('/auth/login', { email, password });
+
+            if (response.data.user.role !== 'admin') {
+                await this.apiClient.post('/auth/logout', {}).catch(() => {});
+                window.GreenMind.Utils.showNotification('This account does not have staff access.', 'error');
+                return;
+            }
+
+            window.location.href = '/admin/';
+        } catch (error) {
+            window.GreenMind.Utils.showNotification(error.message || 'Login failed. Please try again.', 'error');
+        } finally {
+            window.GreenMind.LoadingManager.hideButtonLoading(button);
+        }
+    }
+}
+
+// ============================================================================
+// DASHBOARD PAGE
+// ============================================================================
+
+/**
+ * Dashboard with overview, charts and exports
+ */
+class AdminDashboard extends AdminPage {
+    constructor() {
+        super();
+        this.periodSelect = document.getElementById('analytics-period');
+        this.init();
+    }
+
+    /**
+     * Initialize dashboard
+     */
+    init() {
+        if (this.periodSelect) {
+            this.periodSelect.addEventListener('change', () => this.loadAnalytics());
+        }
+
+        document.querySelectorAll('[data-export-format]').forEach(button => {
+            button.addEventListener('click', () => this.exportQuizResults(button.dataset.exportFormat, button));
+        });
+        document.querySelectorAll('[data-subscriber-export]').forEach(button => {
+            button.addEventListener('click', () => this.exportSubscribers(button.dataset.subscriberExport, button));
+        });
+
+        this.loadOverview();
+        this.loadAnalytics();
+        this.loadQuizStats();
+    }
+
+    /**
+     * Load overview counts and contact charts
+     */
+    async loadOverview() {
+        try {
+            const [systemStats, contactStats] = await Promise.all([
+                this.apiClient.get('/stats'),
+                this.apiClient.get('/contact/stats')
+            ]);
+
+            const { overview } = systemStats.data;
+            const cards = [
+                { label: 'Messages', value: overview.totalContacts },
+                { label: 'Messages (7 days)', value: overview.recentContacts },
+                { label: 'Quiz Attempts', value: overview.totalQuizResults },
+                { label: 'Quiz Attempts (7 days)', value: overview.recentQuizzes },
+                { label: 'Newsletter Opt-ins', value: contactStats.data.subscribedToNewsletter }
+            ];
+
+            document.getElementById('admin-overview').innerHTML = cards.map(card => `
+                <div class="history-card">
+                    <span class="history-card-value">${card.value}</span>
+                    <span class="history-card-label">${card.label}</span>
+                </div>
+            `).join('');
+
+            AdminCharts.renderRows(
+                document.getElementById('chart-contact-status'),
+                contactStats.data.statusDistribution.map(item => ({ label: item._id, value: item.count }))
+            );
+            AdminCharts.renderRows(
+                document.getElementById('chart-contact-subject'),
+                contactStats.data.subjectDistribution.map(item => ({ label: item._id, value: item.count }))
+            );
+        } catch (error) {
+            this.handleError(error, 'Failed to load overview');
+        }
+    }
+
+    /**
+     * Load the daily attempts trend for the selected period
+     */
+    async loadAnalytics() {
+        const period = this.periodSelect ? this.periodSelect.value : 'month';
+
+        try {
+            const response = await this.apiClient.get(`/quiz/analytics?period=${encodeURIComponent(period)}`);
+
+            AdminCharts.renderColumns(
+                document.getElementById('chart-daily-trend'),
+                response.data.dailyTrend.map(day => ({
+                    label: day._id.slice(5), // MM-DD
+                    value: day.attempts,
+                    title: `${day._id}: ${day.attempts} attempt(s), average ${Math.round(day.averageScore)}%`
+                }))
+            );
+        } catch (error) {
+            this.handleError(error, 'Failed to load quiz analytics');
+        }
+    }
+
+    /**
+     * Load score distribution and category statistics
+     */
+    async loadQuizStats() {
+        try {
+            const response = await this.apiClient.get('/quiz/stats');
+            const { scoreDistribution, categoryStats } = response.data;
+
+            // Buckets are keyed by their lower bound; 100% lands in the "other" bucket
+            const bucketLabels = { 0: '0-19%', 20: '20-39%', 40: '40-59%', 60: '60-79%', 80: '80-99%', other: '100%' };
+            AdminCharts.renderRows(
+                document.getElementById('chart-score-distribution'),
+                scoreDistribution.map(bucket => ({
+                    label: bucketLabels[bucket._id] || String(bucket._id),
+                    value: bucket.count
+                }))
+            );
+
+            AdminCharts.renderRows(
+                document.getElementById('chart-category-stats'),
+                categoryStats.map(category => ({
+                    label: category.category,
+                    value: Math.round(category.averagePercentage),
+                    display: `${Math.round(category.averagePercentage)}% (${category.totalAttempts})`
+                })),
+                100
+            );
+        } catch (error) {
+            this.handleError(error, 'Failed to load quiz statistics');
+        }
+    }
+
+    /**
+     * Download quiz results from the export endpoint
+     * @param {string} format - csv, json or ndjson
+     * @param {HTMLElement} button - Button that triggered the export
+     */
+    async exportQuizResults(format, button) {
+        const params = new URLSearchParams({ format });
+        const startDate = document.getElementById('export-start').value;
+        const endDate = document.getElementById('export-end').value;
+        const difficulty = document.getElementById('export-difficulty').value;
+        const minScore = document.getElementById('export-min-score').value;
+        const maxScore = document.getElementById('export-max-score').value;
+
+        if (startDate) params.set('startDate', startDate);
+        if (endDate) params.set('endDate', `${endDate}T23:59:59.999`);
+        if (difficulty) params.set('difficulty', difficulty);
+        if (minScore !== '') params.set('minScore', minScore);
+        if (maxScore !== '') params.set('maxScore', maxScore);
+
+        await this.downloadExport(`/quiz/export?${params.toString()}`, `quiz-results.${format}`, button);
+    }
+
+    /**
+     * Download confirmed newsletter subscribers
+     * @param {string} format - csv or json
+     * @param {HTMLElement} button - Button that triggered the export
+     */
+    async exportSubscribers(format, button) {
+        await this.downloadExport(
+            `/newsletter/subscribers/export?format=${encodeURIComponent(format)}`,
+            `newsletter-subscribers.${format}`,
+            button
+        );
+    }
+}
+
+// ============================================================================
+// INBOX PAGE
+// ============================================================================
+
+/**
+ * Contact message inbox with filters and status actions
+ */
+class AdminInbox extends AdminPage {
+    constructor() {
+        super();
+        this.page = 1;
+        this.limit = 20;
+        this.filtersForm = document.getElementById('inbox-filters');
+        this.bulkForm = document.getElementById('inbox-bulk');
+        this.list = document.getElementById('inbox-list');
+        this.init();
+    }
+
+    /**
+     * Initialize inbox
+     */
+    init() {
+        const reload = () => {
+            this.page = 1;
+            this.loadMessages();
+        };
+
+        this.filtersForm.querySelectorAll('select').forEach(select => {
+            select.addEventListener('change', reload);
+        });
+        this.filtersForm.querySelector('[name="q"]').addEventListener(
+            'input',
+            window.GreenMind.Utils.debounce(reload, 400)
+        );
+        this.filtersForm.addEventListener('submit', (event) => event.preventDefault());
+
+        document.getElementById('inbox-prev').addEventListener('click', () => {
+            this.page--;
+            this.loadMessages();
+        });
+        document.getElementById('inbox-next').addEventListener('click', () => {
+            this.page++;
+            this.loadMessages();
+        });
+
+        // Action buttons and reply forms are rendered per message, so listen on the list
+        this.list.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-action]');
+            if (button) {
+                this.handleAction(button.dataset.action, button.dataset.id, button);
+            }
+        });
+        this.list.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.sendReply(event.target);
+        });
+
+        document.getElementById('inbox-select-all').addEventListener('change', (event) => {
+            this.list.querySelectorAll('[data-select]').forEach(checkbox => {
+                checkbox.checked = event.target.checked;
+            });
+        });
+        this.bulkForm.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.applyBulk(event.submitter || this.bulkForm.querySelector('[type="submit"]'));
+        });
+
+        document.querySelectorAll('[data-contact-export]').forEach(button => {
+            button.addEventListener('click', () => this.exportMessages(button.dataset.contactExport, button));
+        });
+
+        this.loadMessages();
+    }
+
+    /**
+     * Download messages matching the status and subject filters and the export options
+     * @param {string} format - csv or json
+     * @param {HTMLElement} button - Button that triggered the export
+     */
+    async exportMessages(format, button) {
+        const { status, subject } = this.getFilters();
+        const params = new URLSearchParams({ format });
+        const startDate = document.getElementById('contact-export-start').value;
+        const endDate = document.getElementById('contact-export-end').value;
+        const newsletter = document.getElementById('contact-export-newsletter').value;
+
+        if (status) params.set('status', status);
+        if (subject) params.set('subject', subject);
+        if (newsletter) params.set('newsletter', newsletter);
+        if (startDate) params.set('startDate', startDate);
+        if (endDate) params.set('endDate', `${endDate}T23:59:59.999`);
+        if (!document.getElementById('contact-export-messages').checked) params.set('includeMessage', 'false');
+
+        await this.downloadExport(`/contact/export?${params.toString()}`, `contacts.${format}`, button);
+    }
+
+    /**
+     * Read the current filter values
+     * @returns {Object} Status, subject and search query
+     */
+    getFilters() {
+        return {
+            status: this.filtersForm.querySelector('[name="status"]').value,
+            subject: this.filtersForm.querySelector('[name="subject"]').value,
+            q: this.filtersForm.querySelector('[name="q"]').value.trim()
+        };
+    }
+
+    /**
+     * Load messages for the current filters and page
+     */
+    async loadMessages() {
+        const { status, subject, q } = this.getFilters();
+
+        try {
+            let contacts;
+            let pagination = null;
+
+            if (status === 'trash') {
+                // The trash is its own listing; the subject and search filters don't apply to it
+                const params = new URLSearchParams({ page: this.page, limit: this.limit });
+                const response = await this.apiClient.get(`/contact/trash?${params.toString()}`);
+                contacts = response.data.contacts;
+                pagination = response.data.pagination;
+            } else if (q.length >= 2) {
+                // Search results come most relevant first, with the matching words highlighted
+                const params = new URLSearchParams({ q, page: this.page, limit: this.limit });
+                if (status) params.set('status', status);
+                if (subject) params.set('subject', subject);
+
+                const response = await this.apiClient.get(`/contact/search?${params.toString()}`);
+                contacts = response.data.results;
+                pagination = response.data.pagination;
+            } else {
+                const params = new URLSearchParams({ page: this.page, limit: this.limit });
+                if (status) params.set('status', status);
+                if (subject) params.set('subject', subject);
+
+                const response = await this.apiClient.get(`/contact?${params.toString()}`);
+                contacts = response.data.contacts;
+                pagination = response.data.pagination;
+            }
+
+            // Trashed messages can only be restored, one at a time
+            this.bulkForm.hidden = status === 'trash';
+            document.getElementById('inbox-select-all').checked = false;
+
+            this.renderMessages(contacts);
+            this.renderPagination(pagination, contacts.length);
+        } catch (error) {
+            this.handleError(error, 'Failed to load messages');
+        }
+    }
+
+    /**
+     * Render the message list
+     * Search results carry HTML-escaped snippets with the matching words in <mark>, shown in place of the plain text.
+     * @param {Array} contacts - Contact messages
+     */
+    renderMessages(contacts) {
+        if (contacts.length === 0) {
+            this.list.innerHTML = '<p class="history-empty">No messages match these filters.</p>';
+            return;
+        }
+
+        const sanitize = window.GreenMind.Utils.sanitizeHTML;
+        const actions = [
+            { status: 'read', label: 'Mark Read' },
+            { status: 'replied', label: 'Mark Replied' },
+            { status: 'archived', label: 'Archive' }
+        ];
+
+        this.list.innerHTML = contacts.map(contact => `
+            <article class="inbox-item status-${sanitize(contact.status)}" data-id="${contact._id}">
+                <header class="inbox-item-header">
+                    <div>
+                        ${contact.deletedAt ? '' : `
+                            <input type="checkbox" data-select value="${contact._id}" aria-label="Select message from ${sanitize(contact.name)}">
+                        `}
+                        <strong>${contact.highlights?.name || sanitize(contact.name)}</strong>
+                        <a href="mailto:${encodeURIComponent(contact.email)}">${contact.highlights?.email || sanitize(contact.email)}</a>
+                    </div>
+                    <div class="inbox-meta">
+                        <span class="history-badge">${sanitize(contact.subject)}</span>
+                        <span class="history-badge">${sanitize(contact.status)}</span>
+                        ${contact.newsletter ? '<span class="history-badge">newsletter</span>' : ''}
+                        ${(contact.tags || []).map(tag => `<span class="history-badge">#${sanitize(tag)}</span>`).join('')}
+                        <time datetime="${contact.createdAt}">${window.GreenMind.Utils.formatDate(new Date(contact.createdAt))}</time>
+                    </div>
+                </header>
+                <p class="inbox-message">${contact.highlights?.message || sanitize(contact.message)}</p>
+                ${contact.status === 'spam' ? this.renderSpamReasons(contact.spam) : this.renderReplies(contact.replies || [])}
+                <div class="form-actions">
+                    ${contact.deletedAt ? `
+                        <button class="btn btn-primary btn-small" data-action="restore" data-id="${contact._id}">Restore</button>
+                    ` : contact.status === 'spam' ? `
+                        <button class="btn btn-primary btn-small" data-action="release" data-id="${contact._id}">Not Spam</button>
+                        ${contact.spam && contact.spam.review === 'confirmed' ? '' : `
+                            <button class="btn btn-secondary btn-small" data-action="confirm-spam" data-id="${contact._id}">Confirm Spam</button>
+                        `}
+                    ` : `
+                        <button class="btn btn-primary btn-small" data-action="reply" data-id="${contact._id}">Reply</button>
+                        ${actions.filter(action => action.status !== contact.status).map(action => `
+                            <button class="btn btn-secondary btn-small" data-action="${action.status}" data-id="${contact._id}">${action.label}</button>
+                        `).join('')}
+                        <button class="btn btn-secondary btn-small" data-action="confirm-spam" data-id="${contact._id}">Mark Spam</button>
+                    `}
+                    ${contact.deletedAt ? '' : `
+                        <button class="btn btn-outline btn-small" data-action="delete" data-id="${contact._id}">Delete</button>
+                    `}
+                </div>
+                <form class="inbox-reply-form" data-id="${contact._id}" hidden>
+                    <label for="reply-${contact._id}" class="form-label">Reply to ${sanitize(contact.email)}</label>
+                    <textarea id="reply-${contact._id}" name="body" class="form-textarea" rows="5" maxlength="5000" required></textarea>
+                    <div class="form-actions">
+                        <button type="submit" class="btn btn-primary btn-small">Send Reply</button>
+                    </div>
+                </form>
+            </article>
+        `).join('');
+    }
+
+    /**
+     * Render the spam score and the checks that flagged a quarantined message
+     * @param {Object} spam - Spam details from the contact
+     * @returns {string} Spam details HTML
+     */
+    renderSpamReasons(spam) {
+        if (!spam) return '';
+
+        const sanitize = window.GreenMind.Utils.sanitizeHTML;
+        return `
+            <p class="inbox-meta">Spam score ${sanitize(spam.score)}${spam.review === 'confirmed' ? ' (confirmed)' : ''}</p>
+            <ul class="inbox-spam-reasons">
+                ${(spam.reasons || []).map(reason => `
+                    <li>${sanitize(reason.check)} (${reason.score > 0 ? '+' : ''}${sanitize(reason.score)}): ${sanitize(reason.detail || '')}</li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * Render the replies already sent for a message
+     * @param {Array} replies - Replies, oldest first
+     * @returns {string} Replies HTML
+     */
+    renderReplies(replies) {
+        if (replies.length === 0) return '';
+
+        const sanitize = window.GreenMind.Utils.sanitizeHTML;
+        return `
+            <div class="inbox-replies">
+                ${replies.map(reply => `
+                    <div class="inbox-reply">
+                        <div class="inbox-meta">
+                            <strong>${sanitize(reply.author.name)}</strong>
+                            <time datetime="${reply.sentAt}">${window.GreenMind.Utils.formatDate(new Date(reply.sentAt))}</time>
+                            ${reply.delivery === 'queued' ? '<span class="history-badge">email queued</span>' : ''}
+                        </div>
+                        <p class="inbox-message">${sanitize(reply.body)}</p>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Send the reply typed into a message's reply form
+     * @param {HTMLFormElement} form - Reply form
+     */
+    async sendReply(form) {
+        const textarea = form.querySelector('textarea');
+        const button = form.querySelector('button[type="submit"]');
+        const body = textarea.value.trim();
+
+        if (!body) {
+            textarea.focus();
+            return;
+        }
+
+        window.GreenMind.LoadingManager.showButtonLoading(button);
+
+        try {
+            const response = await this.apiClient.post(`/contact/${form.dataset.id}/replies`, { body });
+            window.GreenMind.Utils.showNotification(response.message, 'success');
+            await this.loadMessages();
+        } catch (error) {
+            window.GreenMind.LoadingManager.hideButtonLoading(button);
+            this.handleError(error, 'Failed to send reply');
+        }
+    }
+
+    /**
+     * Render pagination controls
+     * @param {Object|null} pagination - Pagination data (null for search results)
+     * @param {number} count - Number of messages shown
+     */
+    renderPagination(pagination, count) {
+        const prev = document.getElementById('inbox-prev');
+        const next = document.getElementById('inbox-next');
+        const pageLabel = document.getElementById('inbox-page');
+        const summary = document.getElementById('inbox-summary');
+
+        if (!pagination) {
+            prev.disabled = true;
+            next.disabled = true;
+            pageLabel.textContent = '';
+            summary.textContent = `${count} matching message(s)`;
+            return;
+        }
+
+        prev.disabled = !pagination.hasPrevPage;
+        next.disabled = !pagination.hasNextPage;
+        pageLabel.textContent = pagination.totalPages > 0
+            ? `Page ${pagination.currentPage} of ${pagination.totalPages}`
+            : '';
+        summary.textContent = `${pagination.totalItems} message(s)`;
+    }
+
+    /**
+     * Apply the bulk operation to the selected messages
+     * @param {HTMLElement} button - Apply button
+     */
+    async applyBulk(button) {
+        const ids = Array.from(this.list.querySelectorAll('[data-select]:checked'), checkbox => checkbox.value);
+        const choice = this.bulkForm.querySelector('[name="operation"]').value;
+        const tag = this.bulkForm.querySelector('[name="tag"]').value.trim();
+
+        if (ids.length === 0) {
+            window.GreenMind.Utils.showNotification('Select at least one message', 'error');
+            return;
+        }
+
+        let body;
+        if (choice === 'read' || choice === 'replied') {
+            body = { ids, operation: 'setStatus', status: choice };
+        } else if (choice === 'tag') {
+            if (!tag) {
+                window.GreenMind.Utils.showNotification('Enter a tag to add', 'error');
+                return;
+            }
+            body = { ids, operation: 'tag', tags: [tag] };
+        } else {
+            body = { ids, operation: choice };
+        }
+
+        if (choice === 'delete' && !confirm(`Move ${ids.length} message(s) to the trash?`)) {
+            return;
+        }
+
+        window.GreenMind.LoadingManager.showButtonLoading(button);
+
+        try {
+            const response = await this.apiClient.post('/contact/bulk', body);
+            const failure = response.data.results.find(result => !result.success);
+
+            window.GreenMind.Utils.showNotification(
+                failure ? `${response.message}. ${failure.error}` : response.message,
+                failure ? 'info' : 'success'
+            );
+            await this.loadMessages();
+        } catch (error) {
+            this.handleError(error, 'Failed to update messages');
+        } finally {
+            window.GreenMind.LoadingManager.hideButtonLoading(button);
+        }
+    }
+
+    /**
+     * Toggle the reply form, apply a status change, review spam, or move a message to or from the trash
+     * @param {string} action - reply, read, replied, archived, release, confirm-spam, delete or restore
+     * @param {string} id - Contact ID
+     * @param {HTMLElement} button - Button that was clicked
+     */
+    async handleAction(action, id, button) {
+        if (action === 'reply') {
+            const form = this.list.querySelector(`.inbox-reply-form[data-id="${id}"]`);
+            form.hidden = !form.hidden;
+            if (!form.hidden) form.querySelector('textarea').focus();
+            return;
+        }
+
+        if (action === 'delete' && !confirm('Move this message to the trash?')) {
+            return;
+        }
+
+        window.GreenMind.LoadingManager.showButtonLoading(button);
+
+        try {
+            if (action === 'delete') {
+                await this.apiClient.delete(`/contact/${id}`);
+                window.GreenMind.Utils.showNotification('Message moved to the trash', 'success');
+            } else if (action === 'release' || action === 'confirm-spam' || action === 'restore') {
+                const response = await this.apiClient.post(`/contact/${id}/${action}`, {});
+                window.GreenMind.Utils.showNotification(response.message, 'success');
+            } else {
+                await this.apiClient.put(`/contact/${id}`, { status: action });
+                window.GreenMind.Utils.showNotification(`Message marked as ${action}`, 'success');
+            }
+
+            await this.loadMessages();
+        } catch (error) {
+            window.GreenMind.LoadingManager.hideButtonLoading(button);
+            this.handleError(error, 'Failed to update message');
+        }
+    }
+}
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+document.addEventListener('DOMContentLoaded', () => {
+    const loginForm = document.getElementById('admin-login-form');
+
+    if (loginForm) {
+        window.adminPage = new AdminLogin(loginForm);
+    } else if (document.getElementById('admin-overview')) {
+        window.adminPage = new AdminDashboard();
+    } else if (document.getElementById('inbox-list')) {
+        window.adminPage = new AdminInbox();
+    }
+});
@@ -0,0 +1,15 @@
+// GreenMind - API Docs JavaScript
+// Author: Fatemeh - Group 6
+// Description: Renders the generated OpenAPI document with Swagger UI
+
+"use strict";
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.SwaggerUIBundle({
+        url: '/api/v1/openapi.json',
+        dom_id: '#swagger-ui',
+        deepLinking: true,
+        // Send the auth cookie with "Try it out" requests, so a signed-in admin can call private routes
+        withCredentials: true
+    });
+});
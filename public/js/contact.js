@@ -20,6 +20,7 @@ class ContactFormManager {
         this.validator = null;
         this.apiClient = new window.GreenMind.ApiClient();
         this.isSubmitting = false;
+        this.formStartedAt = Date.now(); // Sent with the message for the server's spam scoring
         
         this.init();
     }
@@ -42,53 +43,18 @@ class ContactFormManager {
 
     /**
      * Setup form validation rules
+     * The rules come from the contact schema the server validates submissions with.
+     * If it can't be loaded, the form is still checked by the server on submit.
      */
-    setupFormValidation() {
+    async setupFormValidation() {
         this.validator = new window.GreenMind.FormValidator(this.form);
-        
-        // Name validation
-        this.validator.addRule('name', {
-            required: true,
-            requiredMessage: 'Please enter your full name',
-            minLength: 2,
-            minLengthMessage: 'Name must be at least 2 characters long',
-            maxLength: 100,
-            maxLengthMessage: 'Name cannot exceed 100 characters',
-            pattern: /^[a-zA-Z\s\-'\.]+$/,
-            patternMessage: 'Name can only contain letters, spaces, hyphens, apostrophes, and periods'
-        });
-
-        // Email validation
-        this.validator.addRule('email', {
-            required: true,
-            requiredMessage: 'Please enter your email address',
-            email: true,
-            emailMessage: 'Please enter a valid email address',
-            maxLength: 255,
-            maxLengthMessage: 'Email cannot exceed 255 characters'
-        });
-
-        // Subject validation
-        this.validator.addRule('subject', {
-            required: true,
-            requiredMessage: 'Please select a subject',
-            custom: (value) => {
-                if (value === '') {
-                    return 'Please select a subject from the dropdown';
-                }
-                return true;
-            }
-        });
 
-        // Message validation
-        this.validator.addRule('message', {
-            required: true,
-            requiredMessage: 'Please enter your message',
-            minLength: 10,
-            minLengthMessage: 'Message must be at least 10 characters long',
-            maxLength: 1000,
-            maxLengthMessage: 'Message cannot exceed 1000 characters'
-        });
+        try {
+            const response = await this.apiClient.get('/schemas/contact');
+            this.validator.useSchema(response.data);
+        } catch (error) {
+            console.warn('Contact form schema unavailable; relying on server-side validation', error);
+        }
     }
 
     /**
@@ -267,7 +233,14 @@ class ContactFormManager {
             
         } catch (error) {
             console.error('❌ Form submission failed:', error);
-            this.showErrorMessage(error.message);
+
+            // Field errors from the server go next to the fields, like the browser's own
+            if (error.status === 400 && error.errors) {
+                this.validator.showErrors(error.errors);
+                this.showValidationErrors();
+            } else {
+                this.showErrorMessage(error.message);
+            }
         } finally {
             this.setSubmittingState(false);
         }
@@ -303,6 +276,7 @@ class ContactFormManager {
         const subjectField = this.form.querySelector('[name="subject"]');
         const messageField = this.form.querySelector('[name="message"]');
         const newsletterField = this.form.querySelector('[name="newsletter"]');
+        const honeypotField = this.form.querySelector('[name="website"]');
         
         return {
             name: (nameField?.value || '').trim(),
@@ -310,6 +284,8 @@ class ContactFormManager {
             subject: (subjectField?.value || '').trim(),
             message: (messageField?.value || '').trim(),
             newsletter: newsletterField?.checked || false,
+            website: honeypotField?.value || '',
+            formStartedAt: this.formStartedAt,
             timestamp: new Date().toISOString(),
             userAgent: navigator.userAgent
         };
@@ -332,7 +308,8 @@ class ContactFormManager {
             } catch (error) {
                 retryCount++;
                 
-                if (retryCount >= maxRetries) {
+                // Client errors (validation, rate limiting) won't succeed on retry
+                if (retryCount >= maxRetries || (error.status >= 400 && error.status < 500)) {
                     throw error;
                 }
                 
@@ -433,6 +410,7 @@ class ContactFormManager {
         this.form.reset();
         this.validator.clearErrors();
         this.hideMessages();
+        this.formStartedAt = Date.now();
         
         // Reset character counter
         const charCounter = document.getElementById('char-count');
@@ -607,72 +585,6 @@ class ContactFormAnalytics {
     }
 }
 
-// ============================================================================
-// FORM VALIDATION HELPERS
-// ============================================================================
-
-/**
- * Additional validation helpers for contact form
- */
-class ContactFormValidationHelpers {
-    /**
-     * Validate email domain
-     * @param {string} email - Email to validate
-     * @returns {boolean} True if domain is valid
-     */
-    static isValidEmailDomain(email) {
-        const commonDomains = [
-            'gmail.com', 'yahoo.com', 'hotmail.com', 'outlook.com',
-            'icloud.com', 'aol.com', 'protonmail.com'
-        ];
-        
-        const domain = email.split('@')[1]?.toLowerCase();
-        if (!domain) return false;
-        
-        // Check if it's a common domain or has valid TLD
-        return commonDomains.includes(domain) || /\.[a-z]{2,}$/i.test(domain);
-    }
-
-    /**
-     * Check for spam patterns in message
-     * @param {string} message - Message to check
-     * @returns {boolean} True if message seems legitimate
-     */
-    static isLegitimateMessage(message) {
-        const spamPatterns = [
-            /urgent/i,
-            /congratulations/i,
-            /click here/i,
-            /free money/i,
-            /viagra/i,
-            /lottery/i
-        ];
-        
-        const suspiciousCount = spamPatterns.reduce((count, pattern) => {
-            return count + (pattern.test(message) ? 1 : 0);
-        }, 0);
-        
-        return suspiciousCount < 2; // Allow some flexibility
-    }
-
-    /**
-     * Validate name format
-     * @param {string} name - Name to validate
-     * @returns {boolean} True if name format is valid
-     */
-    static isValidNameFormat(name) {
-        // Check for minimum realistic name length and format
-        const trimmedName = name.trim();
-        
-        // Must have at least first and last name
-        const nameParts = trimmedName.split(/\s+/);
-        if (nameParts.length < 2) return false;
-        
-        // Each part should be at least 2 characters
-        return nameParts.every(part => part.length >= 2);
-    }
-}
-
 // ============================================================================
 // INITIALIZATION
 // ============================================================================
@@ -689,48 +601,6 @@ document.addEventListener('DOMContentLoaded', () => {
         contactFormAnalytics = new ContactFormAnalytics();
         
         console.log('📞 Contact form system initialized');
-        
-        // Add additional validation rules
-        if (contactFormManager.validator) {
-            // Enhanced email validation
-            const originalEmailRule = contactFormManager.validator.rules.email;
-            contactFormManager.validator.addRule('email', {
-                ...originalEmailRule,
-                custom: (value) => {
-                    if (!window.GreenMind.Utils.isValidEmail(value)) {
-                        return 'Please enter a valid email address';
-                    }
-                    if (!ContactFormValidationHelpers.isValidEmailDomain(value)) {
-                        return 'Please enter an email with a valid domain';
-                    }
-                    return true;
-                }
-            });
-            
-            // Enhanced name validation
-            const originalNameRule = contactFormManager.validator.rules.name;
-            contactFormManager.validator.addRule('name', {
-                ...originalNameRule,
-                custom: (value) => {
-                    if (!ContactFormValidationHelpers.isValidNameFormat(value)) {
-                        return 'Please enter your full name (first and last name)';
-                    }
-                    return true;
-                }
-            });
-            
-            // Enhanced message validation
-            const originalMessageRule = contactFormManager.validator.rules.message;
-            contactFormManager.validator.addRule('message', {
-                ...originalMessageRule,
-                custom: (value) => {
-                    if (!ContactFormValidationHelpers.isLegitimateMessage(value)) {
-                        return 'Please write a genuine message';
-                    }
-                    return true;
-                }
-            });
-        }
     }
 });
 
@@ -755,5 +625,4 @@ document.head.appendChild(styleSheet);
 if (typeof window !== 'undefined') {
     window.ContactFormManager = ContactFormManager;
     window.ContactFormAnalytics = ContactFormAnalytics;
-    window.ContactFormValidationHelpers = ContactFormValidationHelpers;
 }
\ No newline at end of file
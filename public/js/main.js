@@ -9,7 +9,7 @@
 // ============================================================================
 
 const CONFIG = {
-    API_BASE_URL: window.location.origin + '/api',
+    API_BASE_URL: window.location.origin + '/api/v1', // Pinned to a version; the unversioned /api is deprecated
     ANIMATION_DURATION: 300,
     DEBOUNCE_DELAY: 500,
     MAX_RETRIES: 3
@@ -79,6 +79,28 @@ class Utils {
         return Date.now().toString(36) + Math.random().toString(36).substr(2);
     }
 
+    /**
+     * Get this browser's stable session ID, creating it on first use
+     * Quiz results are tagged with it so a learner can claim them after signing in.
+     * @returns {string} Session identifier
+     */
+    static getSessionId() {
+        const storageKey = 'greenmind_session_id';
+        try {
+            let sessionId = localStorage.getItem(storageKey);
+            if (!sessionId) {
+                sessionId = window.crypto && window.crypto.randomUUID
+                    ? window.crypto.randomUUID()
+                    : Utils.generateId();
+                localStorage.setItem(storageKey, sessionId);
+            }
+            return sessionId;
+        } catch (error) {
+            // Storage unavailable (private mode); fall back to a per-page ID
+            return Utils.generateId();
+        }
+    }
+
     /**
      * Validate email format
      * @param {string} email - Email to validate
@@ -321,6 +343,39 @@ class FormValidator {
         this.form = form;
         this.errors = {};
         this.rules = {};
+        this.schema = null;
+    }
+
+    /**
+     * Validate the form's fields with a shared schema from the API (GET /schemas/:name)
+     * The server checks submissions against the same schema, so both report the same messages.
+     * Needs js/schema-validator.js on the page.
+     * @param {Object} schema - Validation schema ({ fields })
+     */
+    useSchema(schema) {
+        this.schema = schema;
+    }
+
+    /**
+     * Current values of the form's fields, for schema checks that compare fields
+     * @returns {Object} Field values keyed by name
+     */
+    getValues() {
+        const values = {};
+        this.getFieldNames().forEach(fieldName => {
+            const field = this.form.querySelector(`[name="${fieldName}"]`);
+            if (field) values[fieldName] = field.value;
+        });
+        return values;
+    }
+
+    /**
+     * Names of the fields that have schema or custom rules
+     * @returns {string[]} Field names
+     */
+    getFieldNames() {
+        const schemaFields = this.schema ? Object.keys(this.schema.fields) : [];
+        return [...new Set([...schemaFields, ...Object.keys(this.rules)])];
     }
 
     /**
@@ -339,6 +394,13 @@ class FormValidator {
      * @returns {string|null} Error message or null if valid
      */
     validateField(fieldName, value) {
+        // Shared schema rules come first; custom rules can add form-only checks
+        const schemaRule = this.schema && this.schema.fields[fieldName];
+        if (schemaRule && window.SchemaValidator) {
+            const error = window.SchemaValidator.validateField(schemaRule, value, this.getValues());
+            if (error) return error;
+        }
+
         const rules = this.rules[fieldName];
         if (!rules) return null;
 
@@ -392,7 +454,7 @@ class FormValidator {
         let isValid = true;
 
         // Validate each field with rules
-        Object.keys(this.rules).forEach(fieldName => {
+        this.getFieldNames().forEach(fieldName => {
             const field = this.form.querySelector(`[name="${fieldName}"]`);
             if (field) {
                 const error = this.validateField(fieldName, field.value);
@@ -434,6 +496,15 @@ class FormValidator {
         });
     }
 
+    /**
+     * Show field errors returned by the API ({ errors: { [field]: message } })
+     * @param {Object} errors - Error message keyed by field name
+     */
+    showErrors(errors) {
+        this.errors = { ...errors };
+        this.displayErrors();
+    }
+
     /**
      * Clear all errors
      */
@@ -558,10 +629,13 @@ class ApiClient {
 
         try {
             const response = await fetch(url, config);
-            const data = await response.json();
+            const data = response.status === 204 ? {} : await response.json(); // No Content has no body
 
             if (!response.ok) {
-                throw new Error(data.message || `HTTP error! status: ${response.status}`);
+                const error = new Error(data.message || `HTTP error! status: ${response.status}`);
+                error.status = response.status;
+                error.errors = data.errors; // Field-level validation errors, when provided
+                throw error;
             }
 
             return data;
@@ -0,0 +1,129 @@
+// GreenMind - Newsletter JavaScript
+// Author: Fatemeh - Group 6
+// Description: Newsletter subscribe form and confirmation/unsubscribe links
+
+"use strict";
+
+// ============================================================================
+// NEWSLETTER PAGE CLASS
+// ============================================================================
+
+/**
+ * Newsletter page class - handles subscribing and the links sent by email
+ */
+class NewsletterPage {
+    /**
+     * Create newsletter page
+     */
+    constructor() {
+        this.apiClient = new window.GreenMind.ApiClient();
+        this.form = document.getElementById('newsletter-form');
+        this.statusElement = document.getElementById('newsletter-status');
+
+        this.init();
+    }
+
+    /**
+     * Initialize newsletter page
+     */
+    init() {
+        if (this.form) {
+            this.form.addEventListener('submit', (event) => {
+                event.preventDefault();
+                this.subscribe();
+            });
+        }
+
+        this.handleEmailLink();
+    }
+
+    /**
+     * Confirm or unsubscribe when the page was opened from an email link
+     */
+    async handleEmailLink() {
+        const params = new URLSearchParams(window.location.search);
+        const confirmToken = params.get('confirm');
+        const unsubscribeToken = params.get('unsubscribe');
+
+        if (!confirmToken && !unsubscribeToken) return;
+
+        // Drop the token from the address bar so it is not bookmarked or shared
+        window.history.replaceState(null, '', window.location.pathname);
+
+        try {
+            const response = confirmToken
+                ? await this.apiClient.post('/newsletter/confirm', { token: confirmToken })
+                : await this.apiClient.post('/newsletter/unsubscribe', { token: unsubscribeToken });
+            this.showStatus(response.message, 'success');
+        } catch (error) {
+            this.showStatus(error.message, 'error');
+        }
+    }
+
+    /**
+     * Submit the subscribe form
+     */
+    async subscribe() {
+        const button = this.form.querySelector('button[type="submit"]');
+        const data = {
+            name: this.form.querySelector('[name="name"]').value.trim(),
+            email: this.form.querySelector('[name="email"]').value.trim()
+        };
+
+        this.showFieldErrors({});
+        window.GreenMind.LoadingManager.showButtonLoading(button);
+
+        try {
+            const response = await this.apiClient.post('/newsletter/subscribe', data);
+            this.form.reset();
+            this.showStatus(response.message, 'success');
+        } catch (error) {
+            if (error.errors) {
+                this.showFieldErrors(error.errors);
+            }
+            this.showStatus(error.message, 'error');
+        } finally {
+            window.GreenMind.LoadingManager.hideButtonLoading(button);
+        }
+    }
+
+    /**
+     * Show field-level errors under each input
+     * @param {Object} errors - Map of field name to error message
+     */
+    showFieldErrors(errors) {
+        this.form.querySelectorAll('input').forEach(input => {
+            const errorElement = document.getElementById(`newsletter-${input.name}-error`);
+            const message = errors[input.name];
+
+            input.classList.toggle('error', Boolean(message));
+            if (errorElement) {
+                errorElement.textContent = message || '';
+                errorElement.classList.toggle('show', Boolean(message));
+            }
+        });
+    }
+
+    /**
+     * Show a status message above the form
+     * @param {string} message - Message to show
+     * @param {string} type - success or error
+     */
+    showStatus(message, type) {
+        if (!this.statusElement) return;
+
+        this.statusElement.textContent = message;
+        this.statusElement.className = `form-message show ${type}-message`;
+    }
+}
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.getElementById('newsletter-form')) {
+        window.newsletterPage = new NewsletterPage();
+        console.log('📰 Newsletter page initialized');
+    }
+});
@@ -4,157 +4,6 @@
 
 "use strict";
 
-// ============================================================================
-// QUIZ QUESTION DATA (Array Implementation as Required)
-// ============================================================================
-
-/**
- * Environmental awareness quiz questions array
- * Each question object contains question text, options array, correct answer, category, and explanation
- */
-const QUIZ_QUESTIONS = [
-    {
-        id: 1,
-        category: "Recycling",
-        question: "What color recycling bin is typically used for paper and cardboard?",
-        options: [
-            "Green bin",
-            "Blue bin", 
-            "Yellow bin",
-            "Red bin"
-        ],
-        correctAnswer: 1, // Blue bin
-        explanation: "Blue bins are commonly used for paper and cardboard recycling in most recycling programs.",
-        difficulty: "easy"
-    },
-    {
-        id: 2,
-        category: "Energy Conservation",
-        question: "Which type of light bulb uses the least amount of energy?",
-        options: [
-            "Incandescent bulbs",
-            "Halogen bulbs",
-            "CFL bulbs",
-            "LED bulbs"
-        ],
-        correctAnswer: 3, // LED bulbs
-        explanation: "LED bulbs use up to 75% less energy than incandescent bulbs and last 25 times longer.",
-        difficulty: "easy"
-    },
-    {
-        id: 3,
-        category: "Water Conservation",
-        question: "How much water can a dripping faucet waste per year?",
-        options: [
-            "100 gallons",
-            "500 gallons",
-            "1,000 gallons",
-            "3,000+ gallons"
-        ],
-        correctAnswer: 3, // 3,000+ gallons
-        explanation: "A single dripping faucet can waste over 3,000 gallons of water per year, which is enough for more than 180 showers!",
-        difficulty: "medium"
-    },
-    {
-        id: 4,
-        category: "Climate Change",
-        question: "What is the main greenhouse gas responsible for climate change?",
-        options: [
-            "Oxygen (O2)",
-            "Carbon Dioxide (CO2)",
-            "Nitrogen (N2)",
-            "Hydrogen (H2)"
-        ],
-        correctAnswer: 1, // Carbon Dioxide (CO2)
-        explanation: "Carbon dioxide (CO2) is the primary greenhouse gas emitted through human activities, mainly from burning fossil fuels.",
-        difficulty: "easy"
-    },
-    {
-        id: 5,
-        category: "Recycling",
-        question: "Which of these items should NOT be put in regular recycling bins?",
-        options: [
-            "Clean pizza boxes",
-            "Plastic bottles",
-            "Batteries",
-            "Aluminum cans"
-        ],
-        correctAnswer: 2, // Batteries
-        explanation: "Batteries contain hazardous materials and should be taken to special recycling centers, not put in regular recycling bins.",
-        difficulty: "medium"
-    },
-    {
-        id: 6,
-        category: "Energy Conservation",
-        question: "What percentage of home energy can be saved by properly sealing air leaks?",
-        options: [
-            "5-10%",
-            "10-20%",
-            "20-30%",
-            "30-40%"
-        ],
-        correctAnswer: 1, // 10-20%
-        explanation: "Sealing air leaks around windows, doors, and other openings can save 10-20% on heating and cooling costs.",
-        difficulty: "medium"
-    },
-    {
-        id: 7,
-        category: "Water Conservation",
-        question: "What is the average amount of water used in a 10-minute shower?",
-        options: [
-            "15-25 gallons",
-            "25-35 gallons",
-            "35-45 gallons",
-            "45-55 gallons"
-        ],
-        correctAnswer: 1, // 25-35 gallons
-        explanation: "A typical 10-minute shower uses about 25-35 gallons of water, depending on the showerhead flow rate.",
-        difficulty: "medium"
-    },
-    {
-        id: 8,
-        category: "Climate Change",
-        question: "How much has the global average temperature increased since 1880?",
-        options: [
-            "0.5°C (0.9°F)",
-            "1.1°C (2°F)",
-            "2.0°C (3.6°F)",
-            "3.0°C (5.4°F)"
-        ],
-        correctAnswer: 1, // 1.1°C (2°F)
-        explanation: "The global average temperature has increased by approximately 1.1°C (2°F) since 1880, with most warming occurring in the past 40 years.",
-        difficulty: "hard"
-    },
-    {
-        id: 9,
-        category: "Recycling",
-        question: "What percentage of plastic waste is actually recycled globally?",
-        options: [
-            "Less than 10%",
-            "10-20%",
-            "20-30%",
-            "More than 50%"
-        ],
-        correctAnswer: 0, // Less than 10%
-        explanation: "Unfortunately, less than 10% of all plastic waste ever produced has been recycled. Most ends up in landfills or the environment.",
-        difficulty: "hard"
-    },
-    {
-        id: 10,
-        category: "Energy Conservation",
-        question: "Which home appliance typically uses the most electricity?",
-        options: [
-            "Refrigerator",
-            "Washing machine",
-            "Air conditioning/heating system",
-            "Television"
-        ],
-        correctAnswer: 2, // Air conditioning/heating system
-        explanation: "Heating and cooling systems typically account for about 48% of home energy use, making them the largest energy consumer in most homes.",
-        difficulty: "medium"
-    }
-];
-
 // ============================================================================
 // QUIZ QUESTION CLASS (OOP Implementation as Required)
 // ============================================================================
@@ -165,15 +14,15 @@ const QUIZ_QUESTIONS = [
 class QuizQuestion {
     /**
      * Create a quiz question
-     * @param {Object} questionData - Question data object
+     * @param {Object} questionData - Question data object from a quiz attempt
      */
     constructor(questionData) {
         this.id = questionData.id;
         this.category = questionData.category;
-        this.question = questionData.question;
+        this.question = questionData.prompt;
         this.options = [...questionData.options]; // Create copy of options array
-        this.correctAnswer = questionData.correctAnswer;
-        this.explanation = questionData.explanation;
+        this.correctAnswer = null; // Revealed by the server after submission
+        this.explanation = null;
         this.difficulty = questionData.difficulty;
         this.userAnswer = null;
         this.isAnswered = false;
@@ -196,12 +45,21 @@ class QuizQuestion {
         return this.isAnswered && this.userAnswer === this.correctAnswer;
     }
 
+    /**
+     * Apply the graded outcome returned by the server
+     * @param {Object} review - Review entry for this question
+     */
+    applyReview(review) {
+        this.correctAnswer = review.correctIndex;
+        this.explanation = review.explanation;
+    }
+
     /**
      * Get the correct answer text
-     * @returns {string} Correct answer text
+     * @returns {string|null} Correct answer text or null before grading
      */
     getCorrectAnswerText() {
-        return this.options[this.correctAnswer];
+        return this.correctAnswer === null ? null : this.options[this.correctAnswer];
     }
 
     /**
@@ -274,6 +132,7 @@ class QuizManager {
         this.isQuizCompleted = false;
         this.startTime = null;
         this.endTime = null;
+        this.attemptToken = null; // Signed attempt issued by the server
         this.apiClient = new window.GreenMind.ApiClient();
         
         // DOM elements
@@ -291,17 +150,88 @@ class QuizManager {
      * Initialize quiz manager
      */
     init() {
-        this.loadQuestions();
         this.setupEventListeners();
         this.updateUI();
+        this.loadQuizOptions();
     }
 
     /**
-     * Load questions from the questions array into QuizQuestion objects
+     * Load the available topics into the welcome screen selector
      */
-    loadQuestions() {
-        this.questions = QUIZ_QUESTIONS.map(questionData => new QuizQuestion(questionData));
-        console.log(`📚 Loaded ${this.questions.length} quiz questions`);
+    async loadQuizOptions() {
+        const container = document.getElementById('quiz-category-options');
+        if (!container) return;
+
+        try {
+            const response = await this.apiClient.get('/quiz/options');
+            const { categories } = response.data;
+
+            container.innerHTML = categories.map(category => `
+                <label class="checkbox-container">
+                    <input type="checkbox" name="quiz-category" value="${window.GreenMind.Utils.sanitizeHTML(category.name).replace(/"/g, '&quot;')}" class="checkbox-input">
+                    <span class="checkbox-custom"></span>
+                    <span class="checkbox-label">${window.GreenMind.Utils.sanitizeHTML(category.name)} (${category.count})</span>
+                </label>
+            `).join('');
+        } catch (error) {
+            // The quiz still works without the selector; every topic is included
+            console.warn('⚠️ Failed to load quiz topics:', error);
+            container.innerHTML = '<span class="info-text">All topics</span>';
+        }
+    }
+
+    /**
+     * Read the quiz settings chosen on the welcome screen
+     * @returns {Object} Selected categories, difficulty and question count
+     */
+    getQuizSettings() {
+        const categories = Array.from(document.querySelectorAll('input[name="quiz-category"]:checked'))
+            .map(input => input.value);
+        const difficulty = document.getElementById('quiz-difficulty')?.value || 'mixed';
+        const count = document.getElementById('quiz-count')?.value || '10';
+
+        return { categories, difficulty, count };
+    }
+
+    /**
+     * Update the question count shown on the welcome screen
+     */
+    updateQuestionCount() {
+        const questionCount = document.getElementById('quiz-question-count');
+        if (questionCount) {
+            questionCount.textContent = `${this.getQuizSettings().count} multiple choice questions`;
+        }
+    }
+
+    /**
+     * Generate a quiz attempt on the server and load its questions
+     * The server keeps the answers; they are only revealed after submission.
+     */
+    async loadQuestions() {
+        const { categories, difficulty, count } = this.getQuizSettings();
+        const params = new URLSearchParams({ difficulty, count });
+        if (categories.length > 0) {
+            params.set('categories', categories.join(','));
+        }
+
+        const response = await this.apiClient.get(`/quiz/generate?${params.toString()}`);
+        const attempt = response.data;
+
+        this.attemptToken = attempt.attemptToken;
+        this.questions = attempt.questions.map(questionData => new QuizQuestion(questionData));
+
+        if (this.questions.length === 0) {
+            throw new Error('No quiz questions are available right now. Please check back later.');
+        }
+
+        if (attempt.count < attempt.requestedCount) {
+            window.GreenMind.Utils.showNotification(
+                `Only ${attempt.count} questions match your selection, so your quiz is a little shorter.`,
+                'info'
+            );
+        }
+
+        console.log(`📚 Loaded ${this.questions.length} quiz questions (${attempt.difficulty})`);
     }
 
     /**
@@ -314,6 +244,12 @@ class QuizManager {
             startButton.addEventListener('click', () => this.startQuiz());
         }
 
+        // Quiz length selector
+        const countSelect = document.getElementById('quiz-count');
+        if (countSelect) {
+            countSelect.addEventListener('change', () => this.updateQuestionCount());
+        }
+
         // Navigation buttons
         const prevButton = document.getElementById('prev-btn');
         const nextButton = document.getElementById('next-btn');
@@ -345,7 +281,14 @@ class QuizManager {
         //     shareButton.addEventListener('click', () => this.shareResults());
         // }
         if (retrySubmitButton) {
-            retrySubmitButton.addEventListener('click', () => this.submitQuiz());
+            // Retry the submission if an attempt is pending, otherwise start again
+            retrySubmitButton.addEventListener('click', () => {
+                if (this.attemptToken && this.isQuizStarted) {
+                    this.submitQuiz();
+                } else {
+                    this.startQuiz();
+                }
+            });
         }
 
         // Listen for answer changes
@@ -359,14 +302,22 @@ class QuizManager {
     /**
      * Start the quiz
      */
-    startQuiz() {
+    async startQuiz() {
+        this.showLoadingScreen('Preparing your quiz...');
+
+        try {
+            await this.loadQuestions();
+        } catch (error) {
+            console.error('❌ Failed to start quiz:', error);
+            this.attemptToken = null;
+            this.showErrorScreen(error.message || 'Failed to load quiz questions. Please try again.');
+            return;
+        }
+
         this.isQuizStarted = true;
         this.startTime = new Date();
         this.currentQuestionIndex = 0;
         
-        // Reset all questions
-        this.questions.forEach(question => question.reset());
-        
         this.showQuizContent();
         this.renderCurrentQuestion();
         this.updateProgress();
@@ -466,7 +417,7 @@ class QuizManager {
      * @param {Event} event - Change event
      */
     handleAnswerChange(event) {
-        const questionId = parseInt(event.target.name.split('_')[1]);
+        const questionId = event.target.name.split('_')[1];
         const answerIndex = parseInt(event.target.value);
         
         const question = this.questions.find(q => q.id === questionId);
@@ -557,14 +508,14 @@ class QuizManager {
             }
         }
 
-        this.showLoadingScreen();
+        this.showLoadingScreen('Submitting your quiz...');
         
         try {
-            // Calculate results
-            const results = this.calculateResults();
+            // Submit answers to the server for grading
+            const graded = await this.submitResultsToServer();
+            const results = this.buildResults(graded);
             
-            // Submit to backend
-            await this.submitResultsToServer(results);
+            this.attemptToken = null;
             
             // Show results
             this.showResults(results);
@@ -576,104 +527,76 @@ class QuizManager {
     }
 
     /**
-     * Calculate quiz results
+     * Submit the chosen options to the server
+     * @returns {Promise<Object>} Graded result data
+     */
+    async submitResultsToServer() {
+        const answers = {};
+        this.questions.forEach(question => {
+            answers[question.id] = question.isAnswered ? question.userAnswer : null;
+        });
+
+        const response = await this.apiClient.post('/quiz/submit', {
+            attemptToken: this.attemptToken,
+            answers,
+            sessionId: window.GreenMind.Utils.getSessionId()
+        });
+
+        console.log('✅ Quiz results graded by server:', response);
+        return response.data;
+    }
+
+    /**
+     * Build display results from the server's graded result
+     * @param {Object} graded - Graded result data
      * @returns {Object} Quiz results
      */
-    calculateResults() {
+    buildResults(graded) {
         this.endTime = new Date();
-        const timeTaken = Math.round((this.endTime - this.startTime) / 1000); // seconds
-        
-        let correctAnswers = 0;
-        const categoryScores = {};
-        const detailedResults = [];
-        
-        // Calculate scores
-        this.questions.forEach((question, index) => {
-            const isCorrect = question.isCorrect();
-            if (isCorrect) {
-                correctAnswers++;
-            }
-            
-            // Category scoring
-            if (!categoryScores[question.category]) {
-                categoryScores[question.category] = { correct: 0, total: 0 };
-            }
-            categoryScores[question.category].total++;
-            if (isCorrect) {
-                categoryScores[question.category].correct++;
+
+        const questionsById = new Map(this.questions.map(question => [question.id, question]));
+        const detailedResults = graded.review.map((review, index) => {
+            const question = questionsById.get(review.questionId);
+            if (question) {
+                question.applyReview(review);
             }
-            
-            // Detailed results
-            detailedResults.push({
+
+            return {
                 questionNumber: index + 1,
-                question: question.question,
-                category: question.category,
-                userAnswer: question.getUserAnswerText(),
-                correctAnswer: question.getCorrectAnswerText(),
-                isCorrect: isCorrect,
-                explanation: question.explanation
-            });
+                question: review.prompt,
+                category: review.category,
+                userAnswer: question ? question.getUserAnswerText() : null,
+                correctAnswer: question ? question.getCorrectAnswerText() : null,
+                isCorrect: review.isCorrect,
+                explanation: review.explanation
+            };
         });
-        
-        const totalQuestions = this.questions.length;
-        const score = Math.round((correctAnswers / totalQuestions) * 100);
-        
+
         return {
-            score,
-            correctAnswers,
-            totalQuestions,
-            timeTaken,
-            categoryScores,
+            id: graded.id,
+            claimToken: graded.claimToken,
+            score: graded.score,
+            correctAnswers: graded.correctAnswers,
+            totalQuestions: graded.totalQuestions,
+            timeTaken: graded.timeTaken,
+            categoryScores: graded.categories,
             detailedResults,
             completedAt: this.endTime
         };
     }
 
-    /**
-     * Submit results to server
-     * @param {Object} results - Quiz results
-     */
-    async submitResultsToServer(results) {
-        try {
-            const response = await this.apiClient.post('/quiz/submit', {
-                score: results.score,
-                totalQuestions: results.totalQuestions,
-                correctAnswers: results.correctAnswers,
-                timeTaken: results.timeTaken,
-                categories: Object.fromEntries(
-                    Object.entries(results.categoryScores).map(([key, value]) => [
-                        key,
-                        { correct: value.correct, total: value.total }
-                    ])
-                ),
-                difficulty: 'mixed',
-                sessionId: this.generateSessionId()
-            });
-            
-            console.log('✅ Quiz results submitted to server:', response);
-            return response;
-        } catch (error) {
-            console.warn('⚠️ Failed to submit to server, continuing with local results:', error);
-            // Continue with local results even if server submission fails
-            throw error;
-        }
-    }
-
-    /**
-     * Generate a session ID for tracking
-     * @returns {string} Session ID
-     */
-    generateSessionId() {
-        return Date.now().toString(36) + Math.random().toString(36).substr(2);
-    }
-
     /**
      * Show loading screen
+     * @param {string} message - Message to display while loading
      */
-    showLoadingScreen() {
+    showLoadingScreen(message) {
         this.hideAllScreens();
         if (this.quizLoading) {
             this.quizLoading.style.display = 'block';
+            const loadingText = this.quizLoading.querySelector('#loading-message');
+            if (loadingText && message) {
+                loadingText.textContent = message;
+            }
         }
     }
 
@@ -876,9 +799,10 @@ class QuizManager {
         this.currentQuestionIndex = 0;
         this.startTime = null;
         this.endTime = null;
+        this.attemptToken = null;
         
-        // Reset all questions
-        this.questions.forEach(question => question.reset());
+        // A retake starts a fresh attempt with new questions
+        this.questions = [];
         
         // Show welcome screen
         this.hideAllScreens();
@@ -1056,6 +980,8 @@ class QuizStatistics {
      */
     recordAttempt(results) {
         const attempt = {
+            resultId: results.id,
+            claimToken: results.claimToken,
             score: results.score,
             correctAnswers: results.correctAnswers,
             totalQuestions: results.totalQuestions,
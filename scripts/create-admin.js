@@ -0,0 +1,56 @@
+// GreenMind - Create Admin Script
+// Author: Fatemeh - Group 6
+// Description: Create or update an administrator account
+//
+// Usage:
+//   ADMIN_EMAIL=admin@example.com ADMIN_PASSWORD='S3cure!pass' ADMIN_NAME='Site Admin' npm run create-admin
+
+const DatabaseConfig = require('../src/config/database');
+const { User } = require('../src/models');
+const { Utils } = require('../src/utils');
+
+/**
+ * Create or update the administrator from environment variables
+ */
+async function createAdmin() {
+    const email = process.env.ADMIN_EMAIL;
+    const password = process.env.ADMIN_PASSWORD;
+    const name = process.env.ADMIN_NAME || 'GreenMind Admin';
+
+    if (!email || !password) {
+        console.error('❌ ADMIN_EMAIL and ADMIN_PASSWORD must be set');
+        process.exit(1);
+    }
+
+    const strength = Utils.validatePasswordStrength(password);
+    if (!strength.isValid) {
+        console.error('❌ Password is too weak:');
+        strength.feedback.forEach(message => console.error(`   - ${message}`));
+        process.exit(1);
+    }
+
+    await DatabaseConfig.connect();
+
+    try {
+        let user = await User.findByEmailWithPassword(email);
+
+        if (user) {
+            user.name = name;
+            user.password = password;
+            user.role = 'admin';
+            user.active = true;
+            await user.save();
+            console.log(`✅ Updated administrator: ${user.email}`);
+        } else {
+            user = await User.create({ name, email, password, role: 'admin' });
+            console.log(`✅ Created administrator: ${user.email}`);
+        }
+    } finally {
+        await DatabaseConfig.disconnect();
+    }
+}
+
+createAdmin().catch(error => {
+    console.error('❌ Failed to create administrator:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,51 @@
+// GreenMind - Migrate Newsletter Subscribers Script
+// Author: Fatemeh - Group 6
+// Description: Create pending newsletter subscribers from contacts that ticked the newsletter box
+//
+// Usage:
+//   npm run migrate-subscribers
+//   npm run migrate-subscribers -- --send-confirmations
+// Addresses that already have a subscriber record are skipped, so the script can be run again safely.
+// Without --send-confirmations the new subscribers stay pending until they are emailed a confirmation link.
+
+const DatabaseConfig = require('../src/config/database');
+const { NewsletterService, MailerService } = require('../src/services');
+
+/**
+ * Migrate contacts with newsletter=true to pending subscribers
+ * @param {Object} options - { sendConfirmations } to email a confirmation link to each new subscriber
+ */
+async function migrateSubscribers({ sendConfirmations = false } = {}) {
+    await DatabaseConfig.connect();
+
+    try {
+        const { created, skipped } = await NewsletterService.migrateFromContacts({ sendConfirmations });
+
+        console.log(`✅ Migrated newsletter contacts (${created} pending subscribers created, ${skipped} already subscribed)`);
+
+        if (sendConfirmations && MailerService.getQueueLength() > 0) {
+            // The process exits when the script ends, so give failed sends one retry run now
+            const { remaining } = await MailerService.processQueue();
+            if (remaining > 0) {
+                console.warn(`⚠️ ${remaining} confirmation email(s) could not be sent; run the script again later`);
+            }
+        }
+    } finally {
+        MailerService.stopQueue();
+        await DatabaseConfig.disconnect();
+    }
+}
+
+// Run when executed directly
+if (require.main === module) {
+    migrateSubscribers({
+        sendConfirmations: process.argv.includes('--send-confirmations')
+    }).catch(error => {
+        console.error('❌ Failed to migrate subscribers:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    migrateSubscribers
+};
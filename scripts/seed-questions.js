@@ -0,0 +1,138 @@
+// GreenMind - Seed Questions Script
+// Author: Fatemeh - Group 6
+// Description: Import the original quiz questions into the question bank
+//
+// Usage:
+//   npm run seed-questions
+// Questions are matched by prompt, so running the script again updates them instead of duplicating.
+
+const DatabaseConfig = require('../src/config/database');
+const { Question } = require('../src/models');
+
+/**
+ * Original environmental awareness quiz questions
+ */
+const SEED_QUESTIONS = [
+    {
+        category: 'Recycling',
+        prompt: 'What color recycling bin is typically used for paper and cardboard?',
+        options: ['Green bin', 'Blue bin', 'Yellow bin', 'Red bin'],
+        correctIndex: 1, // Blue bin
+        explanation: 'Blue bins are commonly used for paper and cardboard recycling in most recycling programs.',
+        difficulty: 'easy'
+    },
+    {
+        category: 'Energy Conservation',
+        prompt: 'Which type of light bulb uses the least amount of energy?',
+        options: ['Incandescent bulbs', 'Halogen bulbs', 'CFL bulbs', 'LED bulbs'],
+        correctIndex: 3, // LED bulbs
+        explanation: 'LED bulbs use up to 75% less energy than incandescent bulbs and last 25 times longer.',
+        difficulty: 'easy'
+    },
+    {
+        category: 'Water Conservation',
+        prompt: 'How much water can a dripping faucet waste per year?',
+        options: ['100 gallons', '500 gallons', '1,000 gallons', '3,000+ gallons'],
+        correctIndex: 3, // 3,000+ gallons
+        explanation: 'A single dripping faucet can waste over 3,000 gallons of water per year, which is enough for more than 180 showers!',
+        difficulty: 'medium'
+    },
+    {
+        category: 'Climate Change',
+        prompt: 'What is the main greenhouse gas responsible for climate change?',
+        options: ['Oxygen (O2)', 'Carbon Dioxide (CO2)', 'Nitrogen (N2)', 'Hydrogen (H2)'],
+        correctIndex: 1, // Carbon Dioxide (CO2)
+        explanation: 'Carbon dioxide (CO2) is the primary greenhouse gas emitted through human activities, mainly from burning fossil fuels.',
+        difficulty: 'easy'
+    },
+    {
+        category: 'Recycling',
+        prompt: 'Which of these items should NOT be put in regular recycling bins?',
+        options: ['Clean pizza boxes', 'Plastic bottles', 'Batteries', 'Aluminum cans'],
+        correctIndex: 2, // Batteries
+        explanation: 'Batteries contain hazardous materials and should be taken to special recycling centers, not put in regular recycling bins.',
+        difficulty: 'medium'
+    },
+    {
+        category: 'Energy Conservation',
+        prompt: 'What percentage of home energy can be saved by properly sealing air leaks?',
+        options: ['5-10%', '10-20%', '20-30%', '30-40%'],
+        correctIndex: 1, // 10-20%
+        explanation: 'Sealing air leaks around windows, doors, and other openings can save 10-20% on heating and cooling costs.',
+        difficulty: 'medium'
+    },
+    {
+        category: 'Water Conservation',
+        prompt: 'What is the average amount of water used in a 10-minute shower?',
+        options: ['15-25 gallons', '25-35 gallons', '35-45 gallons', '45-55 gallons'],
+        correctIndex: 1, // 25-35 gallons
+        explanation: 'A typical 10-minute shower uses about 25-35 gallons of water, depending on the showerhead flow rate.',
+        difficulty: 'medium'
+    },
+    {
+        category: 'Climate Change',
+        prompt: 'How much has the global average temperature increased since 1880?',
+        options: ['0.5°C (0.9°F)', '1.1°C (2°F)', '2.0°C (3.6°F)', '3.0°C (5.4°F)'],
+        correctIndex: 1, // 1.1°C (2°F)
+        explanation: 'The global average temperature has increased by approximately 1.1°C (2°F) since 1880, with most warming occurring in the past 40 years.',
+        difficulty: 'hard'
+    },
+    {
+        category: 'Recycling',
+        prompt: 'What percentage of plastic waste is actually recycled globally?',
+        options: ['Less than 10%', '10-20%', '20-30%', 'More than 50%'],
+        correctIndex: 0, // Less than 10%
+        explanation: 'Unfortunately, less than 10% of all plastic waste ever produced has been recycled. Most ends up in landfills or the environment.',
+        difficulty: 'hard'
+    },
+    {
+        category: 'Energy Conservation',
+        prompt: 'Which home appliance typically uses the most electricity?',
+        options: ['Refrigerator', 'Washing machine', 'Air conditioning/heating system', 'Television'],
+        correctIndex: 2, // Air conditioning/heating system
+        explanation: 'Heating and cooling systems typically account for about 48% of home energy use, making them the largest energy consumer in most homes.',
+        difficulty: 'medium'
+    }
+];
+
+/**
+ * Upsert the seed questions
+ */
+async function seedQuestions() {
+    await DatabaseConfig.connect();
+
+    try {
+        let created = 0;
+        let updated = 0;
+
+        for (const data of SEED_QUESTIONS) {
+            const existing = await Question.findOne({ prompt: data.prompt });
+
+            if (existing) {
+                existing.set(data);
+                await existing.save();
+                updated++;
+            } else {
+                await Question.create(data);
+                created++;
+            }
+        }
+
+        console.log(`✅ Seeded ${SEED_QUESTIONS.length} questions (${created} created, ${updated} updated)`);
+    } finally {
+        await DatabaseConfig.disconnect();
+    }
+}
+
+// Run when executed directly
+if (require.main === module) {
+    seedQuestions().catch(error => {
+        console.error('❌ Failed to seed questions:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    SEED_QUESTIONS,
+    seedQuestions
+};
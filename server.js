@@ -6,6 +6,8 @@ const createApp = require('./src/app');
 const DatabaseConfig = require('./src/config/database');
 const { config, displayConfig } = require('./src/config/environment');
 const { ErrorHandler } = require('./src/middleware');
+const { PrivacyService } = require('./src/services');
+const { logger } = require('./src/utils/logger');
 
 /**
  * Start the GreenMind server
@@ -21,16 +23,19 @@ async function startServer() {
         // Connect to database
         await DatabaseConfig.connect();
 
+        // Apply the data retention policy periodically
+        PrivacyService.startRetention();
+
         // Create Express application
         const app = createApp();
 
         // Start HTTP server
         const server = app.listen(config.server.port, () => {
-            console.log('🌍 GreenMind server started successfully!');
-            console.log(`🔗 Local URL: http://localhost:${config.server.port}`);
-            console.log(`📁 Serving static files from: ${__dirname}/public`);
-            console.log(`📊 Database status: ${DatabaseConfig.getConnectionStatus()}`);
-            console.log('✅ Server ready to handle requests');
+            logger.info('GreenMind server started', {
+                port: server.address().port,
+                staticDirectory: `${__dirname}/public`,
+                databaseStatus: DatabaseConfig.getConnectionStatus()
+            });
         });
 
         // Setup error handlers
@@ -40,8 +45,7 @@ async function startServer() {
         return server;
 
     } catch (error) {
-        console.error('❌ Failed to start server:', error.message);
-        console.error('Stack trace:', error.stack);
+        logger.error('Failed to start server', { error });
         process.exit(1);
     }
 }
@@ -4,9 +4,11 @@
 
 const express = require('express');
 const path = require('path');
+const cookieParser = require('cookie-parser');
 const { config } = require('./config/environment');
-const { SecurityMiddleware, ErrorHandler } = require('./middleware');
+const { SecurityMiddleware, AuthMiddleware, ErrorHandler } = require('./middleware');
 const { configureRoutes } = require('./routes');
+const OpenApiValidator = require('./openapi/validator');
 
 /**
  * Create and configure Express application
@@ -18,6 +20,9 @@ function createApp() {
     // Trust proxy (for deployment behind reverse proxy)
     app.set('trust proxy', 1);
 
+    // Request ID first, so every log line and error response for the request carries it
+    app.use(SecurityMiddleware.assignRequestId);
+
     // Security middleware
     app.use(SecurityMiddleware.configureHelmet());
     app.use(SecurityMiddleware.configureCORS());
@@ -40,12 +45,26 @@ function createApp() {
         parameterLimit: 1000
     }));
 
+    // Cookie parsing (authentication token cookie)
+    app.use(cookieParser());
+
     // Input sanitization
     app.use(SecurityMiddleware.sanitizeInput);
 
     // Content type validation for API routes
     app.use('/api/*', SecurityMiddleware.validateContentType);
 
+    // Check API traffic against the OpenAPI document (development aid, see OPENAPI_VALIDATION)
+    if (config.openapi.validation !== 'off') {
+        app.use('/api/', OpenApiValidator.middleware(config.openapi.validation));
+    }
+
+    // Admin pages are only served to administrators and never cached
+    app.use('/admin',
+        AuthMiddleware.protectAdminPages,
+        express.static(path.join(__dirname, '../public/admin'), { cacheControl: false })
+    );
+
     // Serve static files with caching
     app.use(express.static(path.join(__dirname, '../public'), {
         maxAge: config.server.environment === 'production' ? '1y' : '0',
@@ -53,6 +72,14 @@ function createApp() {
         lastModified: true
     }));
 
+    // Swagger UI assets for the API docs page
+    app.use('/vendor/swagger-ui', express.static(require('swagger-ui-dist').getAbsoluteFSPath()));
+
+    // Shared schema validator for the browser forms (the schemas come from GET /api/schemas/:name)
+    app.get('/js/schema-validator.js', (req, res) => {
+        res.sendFile(path.join(__dirname, 'validation/schemaValidator.js'));
+    });
+
     // Configure routes
     configureRoutes(app);
 
@@ -3,6 +3,7 @@
 // Description: MongoDB connection configuration
 
 const mongoose = require('mongoose');
+const { logger } = require('../utils/logger');
 
 /**
  * Database connection configuration
@@ -18,12 +19,11 @@ class DatabaseConfig {
             
             await mongoose.connect(mongoURI);
             
-            console.log('✅ MongoDB connected successfully');
-            console.log(`📦 Database: ${mongoose.connection.name}`);
+            logger.info('MongoDB connected successfully', { database: mongoose.connection.name });
             
             return mongoose.connection;
         } catch (error) {
-            console.error('❌ MongoDB connection error:', error.message);
+            logger.error('MongoDB connection error', { error });
             process.exit(1);
         }
     }
@@ -35,9 +35,9 @@ class DatabaseConfig {
     static async disconnect() {
         try {
             await mongoose.connection.close();
-            console.log('📦 MongoDB connection closed');
+            logger.info('MongoDB connection closed');
         } catch (error) {
-            console.error('❌ Error closing MongoDB connection:', error.message);
+            logger.error('Error closing MongoDB connection', { error });
         }
     }
 
@@ -62,24 +62,21 @@ class DatabaseConfig {
     static setupEventListeners() {
         // Connection successful
         mongoose.connection.on('connected', () => {
-            console.log('🔗 Mongoose connected to MongoDB');
+            logger.info('Mongoose connected to MongoDB');
         });
 
         // Connection error
         mongoose.connection.on('error', (error) => {
-            console.error('❌ Mongoose connection error:', error);
+            logger.error('Mongoose connection error', { error });
         });
 
         // Connection disconnected
         mongoose.connection.on('disconnected', () => {
-            console.log('📦 Mongoose disconnected from MongoDB');
+            logger.warn('Mongoose disconnected from MongoDB');
         });
 
-        // Application termination
-        process.on('SIGINT', async () => {
-            await DatabaseConfig.disconnect();
-            process.exit(0);
-        });
+        // SIGINT and SIGTERM are handled by ErrorHandler.handleGracefulShutdown, which drains
+        // requests before closing the connection
     }
 }
 
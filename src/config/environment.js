@@ -4,6 +4,54 @@
 
 require('dotenv').config();
 
+const FORM_MESSAGE = 'Too many form submissions. Please wait before submitting again.';
+
+/**
+ * Rate-limit policy whose limit and window can be overridden with
+ * RATE_LIMIT_<NAME>_MAX and RATE_LIMIT_<NAME>_WINDOW_MINUTES (e.g. RATE_LIMIT_QUIZ_SUBMIT_MAX)
+ * @param {string} name - Policy name
+ * @param {Object} defaults - { windowMs, max, skipSuccessfulRequests, message }
+ * @returns {Object} Policy
+ */
+function rateLimitPolicy(name, defaults) {
+    const prefix = `RATE_LIMIT_${name.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase()}`;
+    const windowMinutes = parseInt(process.env[`${prefix}_WINDOW_MINUTES`], 10);
+
+    return {
+        ...defaults,
+        windowMs: windowMinutes > 0 ? windowMinutes * 60 * 1000 : defaults.windowMs,
+        max: parseInt(process.env[`${prefix}_MAX`], 10) || defaults.max
+    };
+}
+
+/**
+ * Parse a number of days where 0 is allowed (it turns a retention rule off)
+ * @param {string} value - Raw environment value
+ * @param {number} fallback - Default when unset or invalid
+ * @returns {number} Days
+ */
+function parseDays(value, fallback) {
+    const days = parseInt(value, 10);
+    return days >= 0 ? days : fallback;
+}
+
+/**
+ * Parse a "key:value,key:value" list into an object
+ * @param {string} value - Raw environment value
+ * @returns {Object} Parsed map (empty when unset)
+ */
+function parseRecipientMap(value) {
+    if (!value) return {};
+
+    return value.split(',').reduce((map, entry) => {
+        const [key, address] = entry.split(':').map(part => part.trim());
+        if (key && address) {
+            map[key.toLowerCase()] = address;
+        }
+        return map;
+    }, {});
+}
+
 /**
  * Application configuration from environment variables
  */
@@ -28,7 +76,8 @@ const config = {
     app: {
         name: process.env.APP_NAME || 'GreenMind',
         version: process.env.APP_VERSION || '1.0.0',
-        description: 'Environmental Awareness Website'
+        description: 'Environmental Awareness Website',
+        url: process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}` // Public URL used in email links
     },
 
     // Security settings
@@ -37,14 +86,141 @@ const config = {
         corsOrigins: process.env.NODE_ENV === 'production' 
             ? (process.env.CORS_ORIGINS ? process.env.CORS_ORIGINS.split(',') : ['https://your-domain.com'])
             : ['http://localhost:3000', 'http://127.0.0.1:3000'],
-        rateLimitWindow: 15 * 60 * 1000, // 15 minutes
-        rateLimitMax: 100 // requests per window
+        // Rate limits per client IP. Counters are kept in MongoDB so every instance shares them
+        // (memory: per process), with an in-memory fallback while the database is unavailable.
+        rateLimit: {
+            store: process.env.RATE_LIMIT_STORE || 'mongo',
+            // IPs and CIDR ranges (e.g. 10.0.0.0/8) that are never limited
+            allowlist: (process.env.RATE_LIMIT_ALLOWLIST || '').split(',').map(entry => entry.trim()).filter(Boolean),
+            policies: {
+                api: rateLimitPolicy('api', {
+                    windowMs: 15 * 60 * 1000, // 15 minutes
+                    max: 100, // requests per window
+                    message: 'Too many requests from this IP. Please try again later.'
+                }),
+                // Every contact and newsletter submission counts: each one emails the address it was given
+                contact: rateLimitPolicy('contact', { windowMs: 15 * 60 * 1000, max: 5, message: FORM_MESSAGE }),
+                // The other form policies only count failed submissions
+                login: rateLimitPolicy('login', { windowMs: 15 * 60 * 1000, max: 5, skipSuccessfulRequests: true, message: FORM_MESSAGE }),
+                register: rateLimitPolicy('register', { windowMs: 15 * 60 * 1000, max: 5, skipSuccessfulRequests: true, message: FORM_MESSAGE }),
+                quizSubmit: rateLimitPolicy('quizSubmit', { windowMs: 15 * 60 * 1000, max: 5, skipSuccessfulRequests: true, message: FORM_MESSAGE }),
+                newsletter: rateLimitPolicy('newsletter', { windowMs: 15 * 60 * 1000, max: 5, message: FORM_MESSAGE })
+            }
+        }
+    },
+
+    // Authentication settings (tokens are signed with security.sessionSecret)
+    auth: {
+        tokenExpiresIn: process.env.AUTH_TOKEN_EXPIRES_IN || '8h',
+        cookieName: 'greenmind_token',
+        cookieMaxAge: 8 * 60 * 60 * 1000 // 8 hours
+    },
+
+    // Quiz settings
+    quiz: {
+        attemptTtlSeconds: 60 * 60, // Attempts must be submitted within 1 hour
+        defaultQuestionCount: 10,
+        maxQuestionCount: 50
+    },
+
+    // Newsletter settings (tokens are signed with security.sessionSecret)
+    newsletter: {
+        confirmationTtlSeconds: 7 * 24 * 60 * 60, // Confirmation links are valid for 7 days
+        resendIntervalSeconds: 15 * 60 // A pending address gets at most one confirmation email per 15 minutes
+    },
+
+    // Spam scoring for contact messages (scores at or above the threshold are quarantined)
+    spam: {
+        threshold: parseInt(process.env.SPAM_THRESHOLD, 10) || 4,
+        keywords: [
+            'urgent', 'congratulations', 'click here', 'free money', 'lottery', 'viagra',
+            'casino', 'bitcoin', 'crypto', 'winner', 'prize', 'seo services', 'guaranteed', 'wire transfer'
+        ],
+        maxLinks: 2, // More links than this add to the score
+        honeypotField: 'website', // Hidden form field that only bots fill in
+        minFormSeconds: 3 // Forms submitted faster than this are treated as automated
+    },
+
+    // Mail settings (transport: smtp, file or memory)
+    mail: {
+        transport: process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp'
+            : process.env.NODE_ENV === 'test' ? 'memory' : 'file'),
+        from: process.env.MAIL_FROM || 'GreenMind <no-reply@greenmind.local>',
+        smtp: {
+            host: process.env.SMTP_HOST || 'localhost',
+            port: parseInt(process.env.SMTP_PORT, 10) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            user: process.env.SMTP_USER || '',
+            pass: process.env.SMTP_PASS || ''
+        },
+        fileDirectory: process.env.MAIL_FILE_DIR || 'logs/mail',
+        // Staff notification address per contact subject, e.g. "collaboration:partnerships@example.org,feedback:web@example.org"
+        staffRecipients: {
+            default: process.env.MAIL_STAFF_DEFAULT || 'hello@greenmind.local',
+            collaboration: 'partnerships@greenmind.local',
+            ...parseRecipientMap(process.env.MAIL_STAFF_ROUTES)
+        },
+        maxRetries: 3, // Utils.retry attempts per delivery run
+        retryBaseDelay: 1000, // 1 second, doubled on each retry
+        queueInterval: 60 * 1000, // Re-run the failed-send queue every minute
+        maxQueueRuns: 5 // Give up on a message after this many delivery runs
+    },
+
+    // Health check settings
+    health: {
+        dbPingTimeout: parseInt(process.env.HEALTH_DB_TIMEOUT_MS, 10) || 2000, // Readiness fails if the ping takes longer
+        mailQueueDegradedAt: 10, // Queued emails before the mail check reports degraded
+        // Time between failing readiness and closing the server, so load balancers stop routing here first
+        drainDelay: parseInt(process.env.SHUTDOWN_DRAIN_DELAY_MS, 10)
+            || (process.env.NODE_ENV === 'production' ? 5000 : 0)
+    },
+
+    // Data protection: retention rules applied by PrivacyService (0 days turns a rule off)
+    privacy: {
+        contactRetentionDays: parseDays(process.env.CONTACT_RETENTION_DAYS, 730),
+        // What happens to contact messages past retention: anonymize (keep subject, status and dates) or purge
+        contactRetentionAction: process.env.CONTACT_RETENTION_ACTION === 'purge' ? 'purge' : 'anonymize',
+        userAgentRetentionDays: parseDays(process.env.USER_AGENT_RETENTION_DAYS, 30),
+        // Grace period before messages in the trash are deleted for good
+        contactTrashDays: parseDays(process.env.CONTACT_TRASH_DAYS, 30),
+        retentionInterval: 24 * 60 * 60 * 1000, // Run daily
+        retentionStartDelay: 60 * 1000 // First run a minute after startup
+    },
+
+    // Metrics settings (GET /api/metrics accepts this bearer token, or an admin login)
+    metrics: {
+        token: process.env.METRICS_TOKEN || ''
+    },
+
+    // OpenAPI settings (validation: off, warn logs mismatches, strict rejects them)
+    openapi: {
+        validation: process.env.OPENAPI_VALIDATION
+            || ((process.env.NODE_ENV || 'development') === 'development' ? 'warn' : 'off')
+    },
+
+    // Logging settings (sinks: stdout, file)
+    logging: {
+        level: process.env.LOG_LEVEL || (process.env.NODE_ENV === 'test' ? 'silent' : 'info'),
+        sinks: (process.env.LOG_SINKS || 'stdout').split(',').map(sink => sink.trim()).filter(Boolean),
+        file: {
+            path: process.env.LOG_FILE || 'logs/app.log',
+            maxSize: parseInt(process.env.LOG_FILE_MAX_SIZE, 10) || 10 * 1024 * 1024, // 10 MB
+            maxFiles: parseInt(process.env.LOG_FILE_MAX_FILES, 10) || 5
+        },
+        // Values under these keys are replaced; email addresses are masked wherever they appear
+        redactKeys: ['name', 'password', 'token', 'attemptToken', 'authorization', 'cookie']
     },
 
     // API settings
     api: {
         prefix: '/api',
-        version: 'v1',
+        version: 'v1', // Current version, used by the front end and emailed links (/api/v1)
+        // The unversioned /api alias answers as v1 with Deprecation and Sunset headers
+        legacyAlias: {
+            version: 'v1',
+            deprecatedAt: process.env.API_ALIAS_DEPRECATED_AT || '2026-11-01',
+            sunsetAt: process.env.API_ALIAS_SUNSET_AT || '2027-05-01'
+        },
         timeout: 30000 // 30 seconds
     },
 };
@@ -62,6 +238,7 @@ function validateConfig() {
     const missingVars = requiredVars.filter(varName => !process.env[varName]);
     
     if (missingVars.length > 0) {
+        // The logger is configured from this file, so startup failures go straight to the console
         console.error('❌ Missing required environment variables:', missingVars.join(', '));
         console.error('💡 Please check your .env file or environment configuration');
         process.exit(1);
@@ -72,12 +249,18 @@ function validateConfig() {
  * Display configuration summary
  */
 function displayConfig() {
-    console.log('🚀 Application Configuration:');
-    console.log(`   Environment: ${config.server.environment}`);
-    console.log(`   Port: ${config.server.port}`);
-    console.log(`   Database: ${config.database.uri.replace(/\/\/.*@/, '//***@')}`); // Hide credentials
-    console.log(`   API Prefix: ${config.api.prefix}`);
-    console.log(`   CORS Origins: ${config.security.corsOrigins.join(', ')}`);
+    const { logger } = require('../utils/logger');
+
+    logger.info('Application configuration', {
+        environment: config.server.environment,
+        port: config.server.port,
+        database: config.database.uri.replace(/\/\/.*@/, '//***@'), // Hide credentials
+        apiPrefix: config.api.prefix,
+        apiVersion: config.api.version,
+        corsOrigins: config.security.corsOrigins,
+        logLevel: config.logging.level,
+        logSinks: config.logging.sinks
+    });
 }
 
 // Validate configuration on load
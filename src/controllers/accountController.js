@@ -0,0 +1,46 @@
+// GreenMind - Account Controller
+// Author: Fatemeh - Group 6
+// Description: Controller for the signed-in learner's own data
+
+const { QuizHistoryService } = require('../services');
+const { catchAsync } = require('../utils');
+
+/**
+ * Account Controller Class
+ */
+class AccountController {
+    /**
+     * Get the learner's quiz history with per-category trends
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    static getQuizHistory = catchAsync(async (req, res, next) => {
+        const { limit = 20 } = req.query;
+
+        const history = await QuizHistoryService.getHistory(req.user._id, parseInt(limit));
+
+        res.json({
+            status: 'success',
+            data: history
+        });
+    });
+
+    /**
+     * Import quiz attempts stored in the browser (allowed once per account)
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    static importQuizHistory = catchAsync(async (req, res, next) => {
+        const summary = await QuizHistoryService.importLocalHistory(req.user._id, req.body.attempts);
+
+        res.status(201).json({
+            status: 'success',
+            message: 'Quiz history imported successfully',
+            data: summary
+        });
+    });
+}
+
+module.exports = AccountController;
@@ -3,8 +3,11 @@
 // Description: Controller for general application operations
 
 const path = require('path');
-const { catchAsync } = require('../utils');
+const { AppError, catchAsync, Metrics } = require('../utils');
+const { HealthService } = require('../services');
 const { config } = require('../config/environment');
+const OpenApi = require('../openapi');
+const { schemas } = require('../validation');
 
 /**
  * Application Controller Class
@@ -12,14 +15,19 @@ const { config } = require('../config/environment');
 class AppController {
     /**
      * Health check endpoint
+     * Runs the readiness checks, so it answers 503 whenever /health/ready does (e.g. the database is down).
      * @param {Object} req - Express request object
      * @param {Object} res - Express response object
      */
     static healthCheck = catchAsync(async (req, res) => {
+        const readiness = await HealthService.checkReadiness();
+
         // Get system information
         const healthData = {
-            status: 'success',
-            message: `${config.app.name} API is running!`,
+            status: readiness.ready ? 'success' : 'error',
+            message: readiness.ready ? `${config.app.name} API is running!` : `${config.app.name} API is not ready`,
+            state: readiness.state,
+            checks: readiness.checks,
             timestamp: new Date().toISOString(),
             version: config.app.version,
             environment: config.server.environment,
@@ -46,7 +54,38 @@ class AppController {
             name: mongoose.connection.name || 'unknown'
         };
 
-        res.json(healthData);
+        res.set('Cache-Control', 'no-store');
+        res.status(readiness.ready ? 200 : 503).json(healthData);
+    });
+
+    /**
+     * Liveness probe: the process is up (stays 200 while draining)
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    static liveness = (req, res) => {
+        res.json({
+            status: 'success',
+            ...HealthService.checkLiveness(),
+            timestamp: new Date().toISOString()
+        });
+    };
+
+    /**
+     * Readiness probe: dependencies are reachable and the instance is not draining
+     * Responds 503 when a critical dependency is down or the server is shutting down.
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    static readiness = catchAsync(async (req, res) => {
+        const readiness = await HealthService.checkReadiness();
+
+        res.set('Cache-Control', 'no-store');
+        res.status(readiness.ready ? 200 : 503).json({
+            status: readiness.ready ? 'success' : 'error',
+            ...readiness,
+            timestamp: new Date().toISOString()
+        });
     });
 
     /**
@@ -103,18 +142,29 @@ class AppController {
      * @param {Object} res - Express response object
      */
     static handleApiNotFound = (req, res) => {
+        const base = `${config.api.prefix}/${config.api.version}`;
+
         res.status(404).json({
             status: 'error',
             message: `API endpoint not found: ${req.method} ${req.originalUrl}`,
             availableEndpoints: {
-                health: 'GET /api/health',
-                info: 'GET /api/info',
-                contact: 'POST /api/contact',
+                health: `GET ${base}/health`,
+                liveness: `GET ${base}/health/live`,
+                readiness: `GET ${base}/health/ready`,
+                info: `GET ${base}/info`,
+                docs: `GET ${base}/docs`,
+                openapi: `GET ${base}/openapi.json`,
+                login: `POST ${base}/auth/login`,
+                register: `POST ${base}/auth/register`,
+                contact: `POST ${base}/contact`,
+                newsletter: `POST ${base}/newsletter/subscribe`,
                 quiz: {
-                    submit: 'POST /api/quiz/submit',
-                    stats: 'GET /api/quiz/stats',
-                    recent: 'GET /api/quiz/recent',
-                    leaderboard: 'GET /api/quiz/leaderboard'
+                    start: `POST ${base}/quiz/start`,
+                    generate: `GET ${base}/quiz/generate`,
+                    submit: `POST ${base}/quiz/submit`,
+                    stats: `GET ${base}/quiz/stats`,
+                    recent: `GET ${base}/quiz/recent`,
+                    leaderboard: `GET ${base}/quiz/leaderboard`
                 }
             },
             timestamp: new Date().toISOString()
@@ -132,95 +182,49 @@ class AppController {
 
     /**
      * Get API documentation
+     * Endpoints are listed from the generated OpenAPI document, grouped by their first path segment.
      * @param {Object} req - Express request object
      * @param {Object} res - Express response object
      */
     static getApiDocs = catchAsync(async (req, res) => {
+        const origin = `${req.protocol}://${req.get('host')}`;
+        const version = req.apiVersion || config.api.version;
+        const basePath = `${config.api.prefix}/${version}`;
+        const endpoints = {};
+
+        Object.entries(OpenApi.getDocument(version).paths).forEach(([openApiPath, pathItem]) => {
+            const relativePath = openApiPath.slice(basePath.length).replace(/{(\w+)}/g, ':$1');
+            const group = relativePath.split('/')[1];
+
+            Object.entries(pathItem).forEach(([method, operation]) => {
+                endpoints[group] = endpoints[group] || [];
+                endpoints[group].push({
+                    method: method.toUpperCase(),
+                    path: relativePath,
+                    description: operation.summary,
+                    access: operation['x-access']
+                });
+            });
+        });
+
         const apiDocs = {
             status: 'success',
             data: {
                 title: `${config.app.name} API Documentation`,
                 version: config.app.version,
-                baseUrl: `${req.protocol}://${req.get('host')}${config.api.prefix}`,
-                endpoints: {
-                    health: {
-                        method: 'GET',
-                        path: '/health',
-                        description: 'Check API health and system status',
-                        response: 'System health information'
-                    },
-                    info: {
-                        method: 'GET',
-                        path: '/info',
-                        description: 'Get application information',
-                        response: 'Application details and metadata'
-                    },
-                    docs: {
-                        method: 'GET',
-                        path: '/docs',
-                        description: 'Get API documentation',
-                        response: 'This documentation'
-                    },
-                    contact: {
-                        submit: {
-                            method: 'POST',
-                            path: '/contact',
-                            description: 'Submit contact form',
-                            body: {
-                                name: 'string (required)',
-                                email: 'string (required)',
-                                subject: 'string (required)',
-                                message: 'string (required)',
-                                newsletter: 'boolean (optional)'
-                            },
-                            response: 'Success message with contact ID'
-                        }
-                    },
-                    quiz: {
-                        submit: {
-                            method: 'POST',
-                            path: '/quiz/submit',
-                            description: 'Submit quiz results',
-                            body: {
-                                score: 'number (0-100, required)',
-                                totalQuestions: 'number (required)',
-                                correctAnswers: 'number (required)',
-                                timeTaken: 'number (optional)',
-                                categories: 'object (optional)'
-                            },
-                            response: 'Success message with performance feedback'
-                        },
-                        stats: {
-                            method: 'GET',
-                            path: '/quiz/stats',
-                            description: 'Get quiz statistics',
-                            response: 'Overall quiz statistics and analytics'
-                        },
-                        recent: {
-                            method: 'GET',
-                            path: '/quiz/recent',
-                            description: 'Get recent quiz results',
-                            query: {
-                                days: 'number (default: 30)',
-                                limit: 'number (default: 10)'
-                            },
-                            response: 'Recent quiz results'
-                        },
-                        leaderboard: {
-                            method: 'GET',
-                            path: '/quiz/leaderboard',
-                            description: 'Get quiz leaderboard',
-                            query: {
-                                limit: 'number (default: 10)',
-                                period: 'string (week|month|year|all, default: all)'
-                            },
-                            response: 'Top quiz scores'
-                        }
-                    }
-                },
+                apiVersion: version,
+                baseUrl: `${origin}${basePath}`,
+                openapi: `${origin}${basePath}/openapi.json`,
+                docsPage: `${origin}/api-docs.html`,
+                endpoints,
+                authentication: 'Private endpoints require a token (admin-only endpoints need the admin role) sent as "Authorization: Bearer <token>" or the auth cookie set by /auth/login',
                 errorCodes: {
                     400: 'Bad Request - Invalid input data',
+                    401: 'Unauthorized - Missing, invalid or expired token',
+                    403: 'Forbidden - Insufficient role for this endpoint',
                     404: 'Not Found - Endpoint does not exist',
+                    409: 'Conflict - Resource already exists or was already submitted',
+                    410: 'Gone - Quiz attempt expired or no longer available',
                     500: 'Internal Server Error - Server-side error'
                 },
                 responseFormat: {
@@ -241,6 +245,47 @@ class AppController {
         res.json(apiDocs);
     });
 
+    /**
+     * Get the OpenAPI 3 document
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    static getOpenApiDocument = (req, res) => {
+        res.json(OpenApi.getDocument(req.apiVersion));
+    };
+
+    /**
+     * Get every shared validation schema
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    static getValidationSchemas = (req, res) => {
+        res.json({
+            status: 'success',
+            data: schemas
+        });
+    };
+
+    /**
+     * Get the validation schema for one payload, for browser forms to check input
+     * with the same rules and messages as the API
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    static getValidationSchema = (req, res, next) => {
+        const schema = Object.prototype.hasOwnProperty.call(schemas, req.params.name) && schemas[req.params.name];
+
+        if (!schema) {
+            return next(new AppError(`Validation schema '${req.params.name}' not found`, 404));
+        }
+
+        res.json({
+            status: 'success',
+            data: schema
+        });
+    };
+
     /**
      * Get system statistics
      * @param {Object} req - Express request object
@@ -255,9 +300,10 @@ class AppController {
             recentContacts,
             recentQuizzes
         ] = await Promise.all([
-            Contact.countDocuments(),
+            Contact.countDocuments({ deletedAt: null }),
             QuizResult.countDocuments(),
             Contact.countDocuments({ 
+                deletedAt: null,
                 createdAt: { $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) } 
             }),
             QuizResult.countDocuments({ 
@@ -288,6 +334,16 @@ class AppController {
         res.json(stats);
     });
 
+    /**
+     * Get Prometheus metrics
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    static getMetrics = catchAsync(async (req, res) => {
+        res.set('Content-Type', Metrics.contentType);
+        res.send(await Metrics.render());
+    });
+
     /**
      * Format uptime in human readable format
      * @param {number} uptimeSeconds - Uptime in seconds
@@ -0,0 +1,43 @@
+// GreenMind - Audit Controller
+// Author: Fatemeh - Group 6
+// Description: Controller for reading the audit log
+
+const { AuditService } = require('../services');
+const { catchAsync } = require('../utils');
+
+/**
+ * Audit Controller Class
+ */
+class AuditController {
+    /**
+     * Get audit log entries, newest first, filtered by actor, action, target and date
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    static getEntries = catchAsync(async (req, res) => {
+        const { page = 1, limit = 20, actor, action, targetType, targetId, startDate, endDate } = req.query;
+
+        const { entries, total } = await AuditService.list(
+            { actor, action, targetType, targetId, startDate, endDate },
+            { page, limit }
+        );
+        const totalPages = Math.ceil(total / limit);
+
+        res.json({
+            status: 'success',
+            data: {
+                entries,
+                pagination: {
+                    currentPage: page,
+                    totalPages,
+                    totalItems: total,
+                    itemsPerPage: limit,
+                    hasNextPage: page < totalPages,
+                    hasPrevPage: page > 1
+                }
+            }
+        });
+    });
+}
+
+module.exports = AuditController;
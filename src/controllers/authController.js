@@ -0,0 +1,131 @@
+// GreenMind - Authentication Controller
+// Author: Fatemeh - Group 6
+// Description: Controller for registration, login, logout and session operations
+
+const { User } = require('../models');
+const { AppError, catchAsync, logger } = require('../utils');
+const { config } = require('../config/environment');
+const AuthMiddleware = require('../middleware/auth');
+
+/**
+ * Authentication Controller Class
+ */
+class AuthController {
+    /**
+     * Cookie options for the auth token
+     * @returns {Object} Cookie options
+     */
+    static cookieOptions() {
+        return {
+            httpOnly: true,
+            sameSite: 'strict',
+            secure: config.server.environment === 'production',
+            maxAge: config.auth.cookieMaxAge,
+            path: '/'
+        };
+    }
+
+    /**
+     * Register a learner account and log it in
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    static register = catchAsync(async (req, res, next) => {
+        const { name, email, password } = req.body;
+
+        if (await User.exists({ email: email.trim().toLowerCase() })) {
+            return next(new AppError('An account with this email already exists. Please log in instead.', 409));
+        }
+
+        const user = await User.create({
+            name: name.trim(),
+            email,
+            password,
+            role: 'learner',
+            lastLoginAt: new Date()
+        });
+
+        const token = AuthMiddleware.signToken(user);
+        res.cookie(config.auth.cookieName, token, AuthController.cookieOptions());
+
+        logger.info('Learner registered', { userId: user._id, email: user.email });
+
+        res.status(201).json({
+            status: 'success',
+            message: 'Account created successfully',
+            data: {
+                token,
+                expiresIn: config.auth.tokenExpiresIn,
+                user
+            }
+        });
+    });
+
+    /**
+     * Log in with email and password
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    static login = catchAsync(async (req, res, next) => {
+        const { email, password } = req.body;
+
+        const user = await User.findByEmailWithPassword(email);
+
+        if (!user || !user.active || !(await user.comparePassword(password))) {
+            return next(new AppError('Incorrect email or password', 401));
+        }
+
+        user.lastLoginAt = new Date();
+        await user.save({ validateModifiedOnly: true });
+
+        const token = AuthMiddleware.signToken(user);
+        res.cookie(config.auth.cookieName, token, AuthController.cookieOptions());
+
+        logger.info('User logged in', { userId: user._id, role: user.role });
+
+        res.json({
+            status: 'success',
+            message: 'Logged in successfully',
+            data: {
+                token,
+                expiresIn: config.auth.tokenExpiresIn,
+                user
+            }
+        });
+    });
+
+    /**
+     * Log out and invalidate all issued tokens for the user
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    static logout = catchAsync(async (req, res, next) => {
+        await User.updateOne({ _id: req.user._id }, { $inc: { tokenVersion: 1 } });
+
+        res.clearCookie(config.auth.cookieName, { path: '/' });
+
+        logger.info('User logged out', { userId: req.user._id });
+
+        res.json({
+            status: 'success',
+            message: 'Logged out successfully'
+        });
+    });
+
+    /**
+     * Get the currently authenticated user
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    static getCurrentUser = catchAsync(async (req, res) => {
+        res.json({
+            status: 'success',
+            data: { user: req.user }
+        });
+    });
+}
+
+module.exports = AuthController;
@@ -2,8 +2,11 @@
 // Author: Fatemeh - Group 6
 // Description: Controller for handling contact form operations
 
-const { Contact } = require('../models');
-const { AppError, catchAsync } = require('../utils');
+const { Contact, Subscriber } = require('../models');
+const { MailerService, NewsletterService, SpamService, ContactFilterService, ContactExportService, ContactSearchService, ContactBulkService, AuditService } = require('../services');
+const { schemas } = require('../validation');
+const { AppError, catchAsync, logger, Metrics } = require('../utils');
+const { config } = require('../config/environment');
 
 /**
  * Contact Controller Class
@@ -18,21 +21,6 @@ class ContactController {
     static submitContact = catchAsync(async (req, res, next) => {
         const { name, email, subject, message, newsletter } = req.body;
 
-        // Validation
-        if (!name || !email || !subject || !message) {
-            const errors = {};
-            if (!name) errors.name = 'Name is required';
-            if (!email) errors.email = 'Email is required';
-            if (!subject) errors.subject = 'Subject is required';
-            if (!message) errors.message = 'Message is required';
-
-            return res.status(400).json({
-                status: 'error',
-                message: 'All required fields must be provided',
-                errors
-            });
-        }
-
         // Create contact message with additional metadata
         const contactData = {
             name: name.trim(),
@@ -44,12 +32,39 @@ class ContactController {
             userAgent: req.get('User-Agent')
         };
 
+        const spamResult = await SpamService.evaluate(contactData, {
+            honeypot: req.body[config.spam.honeypotField],
+            formStartedAt: req.body.formStartedAt
+        });
+
+        contactData.spam = {
+            score: spamResult.score,
+            reasons: spamResult.reasons,
+            checkedAt: new Date()
+        };
+        if (spamResult.isSpam) {
+            contactData.status = 'spam';
+        }
+
         const newContact = new Contact(contactData);
         await newContact.save();
 
-        console.log(`📧 New contact message from ${name} (${email}) - Subject: ${subject}`);
+        Metrics.contactSubmitted(newContact.subject, spamResult.isSpam);
+
+        if (spamResult.isSpam) {
+            // Quarantined: no emails or newsletter sign-up until an admin releases it
+            logger.info('Contact message quarantined as spam', {
+                contactId: newContact._id,
+                email,
+                score: spamResult.score,
+                checks: spamResult.reasons.map(reason => reason.check)
+            });
+        } else {
+            logger.info('Contact message received', { contactId: newContact._id, email, subject: newContact.subject });
+            ContactController.startFollowUp(newContact);
+        }
 
-        // Send success response
+        // Send success response (the same for quarantined messages, so spammers learn nothing)
         res.status(201).json({
             status: 'success',
             message: 'Thank you for your message! We will get back to you soon.',
@@ -61,6 +76,28 @@ class ContactController {
         });
     });
 
+    /**
+     * Send the acknowledgement and staff emails and start the newsletter opt-in
+     * Runs in the background so the response is never held up by the mail server.
+     * @param {Object} contact - Saved contact document
+     */
+    static startFollowUp(contact) {
+        MailerService.sendContactEmails(contact).catch(error => {
+            logger.error('Failed to send contact emails', { contactId: contact._id, error });
+        });
+
+        // Ticking the newsletter box starts the same double opt-in as the subscribe form
+        if (contact.newsletter) {
+            NewsletterService.subscribe({
+                email: contact.email,
+                name: contact.name,
+                source: 'contact'
+            }).catch(error => {
+                logger.error('Failed to start newsletter subscription', { contactId: contact._id, error });
+            });
+        }
+    }
+
     /**
      * Get all contact messages (for admin use)
      * @param {Object} req - Express request object
@@ -72,15 +109,14 @@ class ContactController {
             page = 1,
             limit = 10,
             status,
+            subject,
             sortBy = 'createdAt',
             sortOrder = 'desc'
         } = req.query;
 
         // Build query
-        const query = {};
-        if (status) {
-            query.status = status;
-        }
+        // Quarantined spam only shows up when asked for explicitly; trashed messages have their own listing
+        const query = ContactFilterService.build({ status, subject });
 
         // Build sort object
         const sort = {};
@@ -132,7 +168,64 @@ class ContactController {
 
         res.json({
             status: 'success',
-            data: { contact }
+            data: {
+                contact,
+                thread: contact.getThread()
+            }
+        });
+    });
+
+    /**
+     * Reply to a contact message
+     * Emails the reply, records it in the message's thread and marks the message as replied.
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    static replyToContact = catchAsync(async (req, res, next) => {
+        const { id } = req.params;
+
+        const contact = await Contact.findOne({ _id: id, deletedAt: null }).select('-__v');
+
+        if (!contact) {
+            return next(new AppError('Contact message not found', 404));
+        }
+
+        const reply = {
+            author: {
+                id: req.user._id,
+                name: req.user.name,
+                email: req.user.email
+            },
+            body: req.body.body.trim(),
+            sentAt: new Date()
+        };
+
+        // Failed sends are queued by the mailer, so the reply is still recorded
+        const result = await MailerService.sendContactReply(contact, reply);
+        reply.delivery = result.sent ? 'sent' : 'queued';
+
+        const before = AuditService.snapshot(contact, AuditService.FIELDS.contact);
+        await contact.addReply(reply);
+
+        logger.info('Contact reply sent', { contactId: contact._id, adminId: req.user._id, delivery: reply.delivery });
+        await AuditService.record(req, {
+            action: 'contact.reply',
+            targetType: 'contact',
+            targetId: contact._id,
+            before,
+            after: AuditService.snapshot(contact, AuditService.FIELDS.contact),
+            details: { replyId: contact.replies[contact.replies.length - 1]._id, delivery: reply.delivery }
+        });
+
+        res.status(201).json({
+            status: 'success',
+            message: result.sent ? 'Reply sent' : 'Reply saved; the email will be retried shortly',
+            data: {
+                reply: contact.replies[contact.replies.length - 1],
+                contact,
+                thread: contact.getThread()
+            }
         });
     });
 
@@ -146,21 +239,35 @@ class ContactController {
         const { id } = req.params;
         const { status } = req.body;
 
-        const validStatuses = ['new', 'read', 'replied', 'archived'];
+        // Spam is only set by the spam checks and left through the review
+        const validStatuses = schemas.contactFilter.fields.status.enum.filter(value => value !== 'spam');
         if (!validStatuses.includes(status)) {
             return next(new AppError('Invalid status. Must be one of: ' + validStatuses.join(', '), 400));
         }
 
-        const contact = await Contact.findByIdAndUpdate(
-            id,
-            { status, updatedAt: new Date() },
-            { new: true, runValidators: true }
-        ).select('-__v');
+        const contact = await Contact.findOne({ _id: id, deletedAt: null }).select('-__v');
 
         if (!contact) {
             return next(new AppError('Contact message not found', 404));
         }
 
+        // Quarantined spam leaves the queue only through the review, which also records who released it
+        if (contact.status === 'spam') {
+            return next(new AppError('Quarantined spam has to be released first with POST /api/contact/:id/release', 400));
+        }
+
+        const before = AuditService.snapshot(contact, AuditService.FIELDS.contact);
+        contact.status = status;
+        await contact.save();
+
+        await AuditService.record(req, {
+            action: 'contact.update',
+            targetType: 'contact',
+            targetId: contact._id,
+            before,
+            after: AuditService.snapshot(contact, AuditService.FIELDS.contact)
+        });
+
         res.json({
             status: 'success',
             message: `Contact status updated to ${status}`,
@@ -169,7 +276,7 @@ class ContactController {
     });
 
     /**
-     * Delete contact message
+     * Delete contact message (moves it to the trash, where it can be restored until it is purged)
      * @param {Object} req - Express request object
      * @param {Object} res - Express response object
      * @param {Function} next - Express next function
@@ -177,17 +284,233 @@ class ContactController {
     static deleteContact = catchAsync(async (req, res, next) => {
         const { id } = req.params;
 
-        const contact = await Contact.findByIdAndDelete(id);
+        const contact = await Contact.findOne({ _id: id, deletedAt: null }).select('-__v');
 
         if (!contact) {
             return next(new AppError('Contact message not found', 404));
         }
 
-        console.log(`🗑️ Contact message deleted: ${contact.name} (${contact.email})`);
+        const before = AuditService.snapshot(contact, AuditService.FIELDS.contact);
+        await contact.moveToTrash(req.user);
+
+        logger.info('Contact message moved to the trash', { contactId: contact._id, adminId: req.user._id });
+        await AuditService.record(req, {
+            action: 'contact.delete',
+            targetType: 'contact',
+            targetId: contact._id,
+            before,
+            after: AuditService.snapshot(contact, AuditService.FIELDS.contact)
+        });
 
         res.status(204).json({
             status: 'success',
-            message: 'Contact message deleted successfully'
+            message: 'Contact message moved to the trash'
+        });
+    });
+
+    /**
+     * Apply one operation to many messages, by IDs or by filter (admin only)
+     * Responds 200 with a per-message result, also when some messages could not be changed.
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    static bulkUpdate = catchAsync(async (req, res, next) => {
+        const { report, changes } = await ContactBulkService.apply(req.body, req.user);
+
+        logger.info('Bulk contact operation applied', {
+            operation: report.operation,
+            succeeded: report.succeeded,
+            failed: report.failed,
+            adminId: req.user._id
+        });
+        await AuditService.recordMany(req, changes);
+
+        res.json({
+            status: 'success',
+            message: `${report.succeeded} of ${report.total} messages updated`,
+            data: report
+        });
+    });
+
+    /**
+     * Get trashed messages, most recently deleted first (admin only)
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    static getTrash = catchAsync(async (req, res, next) => {
+        const { page = 1, limit = 10 } = req.query;
+        const query = { deletedAt: { $ne: null } };
+
+        const [contacts, total] = await Promise.all([
+            Contact
+                .find(query)
+                .sort({ deletedAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(parseInt(limit))
+                .select('-__v'),
+            Contact.countDocuments(query)
+        ]);
+        const totalPages = Math.ceil(total / limit);
+
+        res.json({
+            status: 'success',
+            data: {
+                contacts,
+                graceDays: config.privacy.contactTrashDays,
+                pagination: {
+                    currentPage: parseInt(page),
+                    totalPages,
+                    totalItems: total,
+                    itemsPerPage: parseInt(limit),
+                    hasNextPage: page < totalPages,
+                    hasPrevPage: page > 1
+                }
+            }
+        });
+    });
+
+    /**
+     * Restore a trashed message to the inbox with its previous status (admin only)
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    static restoreContact = catchAsync(async (req, res, next) => {
+        const contact = await Contact.findById(req.params.id).select('-__v');
+
+        if (!contact) {
+            return next(new AppError('Contact message not found', 404));
+        }
+
+        if (!contact.deletedAt) {
+            return next(new AppError('Only messages in the trash can be restored', 400));
+        }
+
+        const before = AuditService.snapshot(contact, AuditService.FIELDS.contact);
+        await contact.restoreFromTrash();
+
+        logger.info('Contact message restored from the trash', { contactId: contact._id, adminId: req.user._id });
+        await AuditService.record(req, {
+            action: 'contact.restore',
+            targetType: 'contact',
+            targetId: contact._id,
+            before,
+            after: AuditService.snapshot(contact, AuditService.FIELDS.contact)
+        });
+
+        res.json({
+            status: 'success',
+            message: 'Message restored',
+            data: { contact }
+        });
+    });
+
+    /**
+     * Get quarantined spam for review, highest score first (admin only)
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    static getSpamQueue = catchAsync(async (req, res, next) => {
+        const { page = 1, limit = 10 } = req.query;
+        const query = { status: 'spam', deletedAt: null };
+
+        const [contacts, total] = await Promise.all([
+            Contact
+                .find(query)
+                .sort({ 'spam.score': -1, createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(parseInt(limit))
+                .select('-__v'),
+            Contact.countDocuments(query)
+        ]);
+        const totalPages = Math.ceil(total / limit);
+
+        res.json({
+            status: 'success',
+            data: {
+                contacts,
+                threshold: config.spam.threshold,
+                pagination: {
+                    currentPage: parseInt(page),
+                    totalPages,
+                    totalItems: total,
+                    itemsPerPage: parseInt(limit),
+                    hasNextPage: page < totalPages,
+                    hasPrevPage: page > 1
+                }
+            }
+        });
+    });
+
+    /**
+     * Release a quarantined message into the inbox and send the emails it skipped (admin only)
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    static releaseSpam = catchAsync(async (req, res, next) => {
+        const contact = await Contact.findOne({ _id: req.params.id, deletedAt: null }).select('-__v');
+
+        if (!contact) {
+            return next(new AppError('Contact message not found', 404));
+        }
+
+        if (contact.status !== 'spam') {
+            return next(new AppError('Only messages in the spam queue can be released', 400));
+        }
+
+        const before = AuditService.snapshot(contact, AuditService.FIELDS.contact);
+        await contact.releaseFromSpam(req.user);
+        ContactController.startFollowUp(contact);
+
+        logger.info('Contact message released from spam', { contactId: contact._id, adminId: req.user._id });
+        await AuditService.record(req, {
+            action: 'contact.release',
+            targetType: 'contact',
+            targetId: contact._id,
+            before,
+            after: AuditService.snapshot(contact, AuditService.FIELDS.contact)
+        });
+
+        res.json({
+            status: 'success',
+            message: 'Message released to the inbox',
+            data: { contact }
+        });
+    });
+
+    /**
+     * Confirm a message as spam; later messages from the sender are quarantined (admin only)
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    static confirmSpam = catchAsync(async (req, res, next) => {
+        const contact = await Contact.findOne({ _id: req.params.id, deletedAt: null }).select('-__v');
+
+        if (!contact) {
+            return next(new AppError('Contact message not found', 404));
+        }
+
+        const before = AuditService.snapshot(contact, AuditService.FIELDS.contact);
+        await contact.confirmSpam(req.user);
+
+        logger.info('Contact message confirmed as spam', { contactId: contact._id, adminId: req.user._id });
+        await AuditService.record(req, {
+            action: 'contact.confirmSpam',
+            targetType: 'contact',
+            targetId: contact._id,
+            before,
+            after: AuditService.snapshot(contact, AuditService.FIELDS.contact)
+        });
+
+        res.json({
+            status: 'success',
+            message: 'Message confirmed as spam',
+            data: { contact }
         });
     });
 
@@ -203,12 +526,16 @@ class ContactController {
             Contact.findRecent(30)
         ]);
 
-        // Calculate additional statistics
-        const totalContacts = await Contact.countDocuments();
-        const subscribedToNewsletter = await Contact.countDocuments({ newsletter: true });
+        // Calculate additional statistics (trashed messages are left out)
+        const totalContacts = await Contact.countDocuments({ deletedAt: null });
+        const subscribedToNewsletter = await Contact.countDocuments({ newsletter: true, deletedAt: null });
+        const confirmedSubscribers = await Subscriber.countDocuments({ status: 'confirmed' });
+        const quarantinedSpam = await Contact.countDocuments({ status: 'spam', deletedAt: null });
+        const inTrash = await Contact.countDocuments({ deletedAt: { $ne: null } });
         
         // Subject distribution
         const subjectStats = await Contact.aggregate([
+            { $match: { deletedAt: null } },
             {
                 $group: {
                     _id: '$subject',
@@ -223,6 +550,9 @@ class ContactController {
             data: {
                 totalContacts,
                 subscribedToNewsletter,
+                confirmedSubscribers,
+                quarantinedSpam,
+                inTrash,
                 statusDistribution: statusStats,
                 subjectDistribution: subjectStats,
                 recentContactsCount: recentContacts.length,
@@ -232,50 +562,62 @@ class ContactController {
     });
 
     /**
-     * Search contacts
+     * Search contacts, most relevant first, with highlighted snippets (admin only)
      * @param {Object} req - Express request object
      * @param {Object} res - Express response object
      * @param {Function} next - Express next function
      */
     static searchContacts = catchAsync(async (req, res, next) => {
-        const { q, field = 'all' } = req.query;
-
-        if (!q || q.trim().length < 2) {
-            return next(new AppError('Search query must be at least 2 characters long', 400));
-        }
-
+        const { q, field = 'all', status, subject, startDate, endDate, page = 1, limit = 20 } = req.query;
         const searchTerm = q.trim();
-        let searchQuery = {};
-
-        if (field === 'all') {
-            searchQuery = {
-                $or: [
-                    { name: { $regex: searchTerm, $options: 'i' } },
-                    { email: { $regex: searchTerm, $options: 'i' } },
-                    { subject: { $regex: searchTerm, $options: 'i' } },
-                    { message: { $regex: searchTerm, $options: 'i' } }
-                ]
-            };
-        } else {
-            searchQuery[field] = { $regex: searchTerm, $options: 'i' };
-        }
 
-        const contacts = await Contact
-            .find(searchQuery)
-            .sort({ createdAt: -1 })
-            .limit(20)
-            .select('-__v');
+        const { results, total } = await ContactSearchService.search(
+            { q: searchTerm, field, status, subject, startDate, endDate },
+            { page: parseInt(page), limit: parseInt(limit) }
+        );
+        const totalPages = Math.ceil(total / limit);
 
         res.json({
             status: 'success',
             data: {
                 query: searchTerm,
                 field,
-                results: contacts,
-                count: contacts.length
+                results,
+                count: results.length,
+                pagination: {
+                    currentPage: parseInt(page),
+                    totalPages,
+                    totalItems: total,
+                    itemsPerPage: parseInt(limit),
+                    hasNextPage: page < totalPages,
+                    hasPrevPage: page > 1
+                }
             }
         });
     });
+
+    /**
+     * Export contact messages (for admin use), streamed as JSON or CSV
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    static exportContacts = catchAsync(async (req, res, next) => {
+        const { format = 'json', status, subject, newsletter, startDate, endDate, includeMessage = true } = req.query;
+
+        const count = await ContactExportService.stream(res, {
+            format,
+            filters: { status, subject, newsletter, startDate, endDate },
+            includeMessage
+        });
+
+        logger.info('Contact messages exported', { format, count, includeMessage, exportedBy: req.user._id });
+        await AuditService.record(req, {
+            action: 'contact.export',
+            targetType: 'contact',
+            details: { format, count, includeMessage, filters: { status, subject, newsletter, startDate, endDate } }
+        });
+    });
 }
 
 module.exports = ContactController;
\ No newline at end of file
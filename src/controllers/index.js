@@ -5,9 +5,23 @@
 const AppController = require('./appController');
 const ContactController = require('./contactController');
 const QuizController = require('./quizController');
+const AuthController = require('./authController');
+const QuestionController = require('./questionController');
+const AccountController = require('./accountController');
+const NewsletterController = require('./newsletterController');
+const RateLimitController = require('./rateLimitController');
+const PrivacyController = require('./privacyController');
+const AuditController = require('./auditController');
 
 module.exports = {
     AppController,
     ContactController,
-    QuizController
+    QuizController,
+    AuthController,
+    QuestionController,
+    AccountController,
+    NewsletterController,
+    RateLimitController,
+    PrivacyController,
+    AuditController
 };
\ No newline at end of file
@@ -0,0 +1,119 @@
+// GreenMind - Newsletter Controller
+// Author: Fatemeh - Group 6
+// Description: Controller for newsletter subscriptions and subscriber export
+
+const { Subscriber } = require('../models');
+const { NewsletterService, AuditService } = require('../services');
+const { Utils, catchAsync } = require('../utils');
+
+/**
+ * Newsletter Controller Class
+ */
+class NewsletterController {
+    /**
+     * Subscribe to the newsletter (sends a confirmation email)
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    static subscribe = catchAsync(async (req, res, next) => {
+        const { email, name } = req.body;
+
+        await NewsletterService.subscribe({
+            email,
+            name: name ? name.trim() : null,
+            source: 'form'
+        });
+
+        // Same response whether or not the address was already subscribed
+        res.status(202).json({
+            status: 'success',
+            message: 'Thanks! Please check your inbox and confirm your subscription.'
+        });
+    });
+
+    /**
+     * Confirm a subscription
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    static confirm = catchAsync(async (req, res, next) => {
+        const subscriber = await NewsletterService.confirm(req.body.token);
+
+        res.json({
+            status: 'success',
+            message: 'Your subscription is confirmed. Welcome to the GreenMind newsletter!',
+            data: {
+                email: subscriber.email,
+                status: subscriber.status,
+                confirmedAt: subscriber.confirmedAt
+            }
+        });
+    });
+
+    /**
+     * Unsubscribe with a signed link (also used for one-click List-Unsubscribe POSTs)
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    static unsubscribe = catchAsync(async (req, res, next) => {
+        const subscriber = await NewsletterService.unsubscribe(req.body.token);
+
+        res.json({
+            status: 'success',
+            message: 'You have been unsubscribed and will not receive any more newsletters.',
+            data: {
+                email: subscriber.email,
+                status: subscriber.status
+            }
+        });
+    });
+
+    /**
+     * Export confirmed subscribers (for admin use)
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    static exportSubscribers = catchAsync(async (req, res, next) => {
+        const { format = 'json' } = req.query;
+
+        const subscribers = await Subscriber
+            .findConfirmed()
+            .select('email name source confirmedAt createdAt -_id');
+
+        await AuditService.record(req, {
+            action: 'newsletter.export',
+            targetType: 'subscriber',
+            details: { format, count: subscribers.length }
+        });
+
+        if (format === 'csv') {
+            const csvHeader = 'Email,Name,Source,Confirmed At,Subscribed At\r\n';
+            const csvData = subscribers.map(subscriber => [
+                subscriber.email,
+                subscriber.name,
+                subscriber.source,
+                subscriber.confirmedAt,
+                subscriber.createdAt
+            ].map(Utils.escapeCsv).join(',')).join('\r\n');
+
+            res.setHeader('Content-Type', 'text/csv');
+            res.setHeader('Content-Disposition', 'attachment; filename=newsletter-subscribers.csv');
+            return res.send(csvHeader + csvData);
+        }
+
+        res.json({
+            status: 'success',
+            data: {
+                subscribers,
+                count: subscribers.length,
+                exportedAt: new Date()
+            }
+        });
+    });
+}
+
+module.exports = NewsletterController;
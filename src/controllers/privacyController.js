@@ -0,0 +1,96 @@
+// GreenMind - Privacy Controller
+// Author: Fatemeh - Group 6
+// Description: Controller for data-subject export and erasure requests and the retention policy
+
+const { PrivacyService, AuditService } = require('../services');
+const { catchAsync, logger } = require('../utils');
+
+/**
+ * Privacy Controller Class
+ */
+class PrivacyController {
+    /**
+     * Download every record tied to an email address as a JSON archive
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    static exportSubject = catchAsync(async (req, res) => {
+        const archive = await PrivacyService.exportSubject(req.query.email);
+
+        const counts = {
+            contacts: archive.contacts.length,
+            subscriptions: archive.subscriptions.length,
+            account: Boolean(archive.account),
+            quizResults: archive.quizResults.length
+        };
+
+        logger.info('Data subject records exported', { ...counts, exportedBy: req.user._id });
+        await AuditService.record(req, {
+            action: 'privacy.export',
+            targetType: 'dataSubject',
+            targetId: PrivacyService.subjectKey(archive.email),
+            details: counts
+        });
+
+        res.setHeader('Content-Disposition', 'attachment; filename=personal-data.json');
+        res.json({
+            status: 'success',
+            data: archive
+        });
+    });
+
+    /**
+     * Erase or anonymize every record tied to an email address
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    static eraseSubject = catchAsync(async (req, res) => {
+        const { email, mode = 'erase' } = req.body;
+        const { email: address, ...counts } = await PrivacyService.eraseSubject(email, mode);
+
+        logger.info('Data subject records erased', { ...counts, erasedBy: req.user._id });
+        await AuditService.record(req, {
+            action: 'privacy.erase',
+            targetType: 'dataSubject',
+            targetId: PrivacyService.subjectKey(address),
+            details: counts
+        });
+
+        res.json({
+            status: 'success',
+            message: mode === 'anonymize' ? 'Personal data anonymized' : 'Personal data erased',
+            data: { email: address, ...counts }
+        });
+    });
+
+    /**
+     * Get the retention policy and the report of its last run
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    static getRetention = (req, res) => {
+        res.json({
+            status: 'success',
+            data: PrivacyService.getRetentionStatus()
+        });
+    };
+
+    /**
+     * Apply the retention policy now
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    static runRetention = catchAsync(async (req, res) => {
+        const report = await PrivacyService.applyRetention();
+
+        await AuditService.record(req, { action: 'privacy.retention', targetType: 'contact', details: report });
+
+        res.json({
+            status: 'success',
+            message: 'Retention policy applied',
+            data: report
+        });
+    });
+}
+
+module.exports = PrivacyController;
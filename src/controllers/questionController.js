@@ -0,0 +1,188 @@
+// GreenMind - Question Controller
+// Author: Fatemeh - Group 6
+// Description: Controller for managing the quiz question bank
+
+const { Question } = require('../models');
+const { AuditService } = require('../services');
+const { AppError, catchAsync, logger } = require('../utils');
+
+/**
+ * Fields that may be set through the API
+ */
+const EDITABLE_FIELDS = ['category', 'prompt', 'options', 'correctIndex', 'explanation', 'difficulty', 'active'];
+
+/**
+ * Question Controller Class
+ */
+class QuestionController {
+    /**
+     * Get all questions (admin view, including inactive)
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    static getAllQuestions = catchAsync(async (req, res, next) => {
+        const {
+            page = 1,
+            limit = 20,
+            category,
+            difficulty,
+            active
+        } = req.query;
+
+        // Build query
+        const query = {};
+        if (category) query.category = category;
+        if (difficulty) query.difficulty = difficulty;
+        if (active === 'true' || active === 'false') query.active = active === 'true';
+
+        const skip = (page - 1) * limit;
+        const [questions, total] = await Promise.all([
+            Question
+                .find(query)
+                .sort({ category: 1, createdAt: 1 })
+                .skip(skip)
+                .limit(parseInt(limit))
+                .select('-__v'),
+            Question.countDocuments(query)
+        ]);
+
+        const totalPages = Math.ceil(total / limit);
+
+        res.json({
+            status: 'success',
+            data: {
+                questions,
+                pagination: {
+                    currentPage: parseInt(page),
+                    totalPages,
+                    totalItems: total,
+                    itemsPerPage: parseInt(limit),
+                    hasNextPage: page < totalPages,
+                    hasPrevPage: page > 1
+                }
+            }
+        });
+    });
+
+    /**
+     * Get question by ID
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    static getQuestionById = catchAsync(async (req, res, next) => {
+        const question = await Question.findById(req.params.id).select('-__v');
+
+        if (!question) {
+            return next(new AppError('Question not found', 404));
+        }
+
+        res.json({
+            status: 'success',
+            data: { question }
+        });
+    });
+
+    /**
+     * Create a question
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    static createQuestion = catchAsync(async (req, res, next) => {
+        const question = new Question(QuestionController.pickEditableFields(req.body));
+        await question.save();
+
+        logger.info('Question created', { questionId: question._id, category: question.category });
+        await AuditService.record(req, {
+            action: 'question.create',
+            targetType: 'question',
+            targetId: question._id,
+            after: AuditService.snapshot(question, EDITABLE_FIELDS)
+        });
+
+        res.status(201).json({
+            status: 'success',
+            message: 'Question created successfully',
+            data: { question }
+        });
+    });
+
+    /**
+     * Update a question
+     * Loads and saves the document so cross-field validators (correctIndex vs options) run
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    static updateQuestion = catchAsync(async (req, res, next) => {
+        const question = await Question.findById(req.params.id);
+
+        if (!question) {
+            return next(new AppError('Question not found', 404));
+        }
+
+        const before = AuditService.snapshot(question, EDITABLE_FIELDS);
+        question.set(QuestionController.pickEditableFields(req.body));
+        await question.save();
+
+        await AuditService.record(req, {
+            action: 'question.update',
+            targetType: 'question',
+            targetId: question._id,
+            before,
+            after: AuditService.snapshot(question, EDITABLE_FIELDS)
+        });
+
+        res.json({
+            status: 'success',
+            message: 'Question updated successfully',
+            data: { question }
+        });
+    });
+
+    /**
+     * Delete a question
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    static deleteQuestion = catchAsync(async (req, res, next) => {
+        const question = await Question.findByIdAndDelete(req.params.id);
+
+        if (!question) {
+            return next(new AppError('Question not found', 404));
+        }
+
+        logger.info('Question deleted', { questionId: question._id });
+        await AuditService.record(req, {
+            action: 'question.delete',
+            targetType: 'question',
+            targetId: question._id,
+            before: AuditService.snapshot(question, EDITABLE_FIELDS)
+        });
+
+        res.status(204).json({
+            status: 'success',
+            message: 'Question deleted successfully'
+        });
+    });
+
+    /**
+     * Pick the fields that may be set through the API
+     * @param {Object} body - Request body
+     * @returns {Object} Editable fields present in the body
+     */
+    static pickEditableFields(body) {
+        const fields = {};
+        EDITABLE_FIELDS.forEach(field => {
+            if (body[field] !== undefined) {
+                fields[field] = body[field];
+            }
+        });
+        return fields;
+    }
+}
+
+module.exports = QuestionController;
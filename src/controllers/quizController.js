@@ -2,87 +2,133 @@
 // Author: Fatemeh - Group 6
 // Description: Controller for handling quiz operations
 
-const { QuizResult } = require('../models');
-const { AppError, catchAsync } = require('../utils');
+const { QuizResult, Question } = require('../models');
+const { config } = require('../config/environment');
+const { QuizAttemptService, QuizExportService, AuditService } = require('../services');
+const { AppError, catchAsync, logger, Metrics } = require('../utils');
 
 /**
  * Quiz Controller Class
  */
 class QuizController {
     /**
-     * Submit quiz results
+     * Start a quiz attempt
      * @param {Object} req - Express request object
      * @param {Object} res - Express response object
      * @param {Function} next - Express next function
      */
-    static submitQuizResults = catchAsync(async (req, res, next) => {
-        const { 
-            score, 
-            totalQuestions, 
-            correctAnswers, 
-            timeTaken, 
-            categories,
-            difficulty = 'mixed',
-            sessionId 
-        } = req.body;
-
-        // Validation
-        if (typeof score !== 'number' || typeof totalQuestions !== 'number' || typeof correctAnswers !== 'number') {
-            return res.status(400).json({
-                status: 'error',
-                message: 'Invalid quiz data provided. Score, total questions, and correct answers must be numbers.'
-            });
-        }
+    static startQuiz = catchAsync(async (req, res, next) => {
+        const attempt = await QuizAttemptService.createAttempt();
 
-        // Additional validation
-        if (score < 0 || score > 100) {
-            return next(new AppError('Score must be between 0 and 100', 400));
-        }
+        res.status(201).json({
+            status: 'success',
+            data: attempt
+        });
+    });
 
-        if (correctAnswers > totalQuestions) {
-            return next(new AppError('Correct answers cannot exceed total questions', 400));
-        }
+    /**
+     * Generate a randomized quiz attempt by category, difficulty and length
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    static generateQuiz = catchAsync(async (req, res, next) => {
+        const { categories, difficulty, count } = req.query;
 
-        if (totalQuestions <= 0) {
-            return next(new AppError('Total questions must be greater than 0', 400));
-        }
+        const attempt = await QuizAttemptService.createAttempt({ categories, difficulty, count });
 
-        // Validate calculated score matches provided score
-        const calculatedScore = Math.round((correctAnswers / totalQuestions) * 100);
-        if (Math.abs(score - calculatedScore) > 1) {
-            return next(new AppError('Score calculation mismatch', 400));
+        res.json({
+            status: 'success',
+            data: {
+                ...attempt,
+                requestedCount: count,
+                count: attempt.questions.length
+            }
+        });
+    });
+
+    /**
+     * Get the categories and difficulties available for generating a quiz
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    static getQuizOptions = catchAsync(async (req, res, next) => {
+        const categories = await Question.getCategorySummary();
+
+        res.json({
+            status: 'success',
+            data: {
+                categories: categories.map(category => ({
+                    name: category._id,
+                    count: category.count
+                })),
+                difficulties: ['mixed', 'easy', 'medium', 'hard'],
+                defaultCount: config.quiz.defaultQuestionCount,
+                maxCount: config.quiz.maxQuestionCount
+            }
+        });
+    });
+
+    /**
+     * Submit answers for a quiz attempt
+     * The score is calculated here from the signed attempt; client scores are never trusted.
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    static submitQuizResults = catchAsync(async (req, res, next) => {
+        const { attemptToken, answers, sessionId } = req.body;
+
+        const attempt = QuizAttemptService.verifyAttempt(attemptToken);
+
+        if (await QuizResult.exists({ attemptId: attempt.attemptId })) {
+            return next(new AppError('This quiz attempt has already been submitted', 409));
         }
 
+        const graded = await QuizAttemptService.gradeAttempt(attempt, answers);
+        const { score, correctAnswers, totalQuestions, timeTaken } = graded;
+
         // Create quiz result with metadata
         const quizResultData = {
             score,
             totalQuestions,
             correctAnswers,
-            timeTaken: timeTaken || null,
-            categories: categories || new Map(),
-            difficulty,
+            timeTaken,
+            categories: graded.categories,
+            difficulty: attempt.difficulty,
+            attemptId: attempt.attemptId,
             sessionId: sessionId || null,
+            userId: req.user ? req.user._id : null,
             userAgent: req.get('User-Agent')
         };
 
         const quizResult = new QuizResult(quizResultData);
         await quizResult.save();
 
-        console.log(`🎯 Quiz completed - Score: ${score}% (${correctAnswers}/${totalQuestions}) - Time: ${timeTaken || 'N/A'}s`);
+        logger.info('Quiz completed', { resultId: quizResult._id, score, correctAnswers, totalQuestions, timeTaken });
 
         // Generate performance feedback
         const performanceLevel = quizResult.getPerformanceLevel();
         const performanceMessage = quizResult.getPerformanceMessage();
         const categoryPerformance = quizResult.getCategoryPerformance();
 
+        Metrics.quizSubmitted(performanceLevel);
+
         res.status(201).json({
             status: 'success',
             message: 'Quiz results saved successfully!',
             data: {
                 id: quizResult._id,
+                // Only anonymous results can be claimed later, by whoever holds this token
+                claimToken: quizResult.userId ? undefined : QuizAttemptService.issueClaimToken(quizResult._id),
                 score,
                 correctAnswers,
                 totalQuestions,
+                timeTaken,
+                difficulty: quizResult.difficulty,
+                categories: graded.categories,
+                review: graded.review,
                 performance: {
                     level: performanceLevel,
                     message: performanceMessage,
@@ -164,6 +210,7 @@ class QuizController {
 
     /**
      * Get recent quiz results
+     * Public, so nothing that identifies a result or its taker is included.
      * @param {Object} req - Express request object
      * @param {Object} res - Express response object
      * @param {Function} next - Express next function
@@ -174,12 +221,12 @@ class QuizController {
         const results = await QuizResult
             .getRecentResults(parseInt(days))
             .limit(parseInt(limit))
-            .select('-userAgent -__v');
+            .select('-_id -userAgent -sessionId -userId -attemptId -__v');
 
         res.json({
             status: 'success',
             data: {
-                results,
+                results: results.map(result => result.toJSON({ virtuals: ['formattedDate', 'formattedTime'] })),
                 count: results.length,
                 period: `${days} days`
             }
@@ -325,52 +372,24 @@ class QuizController {
     });
 
     /**
-     * Export quiz data (for admin/reporting)
+     * Export quiz results (for admin/reporting), streamed as JSON, NDJSON or CSV
      * @param {Object} req - Express request object
      * @param {Object} res - Express response object
      * @param {Function} next - Express next function
      */
     static exportQuizData = catchAsync(async (req, res, next) => {
-        const { format = 'json', startDate, endDate } = req.query;
+        const { format = 'json', startDate, endDate, difficulty, minScore, maxScore } = req.query;
 
-        let dateFilter = {};
-        if (startDate) {
-            dateFilter.completedAt = { $gte: new Date(startDate) };
-        }
-        if (endDate) {
-            dateFilter.completedAt = { 
-                ...dateFilter.completedAt, 
-                $lte: new Date(endDate) 
-            };
-        }
-
-        const results = await QuizResult
-            .find(dateFilter)
-            .sort({ completedAt: -1 })
-            .select('-userAgent -__v');
-
-        if (format === 'csv') {
-            // Convert to CSV format
-            const csvHeader = 'Date,Score,Correct Answers,Total Questions,Time Taken,Performance Level\n';
-            const csvData = results.map(result => {
-                const performance = result.getPerformanceLevel();
-                return `${result.formattedDate},${result.score},${result.correctAnswers},${result.totalQuestions},${result.timeTaken || 'N/A'},${performance}`;
-            }).join('\n');
-
-            res.setHeader('Content-Type', 'text/csv');
-            res.setHeader('Content-Disposition', 'attachment; filename=quiz-results.csv');
-            return res.send(csvHeader + csvData);
-        }
+        const count = await QuizExportService.stream(res, {
+            format,
+            filters: { startDate, endDate, difficulty, minScore, maxScore }
+        });
 
-        // Default JSON format
-        res.json({
-            status: 'success',
-            data: {
-                results,
-                count: results.length,
-                exportedAt: new Date(),
-                period: startDate && endDate ? `${startDate} to ${endDate}` : 'all time'
-            }
+        logger.info('Quiz results exported', { format, count });
+        await AuditService.record(req, {
+            action: 'quiz.export',
+            targetType: 'quizResult',
+            details: { format, count, filters: { startDate, endDate, difficulty, minScore, maxScore } }
         });
     });
 }
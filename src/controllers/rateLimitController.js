@@ -0,0 +1,83 @@
+// GreenMind - Rate Limit Controller
+// Author: Fatemeh - Group 6
+// Description: Controller for inspecting and resetting rate-limit counters
+
+const { RateLimitService, AuditService } = require('../services');
+const { AppError, catchAsync } = require('../utils');
+const { config } = require('../config/environment');
+
+/**
+ * Rate Limit Controller Class
+ */
+class RateLimitController {
+    /**
+     * Get the configured policies and allowlist
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    static getPolicies = (req, res) => {
+        const { store, allowlist, policies } = config.security.rateLimit;
+
+        res.json({
+            status: 'success',
+            data: {
+                store,
+                allowlist,
+                policies: Object.entries(policies).map(([name, policy]) => ({
+                    policy: name,
+                    limit: policy.max,
+                    windowMs: policy.windowMs,
+                    countsSuccessfulRequests: !policy.skipSuccessfulRequests
+                }))
+            }
+        });
+    };
+
+    /**
+     * Get a client's counters for every policy
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    static getClient = catchAsync(async (req, res) => {
+        const data = await RateLimitService.inspectClient(req.params.client);
+
+        res.json({
+            status: 'success',
+            data
+        });
+    });
+
+    /**
+     * Reset a client's counters, for every policy or the one in ?policy=
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    static resetClient = catchAsync(async (req, res, next) => {
+        const { policy } = req.query;
+
+        if (policy !== undefined && !Object.prototype.hasOwnProperty.call(config.security.rateLimit.policies, policy)) {
+            return next(new AppError(`Unknown rate-limit policy: ${policy}`, 400));
+        }
+
+        const policies = await RateLimitService.resetClient(req.params.client, policy);
+
+        await AuditService.record(req, {
+            action: 'rateLimit.reset',
+            targetType: 'rateLimitClient',
+            targetId: req.params.client,
+            details: { policies }
+        });
+
+        res.json({
+            status: 'success',
+            message: 'Rate-limit counters reset',
+            data: {
+                client: req.params.client,
+                policies
+            }
+        });
+    });
+}
+
+module.exports = RateLimitController;
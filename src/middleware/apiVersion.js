@@ -0,0 +1,68 @@
+// GreenMind - API Version Middleware
+// Author: Fatemeh - Group 6
+// Description: Tags requests with their API version and marks the unversioned /api alias as deprecated
+
+const { config } = require('../config/environment');
+
+// Leading version segment of a path relative to the API prefix, e.g. /v1 in /v1/contact
+const VERSION_SEGMENT = /^\/(v\d+)(?=\/|$)/;
+
+/**
+ * API version middleware class
+ */
+class ApiVersionMiddleware {
+    /**
+     * Split a path relative to the API prefix into its version and the rest
+     * @param {string} path - Path after the API prefix, e.g. /v1/contact/123
+     * @returns {Object} { version (null when unversioned), path }
+     */
+    static parsePath(path) {
+        const match = VERSION_SEGMENT.exec(path);
+        if (!match) return { version: null, path };
+
+        return { version: match[1], path: path.slice(match[0].length) || '/' };
+    }
+
+    /**
+     * Middleware for a versioned mount (/api/<version>)
+     * @param {string} version - API version, e.g. v1
+     * @returns {Function} Express middleware
+     */
+    static useVersion(version) {
+        return (req, res, next) => {
+            req.apiVersion = version;
+            res.set('API-Version', version);
+            next();
+        };
+    }
+
+    /**
+     * Middleware for the unversioned /api alias
+     * Answers as the given version, with Deprecation (RFC 9745) and Sunset (RFC 8594) headers
+     * and a link to the same resource under the versioned path. Versioned paths skip the alias.
+     * @param {string} version - Version the alias answers as
+     * @returns {Function} Express middleware (use inside the alias router)
+     */
+    static deprecatedAlias(version) {
+        const { deprecatedAt, sunsetAt } = config.api.legacyAlias;
+        const deprecation = `@${Math.floor(new Date(deprecatedAt).getTime() / 1000)}`;
+        const sunset = new Date(sunsetAt).toUTCString();
+
+        return (req, res, next) => {
+            if (ApiVersionMiddleware.parsePath(req.path).version) {
+                return next('router');
+            }
+
+            req.apiVersion = version;
+            res.set({
+                'API-Version': version,
+                Deprecation: deprecation,
+                Sunset: sunset,
+                Link: `<${config.api.prefix}/${version}${req.url}>; rel="successor-version", </api-docs.html>; rel="deprecation"`
+            });
+            next();
+        };
+    }
+}
+
+module.exports = ApiVersionMiddleware;
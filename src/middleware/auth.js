@@ -0,0 +1,199 @@
+// GreenMind - Authentication Middleware
+// Author: Fatemeh - Group 6
+// Description: Token authentication and role-based access control
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { config } = require('../config/environment');
+const { AppError, ErrorHandler } = require('./errorHandler');
+
+const AUTH_AUDIENCE = 'greenmind-auth';
+const ADMIN_LOGIN_PAGE = '/login.html';
+
+/**
+ * Authentication middleware class
+ */
+class AuthMiddleware {
+    /**
+     * Sign an authentication token for a user
+     * @param {Object} user - User document
+     * @returns {string} Signed JWT
+     */
+    static signToken(user) {
+        return jwt.sign(
+            { sub: user._id.toString(), role: user.role, ver: user.tokenVersion },
+            config.security.sessionSecret,
+            { audience: AUTH_AUDIENCE, expiresIn: config.auth.tokenExpiresIn }
+        );
+    }
+
+    /**
+     * Extract token from Authorization header or auth cookie
+     * @param {Object} req - Express request object
+     * @returns {string|null} Raw token
+     */
+    static extractToken(req) {
+        const header = req.get('Authorization');
+        if (header && header.startsWith('Bearer ')) {
+            return header.slice(7).trim();
+        }
+
+        if (req.cookies && req.cookies[config.auth.cookieName]) {
+            return req.cookies[config.auth.cookieName];
+        }
+
+        return null;
+    }
+
+    /**
+     * Resolve the user for a token, or throw an operational error
+     * @param {string} token - Raw token
+     * @returns {Promise<Object>} User document
+     */
+    static async resolveUser(token) {
+        let payload;
+        try {
+            payload = jwt.verify(token, config.security.sessionSecret, { audience: AUTH_AUDIENCE });
+        } catch (error) {
+            if (error.name === 'TokenExpiredError') throw ErrorHandler.handleJWTExpiredError();
+            throw ErrorHandler.handleJWTError();
+        }
+
+        const { User } = require('../models');
+        const user = await User.findById(payload.sub);
+
+        if (!user || !user.active) {
+            throw new AppError('The user belonging to this token no longer exists.', 401);
+        }
+
+        if (user.tokenVersion !== payload.ver) {
+            throw new AppError('Your session has ended. Please log in again.', 401);
+        }
+
+        return user;
+    }
+
+    /**
+     * Require a valid authentication token
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    static async authenticate(req, res, next) {
+        const token = AuthMiddleware.extractToken(req);
+
+        if (!token) {
+            return next(new AppError('You are not logged in. Please log in to get access.', 401));
+        }
+
+        try {
+            req.user = await AuthMiddleware.resolveUser(token);
+            next();
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Attach the user when a valid token is present, but never block the request
+     * Used by public routes that behave differently for signed-in learners.
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    static async optionalAuthenticate(req, res, next) {
+        const token = AuthMiddleware.extractToken(req);
+        if (!token) return next();
+
+        try {
+            req.user = await AuthMiddleware.resolveUser(token);
+        } catch (error) {
+            // Expired or revoked tokens are treated as anonymous
+            req.user = null;
+        }
+
+        next();
+    }
+
+    /**
+     * Guard the admin web pages
+     * Administrators get through; everyone else is redirected to the admin login page.
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    static async protectAdminPages(req, res, next) {
+        res.set('Cache-Control', 'no-store');
+
+        if (req.path === ADMIN_LOGIN_PAGE) return next();
+
+        const token = AuthMiddleware.extractToken(req);
+        if (token) {
+            try {
+                const user = await AuthMiddleware.resolveUser(token);
+                if (user.hasRole('admin')) {
+                    req.user = user;
+                    return next();
+                }
+            } catch (error) {
+                // Expired or revoked tokens fall through to the login page
+            }
+        }
+
+        res.redirect(`/admin${ADMIN_LOGIN_PAGE}`);
+    }
+
+    /**
+     * Allow the metrics scraper's token (config.metrics.token) or a signed-in administrator
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    static metricsAccess(req, res, next) {
+        const token = AuthMiddleware.extractToken(req);
+
+        if (config.metrics.token && token) {
+            // Compare hashes so the check takes the same time whatever the token length
+            const digest = value => crypto.createHash('sha256').update(value).digest();
+            if (crypto.timingSafeEqual(digest(token), digest(config.metrics.token))) {
+                return next();
+            }
+        }
+
+        AuthMiddleware.authenticate(req, res, (error) => {
+            if (error) return next(error);
+            AuthMiddleware.requireRole('admin')(req, res, next);
+        });
+    }
+
+    /**
+     * Restrict access to users with one of the given roles
+     * Must be used after authenticate
+     * @param {...string} roles - Allowed roles
+     * @returns {Function} Middleware function
+     */
+    static requireRole(...roles) {
+        const middleware = (req, res, next) => {
+            if (!req.user) {
+                return next(new AppError('You are not logged in. Please log in to get access.', 401));
+            }
+
+            if (!req.user.hasRole(...roles)) {
+                return next(new AppError('You do not have permission to perform this action.', 403));
+            }
+
+            next();
+        };
+
+        // Read by the OpenAPI generator to document the required roles
+        middleware.roles = roles;
+        return middleware;
+    }
+}
+
+/**
+ * Convenience chain for admin-only routes
+ */
+AuthMiddleware.adminOnly = [AuthMiddleware.authenticate, AuthMiddleware.requireRole('admin')];
+
+module.exports = AuthMiddleware;
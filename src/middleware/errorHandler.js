@@ -3,6 +3,7 @@
 // Description: Centralized error handling for the application
 
 const { config } = require('../config/environment');
+const { logger } = require('../utils/logger');
 
 /**
  * Custom Application Error class
@@ -63,7 +64,11 @@ class ErrorHandler {
     static handleValidationErrorDB(err) {
         const errors = Object.values(err.errors).map(el => el.message);
         const message = `Invalid input data. ${errors.join('. ')}`;
-        return new AppError(message, 400);
+        const error = new AppError(message, 400);
+
+        // Same field-level shape as ValidationMiddleware
+        error.errors = Object.fromEntries(Object.entries(err.errors).map(([path, el]) => [path, el.message]));
+        return error;
     }
 
     /**
@@ -86,13 +91,15 @@ class ErrorHandler {
      * Send error response in development
      * @param {Error} err - Error object
      * @param {Object} res - Express response object
+     * @param {string} requestId - ID of the failed request, for matching the response to the logs
      */
-    static sendErrorDev(err, res) {
+    static sendErrorDev(err, res, requestId) {
         res.status(err.statusCode).json({
             status: err.status,
             error: err,
             message: err.message,
             stack: err.stack,
+            requestId,
             timestamp: new Date().toISOString()
         });
     }
@@ -101,22 +108,24 @@ class ErrorHandler {
      * Send error response in production
      * @param {Error} err - Error object
      * @param {Object} res - Express response object
+     * @param {string} requestId - ID of the failed request, for matching the response to the logs
      */
-    static sendErrorProd(err, res) {
+    static sendErrorProd(err, res, requestId) {
         // Operational, trusted error: send message to client
         if (err.isOperational) {
             res.status(err.statusCode).json({
                 status: err.status,
                 message: err.message,
+                ...(err.errors && { errors: err.errors }),
+                requestId,
                 timestamp: new Date().toISOString()
             });
         } else {
             // Programming or other unknown error: don't leak error details
-            console.error('ERROR 💥', err);
-            
             res.status(500).json({
                 status: 'error',
                 message: 'Something went wrong!',
+                requestId,
                 timestamp: new Date().toISOString()
             });
         }
@@ -133,17 +142,19 @@ class ErrorHandler {
         err.statusCode = err.statusCode || 500;
         err.status = err.status || 'error';
 
-        // Log error
-        console.error(`❌ Error ${err.statusCode}: ${err.message}`);
-        if (config.server.environment === 'development') {
-            console.error('Stack trace:', err.stack);
+        // Log error (stack traces only for server errors; client errors are expected traffic)
+        if (err.statusCode >= 500) {
+            logger.error('Request failed', { error: err });
+        } else {
+            logger.warn('Request failed', { statusCode: err.statusCode, reason: err.message });
         }
 
         if (config.server.environment === 'development') {
-            ErrorHandler.sendErrorDev(err, res);
+            ErrorHandler.sendErrorDev(err, res, req.id);
         } else {
             let error = { ...err };
             error.message = err.message;
+            error.name = err.name; // Mongoose errors define name on the prototype, which spreading drops
 
             // Handle specific error types
             if (error.name === 'CastError') error = ErrorHandler.handleCastErrorDB(error);
@@ -152,7 +163,7 @@ class ErrorHandler {
             if (error.name === 'JsonWebTokenError') error = ErrorHandler.handleJWTError();
             if (error.name === 'TokenExpiredError') error = ErrorHandler.handleJWTExpiredError();
 
-            ErrorHandler.sendErrorProd(error, res);
+            ErrorHandler.sendErrorProd(error, res, req.id);
         }
     }
 
@@ -172,9 +183,7 @@ class ErrorHandler {
      */
     static handleUnhandledRejection() {
         process.on('unhandledRejection', (err, promise) => {
-            console.log('💥 UNHANDLED PROMISE REJECTION! Shutting down...');
-            console.error('Error:', err.message);
-            console.error('Stack:', err.stack);
+            logger.error('Unhandled promise rejection, shutting down', { error: err });
             process.exit(1);
         });
     }
@@ -184,43 +193,64 @@ class ErrorHandler {
      */
     static handleUncaughtException() {
         process.on('uncaughtException', (err) => {
-            console.log('💥 UNCAUGHT EXCEPTION! Shutting down...');
-            console.error('Error:', err.message);
-            console.error('Stack:', err.stack);
+            logger.error('Uncaught exception, shutting down', { error: err });
             process.exit(1);
         });
     }
 
     /**
      * Graceful shutdown handler
+     * On SIGTERM or SIGINT the instance starts draining (readiness returns 503), waits
+     * config.health.drainDelay and then closes the server.
      * @param {Object} server - HTTP server instance
      */
     static handleGracefulShutdown(server) {
         const shutdown = (signal) => {
-            console.log(`\n👋 ${signal} signal received, closing server gracefully...`);
-            
-            server.close(() => {
-                console.log('🔒 HTTP server closed');
-                
-                // Close database connection
-                const mongoose = require('mongoose');
-                mongoose.connection.close().then(() => {
-                    console.log('📦 MongoDB connection closed');
-                    process.exit(0);
-                });
+            const { HealthService } = require('../services');
+            if (HealthService.draining) return; // Already shutting down
+
+            // Fail readiness first so load balancers stop sending traffic, then close the server
+            HealthService.startDraining();
+            logger.info('Shutdown signal received, draining before closing the server', {
+                signal,
+                drainDelay: config.health.drainDelay
             });
 
-            // Force close after 10 seconds
-            setTimeout(() => {
-                console.error('❌ Could not close connections in time, forcefully shutting down');
-                process.exit(1);
-            }, 10000);
+            setTimeout(() => ErrorHandler.closeServer(server), config.health.drainDelay);
         };
 
         process.on('SIGTERM', () => shutdown('SIGTERM'));
         process.on('SIGINT', () => shutdown('SIGINT'));
     }
 
+    /**
+     * Stop accepting connections, wait for in-flight requests and close the database
+     * @param {Object} server - HTTP server instance
+     */
+    static closeServer(server) {
+        logger.info('Closing HTTP server');
+
+        const { PrivacyService } = require('../services');
+        PrivacyService.stopRetention();
+
+        server.close(() => {
+            logger.info('HTTP server closed');
+            
+            // Close database connection
+            const mongoose = require('mongoose');
+            mongoose.connection.close().then(() => {
+                logger.info('MongoDB connection closed');
+                process.exit(0);
+            });
+        });
+
+        // Force close after 10 seconds
+        setTimeout(() => {
+            logger.error('Could not close connections in time, forcefully shutting down');
+            process.exit(1);
+        }, 10000);
+    }
+
     /**
      * Setup all error handlers
      * @param {Object} server - HTTP server instance
@@ -4,11 +4,15 @@
 
 const SecurityMiddleware = require('./security');
 const ValidationMiddleware = require('./validation');
+const AuthMiddleware = require('./auth');
+const ApiVersionMiddleware = require('./apiVersion');
 const { ErrorHandler, AppError, catchAsync } = require('./errorHandler');
 
 module.exports = {
     SecurityMiddleware,
     ValidationMiddleware,
+    AuthMiddleware,
+    ApiVersionMiddleware,
     ErrorHandler,
     AppError,
     catchAsync
@@ -4,8 +4,19 @@
 
 const helmet = require('helmet');
 const cors = require('cors');
+const crypto = require('crypto');
 const rateLimit = require('express-rate-limit');
 const { config } = require('../config/environment');
+const { logger, requestContext } = require('../utils/logger');
+const Metrics = require('../utils/metrics');
+const ApiVersionMiddleware = require('./apiVersion');
+const RateLimitService = require('../services/rateLimit');
+
+// Incoming X-Request-Id values are reused only if they look like an ID
+const REQUEST_ID_PATTERN = /^[\w.-]{1,100}$/;
+
+// API paths that also accept form-encoded bodies (RFC 8058 one-click unsubscribe POSTs)
+const FORM_ENCODED_PATHS = ['/newsletter/unsubscribe'];
 
 /**
  * Security middleware configuration
@@ -63,62 +74,65 @@ class SecurityMiddleware {
             },
             credentials: true,
             methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-            allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
-            exposedHeaders: ['X-Total-Count']
+            allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Request-Id'],
+            exposedHeaders: ['X-Total-Count', 'X-Request-Id', 'API-Version', 'Deprecation', 'Sunset', 'Link']
         });
     }
 
     /**
-     * Configure rate limiting for API routes
+     * Configure rate limiting with a policy from config.security.rateLimit.policies
+     * Counters are kept per client IP in MongoDB (see RateLimitService); allowlisted IPs are never limited.
+     * @param {string} policyName - Policy name
+     * @param {Object} options - { skip: extra function of the request for requests that don't count }
      * @returns {Function} Rate limiting middleware
      */
-    static configureApiRateLimit() {
+    static configureRateLimit(policyName, options = {}) {
+        const policy = RateLimitService.getPolicy(policyName);
+        const retryAfter = Math.ceil(policy.windowMs / 1000 / 60);
+
         return rateLimit({
-            windowMs: config.security.rateLimitWindow,
-            max: config.security.rateLimitMax,
-            message: {
-                status: 'error',
-                message: 'Too many requests from this IP. Please try again later.',
-                retryAfter: Math.ceil(config.security.rateLimitWindow / 1000 / 60)
-            },
+            windowMs: policy.windowMs,
+            max: policy.max,
+            skipSuccessfulRequests: Boolean(policy.skipSuccessfulRequests),
+            store: RateLimitService.createStore(policyName),
             standardHeaders: true,
             legacyHeaders: false,
+            skip: (req) => RateLimitService.isAllowlisted(req.ip) || Boolean(options.skip && options.skip(req)),
             handler: (req, res) => {
-                console.log(`🚫 Rate limit exceeded for IP: ${req.ip}`);
+                logger.warn('Rate limit exceeded', { policy: policyName, ip: req.ip, path: req.originalUrl });
+                Metrics.rateLimited(policyName);
                 res.status(429).json({
                     status: 'error',
-                    message: 'Too many requests from this IP. Please try again later.',
-                    retryAfter: Math.ceil(config.security.rateLimitWindow / 1000 / 60)
+                    message: policy.message,
+                    retryAfter
                 });
             }
         });
     }
 
     /**
-     * Configure stricter rate limiting for form submissions
-     * @returns {Function} Form rate limiting middleware
+     * Configure rate limiting for API routes
+     * @returns {Function} Rate limiting middleware
      */
-    static configureFormRateLimit() {
-        return rateLimit({
-            windowMs: 15 * 60 * 1000, // 15 minutes
-            max: 5, // 5 submissions per window
-            message: {
-                status: 'error',
-                message: 'Too many form submissions. Please wait before submitting again.',
-                retryAfter: 15
-            },
-            skipSuccessfulRequests: true,
-            handler: (req, res) => {
-                console.log(`🚫 Form rate limit exceeded for IP: ${req.ip}`);
-                res.status(429).json({
-                    status: 'error',
-                    message: 'Too many form submissions. Please wait before submitting again.',
-                    retryAfter: 15
-                });
+    static configureApiRateLimit() {
+        return SecurityMiddleware.configureRateLimit('api', {
+            // Probes and Prometheus scrapes run on a fixed schedule; don't let them use up the API budget
+            skip: (req) => {
+                const { path } = ApiVersionMiddleware.parsePath(req.path);
+                return path === '/metrics' || path.startsWith('/health/');
             }
         });
     }
 
+    /**
+     * Configure stricter rate limiting for form submissions (the policy decides whether successful ones count)
+     * @param {string} policyName - Form policy (contact, login, register, quizSubmit or newsletter)
+     * @returns {Function} Form rate limiting middleware
+     */
+    static configureFormRateLimit(policyName) {
+        return SecurityMiddleware.configureRateLimit(policyName);
+    }
+
     /**
      * Input sanitization middleware
      * @param {Object} req - Express request object
@@ -154,6 +168,22 @@ class SecurityMiddleware {
         next();
     }
 
+    /**
+     * Request ID middleware
+     * Reuses a valid incoming X-Request-Id (e.g. from a proxy) or generates one, echoes it
+     * in the response and makes it available to every log line written for the request.
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    static assignRequestId(req, res, next) {
+        const incoming = req.get('X-Request-Id');
+        req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+        res.setHeader('X-Request-Id', req.id);
+
+        requestContext.run({ requestId: req.id }, next);
+    }
+
     /**
      * Request logging middleware
      * @param {Object} req - Express request object
@@ -163,17 +193,31 @@ class SecurityMiddleware {
     static logRequests(req, res, next) {
         const start = Date.now();
         const ip = req.ip || req.connection.remoteAddress;
-        
-        // Log request
-        console.log(`📡 ${req.method} ${req.originalUrl} - IP: ${ip}`);
-        
-        // Log response when finished
+
+        logger.debug('Request received', { method: req.method, url: req.originalUrl, ip });
+
+        // Log and record metrics when the response is finished
         res.on('finish', () => {
-            const duration = Date.now() - start;
-            const statusEmoji = res.statusCode >= 400 ? '❌' : res.statusCode >= 300 ? '⚠️' : '✅';
-            console.log(`${statusEmoji} ${req.method} ${req.originalUrl} - ${res.statusCode} - ${duration}ms`);
+            const durationMs = Date.now() - start;
+            Metrics.observeRequest(req, res, durationMs);
+
+            // Successful probes run every few seconds, so they are only logged at debug level
+            const apiPath = req.originalUrl.startsWith(`${config.api.prefix}/`)
+                ? ApiVersionMiddleware.parsePath(req.originalUrl.slice(config.api.prefix.length)).path
+                : '';
+            const isProbe = apiPath.startsWith('/health/') && res.statusCode < 400;
+            const level = res.statusCode >= 500 ? 'error'
+                : res.statusCode >= 400 ? 'warn'
+                    : isProbe ? 'debug' : 'info';
+            logger.log(level, 'Request completed', {
+                method: req.method,
+                url: req.originalUrl,
+                statusCode: res.statusCode,
+                durationMs,
+                ip
+            });
         });
-        
+
         next();
     }
 
@@ -210,8 +254,11 @@ class SecurityMiddleware {
     static validateContentType(req, res, next) {
         if (req.method === 'POST' || req.method === 'PUT') {
             const contentType = req.get('Content-Type');
+            const { path } = ApiVersionMiddleware.parsePath(req.originalUrl.split('?')[0].slice(config.api.prefix.length));
+            const formEncodedAllowed = FORM_ENCODED_PATHS.includes(path) &&
+                contentType && contentType.includes('application/x-www-form-urlencoded');
             
-            if (!contentType || !contentType.includes('application/json')) {
+            if (!formEncodedAllowed && (!contentType || !contentType.includes('application/json'))) {
                 return res.status(400).json({
                     status: 'error',
                     message: 'Content-Type must be application/json'
@@ -2,191 +2,235 @@
 // Author: Fatemeh - Group 6
 // Description: Request validation middleware functions
 
+const net = require('net');
+const { SchemaValidator, schemas } = require('../validation');
+
 /**
  * Validation middleware class
  */
 class ValidationMiddleware {
     /**
-     * Validate contact form data
-     * @param {Object} req - Express request object
+     * Send a 400 response with field-level errors
+     * Every validation failure uses this shape: { status, message, errors: { [field]: message } }.
      * @param {Object} res - Express response object
-     * @param {Function} next - Express next function
+     * @param {Object} errors - Error message keyed by field name
+     * @param {string} message - Summary message
+     * @returns {Object} Express response
      */
-    static validateContactForm(req, res, next) {
-        const { name, email, subject, message } = req.body;
-        const errors = {};
+    static sendValidationErrors(res, errors, message = 'Validation failed') {
+        return res.status(400).json({
+            status: 'error',
+            message,
+            errors
+        });
+    }
 
-        // Name validation
-        if (!name || typeof name !== 'string') {
-            errors.name = 'Name is required and must be a string';
-        } else if (name.trim().length < 2) {
-            errors.name = 'Name must be at least 2 characters long';
-        } else if (name.trim().length > 100) {
-            errors.name = 'Name cannot exceed 100 characters';
-        } else {
-            // Check for realistic name format
-            const nameParts = name.trim().split(/\s+/);
-            if (nameParts.length < 2 || !nameParts.every(part => part.length >= 2)) {
-                errors.name = 'Please enter your full name (first and last name)';
-            }
-        }
+    /**
+     * Send a 400 response for one invalid parameter, using its error as the summary message
+     * @param {Object} res - Express response object
+     * @param {string} field - Parameter name
+     * @param {string} message - Error message
+     * @returns {Object} Express response
+     */
+    static sendFieldError(res, field, message) {
+        return ValidationMiddleware.sendValidationErrors(res, { [field]: message }, message);
+    }
 
-        // Email validation
-        if (!email || typeof email !== 'string') {
-            errors.email = 'Email is required and must be a string';
-        } else if (email.trim().length > 255) {
-            errors.email = 'Email cannot exceed 255 characters';
-        } else {
-            const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-            if (!emailRegex.test(email.trim())) {
-                errors.email = 'Please enter a valid email address';
-            } else {
-                // Additional domain validation
-                const domain = email.split('@')[1];
-                if (!domain || !/\.[a-z]{2,}$/i.test(domain)) {
-                    errors.email = 'Please enter an email with a valid domain';
-                }
-            }
+    /**
+     * Validate the request body against a shared schema (src/validation/schemas.js)
+     * The browser forms load the same schema from GET /api/schemas/:name.
+     * @param {string} name - Schema name
+     * @param {Object} options - { partial: boolean, or function of the request, to only check the fields sent;
+     *     source: 'body' (default) or 'query' }
+     * @returns {Function} Middleware function
+     */
+    static validateBody(name, options = {}) {
+        const schema = schemas[name];
+        if (!schema) {
+            throw new Error(`Unknown validation schema: ${name}`);
         }
 
-        // Subject validation
-        if (!subject || typeof subject !== 'string') {
-            errors.subject = 'Subject is required and must be a string';
-        } else {
-            const validSubjects = ['general', 'recycling', 'energy', 'water', 'climate', 'feedback', 'collaboration', 'other'];
-            if (!validSubjects.includes(subject.trim().toLowerCase())) {
-                errors.subject = 'Please select a valid subject';
-            }
-        }
+        return (req, res, next) => {
+            const partial = typeof options.partial === 'function' ? options.partial(req) : Boolean(options.partial);
+            const errors = SchemaValidator.validate(schema, req[options.source || 'body'] || {}, { partial });
 
-        // Message validation
-        if (!message || typeof message !== 'string') {
-            errors.message = 'Message is required and must be a string';
-        } else if (message.trim().length < 10) {
-            errors.message = 'Message must be at least 10 characters long';
-        } else if (message.trim().length > 1000) {
-            errors.message = 'Message cannot exceed 1000 characters';
-        } else {
-            // Basic spam detection
-            const spamPatterns = [/urgent/i, /congratulations/i, /click here/i, /free money/i, /lottery/i];
-            const suspiciousCount = spamPatterns.reduce((count, pattern) => {
-                return count + (pattern.test(message) ? 1 : 0);
-            }, 0);
-            
-            if (suspiciousCount >= 2) {
-                errors.message = 'Please write a genuine message';
+            if (Object.keys(errors).length > 0) {
+                return ValidationMiddleware.sendValidationErrors(res, errors);
             }
+
+            next();
+        };
+    }
+
+    // Contact form data
+    static validateContactForm = ValidationMiddleware.validateBody('contact');
+
+    // Staff reply to a contact message
+    static validateContactReply = ValidationMiddleware.validateBody('contactReply');
+
+    // Newsletter subscription
+    static validateNewsletterSubscription = ValidationMiddleware.validateBody('newsletterSubscription');
+
+    /**
+     * Validate a newsletter confirmation or unsubscribe token
+     * The token may be sent in the body or, for one-click unsubscribe, the query string.
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    static validateNewsletterToken(req, res, next) {
+        const token = (req.body && req.body.token) || req.query.token;
+
+        if (!token || typeof token !== 'string' || token.length > 2048) {
+            return ValidationMiddleware.sendValidationErrors(res, { token: 'A valid token is required' });
         }
 
-        // If there are validation errors, return them
-        if (Object.keys(errors).length > 0) {
-            return res.status(400).json({
-                status: 'error',
-                message: 'Validation failed',
-                errors
-            });
+        req.body = { ...req.body, token };
+        next();
+    }
+
+    /**
+     * Validate the subscriber export format
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    static validateSubscriberExport(req, res, next) {
+        const { format } = req.query;
+        const formats = ['json', 'csv'];
+
+        if (format !== undefined && !formats.includes(format)) {
+            return ValidationMiddleware.sendFieldError(res, 'format', `Invalid format. Must be one of: ${formats.join(', ')}`);
         }
 
         next();
     }
 
+    // Data-subject erasure request (admin)
+    static validateDataSubject = ValidationMiddleware.validateBody('dataSubject');
+
+    // Data-subject export request (admin): the email is sent in the query string
+    static validateDataSubjectQuery = ValidationMiddleware.validateBody('dataSubject', { source: 'query' });
+
+    // Quiz submission: the signed attempt and the chosen option per question
+    static validateQuizSubmission = ValidationMiddleware.validateBody('quizSubmission');
+
     /**
-     * Validate quiz submission data
+     * Validate quiz generation query (categories, difficulty, count)
+     * Normalizes categories to an array and count to a number.
      * @param {Object} req - Express request object
      * @param {Object} res - Express response object
      * @param {Function} next - Express next function
      */
-    static validateQuizSubmission(req, res, next) {
-        const { score, totalQuestions, correctAnswers, timeTaken, categories } = req.body;
+    static validateQuizGeneration(req, res, next) {
+        const { config } = require('../config/environment');
+        const { categories, difficulty, count } = req.query;
         const errors = {};
 
-        // Score validation
-        if (typeof score !== 'number') {
-            errors.score = 'Score must be a number';
-        } else if (!Number.isInteger(score)) {
-            errors.score = 'Score must be a whole number';
-        } else if (score < 0 || score > 100) {
-            errors.score = 'Score must be between 0 and 100';
-        }
-
-        // Total questions validation
-        if (typeof totalQuestions !== 'number') {
-            errors.totalQuestions = 'Total questions must be a number';
-        } else if (!Number.isInteger(totalQuestions)) {
-            errors.totalQuestions = 'Total questions must be a whole number';
-        } else if (totalQuestions < 1 || totalQuestions > 50) {
-            errors.totalQuestions = 'Total questions must be between 1 and 50';
-        }
-
-        // Correct answers validation
-        if (typeof correctAnswers !== 'number') {
-            errors.correctAnswers = 'Correct answers must be a number';
-        } else if (!Number.isInteger(correctAnswers)) {
-            errors.correctAnswers = 'Correct answers must be a whole number';
-        } else if (correctAnswers < 0) {
-            errors.correctAnswers = 'Correct answers cannot be negative';
-        } else if (typeof totalQuestions === 'number' && correctAnswers > totalQuestions) {
-            errors.correctAnswers = 'Correct answers cannot exceed total questions';
-        }
-
-        // Cross-validation: check if score matches calculation
-        if (typeof score === 'number' && typeof totalQuestions === 'number' && typeof correctAnswers === 'number') {
-            const calculatedScore = Math.round((correctAnswers / totalQuestions) * 100);
-            if (Math.abs(score - calculatedScore) > 1) {
-                errors.score = 'Score does not match the correct answers and total questions';
+        // Categories validation (optional, comma-separated)
+        if (categories !== undefined) {
+            const names = typeof categories === 'string'
+                ? categories.split(',').map(name => name.trim()).filter(Boolean)
+                : null;
+
+            if (!names) {
+                errors.categories = 'Categories must be a comma-separated list';
+            } else if (names.length > 10) {
+                errors.categories = 'No more than 10 categories can be selected';
+            } else if (names.some(name => name.length > 50)) {
+                errors.categories = 'Category names cannot exceed 50 characters';
+            } else {
+                req.query.categories = names;
             }
+        } else {
+            req.query.categories = [];
         }
 
-        // Time taken validation (optional)
-        if (timeTaken !== undefined && timeTaken !== null) {
-            if (typeof timeTaken !== 'number') {
-                errors.timeTaken = 'Time taken must be a number';
-            } else if (!Number.isInteger(timeTaken)) {
-                errors.timeTaken = 'Time taken must be a whole number of seconds';
-            } else if (timeTaken < 1) {
-                errors.timeTaken = 'Time taken must be at least 1 second';
-            } else if (timeTaken > 3600) {
-                errors.timeTaken = 'Time taken cannot exceed 1 hour';
+        // Difficulty validation (optional)
+        if (difficulty !== undefined) {
+            if (!['easy', 'medium', 'hard', 'mixed'].includes(difficulty)) {
+                errors.difficulty = 'Difficulty must be easy, medium, hard or mixed';
             }
+        } else {
+            req.query.difficulty = 'mixed';
         }
 
-        // Categories validation (optional)
-        if (categories !== undefined && categories !== null) {
-            if (typeof categories !== 'object') {
-                errors.categories = 'Categories must be an object';
+        // Count validation (optional)
+        if (count !== undefined) {
+            const countNum = Number(count);
+            if (!Number.isInteger(countNum) || countNum < 1 || countNum > config.quiz.maxQuestionCount) {
+                errors.count = `Count must be a whole number between 1 and ${config.quiz.maxQuestionCount}`;
             } else {
-                // Validate each category
-                for (const [category, stats] of Object.entries(categories)) {
-                    if (!stats || typeof stats !== 'object') {
-                        errors.categories = `Invalid category stats for ${category}`;
-                        break;
-                    }
-                    
-                    if (typeof stats.correct !== 'number' || typeof stats.total !== 'number') {
-                        errors.categories = `Category ${category} must have numeric correct and total values`;
-                        break;
-                    }
-                    
-                    if (stats.correct > stats.total || stats.correct < 0 || stats.total < 1) {
-                        errors.categories = `Invalid stats for category ${category}`;
-                        break;
-                    }
-                }
+                req.query.count = countNum;
             }
+        } else {
+            req.query.count = config.quiz.defaultQuestionCount;
         }
 
-        // If there are validation errors, return them
         if (Object.keys(errors).length > 0) {
-            return res.status(400).json({
-                status: 'error',
-                message: 'Validation failed',
-                errors
+            return ValidationMiddleware.sendValidationErrors(res, errors);
+        }
+
+        next();
+    }
+
+    // Login credentials
+    static validateLogin = ValidationMiddleware.validateBody('login');
+
+    // Learner registration data
+    static validateRegistration = ValidationMiddleware.validateBody('registration');
+
+    /**
+     * Validate a browser quiz history import
+     * Mirrors the attempts stored by QuizStatistics in localStorage.
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    static validateQuizHistoryImport(req, res, next) {
+        const mongoose = require('mongoose');
+        const { attempts } = req.body;
+        const errors = {};
+
+        if (!Array.isArray(attempts)) {
+            errors.attempts = 'Attempts are required and must be an array';
+        } else if (attempts.length > 50) {
+            errors.attempts = 'No more than 50 attempts can be imported';
+        } else {
+            attempts.forEach((attempt, index) => {
+                if (errors.attempts) return;
+
+                const prefix = `Attempt ${index + 1}`;
+                if (!attempt || typeof attempt !== 'object') {
+                    errors.attempts = `${prefix} must be an object`;
+                } else if (!Number.isInteger(attempt.totalQuestions) || attempt.totalQuestions < 1 || attempt.totalQuestions > 50) {
+                    errors.attempts = `${prefix}: total questions must be a whole number between 1 and 50`;
+                } else if (!Number.isInteger(attempt.correctAnswers) || attempt.correctAnswers < 0 || attempt.correctAnswers > attempt.totalQuestions) {
+                    errors.attempts = `${prefix}: correct answers must be a whole number not exceeding total questions`;
+                } else if (!Number.isInteger(attempt.score) || attempt.score < 0 || attempt.score > 100) {
+                    errors.attempts = `${prefix}: score must be a whole number between 0 and 100`;
+                } else if (!attempt.date || isNaN(new Date(attempt.date).getTime())) {
+                    errors.attempts = `${prefix}: a valid completion date is required`;
+                } else if (attempt.resultId !== undefined && !mongoose.Types.ObjectId.isValid(attempt.resultId)) {
+                    errors.attempts = `${prefix}: invalid result ID`;
+                } else if (attempt.claimToken !== undefined && (typeof attempt.claimToken !== 'string' || attempt.claimToken.length > 1000)) {
+                    errors.attempts = `${prefix}: claim token must be a string of at most 1000 characters`;
+                } else if (attempt.categoryScores !== undefined && (typeof attempt.categoryScores !== 'object' || Array.isArray(attempt.categoryScores))) {
+                    errors.attempts = `${prefix}: category scores must be an object`;
+                }
             });
         }
 
+        if (Object.keys(errors).length > 0) {
+            return ValidationMiddleware.sendValidationErrors(res, errors);
+        }
+
         next();
     }
 
+    // Quiz question data: every field on create (POST), only the provided fields on update (PUT)
+    static validateQuestion = ValidationMiddleware.validateBody('question', { partial: req => req.method === 'PUT' });
+
     /**
      * Validate pagination parameters
      * @param {Object} req - Express request object
@@ -199,10 +243,7 @@ class ValidationMiddleware {
         if (page !== undefined) {
             const pageNum = parseInt(page);
             if (isNaN(pageNum) || pageNum < 1) {
-                return res.status(400).json({
-                    status: 'error',
-                    message: 'Page must be a positive integer'
-                });
+                return ValidationMiddleware.sendFieldError(res, 'page', 'Page must be a positive integer');
             }
             req.query.page = pageNum;
         }
@@ -210,10 +251,7 @@ class ValidationMiddleware {
         if (limit !== undefined) {
             const limitNum = parseInt(limit);
             if (isNaN(limitNum) || limitNum < 1 || limitNum > 100) {
-                return res.status(400).json({
-                    status: 'error',
-                    message: 'Limit must be between 1 and 100'
-                });
+                return ValidationMiddleware.sendFieldError(res, 'limit', 'Limit must be between 1 and 100');
             }
             req.query.limit = limitNum;
         }
@@ -231,19 +269,28 @@ class ValidationMiddleware {
             const id = req.params[paramName];
             
             if (!id) {
-                return res.status(400).json({
-                    status: 'error',
-                    message: `${paramName} parameter is required`
-                });
+                return ValidationMiddleware.sendFieldError(res, paramName, `${paramName} parameter is required`);
             }
 
             // Check if it's a valid MongoDB ObjectId
             const mongoose = require('mongoose');
             if (!mongoose.Types.ObjectId.isValid(id)) {
-                return res.status(400).json({
-                    status: 'error',
-                    message: `Invalid ${paramName} format`
-                });
+                return ValidationMiddleware.sendFieldError(res, paramName, `Invalid ${paramName} format`);
+            }
+
+            next();
+        };
+    }
+
+    /**
+     * Validate an IP address parameter (e.g. a rate-limited client)
+     * @param {string} paramName - Name of the parameter to validate
+     * @returns {Function} Middleware function
+     */
+    static validateIpParam(paramName = 'client') {
+        return (req, res, next) => {
+            if (!net.isIP(req.params[paramName] || '')) {
+                return ValidationMiddleware.sendFieldError(res, paramName, `${paramName} must be an IPv4 or IPv6 address`);
             }
 
             next();
@@ -262,10 +309,7 @@ class ValidationMiddleware {
         if (startDate) {
             const start = new Date(startDate);
             if (isNaN(start.getTime())) {
-                return res.status(400).json({
-                    status: 'error',
-                    message: 'Invalid start date format'
-                });
+                return ValidationMiddleware.sendFieldError(res, 'startDate', 'Invalid start date format');
             }
             req.query.startDate = start;
         }
@@ -273,66 +317,267 @@ class ValidationMiddleware {
         if (endDate) {
             const end = new Date(endDate);
             if (isNaN(end.getTime())) {
-                return res.status(400).json({
-                    status: 'error',
-                    message: 'Invalid end date format'
-                });
+                return ValidationMiddleware.sendFieldError(res, 'endDate', 'Invalid end date format');
             }
             req.query.endDate = end;
         }
 
         // Check if start date is before end date
         if (startDate && endDate && req.query.startDate > req.query.endDate) {
-            return res.status(400).json({
-                status: 'error',
-                message: 'Start date must be before end date'
-            });
+            return ValidationMiddleware.sendFieldError(res, 'endDate', 'Start date must be before end date');
         }
 
         next();
     }
 
     /**
-     * Validate search query
+     * Validate quiz export options (format, difficulty and score range)
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    static validateQuizExport(req, res, next) {
+        const { format, difficulty } = req.query;
+        const formats = ['json', 'csv', 'ndjson'];
+        const difficulties = ['easy', 'medium', 'hard', 'mixed'];
+
+        if (format !== undefined && !formats.includes(format)) {
+            return ValidationMiddleware.sendFieldError(res, 'format', `Invalid format. Must be one of: ${formats.join(', ')}`);
+        }
+
+        if (difficulty !== undefined && !difficulties.includes(difficulty)) {
+            return ValidationMiddleware.sendFieldError(res, 'difficulty', `Invalid difficulty. Must be one of: ${difficulties.join(', ')}`);
+        }
+
+        for (const field of ['minScore', 'maxScore']) {
+            if (req.query[field] === undefined) continue;
+
+            const score = Number(req.query[field]);
+            if (!/^\d+$/.test(String(req.query[field])) || score > 100) {
+                return ValidationMiddleware.sendFieldError(res, field, `${field} must be a whole number between 0 and 100`);
+            }
+            req.query[field] = score;
+        }
+
+        if (req.query.minScore !== undefined && req.query.maxScore !== undefined && req.query.minScore > req.query.maxScore) {
+            return ValidationMiddleware.sendFieldError(res, 'maxScore', 'maxScore cannot be less than minScore');
+        }
+
+        next();
+    }
+
+    /**
+     * Validate contact export options (format, status, subject and the newsletter and message flags)
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    static validateContactExport(req, res, next) {
+        const { format, status, subject } = req.query;
+        const formats = ['json', 'csv'];
+        const statuses = schemas.contactFilter.fields.status.enum;
+        const subjects = schemas.contact.fields.subject.enum;
+
+        if (format !== undefined && !formats.includes(format)) {
+            return ValidationMiddleware.sendFieldError(res, 'format', `Invalid format. Must be one of: ${formats.join(', ')}`);
+        }
+
+        if (status !== undefined && !statuses.includes(status)) {
+            return ValidationMiddleware.sendFieldError(res, 'status', `Invalid status. Must be one of: ${statuses.join(', ')}`);
+        }
+
+        if (subject !== undefined && !subjects.includes(subject)) {
+            return ValidationMiddleware.sendFieldError(res, 'subject', `Invalid subject. Must be one of: ${subjects.join(', ')}`);
+        }
+
+        for (const field of ['newsletter', 'includeMessage']) {
+            const value = req.query[field];
+            if (value === undefined) continue;
+
+            if (!['true', 'false', true, false].includes(value)) {
+                return ValidationMiddleware.sendFieldError(res, field, `${field} must be true or false`);
+            }
+            req.query[field] = value === true || value === 'true';
+        }
+
+        next();
+    }
+
+    /**
+     * Validate a bulk contact operation: the IDs or the filter, the operation and its options
+     * IDs are de-duplicated and tags trimmed, lowercased and de-duplicated.
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    static validateContactBulk(req, res, next) {
+        const mongoose = require('mongoose');
+        const { ContactBulkService } = require('../services');
+        const { ids, filter, operation, status, tags } = req.body;
+        const maxItems = ContactBulkService.MAX_ITEMS;
+
+        if (!ContactBulkService.OPERATIONS.includes(operation)) {
+            return ValidationMiddleware.sendFieldError(res, 'operation', `Invalid operation. Must be one of: ${ContactBulkService.OPERATIONS.join(', ')}`);
+        }
+
+        if ((ids === undefined) === (filter === undefined)) {
+            return ValidationMiddleware.sendFieldError(res, 'ids', 'Provide either a list of IDs or a filter');
+        }
+
+        if (ids !== undefined) {
+            if (!Array.isArray(ids) || ids.length === 0 || ids.length > maxItems) {
+                return ValidationMiddleware.sendFieldError(res, 'ids', `IDs must be a list of 1 to ${maxItems} contact IDs`);
+            }
+            if (!ids.every(id => typeof id === 'string' && mongoose.Types.ObjectId.isValid(id))) {
+                return ValidationMiddleware.sendFieldError(res, 'ids', 'Invalid ID format');
+            }
+            req.body.ids = [...new Set(ids.map(id => id.toLowerCase()))];
+        }
+
+        if (filter !== undefined) {
+            const error = ValidationMiddleware.checkContactBulkFilter(filter);
+            if (error) {
+                return ValidationMiddleware.sendFieldError(res, error.field, error.message);
+            }
+        }
+
+        if (operation === 'setStatus' && !ContactBulkService.STATUSES.includes(status)) {
+            return ValidationMiddleware.sendFieldError(res, 'status', `Invalid status. Must be one of: ${ContactBulkService.STATUSES.join(', ')}`);
+        }
+
+        if (operation === 'tag') {
+            const validTag = tag => typeof tag === 'string' && /^[a-z0-9][a-z0-9 _-]{0,29}$/.test(tag.trim().toLowerCase());
+
+            if (!Array.isArray(tags) || tags.length === 0 || tags.length > 10) {
+                return ValidationMiddleware.sendFieldError(res, 'tags', 'Tags must be a list of 1 to 10 tags');
+            }
+            if (!tags.every(validTag)) {
+                return ValidationMiddleware.sendFieldError(res, 'tags', 'Tags must be 1 to 30 letters, numbers, spaces, hyphens or underscores');
+            }
+            req.body.tags = [...new Set(tags.map(tag => tag.trim().toLowerCase()))];
+        }
+
+        next();
+    }
+
+    /**
+     * Check the filter of a bulk contact operation, converting its dates
+     * @param {Object} filter - { status, subject, startDate, endDate, q }
+     * @returns {Object|null} { field, message } for the first invalid field, or null
+     */
+    static checkContactBulkFilter(filter) {
+        const statuses = schemas.contactFilter.fields.status.enum;
+        const subjects = schemas.contact.fields.subject.enum;
+
+        if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+            return { field: 'filter', message: 'Filter must be an object' };
+        }
+
+        const { status, subject, q } = filter;
+
+        if (status !== undefined && !statuses.includes(status)) {
+            return { field: 'filter.status', message: `Invalid status. Must be one of: ${statuses.join(', ')}` };
+        }
+
+        if (subject !== undefined && !subjects.includes(subject)) {
+            return { field: 'filter.subject', message: `Invalid subject. Must be one of: ${subjects.join(', ')}` };
+        }
+
+        for (const field of ['startDate', 'endDate']) {
+            if (filter[field] === undefined) continue;
+
+            const date = new Date(filter[field]);
+            if (typeof filter[field] !== 'string' || isNaN(date.getTime())) {
+                return { field: `filter.${field}`, message: `Invalid ${field === 'startDate' ? 'start' : 'end'} date format` };
+            }
+            filter[field] = date;
+        }
+
+        if (filter.startDate && filter.endDate && filter.startDate > filter.endDate) {
+            return { field: 'filter.endDate', message: 'Start date must be before end date' };
+        }
+
+        if (q !== undefined && (typeof q !== 'string' || q.trim().length < 2 || q.trim().length > 100 || !/[\p{L}\p{N}]/u.test(q))) {
+            return { field: 'filter.q', message: 'Search term must be a string of 2 to 100 characters with letters or numbers' };
+        }
+
+        return null;
+    }
+
+    /**
+     * Validate audit log filters (actor, action, target type and target ID)
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    static validateAuditQuery(req, res, next) {
+        const mongoose = require('mongoose');
+        const { AuditLog } = require('../models');
+        const { actor, action, targetType, targetId } = req.query;
+
+        if (actor !== undefined && !mongoose.Types.ObjectId.isValid(actor)) {
+            return ValidationMiddleware.sendFieldError(res, 'actor', 'Invalid actor format');
+        }
+
+        if (action !== undefined && !AuditLog.ACTIONS.includes(action)) {
+            return ValidationMiddleware.sendFieldError(res, 'action', `Invalid action. Must be one of: ${AuditLog.ACTIONS.join(', ')}`);
+        }
+
+        if (targetType !== undefined && !AuditLog.TARGET_TYPES.includes(targetType)) {
+            return ValidationMiddleware.sendFieldError(res, 'targetType', `Invalid target type. Must be one of: ${AuditLog.TARGET_TYPES.join(', ')}`);
+        }
+
+        if (targetId !== undefined && (typeof targetId !== 'string' || targetId.length > 100)) {
+            return ValidationMiddleware.sendFieldError(res, 'targetId', 'Target ID must be a string of at most 100 characters');
+        }
+
+        next();
+    }
+
+    /**
+     * Validate a contact search: the text, the field and the status and subject filters
      * @param {Object} req - Express request object
      * @param {Object} res - Express response object
      * @param {Function} next - Express next function
      */
     static validateSearchQuery(req, res, next) {
-        const { q, field } = req.query;
+        const { q, field, status, subject } = req.query;
+        const statuses = schemas.contactFilter.fields.status.enum;
+        const subjects = schemas.contact.fields.subject.enum;
 
         if (!q || typeof q !== 'string') {
-            return res.status(400).json({
-                status: 'error',
-                message: 'Search query (q) is required and must be a string'
-            });
+            return ValidationMiddleware.sendFieldError(res, 'q', 'Search query (q) is required and must be a string');
         }
 
         if (q.trim().length < 2) {
-            return res.status(400).json({
-                status: 'error',
-                message: 'Search query must be at least 2 characters long'
-            });
+            return ValidationMiddleware.sendFieldError(res, 'q', 'Search query must be at least 2 characters long');
         }
 
         if (q.trim().length > 100) {
-            return res.status(400).json({
-                status: 'error',
-                message: 'Search query cannot exceed 100 characters'
-            });
+            return ValidationMiddleware.sendFieldError(res, 'q', 'Search query cannot exceed 100 characters');
         }
 
-        // Validate field parameter if provided
-        if (field) {
-            const validFields = ['all', 'name', 'email', 'subject', 'message'];
+        if (!/[\p{L}\p{N}]/u.test(q)) {
+            return ValidationMiddleware.sendFieldError(res, 'q', 'Search query must contain letters or numbers');
+        }
+
+        // Only the fields in the text index can be searched
+        if (field !== undefined) {
+            const { ContactSearchService } = require('../services');
+            const validFields = ContactSearchService.FIELDS;
             if (!validFields.includes(field)) {
-                return res.status(400).json({
-                    status: 'error',
-                    message: `Invalid field. Must be one of: ${validFields.join(', ')}`
-                });
+                return ValidationMiddleware.sendFieldError(res, 'field', `Invalid field. Must be one of: ${validFields.join(', ')}`);
             }
         }
 
+        if (status !== undefined && !statuses.includes(status)) {
+            return ValidationMiddleware.sendFieldError(res, 'status', `Invalid status. Must be one of: ${statuses.join(', ')}`);
+        }
+
+        if (subject !== undefined && !subjects.includes(subject)) {
+            return ValidationMiddleware.sendFieldError(res, 'subject', `Invalid subject. Must be one of: ${subjects.join(', ')}`);
+        }
+
         next();
     }
 }
@@ -0,0 +1,141 @@
+// GreenMind - Audit Log Model
+// Author: Fatemeh - Group 6
+// Description: MongoDB model for the append-only log of admin changes and exports
+
+const mongoose = require('mongoose');
+
+// Every audited action, as <target>.<verb>
+const AUDIT_ACTIONS = [
+    'contact.update',
+    'contact.reply',
+    'contact.release',
+    'contact.confirmSpam',
+    'contact.delete',
+    'contact.restore',
+    'contact.export',
+    'question.create',
+    'question.update',
+    'question.delete',
+    'quiz.export',
+    'newsletter.export',
+    'rateLimit.reset',
+    'privacy.export',
+    'privacy.erase',
+    'privacy.retention'
+];
+
+const AUDIT_TARGET_TYPES = ['contact', 'question', 'quizResult', 'subscriber', 'rateLimitClient', 'dataSubject'];
+
+/**
+ * Changed field schema (one entry per field that differs between before and after)
+ */
+const auditChangeSchema = new mongoose.Schema({
+    field: {
+        type: String,
+        required: true
+    },
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+/**
+ * Audit log schema
+ * Entries are written once and never updated or deleted (see the hooks below).
+ */
+const auditLogSchema = new mongoose.Schema({
+    // Snapshot of the admin, so the entry stays readable if the account changes; null for scheduled jobs
+    actor: {
+        id: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        },
+        name: String,
+        email: String,
+        role: String
+    },
+
+    action: {
+        type: String,
+        required: [true, 'Action is required'],
+        enum: {
+            values: AUDIT_ACTIONS,
+            message: 'Unknown audit action: {VALUE}'
+        }
+    },
+
+    targetType: {
+        type: String,
+        required: [true, 'Target type is required'],
+        enum: AUDIT_TARGET_TYPES
+    },
+
+    // Document ID, client IP or hashed email; null when an action covers many records (exports)
+    targetId: {
+        type: String,
+        default: null
+    },
+
+    changes: {
+        type: [auditChangeSchema],
+        default: []
+    },
+
+    // Action-specific context: export format and filters, counts, reply delivery...
+    details: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+
+    ip: {
+        type: String,
+        default: null
+    },
+
+    createdAt: {
+        type: Date,
+        default: Date.now,
+        immutable: true
+    }
+}, {
+    collection: 'audit_logs',
+    versionKey: false,
+    minimize: false
+});
+
+/**
+ * Append-only: refuse every update and delete
+ */
+function rejectChange(next) {
+    next(new Error('Audit log entries cannot be changed or deleted'));
+}
+
+auditLogSchema.pre([
+    'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete'
+], rejectChange);
+
+auditLogSchema.pre('save', function(next) {
+    if (!this.isNew) {
+        return rejectChange(next);
+    }
+    next();
+});
+
+/**
+ * Static properties
+ */
+auditLogSchema.statics.ACTIONS = AUDIT_ACTIONS;
+auditLogSchema.statics.TARGET_TYPES = AUDIT_TARGET_TYPES;
+
+/**
+ * Indexes for the filters of GET /api/audit (newest first)
+ */
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ 'actor.id': 1, createdAt: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
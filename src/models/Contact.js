@@ -3,75 +3,93 @@
 // Description: MongoDB model for contact form submissions
 
 const mongoose = require('mongoose');
+const { schemas, modelField } = require('../validation');
+
+/**
+ * Staff reply to a contact message
+ */
+const contactReplySchema = new mongoose.Schema({
+    author: {
+        id: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        name: {
+            type: String,
+            required: true,
+            trim: true
+        },
+        email: {
+            type: String,
+            trim: true,
+            lowercase: true
+        }
+    },
+    body: {
+        type: String,
+        trim: true,
+        ...modelField(schemas.contactReply, 'body')
+    },
+    // Whether the email went out immediately or is waiting in the mailer's retry queue
+    delivery: {
+        type: String,
+        enum: ['sent', 'queued'],
+        default: 'sent'
+    },
+    sentAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+/**
+ * One spam check that added to a message's score
+ */
+const spamReasonSchema = new mongoose.Schema({
+    check: {
+        type: String,
+        required: true
+    },
+    score: {
+        type: Number,
+        required: true
+    },
+    detail: {
+        type: String,
+        trim: true
+    }
+}, { _id: false });
 
 /**
  * Contact message schema
  */
 const contactSchema = new mongoose.Schema({
+    // Rules and messages are shared with the API and the contact form (src/validation/schemas.js)
     name: {
         type: String,
-        required: [true, 'Name is required'],
         trim: true,
-        minlength: [2, 'Name must be at least 2 characters long'],
-        maxlength: [100, 'Name cannot exceed 100 characters'],
-        validate: {
-            validator: function(name) {
-                // Check for realistic name format (at least first and last name)
-                const nameParts = name.trim().split(/\s+/);
-                return nameParts.length >= 2 && nameParts.every(part => part.length >= 2);
-            },
-            message: 'Please enter your full name (first and last name)'
-        }
+        ...modelField(schemas.contact, 'name')
     },
-    
+
     email: {
         type: String,
-        required: [true, 'Email is required'],
         trim: true,
         lowercase: true,
-        maxlength: [255, 'Email cannot exceed 255 characters'],
-        match: [
-            /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
-            'Please enter a valid email address'
-        ],
-        validate: {
-            validator: function(email) {
-                // Additional email domain validation
-                const domain = email.split('@')[1];
-                return domain && /\.[a-z]{2,}$/i.test(domain);
-            },
-            message: 'Please enter an email with a valid domain'
-        }
+        ...modelField(schemas.contact, 'email')
     },
-    
+
     subject: {
         type: String,
-        required: [true, 'Subject is required'],
         trim: true,
-        enum: {
-            values: ['general', 'recycling', 'energy', 'water', 'climate', 'feedback', 'collaboration', 'other'],
-            message: 'Please select a valid subject'
-        },
-        maxlength: [200, 'Subject cannot exceed 200 characters']
+        lowercase: true,
+        ...modelField(schemas.contact, 'subject')
     },
-    
+
     message: {
         type: String,
-        required: [true, 'Message is required'],
         trim: true,
-        minlength: [10, 'Message must be at least 10 characters long'],
-        maxlength: [1000, 'Message cannot exceed 1000 characters'],
-        validate: {
-            validator: function(message) {
-                // Basic spam detection
-                const spamPatterns = [/urgent/i, /congratulations/i, /click here/i, /free money/i];
-                const suspiciousCount = spamPatterns.reduce((count, pattern) => {
-                    return count + (pattern.test(message) ? 1 : 0);
-                }, 0);
-                return suspiciousCount < 2;
-            },
-            message: 'Please write a genuine message'
-        }
+        ...modelField(schemas.contact, 'message')
     },
     
     newsletter: {
@@ -81,16 +99,69 @@ const contactSchema = new mongoose.Schema({
     
     status: {
         type: String,
-        enum: ['new', 'read', 'replied', 'archived'],
+        enum: schemas.contactFilter.fields.status.enum,
         default: 'new'
     },
+
+    // Spam score from SpamService; messages at or above the threshold are quarantined with status 'spam'
+    spam: {
+        score: {
+            type: Number,
+            default: 0
+        },
+        reasons: {
+            type: [spamReasonSchema],
+            default: []
+        },
+        checkedAt: Date,
+        // Admin decision: 'released' (not spam) or 'confirmed' (spam, counts against the sender)
+        review: {
+            type: String,
+            enum: ['released', 'confirmed'],
+            default: null
+        },
+        reviewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        },
+        reviewedAt: Date
+    },
     
+    replies: {
+        type: [contactReplySchema],
+        default: []
+    },
 
+    // Labels added by staff from the inbox (bulk operations), lowercase
+    tags: {
+        type: [{ type: String, trim: true, lowercase: true, maxlength: 30 }],
+        default: []
+    },
     
     userAgent: {
         type: String,
         trim: true
     },
+
+    // Set when the sender's details and message were removed (retention policy or erasure request)
+    anonymizedAt: {
+        type: Date,
+        default: null
+    },
+
+    // Set when the message is moved to the trash; trashed messages are left out of the inbox, search and stats
+    // until restored, and purged for good after config.privacy.contactTrashDays
+    deletedAt: {
+        type: Date,
+        default: null
+    },
+
+    deletedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
     
     createdAt: {
         type: Date,
@@ -127,6 +198,88 @@ contactSchema.methods.markAsReplied = function() {
     return this.save();
 };
 
+/**
+ * Add a staff reply to the thread and mark the message as replied
+ * @param {Object} reply - Reply author, body and delivery status
+ * @returns {Promise} Save promise
+ */
+contactSchema.methods.addReply = function(reply) {
+    this.replies.push(reply);
+    this.status = 'replied';
+    return this.save();
+};
+
+/**
+ * Get the conversation as a chronological thread: the original message, then each reply
+ * @returns {Array} Thread entries
+ */
+contactSchema.methods.getThread = function() {
+    const original = {
+        type: 'message',
+        author: { name: this.name, email: this.email },
+        body: this.message,
+        sentAt: this.createdAt
+    };
+
+    const replies = this.replies.map(reply => ({
+        id: reply._id,
+        type: 'reply',
+        author: reply.author,
+        body: reply.body,
+        delivery: reply.delivery,
+        sentAt: reply.sentAt
+    }));
+
+    return [original, ...replies].sort((a, b) => new Date(a.sentAt) - new Date(b.sentAt));
+};
+
+/**
+ * Release a quarantined message into the inbox
+ * @param {Object} user - Admin who reviewed the message
+ * @returns {Promise} Save promise
+ */
+contactSchema.methods.releaseFromSpam = function(user) {
+    this.status = 'new';
+    this.spam.review = 'released';
+    this.spam.reviewedBy = user._id;
+    this.spam.reviewedAt = new Date();
+    return this.save();
+};
+
+/**
+ * Confirm a message as spam (also used to flag messages that got through)
+ * @param {Object} user - Admin who reviewed the message
+ * @returns {Promise} Save promise
+ */
+contactSchema.methods.confirmSpam = function(user) {
+    this.status = 'spam';
+    this.spam.review = 'confirmed';
+    this.spam.reviewedBy = user._id;
+    this.spam.reviewedAt = new Date();
+    return this.save();
+};
+
+/**
+ * Move the message to the trash
+ * @param {Object} user - Admin who deleted the message
+ * @returns {Promise} Save promise
+ */
+contactSchema.methods.moveToTrash = function(user) {
+    this.deletedAt = new Date();
+    this.deletedBy = user._id;
+    return this.save();
+};
+
+/**
+ * Restore a trashed message with the status it had before
+ * @returns {Promise} Save promise
+ */
+contactSchema.methods.restoreFromTrash = function() {
+    this.deletedAt = null;
+    this.deletedBy = null;
+    return this.save();
+};
+
 contactSchema.methods.archive = function() {
     this.status = 'archived';
     return this.save();
@@ -142,11 +295,51 @@ contactSchema.statics.findByStatus = function(status) {
 contactSchema.statics.findRecent = function(days = 7) {
     const dateLimit = new Date();
     dateLimit.setDate(dateLimit.getDate() - days);
-    return this.find({ createdAt: { $gte: dateLimit } }).sort({ createdAt: -1 });
+    return this.find({ createdAt: { $gte: dateLimit }, status: { $ne: 'spam' }, deletedAt: null }).sort({ createdAt: -1 });
+};
+
+/**
+ * Permanently delete messages that have been in the trash since before a date
+ * @param {Date} before - Trashed before this time
+ * @returns {Promise<Object>} Delete result
+ */
+contactSchema.statics.purgeTrash = function(before) {
+    return this.deleteMany({ deletedAt: { $ne: null, $lt: before } });
+};
+
+/**
+ * Remove the sender's personal data from matching messages, keeping subject, status and dates for statistics
+ * The placeholders still pass validation, so anonymized messages can be updated like any other.
+ * @param {Object} filter - Query filter
+ * @returns {Promise<Object>} Update result
+ */
+contactSchema.statics.anonymize = function(filter) {
+    return this.updateMany({ ...filter, anonymizedAt: null }, [
+        {
+            $set: {
+                name: 'Anonymized Sender',
+                email: { $concat: ['anonymized-', { $toString: '$_id' }, '@anonymized.invalid'] },
+                message: '[Removed to protect personal data]',
+                replies: {
+                    $map: {
+                        input: { $ifNull: ['$replies', []] },
+                        in: { $mergeObjects: ['$$this', { body: '[Removed to protect personal data]' }] }
+                    }
+                },
+                // Spam reasons can quote the message
+                spam: { reasons: [] },
+                // The placeholder address must never be signed up
+                newsletter: false,
+                anonymizedAt: '$$NOW'
+            }
+        },
+        { $unset: 'userAgent' }
+    ]);
 };
 
 contactSchema.statics.getStats = function() {
     return this.aggregate([
+        { $match: { deletedAt: null } },
         {
             $group: {
                 _id: '$status',
@@ -162,6 +355,15 @@ contactSchema.statics.getStats = function() {
 contactSchema.index({ createdAt: -1 });
 contactSchema.index({ status: 1 });
 contactSchema.index({ email: 1 });
+contactSchema.index({ status: 1, 'spam.score': -1 });
+contactSchema.index({ deletedAt: -1 });
+contactSchema.index({ tags: 1 });
+
+// Full-text search (ContactSearchService); a match in the sender's name or email ranks above one in the message
+contactSchema.index(
+    { name: 'text', email: 'text', message: 'text' },
+    { name: 'contact_search', weights: { name: 5, email: 5, message: 1 }, default_language: 'english' }
+);
 
 /**
  * Virtual for formatted creation date
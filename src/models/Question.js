@@ -0,0 +1,121 @@
+// GreenMind - Question Model
+// Author: Fatemeh - Group 6
+// Description: MongoDB model for the quiz question bank
+
+const mongoose = require('mongoose');
+
+/**
+ * Quiz question schema
+ */
+const questionSchema = new mongoose.Schema({
+    category: {
+        type: String,
+        required: [true, 'Category is required'],
+        trim: true,
+        maxlength: [50, 'Category cannot exceed 50 characters']
+    },
+
+    prompt: {
+        type: String,
+        required: [true, 'Question prompt is required'],
+        trim: true,
+        minlength: [10, 'Question prompt must be at least 10 characters long'],
+        maxlength: [500, 'Question prompt cannot exceed 500 characters']
+    },
+
+    options: {
+        type: [{
+            type: String,
+            trim: true,
+            maxlength: [200, 'Options cannot exceed 200 characters']
+        }],
+        validate: [
+            {
+                validator: function(options) {
+                    return options.length >= 2 && options.length <= 6;
+                },
+                message: 'A question must have between 2 and 6 options'
+            },
+            {
+                validator: function(options) {
+                    return options.every(option => option && option.length > 0);
+                },
+                message: 'Options cannot be empty'
+            },
+            {
+                validator: function(options) {
+                    const normalized = options.map(option => option.toLowerCase());
+                    return new Set(normalized).size === normalized.length;
+                },
+                message: 'Options must be unique'
+            }
+        ]
+    },
+
+    correctIndex: {
+        type: Number,
+        required: [true, 'Correct option index is required'],
+        min: [0, 'Correct option index cannot be negative'],
+        validate: {
+            validator: function(correctIndex) {
+                return Number.isInteger(correctIndex) && correctIndex < this.options.length;
+            },
+            message: 'Correct option index must point to one of the options'
+        }
+    },
+
+    explanation: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Explanation cannot exceed 1000 characters']
+    },
+
+    difficulty: {
+        type: String,
+        enum: {
+            values: ['easy', 'medium', 'hard'],
+            message: 'Difficulty must be easy, medium or hard'
+        },
+        default: 'medium'
+    },
+
+    active: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true,
+    collection: 'questions'
+});
+
+/**
+ * Static methods
+ */
+questionSchema.statics.findActive = function(filter = {}) {
+    return this.find({ ...filter, active: true }).sort({ createdAt: 1 });
+};
+
+questionSchema.statics.getCategorySummary = function() {
+    return this.aggregate([
+        { $match: { active: true } },
+        {
+            $group: {
+                _id: '$category',
+                count: { $sum: 1 }
+            }
+        },
+        { $sort: { _id: 1 } }
+    ]);
+};
+
+/**
+ * Indexes for better query performance
+ */
+questionSchema.index({ active: 1, category: 1, difficulty: 1 });
+
+// Ensure virtual fields (id) are serialized
+questionSchema.set('toJSON', { virtuals: true });
+
+const Question = mongoose.model('Question', questionSchema);
+
+module.exports = Question;
@@ -3,6 +3,7 @@
 // Description: MongoDB model for quiz results and statistics
 
 const mongoose = require('mongoose');
+const { schemas, modelField } = require('../validation');
 
 /**
  * Quiz result schema
@@ -88,7 +89,22 @@ const quizResultSchema = new mongoose.Schema({
         maxlength: [500, 'User agent cannot exceed 500 characters']
     },
     
+    // Stable per-browser identifier, kept across attempts
     sessionId: {
+        type: String,
+        trim: true,
+        ...modelField(schemas.quizSubmission, 'sessionId')
+    },
+
+    // Learner account this result belongs to (null for anonymous attempts)
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+
+    // Signed attempt this result was graded from (one result per attempt)
+    attemptId: {
         type: String,
         trim: true
     }
@@ -114,11 +130,7 @@ quizResultSchema.pre('save', function(next) {
  * Instance methods
  */
 quizResultSchema.methods.getPerformanceLevel = function() {
-    if (this.score >= 90) return 'excellent';
-    if (this.score >= 80) return 'good';
-    if (this.score >= 70) return 'fair';
-    if (this.score >= 60) return 'needs_improvement';
-    return 'poor';
+    return this.constructor.performanceLevelFor(this.score);
 };
 
 quizResultSchema.methods.getPerformanceMessage = function() {
@@ -152,6 +164,31 @@ quizResultSchema.methods.getCategoryPerformance = function() {
 /**
  * Static methods
  */
+quizResultSchema.statics.performanceLevelFor = function(score) {
+    if (score >= 90) return 'excellent';
+    if (score >= 80) return 'good';
+    if (score >= 70) return 'fair';
+    if (score >= 60) return 'needs_improvement';
+    return 'poor';
+};
+
+/**
+ * Get the category names used by the matching results, sorted
+ * @param {Object} filter - Query filter
+ * @returns {Promise<string[]>} Category names
+ */
+quizResultSchema.statics.getCategoryNames = async function(filter = {}) {
+    const categories = await this.aggregate([
+        { $match: filter },
+        { $project: { names: { $map: { input: { $objectToArray: { $ifNull: ['$categories', {}] } }, in: '$$this.k' } } } },
+        { $unwind: '$names' },
+        { $group: { _id: '$names' } },
+        { $sort: { _id: 1 } }
+    ]);
+
+    return categories.map(category => category._id);
+};
+
 quizResultSchema.statics.getOverallStats = function() {
     return this.aggregate([
         {
@@ -224,6 +261,8 @@ quizResultSchema.statics.getCategoryStats = function() {
 quizResultSchema.index({ completedAt: -1 });
 quizResultSchema.index({ score: -1 });
 quizResultSchema.index({ sessionId: 1 });
+quizResultSchema.index({ userId: 1, completedAt: -1 });
+quizResultSchema.index({ attemptId: 1 }, { unique: true, sparse: true });
 
 
 /**
@@ -0,0 +1,78 @@
+// GreenMind - Rate Limit Model
+// Author: Fatemeh - Group 6
+// Description: MongoDB model for rate-limit counters shared by every app instance
+
+const mongoose = require('mongoose');
+
+/**
+ * Rate-limit counter schema
+ * One document per policy and client; MongoDB's TTL monitor removes it once the window is over.
+ */
+const rateLimitSchema = new mongoose.Schema({
+    // Policy name from config.security.rateLimit.policies
+    policy: {
+        type: String,
+        required: true
+    },
+
+    // Client key (the client IP)
+    key: {
+        type: String,
+        required: true
+    },
+
+    hits: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+
+    // End of the current window
+    resetAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    collection: 'rate_limits',
+    versionKey: false
+});
+
+/**
+ * Count a hit, starting a new window when the current one is over
+ * A single pipeline update, so concurrent requests on any instance are all counted.
+ * @param {string} policy - Policy name
+ * @param {string} key - Client key
+ * @param {number} windowMs - Window length in milliseconds
+ * @returns {Promise<Object>} Counter after the hit
+ */
+rateLimitSchema.statics.hit = async function(policy, key, windowMs) {
+    const now = new Date();
+    const active = { $gt: ['$resetAt', now] };
+    const update = [{
+        $set: {
+            hits: { $cond: [active, { $add: ['$hits', 1] }, 1] },
+            resetAt: { $cond: [active, '$resetAt', new Date(now.getTime() + windowMs)] }
+        }
+    }];
+
+    try {
+        return await this.findOneAndUpdate({ policy, key }, update, { upsert: true, new: true, lean: true });
+    } catch (error) {
+        // Another instance created the counter first; count the hit against it
+        if (error.code === 11000) {
+            return this.findOneAndUpdate({ policy, key }, update, { new: true, lean: true });
+        }
+        throw error;
+    }
+};
+
+/**
+ * Indexes
+ */
+rateLimitSchema.index({ policy: 1, key: 1 }, { unique: true });
+rateLimitSchema.index({ key: 1 });
+rateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 }); // Expire counters when their window ends
+
+const RateLimit = mongoose.model('RateLimit', rateLimitSchema);
+
+module.exports = RateLimit;
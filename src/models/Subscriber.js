@@ -0,0 +1,108 @@
+// GreenMind - Subscriber Model
+// Author: Fatemeh - Group 6
+// Description: MongoDB model for newsletter subscribers (double opt-in)
+
+const mongoose = require('mongoose');
+
+/**
+ * Newsletter subscriber schema
+ */
+const subscriberSchema = new mongoose.Schema({
+    email: {
+        type: String,
+        required: [true, 'Email is required'],
+        unique: true,
+        trim: true,
+        lowercase: true,
+        maxlength: [255, 'Email cannot exceed 255 characters'],
+        match: [
+            /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+            'Please enter a valid email address'
+        ]
+    },
+
+    name: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Name cannot exceed 100 characters'],
+        default: null
+    },
+
+    // pending until the confirmation link is followed
+    status: {
+        type: String,
+        enum: ['pending', 'confirmed', 'unsubscribed'],
+        default: 'pending'
+    },
+
+    // Where the subscription came from
+    source: {
+        type: String,
+        enum: ['form', 'contact', 'migration'],
+        default: 'form'
+    },
+
+    confirmationSentAt: {
+        type: Date,
+        default: null
+    },
+
+    confirmedAt: {
+        type: Date,
+        default: null
+    },
+
+    unsubscribedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true,
+    collection: 'subscribers'
+});
+
+/**
+ * Instance methods
+ */
+subscriberSchema.methods.confirm = function() {
+    this.status = 'confirmed';
+    this.confirmedAt = new Date();
+    this.unsubscribedAt = null;
+    return this.save();
+};
+
+subscriberSchema.methods.unsubscribe = function() {
+    this.status = 'unsubscribed';
+    this.unsubscribedAt = new Date();
+    return this.save();
+};
+
+/**
+ * Static methods
+ */
+subscriberSchema.statics.findConfirmed = function() {
+    return this.find({ status: 'confirmed' }).sort({ confirmedAt: 1 });
+};
+
+subscriberSchema.statics.getStats = function() {
+    return this.aggregate([
+        {
+            $group: {
+                _id: '$status',
+                count: { $sum: 1 }
+            }
+        }
+    ]);
+};
+
+/**
+ * Indexes for better query performance
+ */
+subscriberSchema.index({ status: 1, confirmedAt: 1 });
+
+// Ensure virtual fields are serialized
+subscriberSchema.set('toJSON', { virtuals: true });
+
+const Subscriber = mongoose.model('Subscriber', subscriberSchema);
+
+module.exports = Subscriber;
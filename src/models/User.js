@@ -0,0 +1,166 @@
+// GreenMind - User Model
+// Author: Fatemeh - Group 6
+// Description: MongoDB model for authenticated users (administrators and learners)
+
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+/**
+ * Quiz attempt imported from a browser's local history
+ * Scores were calculated client-side, so these are kept out of public statistics.
+ */
+const importedQuizAttemptSchema = new mongoose.Schema({
+    score: {
+        type: Number,
+        required: true,
+        min: 0,
+        max: 100
+    },
+    correctAnswers: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    totalQuestions: {
+        type: Number,
+        required: true,
+        min: 1,
+        max: 50
+    },
+    timeTaken: {
+        type: Number,
+        min: 0
+    },
+    categories: {
+        type: Map,
+        of: {
+            correct: { type: Number, min: 0, default: 0 },
+            total: { type: Number, min: 1, default: 1 }
+        },
+        default: new Map()
+    },
+    completedAt: {
+        type: Date,
+        required: true
+    }
+}, { _id: false });
+
+/**
+ * User schema
+ */
+const userSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Name is required'],
+        trim: true,
+        minlength: [2, 'Name must be at least 2 characters long'],
+        maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+
+    email: {
+        type: String,
+        required: [true, 'Email is required'],
+        unique: true,
+        trim: true,
+        lowercase: true,
+        maxlength: [255, 'Email cannot exceed 255 characters'],
+        match: [
+            /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+            'Please enter a valid email address'
+        ]
+    },
+
+    password: {
+        type: String,
+        required: [true, 'Password is required'],
+        minlength: [8, 'Password must be at least 8 characters long'],
+        select: false
+    },
+
+    role: {
+        type: String,
+        enum: {
+            values: ['admin', 'learner'],
+            message: 'Invalid role'
+        },
+        default: 'learner'
+    },
+
+    active: {
+        type: Boolean,
+        default: true
+    },
+
+    // Incremented on logout/password change to invalidate issued tokens
+    tokenVersion: {
+        type: Number,
+        default: 0
+    },
+
+    lastLoginAt: {
+        type: Date
+    },
+
+    // Set once a browser's local quiz history has been imported
+    quizHistoryImportedAt: {
+        type: Date,
+        default: null
+    },
+
+    importedQuizAttempts: {
+        type: [importedQuizAttemptSchema],
+        select: false
+    }
+}, {
+    timestamps: true,
+    collection: 'users'
+});
+
+/**
+ * Pre-save middleware - hash password when modified
+ */
+userSchema.pre('save', async function(next) {
+    if (!this.isModified('password')) return next();
+
+    try {
+        this.password = await bcrypt.hash(this.password, 12);
+        if (!this.isNew) {
+            this.tokenVersion += 1;
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Instance methods
+ */
+userSchema.methods.comparePassword = function(candidatePassword) {
+    return bcrypt.compare(candidatePassword, this.password);
+};
+
+userSchema.methods.hasRole = function(...roles) {
+    return roles.includes(this.role);
+};
+
+/**
+ * Static methods
+ */
+userSchema.statics.findByEmailWithPassword = function(email) {
+    return this.findOne({ email: String(email).trim().toLowerCase() }).select('+password');
+};
+
+// Never serialize password hashes or token versions
+userSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        delete ret.password;
+        delete ret.tokenVersion;
+        delete ret.__v;
+        return ret;
+    }
+});
+
+const User = mongoose.model('User', userSchema);
+
+module.exports = User;
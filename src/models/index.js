@@ -4,8 +4,18 @@
 
 const Contact = require('./Contact');
 const QuizResult = require('./QuizResult');
+const User = require('./User');
+const Question = require('./Question');
+const Subscriber = require('./Subscriber');
+const RateLimit = require('./RateLimit');
+const AuditLog = require('./AuditLog');
 
 module.exports = {
     Contact,
-    QuizResult
+    QuizResult,
+    User,
+    Question,
+    Subscriber,
+    RateLimit,
+    AuditLog
 };
\ No newline at end of file
@@ -0,0 +1,285 @@
+// GreenMind - OpenAPI Generator
+// Author: Fatemeh - Group 6
+// Description: Builds the OpenAPI 3 document from the mounted routers and their JSDoc
+
+const fs = require('fs');
+const path = require('path');
+const { AuthMiddleware } = require('../middleware');
+const { config } = require('../config/environment');
+const { schemas, responses, ref } = require('./schemas');
+const operations = require('./operations');
+
+const ROUTES_DIR = path.join(__dirname, '../routes');
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+const STATUS_DESCRIPTIONS = {
+    200: 'OK',
+    201: 'Created',
+    202: 'Accepted',
+    204: 'No content',
+    503: 'Service unavailable'
+};
+
+/**
+ * OpenAPI class
+ * Paths, methods, authentication and roles are read from the Express routers, and the
+ * summaries from the JSDoc above each route, so the document follows the code.
+ * Request and response schemas come from operations.js. Route JSDoc and operations.js
+ * use unversioned paths (/api/contact), since a router can be mounted in several versions.
+ */
+class OpenApi {
+    static documents = {};
+
+    /**
+     * Parse the @route, @desc and @access tags of every route file
+     * @returns {Object} Docs keyed by "METHOD /api/path"
+     */
+    static readRouteDocs() {
+        const docs = {};
+
+        fs.readdirSync(ROUTES_DIR)
+            .filter(file => file.endsWith('.js'))
+            .forEach(file => {
+                const source = fs.readFileSync(path.join(ROUTES_DIR, file), 'utf8');
+                const blocks = source.match(/\/\*\*[\s\S]*?\*\//g) || [];
+
+                blocks.forEach(block => {
+                    const route = block.match(/@route\s+(\w+)\s+(\S+)/);
+                    if (!route) return;
+
+                    const desc = block.match(/@desc\s+(.+)/);
+                    const access = block.match(/@access\s+(.+)/);
+
+                    docs[`${route[1].toUpperCase()} ${route[2]}`] = {
+                        summary: desc ? desc[1].trim() : '',
+                        access: access ? access[1].trim() : 'Public'
+                    };
+                });
+            });
+
+        return docs;
+    }
+
+    /**
+     * List every route of an API version with the middleware that runs before it
+     * Router-level middleware (router.use) applies to the routes declared after it.
+     * @param {string} version - API version
+     * @returns {Object[]} Routes as { method, path (unversioned), versionedPath, tag, handlers }
+     */
+    static collectRoutes(version = config.api.version) {
+        const { API_VERSIONS } = require('../routes');
+        const routes = [];
+
+        API_VERSIONS[version].forEach(({ path: mountPath, router, tag }) => {
+            const routerHandlers = [];
+
+            router.stack.forEach(layer => {
+                if (!layer.route) {
+                    routerHandlers.push(layer.handle);
+                    return;
+                }
+
+                const routePath = [config.api.prefix, mountPath, layer.route.path]
+                    .join('/')
+                    .replace(/\/+/g, '/')
+                    .replace(/(.)\/$/, '$1');
+
+                METHODS.filter(method => layer.route.methods[method]).forEach(method => {
+                    routes.push({
+                        method: method.toUpperCase(),
+                        path: routePath,
+                        versionedPath: `${config.api.prefix}/${version}${routePath.slice(config.api.prefix.length)}`,
+                        tag,
+                        handlers: [...routerHandlers, ...layer.route.stack.map(routeLayer => routeLayer.handle)]
+                    });
+                });
+            });
+        });
+
+        return routes;
+    }
+
+    /**
+     * Work out how a route is protected from its middleware
+     * @param {Function[]} handlers - Middleware and handler functions of the route
+     * @returns {Object} { authentication: none|optional|required, roles }
+     */
+    static detectSecurity(handlers) {
+        let authentication = 'none';
+        const roles = [];
+
+        handlers.forEach(handler => {
+            if (handler === AuthMiddleware.authenticate || handler === AuthMiddleware.metricsAccess) {
+                authentication = 'required';
+            } else if (handler === AuthMiddleware.optionalAuthenticate && authentication === 'none') {
+                authentication = 'optional';
+            }
+
+            if (Array.isArray(handler.roles)) {
+                roles.push(...handler.roles);
+            }
+        });
+
+        return { authentication, roles };
+    }
+
+    /**
+     * Build an operation ID such as getContactByIdReplies
+     * @param {string} method - HTTP method
+     * @param {string} routePath - Express path
+     * @returns {string} Operation ID
+     */
+    static operationId(method, routePath) {
+        const words = routePath
+            .slice(config.api.prefix.length)
+            .split('/')
+            .filter(Boolean)
+            .map(segment => segment.startsWith(':') ? `by-${segment.slice(1)}` : segment)
+            .join('-')
+            .split(/[-_]/)
+            .map(word => word.charAt(0).toUpperCase() + word.slice(1));
+
+        return method.toLowerCase() + words.join('');
+    }
+
+    /**
+     * Convert the operations.js response shorthand to OpenAPI response objects
+     * @param {Object} definitions - Schemas keyed by status code
+     * @returns {Object} OpenAPI responses
+     */
+    static buildResponses(definitions = { 200: { type: 'object' } }) {
+        const built = {};
+
+        Object.entries(definitions).forEach(([status, definition]) => {
+            const response = { description: STATUS_DESCRIPTIONS[status] || 'Success' };
+
+            if (definition && definition.mediaType) {
+                response.content = { [definition.mediaType]: { schema: definition.schema } };
+            } else if (definition && definition.content) {
+                response.content = Object.fromEntries(Object.entries(definition.content)
+                    .map(([mediaType, schema]) => [mediaType, { schema }]));
+            } else if (definition) {
+                response.content = { 'application/json': { schema: definition } };
+            }
+
+            built[status] = response;
+        });
+
+        return built;
+    }
+
+    /**
+     * Build the OpenAPI operation for one route
+     * @param {Object} route - Route from collectRoutes
+     * @param {Object} doc - Parsed JSDoc of the route
+     * @returns {Object} OpenAPI operation
+     */
+    static buildOperation(route, doc) {
+        const details = operations[`${route.method} ${route.path}`] || {};
+        const { authentication, roles } = OpenApi.detectSecurity(route.handlers);
+        const pathParams = (route.path.match(/:\w+/g) || []).map(param => param.slice(1));
+
+        const operation = {
+            tags: [route.tag],
+            summary: doc.summary,
+            operationId: OpenApi.operationId(route.method, route.path),
+            'x-access': doc.access
+        };
+
+        const parameters = [
+            ...pathParams.map(name => ({
+                name,
+                in: 'path',
+                required: true,
+                schema: name === 'id' ? ref('ObjectId') : { type: 'string' }
+            })),
+            ...(details.parameters || [])
+        ];
+        if (parameters.length > 0) operation.parameters = parameters;
+
+        if (details.requestBody) {
+            const content = { 'application/json': { schema: details.requestBody } };
+            if (details.formEncoded) {
+                content['application/x-www-form-urlencoded'] = { schema: details.requestBody };
+            }
+            operation.requestBody = { required: !details.bodyOptional, content };
+        }
+
+        if (authentication !== 'none') {
+            operation.security = [{ bearerAuth: [] }, { cookieAuth: [] }];
+            // An empty requirement makes authentication optional
+            if (authentication === 'optional') operation.security.push({});
+        }
+
+        if (roles.length > 0) {
+            operation['x-roles'] = roles;
+            operation.description = `Requires the ${roles.join(' or ')} role.`;
+        }
+
+        operation.responses = OpenApi.buildResponses(details.responses);
+
+        const errorRef = name => ({ $ref: `#/components/responses/${name}` });
+        if (parameters.length > 0 || details.requestBody) operation.responses[400] = errorRef('BadRequest');
+        if (authentication === 'required') operation.responses[401] = errorRef('Unauthorized');
+        if (roles.length > 0) operation.responses[403] = errorRef('Forbidden');
+        if (pathParams.length > 0) operation.responses[404] = errorRef('NotFound');
+        operation.responses[429] = errorRef('TooManyRequests');
+        operation.responses.default = errorRef('Error');
+
+        return operation;
+    }
+
+    /**
+     * Generate the OpenAPI document for an API version
+     * @param {string} version - API version
+     * @returns {Object} OpenAPI 3 document
+     */
+    static generate(version = config.api.version) {
+        const docs = OpenApi.readRouteDocs();
+        const paths = {};
+        const tags = [];
+
+        OpenApi.collectRoutes(version).forEach(route => {
+            const doc = docs[`${route.method} ${route.path}`] || { summary: '', access: 'Public' };
+            const openApiPath = route.versionedPath.replace(/:(\w+)/g, '{$1}');
+
+            paths[openApiPath] = paths[openApiPath] || {};
+            paths[openApiPath][route.method.toLowerCase()] = OpenApi.buildOperation(route, doc);
+
+            if (!tags.includes(route.tag)) tags.push(route.tag);
+        });
+
+        return {
+            openapi: '3.0.3',
+            info: {
+                title: `${config.app.name} API (${version})`,
+                version: config.app.version,
+                description: config.app.description
+            },
+            tags: tags.map(name => ({ name })),
+            paths,
+            components: {
+                schemas,
+                responses,
+                securitySchemes: {
+                    bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+                    cookieAuth: { type: 'apiKey', in: 'cookie', name: config.auth.cookieName }
+                }
+            }
+        };
+    }
+
+    /**
+     * Get the OpenAPI document of an API version, generating it on first use
+     * @param {string} version - API version
+     * @returns {Object} OpenAPI 3 document
+     */
+    static getDocument(version = config.api.version) {
+        if (!OpenApi.documents[version]) {
+            OpenApi.documents[version] = OpenApi.generate(version);
+        }
+        return OpenApi.documents[version];
+    }
+}
+
+module.exports = OpenApi;
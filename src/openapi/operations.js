@@ -0,0 +1,352 @@
+// GreenMind - OpenAPI Operations
+// Author: Fatemeh - Group 6
+// Description: Query parameters, request bodies and success responses for each route
+// Paths, summaries and security come from the route definitions; this file only adds
+// what cannot be read from them. Routes not listed here get a generic success response.
+// Response values are a JSON schema, null for no content, { mediaType, schema }, or
+// { content: { mediaType: schema } } for several media types.
+
+const { success, object, ref } = require('./schemas');
+const { schemas: validationSchemas } = require('../validation');
+const { AuditLog } = require('../models');
+
+/**
+ * Query parameter definition
+ * @param {string} name - Parameter name
+ * @param {Object} schema - Parameter schema
+ * @param {string} description - What it does
+ * @param {boolean} required - Whether it must be sent
+ * @returns {Object} OpenAPI parameter
+ */
+function query(name, schema, description, required = false) {
+    return { name, in: 'query', required, description, schema };
+}
+
+const page = query('page', { type: 'integer', minimum: 1, default: 1 }, 'Page number');
+const limit = (max = 100, defaultValue = 10) => query('limit', { type: 'integer', minimum: 1, maximum: max, default: defaultValue }, 'Items per page');
+const dateRange = [
+    query('startDate', { type: 'string', format: 'date' }, 'Only include items on or after this date'),
+    query('endDate', { type: 'string', format: 'date' }, 'Only include items on or before this date')
+];
+const exportFormat = query('format', { type: 'string', enum: ['json', 'csv'], default: 'json' }, 'Response format');
+
+const paginated = (key, item) => success(object({
+    [key]: { type: 'array', items: item },
+    pagination: ref('Pagination')
+}, [key, 'pagination']));
+
+const contactData = success(object({ contact: ref('Contact') }, ['contact']));
+const questionData = success(object({ question: ref('Question') }, ['question']));
+const newsletterToken = query('token', { type: 'string' }, 'Signed token (instead of the body, for links and one-click unsubscribe)');
+
+const operations = {
+    'GET /api/health': {
+        responses: {
+            200: object({ status: { type: 'string' }, state: { type: 'string' }, checks: { type: 'object' }, database: { type: 'object' } }, ['status', 'database']),
+            503: object({ status: { type: 'string', enum: ['error'] }, state: { type: 'string' }, checks: { type: 'object' } }, ['status', 'state'])
+        }
+    },
+    'GET /api/health/live': {
+        responses: {
+            200: object({
+                status: { type: 'string', enum: ['success'] },
+                state: { type: 'string', enum: ['alive', 'draining'] },
+                uptime: { type: 'number' }
+            }, ['status', 'state'])
+        }
+    },
+    'GET /api/health/ready': {
+        responses: {
+            200: ref('Readiness'),
+            503: ref('Readiness')
+        }
+    },
+    'GET /api/metrics': {
+        responses: { 200: { mediaType: 'text/plain', schema: { type: 'string' } } }
+    },
+    'GET /api/openapi.json': {
+        responses: { 200: { type: 'object', required: ['openapi', 'paths'] } }
+    },
+    'GET /api/schemas': {
+        responses: { 200: success({ type: 'object', additionalProperties: ref('ValidationSchema') }) }
+    },
+    'GET /api/schemas/:name': {
+        responses: { 200: success(ref('ValidationSchema')) }
+    },
+
+    'POST /api/auth/register': {
+        requestBody: ref('RegistrationRequest'),
+        responses: { 201: success(ref('AuthSession')) }
+    },
+    'POST /api/auth/login': {
+        requestBody: ref('LoginRequest'),
+        responses: { 200: success(ref('AuthSession')) }
+    },
+    'POST /api/auth/logout': {
+        responses: { 200: success() }
+    },
+    'GET /api/auth/me': {
+        responses: { 200: success(object({ user: ref('User') }, ['user'])) }
+    },
+
+    'POST /api/contact': {
+        requestBody: ref('ContactRequest'),
+        responses: {
+            201: success(object({
+                id: ref('ObjectId'),
+                createdAt: { type: 'string', format: 'date-time' }
+            }, ['id']))
+        }
+    },
+    'GET /api/contact': {
+        parameters: [
+            page,
+            limit(),
+            query('status', { type: 'string', enum: validationSchemas.contactFilter.fields.status.enum }, 'Filter by status (spam is excluded unless asked for)'),
+            query('subject', { type: 'string' }, 'Filter by subject'),
+            query('sortBy', { type: 'string', default: 'createdAt' }, 'Sort field'),
+            query('sortOrder', { type: 'string', enum: ['asc', 'desc'], default: 'desc' }, 'Sort direction')
+        ],
+        responses: { 200: paginated('contacts', ref('Contact')) }
+    },
+    'GET /api/contact/spam': {
+        parameters: [page, limit()],
+        responses: { 200: paginated('contacts', ref('Contact')) }
+    },
+    'GET /api/contact/trash': {
+        parameters: [page, limit()],
+        responses: {
+            200: success(object({
+                contacts: { type: 'array', items: ref('Contact') },
+                graceDays: { type: 'integer', description: 'Days a message stays in the trash before it is deleted for good (0: never)' },
+                pagination: ref('Pagination')
+            }, ['contacts', 'graceDays', 'pagination']))
+        }
+    },
+    'GET /api/contact/search': {
+        parameters: [
+            query('q', { type: 'string', minLength: 2, maxLength: 100 }, 'Search words (an email address is matched as a whole)', true),
+            query('field', { type: 'string', enum: ['all', 'name', 'email', 'message'], default: 'all' }, 'Field to search'),
+            query('status', { type: 'string', enum: validationSchemas.contactFilter.fields.status.enum }, 'Filter by status (spam is excluded unless asked for)'),
+            query('subject', { type: 'string', enum: validationSchemas.contact.fields.subject.enum }, 'Filter by subject'),
+            ...dateRange,
+            page,
+            limit(100, 20)
+        ],
+        responses: {
+            200: success(object({
+                query: { type: 'string' },
+                field: { type: 'string' },
+                results: { type: 'array', items: ref('ContactSearchResult') },
+                count: { type: 'integer', description: 'Results on this page' },
+                pagination: ref('Pagination')
+            }, ['results', 'count', 'pagination']))
+        }
+    },
+    'GET /api/contact/:id': {
+        responses: { 200: success(object({ contact: ref('Contact'), thread: ref('ContactThread') }, ['contact', 'thread'])) }
+    },
+    'POST /api/contact/:id/replies': {
+        requestBody: ref('ContactReplyRequest'),
+        responses: {
+            201: success(object({
+                reply: ref('ContactReply'),
+                contact: ref('Contact'),
+                thread: ref('ContactThread')
+            }, ['reply', 'contact', 'thread']))
+        }
+    },
+    'POST /api/contact/:id/release': { responses: { 200: contactData } },
+    'POST /api/contact/:id/confirm-spam': { responses: { 200: contactData } },
+    'PUT /api/contact/:id': {
+        requestBody: ref('ContactStatusRequest'),
+        responses: { 200: contactData }
+    },
+    'POST /api/contact/bulk': {
+        requestBody: ref('ContactBulkRequest'),
+        responses: { 200: success(ref('ContactBulkReport')) }
+    },
+    'POST /api/contact/:id/restore': { responses: { 200: contactData } },
+    'DELETE /api/contact/:id': { responses: { 204: null } },
+
+    'GET /api/contact/export': {
+        parameters: [
+            exportFormat,
+            query('status', { type: 'string', enum: validationSchemas.contactFilter.fields.status.enum }, 'Filter by status (spam is excluded unless asked for)'),
+            query('subject', { type: 'string', enum: validationSchemas.contact.fields.subject.enum }, 'Filter by subject'),
+            query('newsletter', { type: 'string', enum: ['true', 'false'] }, 'Filter by newsletter opt-in'),
+            ...dateRange,
+            query('includeMessage', { type: 'string', enum: ['true', 'false'], default: 'true' }, 'Include message bodies (false for a privacy-safe export)')
+        ],
+        responses: {
+            200: {
+                content: {
+                    'application/json': success(object({
+                        contacts: { type: 'array', items: ref('ContactExportRecord') },
+                        count: { type: 'integer' },
+                        exportedAt: { type: 'string', format: 'date-time' },
+                        filters: { type: 'object' },
+                        includeMessage: { type: 'boolean' }
+                    }, ['contacts', 'count'])),
+                    'text/csv': { type: 'string' }
+                }
+            }
+        }
+    },
+
+    'POST /api/quiz/start': {
+        responses: { 201: success(ref('QuizAttempt')) }
+    },
+    'GET /api/quiz/generate': {
+        parameters: [
+            query('categories', { type: 'string' }, 'Comma-separated category names or prefixes (at most 10)'),
+            query('difficulty', { type: 'string', enum: ['easy', 'medium', 'hard', 'mixed'], default: 'mixed' }, 'Question difficulty'),
+            query('count', { type: 'integer', minimum: 1, maximum: 50 }, 'Number of questions')
+        ],
+        responses: { 200: success(ref('QuizAttempt')) }
+    },
+    'POST /api/quiz/submit': {
+        requestBody: ref('QuizSubmissionRequest'),
+        responses: { 201: success(ref('QuizResult')) }
+    },
+    'GET /api/quiz/recent': {
+        parameters: [
+            query('days', { type: 'integer', minimum: 1, default: 30 }, 'How many days back to look'),
+            limit()
+        ]
+    },
+    'GET /api/quiz/leaderboard': {
+        parameters: [
+            query('period', { type: 'string', enum: ['all', 'week', 'month', 'year'], default: 'all' }, 'Time period'),
+            limit()
+        ]
+    },
+    'GET /api/quiz/analytics': {
+        parameters: [
+            query('period', { type: 'string', enum: ['week', 'month', 'quarter', 'year'], default: 'month' }, 'Time period')
+        ]
+    },
+    'GET /api/quiz/export': {
+        parameters: [
+            query('format', { type: 'string', enum: ['json', 'ndjson', 'csv'], default: 'json' }, 'Response format (NDJSON: one result per line; CSV: one column pair per category)'),
+            ...dateRange,
+            query('difficulty', { type: 'string', enum: ['easy', 'medium', 'hard', 'mixed'] }, 'Filter by difficulty'),
+            query('minScore', { type: 'integer', minimum: 0, maximum: 100 }, 'Only include scores of at least this'),
+            query('maxScore', { type: 'integer', minimum: 0, maximum: 100 }, 'Only include scores of at most this')
+        ],
+        responses: {
+            200: {
+                content: {
+                    'application/json': success(object({
+                        results: { type: 'array', items: ref('QuizExportRecord') },
+                        count: { type: 'integer' },
+                        exportedAt: { type: 'string', format: 'date-time' },
+                        filters: { type: 'object' }
+                    }, ['results', 'count'])),
+                    'application/x-ndjson': { type: 'string', description: 'One QuizExportRecord per line' },
+                    'text/csv': { type: 'string' }
+                }
+            }
+        }
+    },
+
+    'GET /api/questions': {
+        parameters: [
+            page,
+            limit(100, 20),
+            query('category', { type: 'string' }, 'Filter by category'),
+            query('difficulty', { type: 'string', enum: ['easy', 'medium', 'hard'] }, 'Filter by difficulty'),
+            query('active', { type: 'string', enum: ['true', 'false'] }, 'Filter by active flag')
+        ],
+        responses: { 200: paginated('questions', ref('Question')) }
+    },
+    'POST /api/questions': {
+        requestBody: { allOf: [ref('QuestionRequest')], required: ['category', 'prompt', 'options', 'correctIndex'] },
+        responses: { 201: questionData }
+    },
+    'GET /api/questions/:id': { responses: { 200: questionData } },
+    'PUT /api/questions/:id': {
+        requestBody: ref('QuestionRequest'),
+        responses: { 200: questionData }
+    },
+    'DELETE /api/questions/:id': { responses: { 204: null } },
+
+    'GET /api/me/quiz-history': {
+        parameters: [limit(100, 20)]
+    },
+    'POST /api/me/quiz-history/import': {
+        requestBody: ref('QuizHistoryImportRequest'),
+        responses: { 201: success({ type: 'object' }) }
+    },
+
+    'POST /api/newsletter/subscribe': {
+        requestBody: ref('NewsletterSubscriptionRequest'),
+        responses: { 202: success() }
+    },
+    'POST /api/newsletter/confirm': {
+        parameters: [newsletterToken],
+        requestBody: ref('NewsletterTokenRequest'),
+        bodyOptional: true,
+        responses: { 200: success(ref('NewsletterStatus')) }
+    },
+    'POST /api/newsletter/unsubscribe': {
+        parameters: [newsletterToken],
+        requestBody: ref('NewsletterTokenRequest'),
+        bodyOptional: true,
+        formEncoded: true,
+        responses: { 200: success(ref('NewsletterStatus')) }
+    },
+    'GET /api/newsletter/subscribers/export': {
+        parameters: [exportFormat]
+    },
+
+    'GET /api/rate-limits': {
+        responses: {
+            200: success(object({
+                store: { type: 'string', enum: ['mongo', 'memory'] },
+                allowlist: { type: 'array', items: { type: 'string' } },
+                policies: { type: 'array', items: ref('RateLimitPolicy') }
+            }, ['store', 'allowlist', 'policies']))
+        }
+    },
+    'GET /api/rate-limits/:client': {
+        responses: { 200: success(ref('RateLimitClient')) }
+    },
+    'DELETE /api/rate-limits/:client': {
+        parameters: [query('policy', { type: 'string' }, 'Only reset this policy (default: every policy)')],
+        responses: {
+            200: success(object({
+                client: { type: 'string' },
+                policies: { type: 'array', items: { type: 'string' } }
+            }, ['client', 'policies']))
+        }
+    },
+    'GET /api/audit': {
+        parameters: [
+            page,
+            limit(100, 20),
+            query('actor', { $ref: '#/components/schemas/ObjectId' }, 'Only actions by this admin (user ID)'),
+            query('action', { type: 'string', enum: AuditLog.ACTIONS }, 'Filter by action'),
+            query('targetType', { type: 'string', enum: AuditLog.TARGET_TYPES }, 'Filter by target type'),
+            query('targetId', { type: 'string', maxLength: 100 }, 'Filter by target ID'),
+            ...dateRange
+        ],
+        responses: { 200: paginated('entries', ref('AuditLogEntry')) }
+    },
+    'GET /api/privacy/export': {
+        parameters: [query('email', { type: 'string', format: 'email' }, 'Email address of the data subject', true)],
+        responses: { 200: success(ref('DataSubjectArchive')) }
+    },
+    'POST /api/privacy/erase': {
+        requestBody: ref('DataSubjectRequest'),
+        responses: { 200: success(ref('ErasureReport')) }
+    },
+    'GET /api/privacy/retention': {
+        responses: { 200: success(ref('RetentionStatus')) }
+    },
+    'POST /api/privacy/retention/run': {
+        responses: { 200: success(ref('RetentionReport')) }
+    }
+};
+
+module.exports = operations;
@@ -0,0 +1,519 @@
+// GreenMind - OpenAPI Schemas
+// Author: Fatemeh - Group 6
+// Description: Reusable request and response schemas for the OpenAPI document
+
+const { schemas: validationSchemas } = require('../validation');
+const { AuditLog } = require('../models');
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+/**
+ * Wrap a data schema in the standard success envelope ({ status, message, data })
+ * @param {Object} data - Schema of the data property (omit for message-only responses)
+ * @returns {Object} Response schema
+ */
+function success(data) {
+    const schema = {
+        type: 'object',
+        required: ['status'],
+        properties: {
+            status: { type: 'string', enum: ['success'] },
+            message: { type: 'string' }
+        }
+    };
+
+    if (data) {
+        schema.required.push('data');
+        schema.properties.data = data;
+    }
+
+    return schema;
+}
+
+/**
+ * Object schema with the given properties, all optional unless listed in required
+ * @param {Object} properties - Property schemas
+ * @param {string[]} required - Required property names
+ * @returns {Object} Schema
+ */
+function object(properties, required = []) {
+    const schema = { type: 'object', properties };
+    if (required.length > 0) schema.required = required;
+    return schema;
+}
+
+// Validation keywords that OpenAPI spells differently; the rest carry over as they are
+const RENAMED_KEYWORDS = { min: 'minimum', max: 'maximum' };
+const COPIED_KEYWORDS = ['type', 'minLength', 'maxLength', 'format', 'pattern', 'enum', 'minItems', 'maxItems', 'maxProperties', 'nullable', 'description'];
+
+/**
+ * Convert a validation rule to an OpenAPI property schema
+ * @param {Object} rule - Field rule from src/validation/schemas.js
+ * @returns {Object} Property schema
+ */
+function fromRule(rule) {
+    const property = {};
+
+    COPIED_KEYWORDS.filter(keyword => rule[keyword] !== undefined).forEach(keyword => {
+        property[keyword] = rule[keyword];
+    });
+    Object.entries(RENAMED_KEYWORDS).filter(([keyword]) => rule[keyword] !== undefined).forEach(([keyword, name]) => {
+        property[name] = rule[keyword];
+    });
+
+    // Blank strings count as missing
+    if (rule.required && rule.type === 'string' && rule.minLength === undefined) property.minLength = 1;
+    if (rule.items) property.items = fromRule(rule.items);
+    if (rule.values) property.additionalProperties = fromRule(rule.values);
+
+    return property;
+}
+
+/**
+ * Request body schema generated from a shared validation schema, so the document
+ * follows the rules ValidationMiddleware applies
+ * @param {Object} validation - Validation schema
+ * @param {Object} options - { partial: no required fields, properties: extra properties the schema doesn't validate }
+ * @returns {Object} Schema
+ */
+function fromValidation(validation, { partial = false, properties = {} } = {}) {
+    const fields = Object.entries(validation.fields);
+    const required = partial ? [] : fields.filter(([, rule]) => rule.required).map(([field]) => field);
+
+    return object({
+        ...Object.fromEntries(fields.map(([field, rule]) => [field, fromRule(rule)])),
+        ...properties
+    }, required);
+}
+
+const CONTACT_SUBJECTS = validationSchemas.contact.fields.subject.enum;
+const CONTACT_STATUSES = validationSchemas.contactFilter.fields.status.enum;
+// Statuses an admin can set; spam goes through the release and confirm-spam review
+const SETTABLE_STATUSES = CONTACT_STATUSES.filter(status => status !== 'spam');
+const DIFFICULTIES = validationSchemas.question.fields.difficulty.enum;
+
+// Report of a retention policy run (also nested, nullable, in RetentionStatus)
+const retentionReport = object({
+    ranAt: { type: 'string', format: 'date-time' },
+    contacts: object({
+        action: { type: 'string', enum: ['anonymize', 'purge'] },
+        retentionDays: { type: 'integer', description: '0 disables the rule' },
+        before: { type: 'string', format: 'date-time', nullable: true },
+        count: { type: 'integer' }
+    }, ['action', 'retentionDays', 'count']),
+    userAgents: object({
+        retentionDays: { type: 'integer', description: '0 disables the rule' },
+        before: { type: 'string', format: 'date-time', nullable: true },
+        contacts: { type: 'integer' },
+        quizResults: { type: 'integer' }
+    }, ['retentionDays', 'contacts', 'quizResults']),
+    trash: object({
+        graceDays: { type: 'integer', description: '0 disables the rule' },
+        before: { type: 'string', format: 'date-time', nullable: true },
+        count: { type: 'integer', description: 'Trashed messages deleted for good' }
+    }, ['graceDays', 'count'])
+}, ['ranAt', 'contacts', 'userAgents', 'trash']);
+
+const schemas = {
+    ObjectId: { type: 'string', pattern: '^[0-9a-fA-F]{24}$', example: '65a1b2c3d4e5f6a7b8c9d0e1' },
+
+    Error: object({
+        status: { type: 'string', enum: ['fail', 'error'] },
+        message: { type: 'string' },
+        errors: {
+            type: 'object',
+            description: 'Field errors, keyed by field name',
+            additionalProperties: { type: 'string' }
+        },
+        requestId: { type: 'string', description: 'Matches the X-Request-Id header and the server logs' },
+        timestamp: { type: 'string', format: 'date-time' }
+    }, ['status', 'message']),
+
+    ValidationSchema: object({
+        fields: {
+            type: 'object',
+            description: 'Validation rule keyed by field name (keywords are listed in src/validation/schemaValidator.js)',
+            additionalProperties: { type: 'object' }
+        }
+    }, ['fields']),
+
+    Readiness: object({
+        status: { type: 'string', enum: ['success', 'error'] },
+        ready: { type: 'boolean' },
+        state: { type: 'string', enum: ['ready', 'degraded', 'not_ready', 'draining'] },
+        checks: {
+            type: 'object',
+            description: 'Result of each dependency check, keyed by name',
+            additionalProperties: object({
+                critical: { type: 'boolean' },
+                status: { type: 'string', enum: ['up', 'degraded', 'down'] },
+                error: { type: 'string' }
+            }, ['critical', 'status'])
+        }
+    }, ['status', 'ready', 'state', 'checks']),
+
+    Pagination: object({
+        currentPage: { type: 'integer' },
+        totalPages: { type: 'integer' },
+        totalItems: { type: 'integer' },
+        itemsPerPage: { type: 'integer' },
+        hasNextPage: { type: 'boolean' },
+        hasPrevPage: { type: 'boolean' }
+    }, ['currentPage', 'totalPages', 'totalItems', 'itemsPerPage', 'hasNextPage', 'hasPrevPage']),
+
+    User: object({
+        _id: ref('ObjectId'),
+        name: { type: 'string' },
+        email: { type: 'string', format: 'email' },
+        role: { type: 'string', enum: ['admin', 'learner'] },
+        active: { type: 'boolean' }
+    }, ['_id', 'name', 'email', 'role']),
+
+    AuthSession: object({
+        token: { type: 'string' },
+        expiresIn: { type: 'string', example: '8h' },
+        user: ref('User')
+    }, ['token', 'user']),
+
+    LoginRequest: fromValidation(validationSchemas.login),
+
+    RegistrationRequest: fromValidation(validationSchemas.registration),
+
+    ContactRequest: fromValidation(validationSchemas.contact, {
+        properties: {
+            newsletter: {
+                description: 'Start the newsletter double opt-in (checkbox value "on" is accepted)',
+                anyOf: [{ type: 'boolean' }, { type: 'string', enum: ['on'] }]
+            },
+            website: { type: 'string', description: 'Honeypot field; leave empty' },
+            formStartedAt: { type: 'number', description: 'Time the form was loaded (ms since epoch), used for spam scoring' }
+        }
+    }),
+
+    Contact: object({
+        _id: ref('ObjectId'),
+        name: { type: 'string' },
+        email: { type: 'string' },
+        subject: { type: 'string', enum: CONTACT_SUBJECTS },
+        message: { type: 'string' },
+        newsletter: { type: 'boolean' },
+        status: { type: 'string', enum: CONTACT_STATUSES },
+        spam: object({
+            score: { type: 'number' },
+            reasons: {
+                type: 'array',
+                items: object({
+                    check: { type: 'string' },
+                    score: { type: 'number' },
+                    detail: { type: 'string' }
+                })
+            },
+            review: { type: 'string', enum: ['released', 'confirmed'], nullable: true }
+        }),
+        replies: { type: 'array', items: ref('ContactReply') },
+        tags: { type: 'array', items: { type: 'string' } },
+        anonymizedAt: { type: 'string', format: 'date-time', nullable: true },
+        deletedAt: { type: 'string', format: 'date-time', nullable: true, description: 'Set while the message is in the trash' },
+        deletedBy: { type: 'string', nullable: true },
+        createdAt: { type: 'string', format: 'date-time' },
+        updatedAt: { type: 'string', format: 'date-time' }
+    }, ['_id', 'name', 'email', 'subject', 'message', 'status']),
+
+    ContactSearchResult: {
+        allOf: [
+            ref('Contact'),
+            object({
+                score: { type: 'number', description: 'Relevance; matches in the name or email weigh more than in the message' },
+                highlights: object({
+                    name: { type: 'string' },
+                    email: { type: 'string' },
+                    message: { type: 'string', description: 'Up to 160 characters around the first match' }
+                })
+            }, ['score', 'highlights'])
+        ],
+        description: 'Highlights are HTML-escaped text with <mark> around the matching words, for the searched fields that match'
+    },
+
+    ContactReply: object({
+        _id: ref('ObjectId'),
+        author: object({
+            id: ref('ObjectId'),
+            name: { type: 'string' },
+            email: { type: 'string' }
+        }),
+        body: { type: 'string' },
+        delivery: { type: 'string', enum: ['sent', 'queued'] },
+        sentAt: { type: 'string', format: 'date-time' }
+    }, ['body']),
+
+    ContactThread: {
+        type: 'array',
+        description: 'The original message followed by the replies, oldest first',
+        items: object({
+            type: { type: 'string', enum: ['message', 'reply'] },
+            author: { type: 'object' },
+            body: { type: 'string' },
+            delivery: { type: 'string', enum: ['sent', 'queued'] },
+            sentAt: { type: 'string', format: 'date-time' }
+        }, ['type', 'body'])
+    },
+
+    ContactExportRecord: object({
+        id: ref('ObjectId'),
+        createdAt: { type: 'string', format: 'date-time' },
+        name: { type: 'string' },
+        email: { type: 'string' },
+        subject: { type: 'string', enum: CONTACT_SUBJECTS },
+        status: { type: 'string', enum: CONTACT_STATUSES },
+        newsletter: { type: 'boolean' },
+        spamScore: { type: 'number' },
+        replyCount: { type: 'integer' },
+        lastReplyAt: { type: 'string', format: 'date-time', nullable: true },
+        message: { type: 'string', description: 'Left out with includeMessage=false' }
+    }, ['id', 'createdAt', 'name', 'email', 'subject', 'status', 'newsletter', 'replyCount']),
+
+    ContactReplyRequest: fromValidation(validationSchemas.contactReply),
+
+    ContactStatusRequest: object({
+        status: { type: 'string', enum: SETTABLE_STATUSES }
+    }, ['status']),
+
+    ContactBulkRequest: {
+        ...object({
+            ids: { type: 'array', items: ref('ObjectId'), minItems: 1, maxItems: 500 },
+            filter: object({
+                status: { type: 'string', enum: CONTACT_STATUSES },
+                subject: { type: 'string', enum: CONTACT_SUBJECTS },
+                startDate: { type: 'string', description: 'Date or date-time' },
+                endDate: { type: 'string', description: 'Date or date-time' },
+                q: { type: 'string', minLength: 2, maxLength: 100, description: 'Matches name, email or message' }
+            }),
+            operation: { type: 'string', enum: ['setStatus', 'archive', 'delete', 'tag'] },
+            status: { type: 'string', enum: SETTABLE_STATUSES, description: 'New status (setStatus)' },
+            tags: { type: 'array', items: { type: 'string', maxLength: 30 }, minItems: 1, maxItems: 10, description: 'Tags to add (tag)' }
+        }, ['operation']),
+        description: 'Either ids or filter (at most 500 matching messages); delete moves the messages to the trash'
+    },
+
+    ContactBulkReport: object({
+        operation: { type: 'string' },
+        total: { type: 'integer' },
+        succeeded: { type: 'integer' },
+        failed: { type: 'integer' },
+        results: {
+            type: 'array',
+            items: object({
+                id: ref('ObjectId'),
+                success: { type: 'boolean' },
+                error: { type: 'string' }
+            }, ['id', 'success'])
+        }
+    }, ['operation', 'total', 'succeeded', 'failed', 'results']),
+
+    Question: object({
+        _id: ref('ObjectId'),
+        category: { type: 'string' },
+        prompt: { type: 'string' },
+        options: { type: 'array', items: { type: 'string' } },
+        correctIndex: { type: 'integer' },
+        explanation: { type: 'string' },
+        difficulty: { type: 'string', enum: DIFFICULTIES },
+        active: { type: 'boolean' }
+    }, ['_id', 'category', 'prompt', 'options', 'correctIndex']),
+
+    // POST adds the required fields in operations.js
+    QuestionRequest: fromValidation(validationSchemas.question, { partial: true }),
+
+    QuizAttempt: object({
+        attemptId: { type: 'string' },
+        attemptToken: { type: 'string', description: 'Signed token to send back with the answers' },
+        difficulty: { type: 'string', enum: [...DIFFICULTIES, 'mixed'] },
+        startedAt: { type: 'string', format: 'date-time' },
+        expiresAt: { type: 'string', format: 'date-time' },
+        questions: {
+            type: 'array',
+            items: object({
+                id: ref('ObjectId'),
+                category: { type: 'string' },
+                prompt: { type: 'string' },
+                options: { type: 'array', items: { type: 'string' } },
+                difficulty: { type: 'string', enum: DIFFICULTIES }
+            }, ['id', 'prompt', 'options'])
+        }
+    }, ['attemptId', 'attemptToken', 'questions']),
+
+    QuizSubmissionRequest: fromValidation(validationSchemas.quizSubmission),
+
+    QuizResult: object({
+        id: ref('ObjectId'),
+        claimToken: { type: 'string', description: 'Anonymous results only: keep it to add the result to an account later' },
+        score: { type: 'integer', minimum: 0, maximum: 100 },
+        correctAnswers: { type: 'integer' },
+        totalQuestions: { type: 'integer' },
+        timeTaken: { type: 'number' },
+        difficulty: { type: 'string' },
+        categories: { type: 'object' },
+        review: { type: 'array', items: { type: 'object' } },
+        performance: object({
+            level: { type: 'string' },
+            message: { type: 'string' },
+            categories: { type: 'object' }
+        }, ['level']),
+        completedAt: { type: 'string', format: 'date-time' }
+    }, ['id', 'score', 'correctAnswers', 'totalQuestions', 'performance']),
+
+    QuizExportRecord: object({
+        id: ref('ObjectId'),
+        completedAt: { type: 'string', format: 'date-time' },
+        score: { type: 'integer' },
+        correctAnswers: { type: 'integer' },
+        totalQuestions: { type: 'integer' },
+        timeTaken: { type: 'integer', nullable: true },
+        performanceLevel: { type: 'string', enum: ['excellent', 'good', 'fair', 'needs_improvement', 'poor'] },
+        difficulty: { type: 'string', enum: ['easy', 'medium', 'hard', 'mixed'] },
+        categories: {
+            type: 'object',
+            additionalProperties: object({ correct: { type: 'integer' }, total: { type: 'integer' } })
+        },
+        sessionId: { type: 'string', nullable: true },
+        userId: { type: 'string', nullable: true }
+    }, ['id', 'completedAt', 'score', 'correctAnswers', 'totalQuestions', 'performanceLevel', 'difficulty', 'categories']),
+
+    QuizHistoryImportRequest: object({
+        attempts: {
+            type: 'array',
+            maxItems: 50,
+            items: object({
+                totalQuestions: { type: 'integer', minimum: 1, maximum: 50 },
+                correctAnswers: { type: 'integer', minimum: 0 },
+                score: { type: 'integer', minimum: 0, maximum: 100 },
+                date: { type: 'string', format: 'date-time' },
+                resultId: ref('ObjectId'),
+                claimToken: { type: 'string', maxLength: 1000, description: 'Claim token /quiz/submit returned for the result' },
+                categoryScores: { type: 'object' }
+            })
+        }
+    }, ['attempts']),
+
+    NewsletterSubscriptionRequest: fromValidation(validationSchemas.newsletterSubscription),
+
+    NewsletterTokenRequest: object({
+        token: { type: 'string', description: 'Signed token from the confirmation or unsubscribe link' }
+    }),
+
+    NewsletterStatus: object({
+        email: { type: 'string' },
+        status: { type: 'string', enum: ['pending', 'confirmed', 'unsubscribed'] },
+        confirmedAt: { type: 'string', format: 'date-time', nullable: true }
+    }, ['email', 'status']),
+
+    RateLimitPolicy: object({
+        policy: { type: 'string' },
+        limit: { type: 'integer', description: 'Requests allowed per window' },
+        windowMs: { type: 'integer' },
+        countsSuccessfulRequests: { type: 'boolean' }
+    }, ['policy', 'limit', 'windowMs']),
+
+    RateLimitClient: object({
+        client: { type: 'string' },
+        allowlisted: { type: 'boolean' },
+        policies: {
+            type: 'array',
+            items: object({
+                policy: { type: 'string' },
+                limit: { type: 'integer' },
+                windowMs: { type: 'integer' },
+                hits: { type: 'integer' },
+                remaining: { type: 'integer' },
+                resetAt: { type: 'string', format: 'date-time', nullable: true },
+                limited: { type: 'boolean' }
+            }, ['policy', 'limit', 'hits', 'remaining', 'limited'])
+        }
+    }, ['client', 'allowlisted', 'policies']),
+
+    AuditLogEntry: object({
+        _id: ref('ObjectId'),
+        actor: object({
+            id: { type: 'string', nullable: true, description: 'User ID of the admin; null for scheduled jobs' },
+            name: { type: 'string' },
+            email: { type: 'string' },
+            role: { type: 'string' }
+        }),
+        action: { type: 'string', enum: AuditLog.ACTIONS },
+        targetType: { type: 'string', enum: AuditLog.TARGET_TYPES },
+        targetId: { type: 'string', nullable: true, description: 'Document ID, client IP or SHA-256 of a data subject\'s email' },
+        changes: {
+            type: 'array',
+            description: 'Fields that changed; before is null for creations and after is null for deletions',
+            items: object({
+                field: { type: 'string' },
+                before: { description: 'Any JSON value' },
+                after: { description: 'Any JSON value' }
+            }, ['field'])
+        },
+        details: { type: 'object', description: 'Action-specific context (export format, filters and counts...)' },
+        ip: { type: 'string', nullable: true },
+        createdAt: { type: 'string', format: 'date-time' }
+    }, ['_id', 'actor', 'action', 'targetType', 'changes', 'createdAt']),
+
+    DataSubjectRequest: fromValidation(validationSchemas.dataSubject),
+
+    DataSubjectArchive: object({
+        email: { type: 'string', format: 'email' },
+        generatedAt: { type: 'string', format: 'date-time' },
+        contacts: { type: 'array', items: ref('Contact') },
+        subscriptions: { type: 'array', items: { type: 'object' }, description: 'Newsletter subscriptions' },
+        account: {
+            type: 'object',
+            nullable: true,
+            description: 'Learner or admin account, without the password hash',
+            properties: { _id: ref('ObjectId'), name: { type: 'string' }, email: { type: 'string' }, role: { type: 'string' } }
+        },
+        quizResults: { type: 'array', items: { type: 'object' }, description: 'Quiz results saved to the account' }
+    }, ['email', 'generatedAt', 'contacts', 'subscriptions', 'account', 'quizResults']),
+
+    ErasureReport: object({
+        email: { type: 'string', format: 'email' },
+        mode: { type: 'string', enum: ['erase', 'anonymize'] },
+        contacts: { type: 'integer', description: 'Contact messages deleted or anonymized' },
+        subscriptions: { type: 'integer', description: 'Newsletter subscriptions deleted' },
+        account: { type: 'boolean', description: 'Whether an account was deleted' },
+        quizResults: { type: 'integer', description: 'Quiz results deleted or detached from the account' }
+    }, ['email', 'mode', 'contacts', 'subscriptions', 'account', 'quizResults']),
+
+    RetentionReport: retentionReport,
+
+    RetentionStatus: object({
+        policy: object({
+            contactRetentionDays: { type: 'integer' },
+            contactRetentionAction: { type: 'string', enum: ['anonymize', 'purge'] },
+            userAgentRetentionDays: { type: 'integer' },
+            contactTrashDays: { type: 'integer' },
+            intervalHours: { type: 'number' }
+        }, ['contactRetentionDays', 'contactRetentionAction', 'userAgentRetentionDays']),
+        lastRun: { ...retentionReport, nullable: true, description: 'null until the policy has run' }
+    }, ['policy', 'lastRun'])
+};
+
+const errorResponse = description => ({
+    description,
+    content: { 'application/json': { schema: ref('Error') } }
+});
+
+// Shared error responses, added to operations by the generator
+const responses = {
+    BadRequest: errorResponse('Invalid input (field errors in errors)'),
+    Unauthorized: errorResponse('Missing, invalid or expired authentication token'),
+    Forbidden: errorResponse('Signed in without the required role'),
+    NotFound: errorResponse('Resource not found'),
+    TooManyRequests: errorResponse('Rate limit exceeded'),
+    Error: errorResponse('Unexpected error')
+};
+
+module.exports = {
+    schemas,
+    responses,
+    success,
+    object,
+    ref
+};
@@ -0,0 +1,272 @@
+// GreenMind - OpenAPI Validator
+// Author: Fatemeh - Group 6
+// Description: Checks requests and responses against the generated OpenAPI document
+
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const OpenApi = require('./index');
+const ApiVersionMiddleware = require('../middleware/apiVersion');
+const { config } = require('../config/environment');
+const { logger } = require('../utils/logger');
+
+/**
+ * Create an Ajv instance that understands the OpenAPI schema keywords we use
+ * @param {Object} options - Extra Ajv options
+ * @returns {Object} Ajv instance
+ */
+function createAjv(options = {}) {
+    const ajv = new Ajv({ strict: false, allErrors: true, ...options });
+    addFormats(ajv);
+    return ajv;
+}
+
+/**
+ * Turn Ajv errors into the { field: message } map used by validation responses
+ * @param {Object[]} ajvErrors - Ajv errors
+ * @returns {Object} Field errors
+ */
+function formatErrors(ajvErrors) {
+    const errors = {};
+
+    ajvErrors.forEach(error => {
+        const segments = error.instancePath.split('/').filter(Boolean);
+        if (error.params.missingProperty) segments.push(error.params.missingProperty);
+
+        const field = segments.join('.') || 'body';
+        if (!errors[field]) errors[field] = error.message;
+    });
+
+    return errors;
+}
+
+/**
+ * Field errors as "field: message" lines for the logs
+ * (as a map, a field called name would be redacted by the logger)
+ * @param {Object} errors - Field errors
+ * @returns {string[]} Error lines
+ */
+function describeErrors(errors) {
+    return Object.entries(errors).map(([field, message]) => `${field}: ${message}`);
+}
+
+/**
+ * OpenAPI validator class
+ * In warn mode mismatches are only logged; in strict mode a request that does not match
+ * is rejected with 400 and a response that does not match is replaced with a 500.
+ */
+class OpenApiValidator {
+    static bodyAjv = createAjv();
+    static queryAjv = createAjv({ coerceTypes: true });
+    static operations = {};
+
+    /**
+     * Compile a schema with the document components in scope, so $refs resolve
+     * @param {Object} ajv - Ajv instance
+     * @param {Object} schema - Schema to compile
+     * @returns {Function} Validate function
+     */
+    static compile(ajv, schema) {
+        return ajv.compile({ allOf: [schema], components: OpenApi.getDocument().components });
+    }
+
+    /**
+     * Index the operations of an API version with a matcher for each path template
+     * Literal paths are tried before parameterised ones (/contact/spam before /contact/{id}).
+     * @param {string} version - API version
+     * @returns {Object[]} Operations as { method, template, pattern, paramNames, operation }
+     */
+    static getOperations(version) {
+        if (OpenApiValidator.operations[version]) return OpenApiValidator.operations[version];
+
+        const indexed = [];
+        Object.entries(OpenApi.getDocument(version).paths).forEach(([template, pathItem]) => {
+            const paramNames = (template.match(/{\w+}/g) || []).map(name => name.slice(1, -1));
+            const pattern = new RegExp(`^${template.replace(/{\w+}/g, '([^/]+)')}/?$`);
+
+            Object.entries(pathItem).forEach(([method, operation]) => {
+                indexed.push({ method: method.toUpperCase(), template, pattern, paramNames, operation, validators: {} });
+            });
+        });
+
+        OpenApiValidator.operations[version] = indexed.sort((a, b) => a.paramNames.length - b.paramNames.length);
+        return OpenApiValidator.operations[version];
+    }
+
+    /**
+     * Find the documented operation for a request
+     * Unversioned /api paths are checked against the version the alias answers as.
+     * @param {string} method - HTTP method
+     * @param {string} requestPath - Request path without the query string
+     * @returns {Object|null} { entry, params } or null when the path is not documented or cannot be decoded
+     */
+    static findOperation(method, requestPath) {
+        const { API_VERSIONS } = require('../routes');
+        const parsed = ApiVersionMiddleware.parsePath(requestPath.slice(config.api.prefix.length));
+        const version = parsed.version || config.api.legacyAlias.version;
+        if (!API_VERSIONS[version]) return null;
+
+        const versionedPath = `${config.api.prefix}/${version}${parsed.path}`;
+
+        for (const entry of OpenApiValidator.getOperations(version)) {
+            if (entry.method !== method) continue;
+
+            const match = entry.pattern.exec(versionedPath);
+            if (match) {
+                const params = {};
+                try {
+                    entry.paramNames.forEach((name, index) => {
+                        params[name] = decodeURIComponent(match[index + 1]);
+                    });
+                } catch (error) {
+                    // Malformed percent-encoding: left to the router, which answers 400
+                    return null;
+                }
+                return { entry, params };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Validate path parameters, query string and body of a request
+     * @param {Object} entry - Operation entry from getOperations
+     * @param {Object} req - Express request object
+     * @param {Object} params - Path parameters
+     * @returns {Object|null} Field errors, or null when the request matches
+     */
+    static validateRequest(entry, req, params) {
+        const { operation, validators } = entry;
+        const errors = {};
+
+        if (!validators.parameters) {
+            const parameterSchema = location => {
+                const parameters = (operation.parameters || []).filter(param => param.in === location);
+                return {
+                    type: 'object',
+                    properties: Object.fromEntries(parameters.map(param => [param.name, param.schema])),
+                    required: parameters.filter(param => param.required).map(param => param.name)
+                };
+            };
+
+            validators.parameters = {
+                path: OpenApiValidator.compile(OpenApiValidator.queryAjv, parameterSchema('path')),
+                query: OpenApiValidator.compile(OpenApiValidator.queryAjv, parameterSchema('query'))
+            };
+        }
+
+        // Validate copies: coercion must not change what the route handlers see
+        [['path', params], ['query', req.query]].forEach(([location, values]) => {
+            const validate = validators.parameters[location];
+            if (!validate({ ...values })) Object.assign(errors, formatErrors(validate.errors));
+        });
+
+        const requestBody = operation.requestBody;
+        const hasBody = req.body && Object.keys(req.body).length > 0;
+
+        if (requestBody && (hasBody || requestBody.required)) {
+            if (!validators.body) {
+                validators.body = OpenApiValidator.compile(
+                    OpenApiValidator.bodyAjv,
+                    requestBody.content['application/json'].schema
+                );
+            }
+
+            if (!validators.body(req.body)) Object.assign(errors, formatErrors(validators.body.errors));
+        }
+
+        return Object.keys(errors).length > 0 ? errors : null;
+    }
+
+    /**
+     * Validate a JSON response body against the documented response for its status
+     * @param {Object} entry - Operation entry from getOperations
+     * @param {number} statusCode - Response status code
+     * @param {*} body - Response body
+     * @returns {Object|null} Field errors, or null when the response matches
+     */
+    static validateResponse(entry, statusCode, body) {
+        const { operation, validators } = entry;
+        let response = operation.responses[statusCode] || operation.responses.default;
+
+        if (response && response.$ref) {
+            const name = response.$ref.split('/').pop();
+            response = OpenApi.getDocument().components.responses[name];
+        }
+
+        const schema = response && response.content && response.content['application/json']
+            ? response.content['application/json'].schema
+            : null;
+
+        if (!schema) {
+            return { body: `No JSON response documented for status ${statusCode}` };
+        }
+
+        const key = `response${statusCode}`;
+        if (!validators[key]) {
+            validators[key] = OpenApiValidator.compile(OpenApiValidator.bodyAjv, schema);
+        }
+
+        // Compare the serialized form: dates, ObjectIds and documents become strings and plain objects
+        const serialized = JSON.parse(JSON.stringify(body));
+        return validators[key](serialized) ? null : formatErrors(validators[key].errors);
+    }
+
+    /**
+     * Create the validation middleware
+     * @param {string} mode - warn or strict
+     * @returns {Function} Express middleware
+     */
+    static middleware(mode) {
+        const strict = mode === 'strict';
+
+        return (req, res, next) => {
+            const requestPath = req.originalUrl.split('?')[0];
+            const found = OpenApiValidator.findOperation(req.method, requestPath);
+            if (!found) return next();
+
+            const { entry, params } = found;
+            const context = { method: req.method, path: entry.template };
+
+            const requestErrors = OpenApiValidator.validateRequest(entry, req, params);
+            if (requestErrors) {
+                logger.warn('Request does not match the API specification', { ...context, errors: describeErrors(requestErrors) });
+
+                if (strict) {
+                    return res.status(400).json({
+                        status: 'error',
+                        message: 'Request does not match the API specification',
+                        errors: requestErrors
+                    });
+                }
+            }
+
+            const json = res.json.bind(res);
+            res.json = body => {
+                if (res.statusCode === 204) return json(body);
+
+                const responseErrors = OpenApiValidator.validateResponse(entry, res.statusCode, body);
+                if (!responseErrors) return json(body);
+
+                logger.error('Response does not match the API specification', {
+                    ...context,
+                    statusCode: res.statusCode,
+                    errors: describeErrors(responseErrors)
+                });
+
+                if (!strict) return json(body);
+
+                res.status(500);
+                return json({
+                    status: 'error',
+                    message: 'Response does not match the API specification',
+                    errors: responseErrors,
+                    requestId: req.id
+                });
+            };
+
+            next();
+        };
+    }
+}
+
+module.exports = OpenApiValidator;
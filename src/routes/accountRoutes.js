@@ -0,0 +1,34 @@
+// GreenMind - Account Routes
+// Author: Fatemeh - Group 6
+// Description: Routes for the signed-in learner's own data
+
+const express = require('express');
+const { AccountController } = require('../controllers');
+const { ValidationMiddleware, AuthMiddleware } = require('../middleware');
+
+const router = express.Router();
+
+// Every route here belongs to the signed-in user
+router.use(AuthMiddleware.authenticate);
+
+/**
+ * @route   GET /api/me/quiz-history
+ * @desc    Get the learner's quiz history with per-category trends
+ * @access  Private
+ */
+router.get('/quiz-history',
+    ValidationMiddleware.validatePagination,
+    AccountController.getQuizHistory
+);
+
+/**
+ * @route   POST /api/me/quiz-history/import
+ * @desc    Import quiz attempts stored in the browser (once per account)
+ * @access  Private
+ */
+router.post('/quiz-history/import',
+    ValidationMiddleware.validateQuizHistoryImport,
+    AccountController.importQuizHistory
+);
+
+module.exports = router;
@@ -4,6 +4,7 @@
 
 const express = require('express');
 const { AppController } = require('../controllers');
+const { AuthMiddleware } = require('../middleware');
 
 const router = express.Router();
 
@@ -14,6 +15,20 @@ const router = express.Router();
  */
 router.get('/health', AppController.healthCheck);
 
+/**
+ * @route   GET /api/health/live
+ * @desc    Liveness probe
+ * @access  Public
+ */
+router.get('/health/live', AppController.liveness);
+
+/**
+ * @route   GET /api/health/ready
+ * @desc    Readiness probe (database ping, 503 when not ready or draining)
+ * @access  Public
+ */
+router.get('/health/ready', AppController.readiness);
+
 /**
  * @route   GET /api/info
  * @desc    Get application information
@@ -28,11 +43,45 @@ router.get('/info', AppController.getAppInfo);
  */
 router.get('/docs', AppController.getApiDocs);
 
+/**
+ * @route   GET /api/openapi.json
+ * @desc    Get the OpenAPI 3 document
+ * @access  Public
+ */
+router.get('/openapi.json', AppController.getOpenApiDocument);
+
+/**
+ * @route   GET /api/schemas
+ * @desc    Get every shared validation schema
+ * @access  Public
+ */
+router.get('/schemas', AppController.getValidationSchemas);
+
+/**
+ * @route   GET /api/schemas/:name
+ * @desc    Get the validation schema for one request payload
+ * @access  Public
+ */
+router.get('/schemas/:name', AppController.getValidationSchema);
+
 /**
  * @route   GET /api/stats
  * @desc    Get system statistics
  * @access  Private
  */
-router.get('/stats', AppController.getSystemStats);
+router.get('/stats',
+    AuthMiddleware.adminOnly,
+    AppController.getSystemStats
+);
+
+/**
+ * @route   GET /api/metrics
+ * @desc    Prometheus metrics in the text exposition format
+ * @access  Private (METRICS_TOKEN bearer token or admin)
+ */
+router.get('/metrics',
+    AuthMiddleware.metricsAccess,
+    AppController.getMetrics
+);
 
 module.exports = router;
\ No newline at end of file
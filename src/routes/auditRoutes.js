@@ -0,0 +1,26 @@
+// GreenMind - Audit Routes
+// Author: Fatemeh - Group 6
+// Description: Admin route for reading the audit log
+
+const express = require('express');
+const { AuditController } = require('../controllers');
+const { ValidationMiddleware, AuthMiddleware } = require('../middleware');
+
+const router = express.Router();
+
+// Every route here is for admins
+router.use(AuthMiddleware.adminOnly);
+
+/**
+ * @route   GET /api/audit
+ * @desc    Get audit log entries (filter by actor, action, targetType, targetId and date range)
+ * @access  Private
+ */
+router.get('/',
+    ValidationMiddleware.validatePagination,
+    ValidationMiddleware.validateDateRange,
+    ValidationMiddleware.validateAuditQuery,
+    AuditController.getEntries
+);
+
+module.exports = router;
@@ -0,0 +1,53 @@
+// GreenMind - Authentication Routes
+// Author: Fatemeh - Group 6
+// Description: Routes for registration, login, logout and session operations
+
+const express = require('express');
+const { AuthController } = require('../controllers');
+const { ValidationMiddleware, SecurityMiddleware, AuthMiddleware } = require('../middleware');
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/auth/register
+ * @desc    Register a learner account
+ * @access  Public
+ */
+router.post('/register',
+    SecurityMiddleware.configureFormRateLimit('register'),
+    ValidationMiddleware.validateRegistration,
+    AuthController.register
+);
+
+/**
+ * @route   POST /api/auth/login
+ * @desc    Log in and receive an authentication token
+ * @access  Public
+ */
+router.post('/login',
+    SecurityMiddleware.configureFormRateLimit('login'),
+    ValidationMiddleware.validateLogin,
+    AuthController.login
+);
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Log out and invalidate issued tokens
+ * @access  Private
+ */
+router.post('/logout',
+    AuthMiddleware.authenticate,
+    AuthController.logout
+);
+
+/**
+ * @route   GET /api/auth/me
+ * @desc    Get the currently authenticated user
+ * @access  Private
+ */
+router.get('/me',
+    AuthMiddleware.authenticate,
+    AuthController.getCurrentUser
+);
+
+module.exports = router;
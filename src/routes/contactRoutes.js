@@ -4,7 +4,7 @@
 
 const express = require('express');
 const { ContactController } = require('../controllers');
-const { ValidationMiddleware, SecurityMiddleware } = require('../middleware');
+const { ValidationMiddleware, SecurityMiddleware, AuthMiddleware } = require('../middleware');
 
 const router = express.Router();
 
@@ -14,7 +14,7 @@ const router = express.Router();
  * @access  Public
  */
 router.post('/',
-    SecurityMiddleware.configureFormRateLimit(),
+    SecurityMiddleware.configureFormRateLimit('contact'),
     ValidationMiddleware.validateContactForm,
     ContactController.submitContact
 );
@@ -25,6 +25,7 @@ router.post('/',
  * @access  Private
  */
 router.get('/',
+    AuthMiddleware.adminOnly,
     ValidationMiddleware.validatePagination,
     ContactController.getAllContacts
 );
@@ -35,45 +36,142 @@ router.get('/',
  * @access  Private
  */
 router.get('/stats',
+    AuthMiddleware.adminOnly,
     ContactController.getContactStats
 );
 
+/**
+ * @route   GET /api/contact/spam
+ * @desc    List quarantined spam for review
+ * @access  Private
+ */
+router.get('/spam',
+    AuthMiddleware.adminOnly,
+    ValidationMiddleware.validatePagination,
+    ContactController.getSpamQueue
+);
+
+/**
+ * @route   GET /api/contact/trash
+ * @desc    List messages in the trash
+ * @access  Private
+ */
+router.get('/trash',
+    AuthMiddleware.adminOnly,
+    ValidationMiddleware.validatePagination,
+    ContactController.getTrash
+);
+
 /**
  * @route   GET /api/contact/search
- * @desc    Search contact messages
+ * @desc    Search contact messages by relevance, with filters and highlighted snippets
  * @access  Private
  */
 router.get('/search',
+    AuthMiddleware.adminOnly,
+    ValidationMiddleware.validatePagination,
+    ValidationMiddleware.validateDateRange,
     ValidationMiddleware.validateSearchQuery,
     ContactController.searchContacts
 );
 
+/**
+ * @route   GET /api/contact/export
+ * @desc    Export contact messages as JSON or CSV
+ * @access  Private
+ */
+router.get('/export',
+    AuthMiddleware.adminOnly,
+    ValidationMiddleware.validateDateRange,
+    ValidationMiddleware.validateContactExport,
+    ContactController.exportContacts
+);
+
+/**
+ * @route   POST /api/contact/bulk
+ * @desc    Set status, archive, delete or tag many messages by IDs or filter
+ * @access  Private
+ */
+router.post('/bulk',
+    AuthMiddleware.adminOnly,
+    ValidationMiddleware.validateContactBulk,
+    ContactController.bulkUpdate
+);
+
 /**
  * @route   GET /api/contact/:id
  * @desc    Get contact by ID
  * @access  Private
  */
 router.get('/:id',
+    AuthMiddleware.adminOnly,
     ValidationMiddleware.validateObjectId('id'),
     ContactController.getContactById
 );
 
+/**
+ * @route   POST /api/contact/:id/replies
+ * @desc    Reply to a contact message by email
+ * @access  Private
+ */
+router.post('/:id/replies',
+    AuthMiddleware.adminOnly,
+    ValidationMiddleware.validateObjectId('id'),
+    ValidationMiddleware.validateContactReply,
+    ContactController.replyToContact
+);
+
+/**
+ * @route   POST /api/contact/:id/release
+ * @desc    Release a quarantined message into the inbox
+ * @access  Private
+ */
+router.post('/:id/release',
+    AuthMiddleware.adminOnly,
+    ValidationMiddleware.validateObjectId('id'),
+    ContactController.releaseSpam
+);
+
+/**
+ * @route   POST /api/contact/:id/confirm-spam
+ * @desc    Confirm a message as spam
+ * @access  Private
+ */
+router.post('/:id/confirm-spam',
+    AuthMiddleware.adminOnly,
+    ValidationMiddleware.validateObjectId('id'),
+    ContactController.confirmSpam
+);
+
 /**
  * @route   PUT /api/contact/:id
  * @desc    Update contact status
  * @access  Private
  */
 router.put('/:id',
+    AuthMiddleware.adminOnly,
     ValidationMiddleware.validateObjectId('id'),
     ContactController.updateContactStatus
 );
 
+/**
+ * @route   POST /api/contact/:id/restore
+ * @desc    Restore a message from the trash
+ * @access  Private
+ */
+router.post('/:id/restore',
+    AuthMiddleware.adminOnly,
+    ValidationMiddleware.validateObjectId('id'),
+    ContactController.restoreContact
+);
+
 /**
  * @route   DELETE /api/contact/:id
- * @desc    Delete contact message
+ * @desc    Move a contact message to the trash
  * @access  Private
  */
 router.delete('/:id',
+    AuthMiddleware.adminOnly,
     ValidationMiddleware.validateObjectId('id'),
     ContactController.deleteContact
 );
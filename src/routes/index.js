@@ -6,25 +6,96 @@ const express = require('express');
 const appRoutes = require('./appRoutes');
 const contactRoutes = require('./contactRoutes');
 const quizRoutes = require('./quizRoutes');
+const authRoutes = require('./authRoutes');
+const questionRoutes = require('./questionRoutes');
+const accountRoutes = require('./accountRoutes');
+const newsletterRoutes = require('./newsletterRoutes');
+const rateLimitRoutes = require('./rateLimitRoutes');
+const privacyRoutes = require('./privacyRoutes');
+const auditRoutes = require('./auditRoutes');
 const { AppController } = require('../controllers');
+const { ApiVersionMiddleware } = require('../middleware');
+const { config } = require('../config/environment');
 
-const router = express.Router();
+// API routers by mount path; the tag groups their operations in the OpenAPI document
+const API_ROUTES = [
+    { path: '/', router: appRoutes, tag: 'System' },
+    { path: '/auth', router: authRoutes, tag: 'Auth' },
+    { path: '/contact', router: contactRoutes, tag: 'Contact' },
+    { path: '/quiz', router: quizRoutes, tag: 'Quiz' },
+    { path: '/questions', router: questionRoutes, tag: 'Questions' },
+    { path: '/me', router: accountRoutes, tag: 'Account' },
+    { path: '/newsletter', router: newsletterRoutes, tag: 'Newsletter' },
+    { path: '/rate-limits', router: rateLimitRoutes, tag: 'Rate limits' },
+    { path: '/privacy', router: privacyRoutes, tag: 'Privacy' },
+    { path: '/audit', router: auditRoutes, tag: 'Audit' }
+];
+
+// Routers of each API version, mounted at /api/<version>
+const API_VERSIONS = {};
+
+/**
+ * Register an API version to be mounted at /api/<version> by configureRoutes
+ * With a base version, routers that are not listed are inherited from it, so a new
+ * version only lists the routers whose behaviour changes.
+ * @param {string} version - Version name (v1, v2, ...)
+ * @param {Object[]} routes - Routers as { path, router, tag }
+ * @param {Object} options - Options
+ * @param {string} options.base - Version to inherit the remaining routers from
+ */
+function registerApiVersion(version, routes, { base } = {}) {
+    if (!/^v\d+$/.test(version)) {
+        throw new Error(`Invalid API version "${version}" (expected v1, v2, ...)`);
+    }
+    if (API_VERSIONS[version]) {
+        throw new Error(`API version ${version} is already registered`);
+    }
+    if (base && !API_VERSIONS[base]) {
+        throw new Error(`Base API version ${base} is not registered`);
+    }
+
+    const inherited = base
+        ? API_VERSIONS[base].filter(route => !routes.some(({ path }) => path === route.path))
+        : [];
+
+    API_VERSIONS[version] = [...inherited, ...routes];
+}
+
+registerApiVersion('v1', API_ROUTES);
+
+/**
+ * Build the router for one API version
+ * @param {string} version - Registered version
+ * @returns {Object} Express router
+ */
+function createVersionRouter(version) {
+    const versionRouter = express.Router();
+
+    versionRouter.use(ApiVersionMiddleware.useVersion(version));
+    API_VERSIONS[version].forEach(({ path, router }) => versionRouter.use(path, router));
+
+    return versionRouter;
+}
 
 /**
  * Configure all API routes
  * @param {Object} app - Express application instance
  */
 function configureRoutes(app) {
-    // API routes
-    router.use('/', appRoutes);
-    router.use('/contact', contactRoutes);
-    router.use('/quiz', quizRoutes);
+    // Versioned API routes (/api/v1, /api/v2, ...)
+    Object.keys(API_VERSIONS).forEach(version => {
+        app.use(`${config.api.prefix}/${version}`, createVersionRouter(version));
+    });
 
-    // Mount API router
-    app.use('/api', router);
+    // Unversioned alias for clients written before versioning (deprecated)
+    const { version: aliasVersion } = config.api.legacyAlias;
+    const alias = express.Router();
+    alias.use(ApiVersionMiddleware.deprecatedAlias(aliasVersion));
+    alias.use(createVersionRouter(aliasVersion));
+    app.use(config.api.prefix, alias);
 
     // Handle API 404s
-    app.use('/api/*', AppController.handleApiNotFound);
+    app.use(`${config.api.prefix}/*`, AppController.handleApiNotFound);
 
     // Serve main HTML file for root route
     app.get('/', AppController.serveHomePage);
@@ -35,5 +106,7 @@ function configureRoutes(app) {
 
 module.exports = {
     configureRoutes,
-    router
-};
\ No newline at end of file
+    registerApiVersion,
+    API_ROUTES,
+    API_VERSIONS
+};
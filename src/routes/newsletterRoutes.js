@@ -0,0 +1,53 @@
+// GreenMind - Newsletter Routes
+// Author: Fatemeh - Group 6
+// Description: Routes for newsletter subscriptions
+
+const express = require('express');
+const { NewsletterController } = require('../controllers');
+const { ValidationMiddleware, SecurityMiddleware, AuthMiddleware } = require('../middleware');
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/newsletter/subscribe
+ * @desc    Subscribe to the newsletter (double opt-in)
+ * @access  Public
+ */
+router.post('/subscribe',
+    SecurityMiddleware.configureFormRateLimit('newsletter'),
+    ValidationMiddleware.validateNewsletterSubscription,
+    NewsletterController.subscribe
+);
+
+/**
+ * @route   POST /api/newsletter/confirm
+ * @desc    Confirm a subscription with the emailed token
+ * @access  Public
+ */
+router.post('/confirm',
+    ValidationMiddleware.validateNewsletterToken,
+    NewsletterController.confirm
+);
+
+/**
+ * @route   POST /api/newsletter/unsubscribe
+ * @desc    Unsubscribe with a signed token (body or ?token= for one-click)
+ * @access  Public
+ */
+router.post('/unsubscribe',
+    ValidationMiddleware.validateNewsletterToken,
+    NewsletterController.unsubscribe
+);
+
+/**
+ * @route   GET /api/newsletter/subscribers/export
+ * @desc    Export confirmed subscribers as JSON or CSV
+ * @access  Private
+ */
+router.get('/subscribers/export',
+    AuthMiddleware.adminOnly,
+    ValidationMiddleware.validateSubscriberExport,
+    NewsletterController.exportSubscribers
+);
+
+module.exports = router;
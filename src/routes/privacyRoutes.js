@@ -0,0 +1,48 @@
+// GreenMind - Privacy Routes
+// Author: Fatemeh - Group 6
+// Description: Admin routes for data-subject export and erasure requests and the retention policy
+
+const express = require('express');
+const { PrivacyController } = require('../controllers');
+const { ValidationMiddleware, AuthMiddleware } = require('../middleware');
+
+const router = express.Router();
+
+// Every route here is for admins
+router.use(AuthMiddleware.adminOnly);
+
+/**
+ * @route   GET /api/privacy/export
+ * @desc    Download every record tied to ?email= as a JSON archive
+ * @access  Private
+ */
+router.get('/export',
+    ValidationMiddleware.validateDataSubjectQuery,
+    PrivacyController.exportSubject
+);
+
+/**
+ * @route   POST /api/privacy/erase
+ * @desc    Erase or anonymize every record tied to an email address
+ * @access  Private
+ */
+router.post('/erase',
+    ValidationMiddleware.validateDataSubject,
+    PrivacyController.eraseSubject
+);
+
+/**
+ * @route   GET /api/privacy/retention
+ * @desc    Get the retention policy and the report of its last run
+ * @access  Private
+ */
+router.get('/retention', PrivacyController.getRetention);
+
+/**
+ * @route   POST /api/privacy/retention/run
+ * @desc    Apply the retention policy now
+ * @access  Private
+ */
+router.post('/retention/run', PrivacyController.runRetention);
+
+module.exports = router;
@@ -0,0 +1,65 @@
+// GreenMind - Question Routes
+// Author: Fatemeh - Group 6
+// Description: Routes for managing the quiz question bank
+
+const express = require('express');
+const { QuestionController } = require('../controllers');
+const { ValidationMiddleware, AuthMiddleware } = require('../middleware');
+
+const router = express.Router();
+
+// Every question bank route is admin only
+router.use(AuthMiddleware.adminOnly);
+
+/**
+ * @route   GET /api/questions
+ * @desc    Get all questions (filter by category, difficulty, active)
+ * @access  Private
+ */
+router.get('/',
+    ValidationMiddleware.validatePagination,
+    QuestionController.getAllQuestions
+);
+
+/**
+ * @route   POST /api/questions
+ * @desc    Create a question
+ * @access  Private
+ */
+router.post('/',
+    ValidationMiddleware.validateQuestion,
+    QuestionController.createQuestion
+);
+
+/**
+ * @route   GET /api/questions/:id
+ * @desc    Get question by ID
+ * @access  Private
+ */
+router.get('/:id',
+    ValidationMiddleware.validateObjectId('id'),
+    QuestionController.getQuestionById
+);
+
+/**
+ * @route   PUT /api/questions/:id
+ * @desc    Update a question
+ * @access  Private
+ */
+router.put('/:id',
+    ValidationMiddleware.validateObjectId('id'),
+    ValidationMiddleware.validateQuestion,
+    QuestionController.updateQuestion
+);
+
+/**
+ * @route   DELETE /api/questions/:id
+ * @desc    Delete a question
+ * @access  Private
+ */
+router.delete('/:id',
+    ValidationMiddleware.validateObjectId('id'),
+    QuestionController.deleteQuestion
+);
+
+module.exports = router;
@@ -4,17 +4,46 @@
 
 const express = require('express');
 const { QuizController } = require('../controllers');
-const { ValidationMiddleware, SecurityMiddleware } = require('../middleware');
+const { ValidationMiddleware, SecurityMiddleware, AuthMiddleware } = require('../middleware');
 
 const router = express.Router();
 
+/**
+ * @route   POST /api/quiz/start
+ * @desc    Start a quiz attempt
+ * @access  Public
+ */
+router.post('/start',
+    QuizController.startQuiz
+);
+
+/**
+ * @route   GET /api/quiz/generate
+ * @desc    Start a randomized quiz attempt by category, difficulty and length
+ * @access  Public
+ */
+router.get('/generate',
+    ValidationMiddleware.validateQuizGeneration,
+    QuizController.generateQuiz
+);
+
+/**
+ * @route   GET /api/quiz/options
+ * @desc    Get categories and difficulties available for quiz generation
+ * @access  Public
+ */
+router.get('/options',
+    QuizController.getQuizOptions
+);
+
 /**
  * @route   POST /api/quiz/submit
- * @desc    Submit quiz results
+ * @desc    Submit answers for a quiz attempt (linked to the learner when signed in)
  * @access  Public
  */
 router.post('/submit',
-    SecurityMiddleware.configureFormRateLimit(),
+    SecurityMiddleware.configureFormRateLimit('quizSubmit'),
+    AuthMiddleware.optionalAuthenticate,
     ValidationMiddleware.validateQuizSubmission,
     QuizController.submitQuizResults
 );
@@ -54,16 +83,19 @@ router.get('/leaderboard',
  * @access  Private
  */
 router.get('/analytics',
+    AuthMiddleware.adminOnly,
     QuizController.getQuizAnalytics
 );
 
 /**
  * @route   GET /api/quiz/export
- * @desc    Export quiz data
+ * @desc    Stream quiz results as JSON, NDJSON or CSV
  * @access  Private
  */
 router.get('/export',
+    AuthMiddleware.adminOnly,
     ValidationMiddleware.validateDateRange,
+    ValidationMiddleware.validateQuizExport,
     QuizController.exportQuizData
 );
 
@@ -0,0 +1,41 @@
+// GreenMind - Rate Limit Routes
+// Author: Fatemeh - Group 6
+// Description: Admin routes for inspecting and resetting rate-limit counters
+
+const express = require('express');
+const { RateLimitController } = require('../controllers');
+const { ValidationMiddleware, AuthMiddleware } = require('../middleware');
+
+const router = express.Router();
+
+// Every route here is for admins
+router.use(AuthMiddleware.adminOnly);
+
+/**
+ * @route   GET /api/rate-limits
+ * @desc    Get the rate-limit policies, store and allowlist
+ * @access  Private
+ */
+router.get('/', RateLimitController.getPolicies);
+
+/**
+ * @route   GET /api/rate-limits/:client
+ * @desc    Get a client's counters for every policy
+ * @access  Private
+ */
+router.get('/:client',
+    ValidationMiddleware.validateIpParam('client'),
+    RateLimitController.getClient
+);
+
+/**
+ * @route   DELETE /api/rate-limits/:client
+ * @desc    Reset a client's counters (every policy, or ?policy=)
+ * @access  Private
+ */
+router.delete('/:client',
+    ValidationMiddleware.validateIpParam('client'),
+    RateLimitController.resetClient
+);
+
+module.exports = router;
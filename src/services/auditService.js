@@ -0,0 +1,161 @@
+// GreenMind - Audit Service
+// Author: Fatemeh - Group 6
+// Description: Records admin changes and exports in the audit log and queries it
+
+const { AuditLog } = require('../models');
+const { Utils } = require('../utils');
+const { logger } = require('../utils/logger');
+
+/**
+ * Audit service class
+ */
+class AuditService {
+    // Audited fields per target type; personal data stays out of the log so erasure requests don't have to touch it
+    static FIELDS = {
+        contact: ['subject', 'status', 'newsletter', 'spam.review', 'tags', 'deletedAt', 'createdAt']
+    };
+
+    /**
+     * Read the audited fields of a document
+     * @param {Object} doc - Mongoose document or plain object (null for none)
+     * @param {string[]} fields - Field paths (dots for nested fields)
+     * @returns {Object|null} { [field]: value } with plain values
+     */
+    static snapshot(doc, fields) {
+        if (!doc) return null;
+
+        const plain = typeof doc.toObject === 'function' ? doc.toObject() : doc;
+        return Object.fromEntries(fields.map(field => [
+            field,
+            field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), plain) ?? null
+        ]));
+    }
+
+    /**
+     * List the fields that differ between two snapshots
+     * A missing snapshot (creation or deletion) lists every field.
+     * @param {Object|null} before - Snapshot before the change
+     * @param {Object|null} after - Snapshot after the change
+     * @returns {Object[]} [{ field, before, after }]
+     */
+    static diff(before, after) {
+        const fields = Object.keys(before || after || {});
+
+        return fields
+            .filter(field => !before || !after || JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+            .map(field => ({
+                field,
+                before: before ? before[field] : null,
+                after: after ? after[field] : null
+            }));
+    }
+
+    /**
+     * Record an admin action
+     * The action has already happened, so a failure to write the entry is logged rather than thrown.
+     * @param {Object|null} req - Express request of the admin (null for scheduled jobs)
+     * @param {Object} entry - Entry
+     * @param {string} entry.action - One of AuditLog.ACTIONS
+     * @param {string} entry.targetType - One of AuditLog.TARGET_TYPES
+     * @param {*} entry.targetId - Target document ID or key (optional)
+     * @param {Object} entry.before - Snapshot before the change (see snapshot)
+     * @param {Object} entry.after - Snapshot after the change
+     * @param {Object} entry.details - Action-specific context
+     * @returns {Promise<Object|null>} Saved entry, or null if it could not be written
+     */
+    static async record(req, entry) {
+        try {
+            return await AuditLog.create(AuditService.buildEntry(req, entry));
+        } catch (error) {
+            const { action, targetType, targetId } = entry;
+            logger.error('Failed to write audit log entry', { action, targetType, targetId, error });
+            return null;
+        }
+    }
+
+    /**
+     * Record one action on many targets (bulk operations) in a single write
+     * @param {Object|null} req - Express request of the admin (null for scheduled jobs)
+     * @param {Object[]} entries - Entries, as for record
+     * @returns {Promise<number>} Number of entries written
+     */
+    static async recordMany(req, entries) {
+        if (entries.length === 0) return 0;
+
+        try {
+            const saved = await AuditLog.insertMany(entries.map(entry => AuditService.buildEntry(req, entry)));
+            return saved.length;
+        } catch (error) {
+            logger.error('Failed to write audit log entries', { action: entries[0].action, count: entries.length, error });
+            return 0;
+        }
+    }
+
+    /**
+     * Build an audit log document
+     * @param {Object|null} req - Express request of the admin (null for scheduled jobs)
+     * @param {Object} entry - Entry, as for record
+     * @returns {Object} AuditLog document data
+     */
+    static buildEntry(req, { action, targetType, targetId = null, before = null, after = null, details = {} }) {
+        const user = req && req.user;
+
+        return {
+            actor: user
+                ? { id: user._id, name: user.name, email: user.email, role: user.role }
+                : { id: null, name: 'system', role: 'system' },
+            action,
+            targetType,
+            targetId: targetId === null ? null : String(targetId),
+            changes: before || after ? AuditService.diff(before, after) : [],
+            // Plain JSON, so unset filters are left out rather than stored as null
+            details: JSON.parse(JSON.stringify(details)),
+            ip: req ? Utils.getClientIP(req) : null
+        };
+    }
+
+    /**
+     * Build the audit log query from the filters
+     * @param {Object} filters - { actor, action, targetType, targetId, startDate, endDate }
+     * @returns {Object} MongoDB filter
+     */
+    static buildFilter({ actor, action, targetType, targetId, startDate, endDate } = {}) {
+        const filter = {};
+
+        if (actor) filter['actor.id'] = actor;
+        if (action) filter.action = action;
+        if (targetType) filter.targetType = targetType;
+        if (targetId) filter.targetId = targetId;
+
+        if (startDate || endDate) {
+            filter.createdAt = {};
+            if (startDate) filter.createdAt.$gte = new Date(startDate);
+            if (endDate) filter.createdAt.$lte = new Date(endDate);
+        }
+
+        return filter;
+    }
+
+    /**
+     * Get a page of audit log entries, newest first
+     * @param {Object} filters - Filters for buildFilter
+     * @param {Object} options - { page, limit }
+     * @returns {Promise<Object>} { entries, total }
+     */
+    static async list(filters, { page = 1, limit = 20 } = {}) {
+        const filter = AuditService.buildFilter(filters);
+
+        const [entries, total] = await Promise.all([
+            AuditLog.find(filter)
+                .sort({ createdAt: -1, _id: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .lean(),
+            AuditLog.countDocuments(filter)
+        ]);
+
+        return { entries, total };
+    }
+}
+
+module.exports = AuditService;
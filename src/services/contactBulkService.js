@@ -0,0 +1,185 @@
+// GreenMind - Contact Bulk Service
+// Author: Fatemeh - Group 6
+// Description: Applies one inbox operation (set status, archive, delete, tag) to many contact messages
+
+const { Contact } = require('../models');
+const { schemas } = require('../validation');
+const { AppError } = require('../middleware/errorHandler');
+const AuditService = require('./auditService');
+const ContactSearchService = require('./contactSearchService');
+
+// Statuses an admin can set; spam goes through the release and confirm-spam review instead
+const SETTABLE_STATUSES = schemas.contactFilter.fields.status.enum.filter(status => status !== 'spam');
+
+const SPAM_ERROR = 'Quarantined spam has to be released or confirmed first';
+
+// Fields read before and after the change: what the operations check, plus the audited fields
+const FIELDS = [...new Set(['status', 'tags', 'deletedAt', ...AuditService.FIELDS.contact])].join(' ');
+
+/**
+ * Operations
+ * check: why a message can't take the operation (null if it can); guard: the same rule as a query,
+ * so messages changed since they were read are skipped; update: the change; applied: whether a
+ * message read back afterwards has it.
+ */
+const OPERATIONS = {
+    setStatus: {
+        action: 'contact.update',
+        check: contact => (contact.status === 'spam' ? SPAM_ERROR : null),
+        guard: { status: { $ne: 'spam' } },
+        update: ({ status }) => ({ $set: { status } }),
+        applied: (contact, { status }) => contact.status === status && !contact.deletedAt
+    },
+    archive: {
+        action: 'contact.update',
+        check: contact => (contact.status === 'spam' ? SPAM_ERROR : null),
+        guard: { status: { $ne: 'spam' } },
+        update: () => ({ $set: { status: 'archived' } }),
+        applied: contact => contact.status === 'archived' && !contact.deletedAt
+    },
+    delete: {
+        action: 'contact.delete',
+        check: () => null,
+        guard: {},
+        update: (options, user, now) => ({ $set: { deletedAt: now, deletedBy: user._id } }),
+        applied: (contact, options, now) => Boolean(contact.deletedAt) && contact.deletedAt.getTime() === now.getTime()
+    },
+    tag: {
+        action: 'contact.update',
+        check: () => null,
+        guard: {},
+        update: ({ tags }) => ({ $addToSet: { tags: { $each: tags } } }),
+        applied: (contact, { tags }) => tags.every(tag => contact.tags.includes(tag)) && !contact.deletedAt
+    }
+};
+
+/**
+ * Contact bulk service class
+ */
+class ContactBulkService {
+    // Most messages one request may change, by IDs or by filter
+    static MAX_ITEMS = 500;
+
+    static OPERATIONS = Object.keys(OPERATIONS);
+    static STATUSES = SETTABLE_STATUSES;
+
+    /**
+     * Build the contacts query from the bulk filter
+     * The search term selects the same messages as the inbox search over every field.
+     * @param {Object} filter - { status, subject, startDate, endDate, q }
+     * @returns {Object} MongoDB filter
+     */
+    static buildFilter({ status, subject, startDate, endDate, q } = {}) {
+        return ContactSearchService.buildFilter({ q, status, subject, startDate, endDate });
+    }
+
+    /**
+     * Read the messages an operation targets
+     * @param {Object} selection - { ids } or { filter }
+     * @returns {Promise<Object>} { contacts, missing: IDs that matched no message }
+     */
+    static async findTargets({ ids, filter }) {
+        if (ids) {
+            const contacts = await Contact.find({ _id: { $in: ids } }).select(FIELDS).lean();
+            const found = new Map(contacts.map(contact => [String(contact._id), contact]));
+
+            return {
+                contacts: ids.filter(id => found.has(id)).map(id => found.get(id)),
+                missing: ids.filter(id => !found.has(id))
+            };
+        }
+
+        const query = ContactBulkService.buildFilter(filter);
+        const count = await Contact.countDocuments(query);
+        if (count > ContactBulkService.MAX_ITEMS) {
+            throw new AppError(`The filter matches ${count} messages; narrow it down to ${ContactBulkService.MAX_ITEMS} or fewer`, 400);
+        }
+
+        const contacts = await Contact.find(query).sort({ createdAt: -1 }).select(FIELDS).lean();
+        return { contacts, missing: [] };
+    }
+
+    /**
+     * Apply an operation to a list of messages or to the messages matching a filter
+     * Eligible messages are changed with one updateMany, so they all get the same change in a single
+     * write (MongoDB applies it document by document). Every message is read back afterwards: one that
+     * was changed elsewhere in the meantime, e.g. trashed, is reported as failed rather than changed.
+     * @param {Object} request - Bulk request
+     * @param {string[]} request.ids - Contact IDs (or filter)
+     * @param {Object} request.filter - Filter for buildFilter (or ids)
+     * @param {string} request.operation - setStatus, archive, delete or tag
+     * @param {string} request.status - New status (setStatus)
+     * @param {string[]} request.tags - Tags to add (tag)
+     * @param {Object} user - Admin applying the operation
+     * @returns {Promise<Object>} { report: { operation, total, succeeded, failed, results }, changes: audit entries for AuditService.recordMany }
+     */
+    static async apply({ ids, filter, operation, status, tags }, user) {
+        const definition = OPERATIONS[operation];
+        const options = { status, tags };
+        const { contacts, missing } = await ContactBulkService.findTargets({ ids, filter });
+
+        const errors = new Map(missing.map(id => [id, 'Contact message not found']));
+        for (const contact of contacts) {
+            const error = contact.deletedAt ? 'Message is in the trash' : definition.check(contact);
+            if (error) errors.set(String(contact._id), error);
+        }
+
+        const eligible = contacts.filter(contact => !errors.has(String(contact._id)));
+        const changes = [];
+
+        if (eligible.length > 0) {
+            const now = new Date();
+            const eligibleIds = eligible.map(contact => contact._id);
+
+            await Contact.updateMany(
+                { _id: { $in: eligibleIds }, deletedAt: null, ...definition.guard },
+                definition.update(options, user, now)
+            );
+
+            const updated = await Contact.find({ _id: { $in: eligibleIds } }).select(FIELDS).lean();
+            const updatedById = new Map(updated.map(contact => [String(contact._id), contact]));
+
+            for (const contact of eligible) {
+                const id = String(contact._id);
+                const saved = updatedById.get(id);
+
+                if (!saved || !definition.applied(saved, options, now)) {
+                    errors.set(id, saved ? 'Message changed while the operation ran' : 'Contact message not found');
+                    continue;
+                }
+
+                // Messages that already had the change succeed without an audit entry
+                const before = AuditService.snapshot(contact, AuditService.FIELDS.contact);
+                const after = AuditService.snapshot(saved, AuditService.FIELDS.contact);
+                if (AuditService.diff(before, after).length > 0) {
+                    changes.push({
+                        action: definition.action,
+                        targetType: 'contact',
+                        targetId: id,
+                        before,
+                        after,
+                        details: { bulk: true, operation }
+                    });
+                }
+            }
+        }
+
+        const order = ids || contacts.map(contact => String(contact._id));
+        const results = order.map(id => (errors.has(id)
+            ? { id, success: false, error: errors.get(id) }
+            : { id, success: true }));
+
+        return {
+            report: {
+                operation,
+                total: results.length,
+                succeeded: results.length - errors.size,
+                failed: errors.size,
+                results
+            },
+            changes
+        };
+    }
+}
+
+module.exports = ContactBulkService;
@@ -0,0 +1,126 @@
+// GreenMind - Contact Export Service
+// Author: Fatemeh - Group 6
+// Description: Streams contact messages as JSON or CSV, optionally without message bodies
+
+const { Contact } = require('../models');
+const ExportService = require('./exportService');
+const ContactFilterService = require('./contactFilterService');
+
+// CSV columns; the message body is added last when it is included
+const CSV_COLUMNS = [
+    'Contact ID',
+    'Received At',
+    'Name',
+    'Email',
+    'Subject',
+    'Status',
+    'Newsletter',
+    'Spam Score',
+    'Replies',
+    'Last Reply At'
+];
+
+/**
+ * Contact export service class
+ */
+class ContactExportService {
+    /**
+     * Build the contacts query from the export filters
+     * @param {Object} filters - { status, subject, newsletter, startDate, endDate }
+     * @returns {Object} MongoDB filter
+     */
+    static buildFilter(filters = {}) {
+        return ContactFilterService.build(filters);
+    }
+
+    /**
+     * Shape a contact for the JSON export
+     * @param {Object} contact - Lean contact
+     * @param {boolean} includeMessage - Whether to include the message body
+     * @returns {Object} Exported record
+     */
+    static toRecord(contact, includeMessage = true) {
+        const replies = contact.replies || [];
+
+        return {
+            id: contact._id,
+            createdAt: contact.createdAt,
+            name: contact.name,
+            email: contact.email,
+            subject: contact.subject,
+            status: contact.status,
+            newsletter: Boolean(contact.newsletter),
+            spamScore: contact.spam ? contact.spam.score : 0,
+            replyCount: replies.length,
+            lastReplyAt: replies.length > 0 ? replies[replies.length - 1].sentAt : null,
+            ...(includeMessage && { message: contact.message })
+        };
+    }
+
+    /**
+     * Build the CSV columns
+     * @param {boolean} includeMessage - Whether to include the message body
+     * @returns {string[]} Column names
+     */
+    static csvHeader(includeMessage = true) {
+        return includeMessage ? [...CSV_COLUMNS, 'Message'] : CSV_COLUMNS;
+    }
+
+    /**
+     * Build the CSV cells of a contact
+     * @param {Object} contact - Lean contact
+     * @param {boolean} includeMessage - Whether to include the message body
+     * @returns {Array} Cell values
+     */
+    static csvRow(contact, includeMessage = true) {
+        const record = ContactExportService.toRecord(contact, includeMessage);
+
+        return [
+            record.id,
+            record.createdAt,
+            record.name,
+            record.email,
+            record.subject,
+            record.status,
+            record.newsletter ? 'yes' : 'no',
+            record.spamScore,
+            record.replyCount,
+            record.lastReplyAt,
+            ...(includeMessage ? [record.message] : [])
+        ];
+    }
+
+    /**
+     * Stream the matching contacts to the response
+     * @param {Object} res - Express response object
+     * @param {Object} options - Options
+     * @param {string} options.format - json or csv
+     * @param {Object} options.filters - Filters for buildFilter (echoed in the JSON export)
+     * @param {boolean} options.includeMessage - Whether to include message bodies
+     * @returns {Promise<number>} Number of contacts exported
+     */
+    static stream(res, { format = 'json', filters = {}, includeMessage = true }) {
+        // Bodies that are not exported are never read from the database either
+        const projection = ['-__v', '-userAgent', '-replies.body', '-spam.reasons'];
+        if (!includeMessage) projection.push('-message');
+
+        const cursor = Contact
+            .find(ContactExportService.buildFilter(filters))
+            .sort({ createdAt: -1 })
+            .select(projection.join(' '))
+            .lean()
+            .cursor({ batchSize: 500 });
+
+        return ExportService.stream(res, cursor, {
+            format,
+            filename: 'contacts',
+            key: 'contacts',
+            record: contact => ContactExportService.toRecord(contact, includeMessage),
+            csvHeader: ContactExportService.csvHeader(includeMessage),
+            csvRow: contact => ContactExportService.csvRow(contact, includeMessage),
+            summary: { filters, includeMessage }
+        });
+    }
+}
+
+module.exports = ContactExportService;
@@ -0,0 +1,36 @@
+// GreenMind - Contact Filter Service
+// Author: Fatemeh - Group 6
+// Description: Builds the inbox query shared by the contact listing, export, search and bulk operations
+
+/**
+ * Contact filter service class
+ */
+class ContactFilterService {
+    /**
+     * Build the contacts query from the inbox filters
+     * Quarantined spam is only included when asked for with status=spam; trashed messages never are.
+     * @param {Object} filters - { status, subject, newsletter, startDate, endDate }
+     * @returns {Object} MongoDB filter
+     */
+    static build({ status, subject, newsletter, startDate, endDate } = {}) {
+        const filter = { status: status || { $ne: 'spam' }, deletedAt: null };
+
+        if (subject) {
+            filter.subject = subject;
+        }
+
+        if (newsletter !== undefined) {
+            filter.newsletter = newsletter;
+        }
+
+        if (startDate || endDate) {
+            filter.createdAt = {};
+            if (startDate) filter.createdAt.$gte = new Date(startDate);
+            if (endDate) filter.createdAt.$lte = new Date(endDate);
+        }
+
+        return filter;
+    }
+}
+
+module.exports = ContactFilterService;
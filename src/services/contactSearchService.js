@@ -0,0 +1,137 @@
+// GreenMind - Contact Search Service
+// Author: Fatemeh - Group 6
+// Description: Full-text search over contact messages with filters, relevance ranking and highlighted snippets
+
+const { Contact } = require('../models');
+const { Utils } = require('../utils');
+const ContactFilterService = require('./contactFilterService');
+
+// Fields in the contact_search text index
+const SEARCH_FIELDS = ['name', 'email', 'message'];
+
+// Characters of message around the first match in a snippet
+const SNIPPET_LENGTH = 160;
+const SNIPPET_LEAD = 60;
+
+/**
+ * Contact search service class
+ */
+class ContactSearchService {
+    // Values of the field parameter: all, or one indexed field
+    static FIELDS = ['all', ...SEARCH_FIELDS];
+
+    /**
+     * Split a search into lowercase words
+     * MongoDB's own search syntax (quoted phrases, -exclusions) is not passed through.
+     * @param {string} q - Search text
+     * @returns {string[]} Words
+     */
+    static terms(q = '') {
+        return [...new Set(String(q).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])];
+    }
+
+    /**
+     * Build the $search string for the text index
+     * An email address is searched as a phrase, so only messages from that address match;
+     * anything else matches messages with any of the words.
+     * @param {string} q - Search text
+     * @returns {string} $search value
+     */
+    static textSearch(q) {
+        const text = String(q).trim().replace(/"/g, '');
+        return Utils.isValidEmail(text) ? `"${text}"` : ContactSearchService.terms(text).join(' ');
+    }
+
+    /**
+     * Stem-like prefixes of the words, so "batteries" also finds "battery" as the text index does
+     * @param {string[]} terms - Words from terms()
+     * @returns {string[]} Regex-escaped prefixes
+     */
+    static prefixes(terms) {
+        return terms.map(term => Utils.escapeRegex(term.length > 4 ? term.replace(/(ies|es|s|ing|ed|e|y)$/, '') : term));
+    }
+
+    /**
+     * Build the contacts query from the search and its filters
+     * Same rules as the inbox: quarantined spam only with status=spam, never trashed messages.
+     * @param {Object} options - { q, field, status, subject, startDate, endDate }
+     * @returns {Object} MongoDB filter
+     */
+    static buildFilter({ q, field = 'all', status, subject, startDate, endDate } = {}) {
+        const filter = ContactFilterService.build({ status, subject, startDate, endDate });
+
+        if (q) {
+            filter.$text = { $search: ContactSearchService.textSearch(q) };
+
+            // The text index covers every search field; narrow its matches to the one asked for
+            if (field !== 'all') {
+                filter[field] = { $regex: ContactSearchService.prefixes(ContactSearchService.terms(q)).join('|'), $options: 'i' };
+            }
+        }
+
+        return filter;
+    }
+
+    /**
+     * Cut a snippet around the first match and mark every match
+     * The text is HTML-escaped, so the snippet can be shown as HTML.
+     * @param {string} text - Field value
+     * @param {string[]} terms - Words from terms()
+     * @returns {string|null} Snippet with <mark> around matches, or null without a match
+     */
+    static highlight(text, terms) {
+        if (typeof text !== 'string' || terms.length === 0) return null;
+
+        const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${ContactSearchService.prefixes(terms).join('|')})[\\p{L}\\p{N}]*`, 'giu');
+        const first = text.search(pattern);
+        if (first === -1) return null;
+
+        const start = text.length <= SNIPPET_LENGTH ? 0 : Math.max(0, Math.min(first - SNIPPET_LEAD, text.length - SNIPPET_LENGTH));
+        const end = Math.min(text.length, start + SNIPPET_LENGTH);
+        const snippet = text.slice(start, end);
+
+        let html = '';
+        let last = 0;
+        for (const match of snippet.matchAll(pattern)) {
+            html += Utils.sanitizeHTML(snippet.slice(last, match.index)) + `<mark>${Utils.sanitizeHTML(match[0])}</mark>`;
+            last = match.index + match[0].length;
+        }
+        html += Utils.sanitizeHTML(snippet.slice(last));
+
+        return `${start > 0 ? '…' : ''}${html}${end < text.length ? '…' : ''}`;
+    }
+
+    /**
+     * Search contact messages, most relevant first
+     * A match in the name or email outweighs one in the message (see the contact_search index).
+     * @param {Object} options - Search and filters for buildFilter
+     * @param {Object} pagination - { page, limit }
+     * @returns {Promise<Object>} { results: contacts with score and highlights, total }
+     */
+    static async search(options, { page = 1, limit = 20 } = {}) {
+        const filter = ContactSearchService.buildFilter(options);
+
+        const [contacts, total] = await Promise.all([
+            Contact.find(filter, { score: { $meta: 'textScore' }, __v: 0 })
+                .sort({ score: { $meta: 'textScore' }, createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .lean(),
+            Contact.countDocuments(filter)
+        ]);
+
+        const terms = ContactSearchService.terms(options.q);
+        const fields = !options.field || options.field === 'all' ? SEARCH_FIELDS : [options.field];
+
+        const results = contacts.map(contact => ({
+            ...contact,
+            highlights: Object.fromEntries(fields
+                .map(field => [field, ContactSearchService.highlight(contact[field], terms)])
+                .filter(([, snippet]) => snippet !== null))
+        }));
+
+        return { results, total };
+    }
+}
+
+module.exports = ContactSearchService;
@@ -0,0 +1,71 @@
+// GreenMind - Export Service
+// Author: Fatemeh - Group 6
+// Description: Streams a query cursor to the response as JSON, NDJSON or CSV
+
+const { Utils } = require('../utils');
+
+/**
+ * Export service class
+ */
+class ExportService {
+    // Response headers of each export format (the file extension is the format name)
+    static FORMATS = {
+        json: { contentType: 'application/json; charset=utf-8', attachment: false },
+        ndjson: { contentType: 'application/x-ndjson; charset=utf-8', attachment: true },
+        csv: { contentType: 'text/csv; charset=utf-8', attachment: true }
+    };
+
+    /**
+     * Build a CSV line (RFC 4180)
+     * @param {Array} cells - Cell values
+     * @returns {string} CRLF-terminated line
+     */
+    static csvLine(cells) {
+        return cells.map(Utils.escapeCsv).join(',') + '\r\n';
+    }
+
+    /**
+     * Stream documents from a cursor in the requested format
+     * JSON keeps the API envelope: { status, data: { [key]: [...], count, ...summary } }.
+     * @param {Object} res - Express response object
+     * @param {AsyncIterable} cursor - Mongoose query cursor (lean)
+     * @param {Object} options - Options
+     * @param {string} options.format - json, ndjson or csv
+     * @param {string} options.filename - Download file name without extension
+     * @param {string} options.key - JSON data key of the records
+     * @param {Function} options.record - doc => record for JSON and NDJSON
+     * @param {Array} options.csvHeader - CSV column names
+     * @param {Function} options.csvRow - doc => CSV cells
+     * @param {Object} options.summary - Extra JSON data written after the records
+     * @returns {Promise<number>} Number of documents exported
+     */
+    static async stream(res, cursor, { format = 'json', filename, key, record, csvHeader, csvRow, summary = {} }) {
+        const { contentType, attachment } = ExportService.FORMATS[format];
+
+        res.setHeader('Content-Type', contentType);
+        if (attachment) {
+            res.setHeader('Content-Disposition', `attachment; filename=${filename}.${format}`);
+        }
+
+        if (format === 'csv') {
+            return Utils.streamCursor(res, cursor, {
+                head: ExportService.csvLine(csvHeader),
+                row: doc => ExportService.csvLine(csvRow(doc))
+            });
+        }
+
+        if (format === 'ndjson') {
+            return Utils.streamCursor(res, cursor, {
+                row: doc => JSON.stringify(record(doc)) + '\n'
+            });
+        }
+
+        return Utils.streamCursor(res, cursor, {
+            head: `{"status":"success","data":{${JSON.stringify(key)}:[`,
+            row: (doc, index) => (index > 0 ? ',' : '') + JSON.stringify(record(doc)),
+            tail: count => '],' + JSON.stringify({ count, exportedAt: new Date(), ...summary }).slice(1) + '}'
+        });
+    }
+}
+
+module.exports = ExportService;
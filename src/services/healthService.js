@@ -0,0 +1,125 @@
+// GreenMind - Health Service
+// Author: Fatemeh - Group 6
+// Description: Liveness and readiness checks, including the draining state used during shutdown
+
+const mongoose = require('mongoose');
+const MailerService = require('./mailer');
+const { config } = require('../config/environment');
+
+const DB_STATES = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+
+/**
+ * Reject if a promise takes longer than the given time
+ * @param {Promise} promise - Promise to wait for
+ * @param {number} ms - Time limit in milliseconds
+ * @param {string} message - Error message on timeout
+ * @returns {Promise} Settles with the promise, or rejects on timeout
+ */
+function withTimeout(promise, ms, message) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(message)), ms);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Health service class
+ * Readiness runs every dependency check: a failing critical check makes the instance
+ * not ready (503), a failing non-critical one only marks it degraded.
+ */
+class HealthService {
+    static draining = false;
+
+    static checks = [
+        {
+            name: 'database',
+            critical: true,
+            async run() {
+                const state = DB_STATES[mongoose.connection.readyState] || 'unknown';
+                if (state !== 'connected') {
+                    return { status: 'down', state };
+                }
+
+                const started = Date.now();
+                await withTimeout(
+                    mongoose.connection.db.admin().ping(),
+                    config.health.dbPingTimeout,
+                    `Database ping timed out after ${config.health.dbPingTimeout}ms`
+                );
+
+                return { status: 'up', state, latencyMs: Date.now() - started };
+            }
+        },
+        {
+            name: 'mailQueue',
+            critical: false,
+            async run() {
+                const pending = MailerService.queue.length;
+                return {
+                    status: pending >= config.health.mailQueueDegradedAt ? 'degraded' : 'up',
+                    pending
+                };
+            }
+        }
+    ];
+
+    /**
+     * Mark the instance as draining so readiness fails while in-flight requests finish
+     */
+    static startDraining() {
+        HealthService.draining = true;
+    }
+
+    /**
+     * Liveness: the process is up and serving requests
+     * @returns {Object} { state, uptime }
+     */
+    static checkLiveness() {
+        return {
+            state: HealthService.draining ? 'draining' : 'alive',
+            uptime: process.uptime()
+        };
+    }
+
+    /**
+     * Readiness: run every dependency check
+     * @returns {Promise<Object>} { ready, state, checks } where state is ready, degraded, not_ready or draining
+     */
+    static async checkReadiness() {
+        const results = await Promise.all(HealthService.checks.map(async check => {
+            try {
+                return [check, await check.run()];
+            } catch (error) {
+                return [check, { status: 'down', error: error.message }];
+            }
+        }));
+
+        const checks = {};
+        let criticalDown = false;
+        let degraded = false;
+
+        results.forEach(([check, result]) => {
+            checks[check.name] = { critical: check.critical, ...result };
+
+            if (result.status !== 'up') {
+                if (check.critical) criticalDown = true;
+                else degraded = true;
+            }
+        });
+
+        let state = 'ready';
+        if (HealthService.draining) state = 'draining';
+        else if (criticalDown) state = 'not_ready';
+        else if (degraded) state = 'degraded';
+
+        return {
+            ready: state === 'ready' || state === 'degraded',
+            state,
+            checks
+        };
+    }
+}
+
+module.exports = HealthService;
@@ -0,0 +1,35 @@
+// GreenMind - Services Index
+// Author: Fatemeh - Group 6
+// Description: Central export point for all services
+
+const QuizAttemptService = require('./quizAttemptService');
+const QuizHistoryService = require('./quizHistoryService');
+const QuizExportService = require('./quizExportService');
+const ContactFilterService = require('./contactFilterService');
+const ContactExportService = require('./contactExportService');
+const ContactSearchService = require('./contactSearchService');
+const ContactBulkService = require('./contactBulkService');
+const MailerService = require('./mailer');
+const NewsletterService = require('./newsletterService');
+const SpamService = require('./spam');
+const HealthService = require('./healthService');
+const RateLimitService = require('./rateLimit');
+const PrivacyService = require('./privacyService');
+const AuditService = require('./auditService');
+
+module.exports = {
+    QuizAttemptService,
+    QuizHistoryService,
+    QuizExportService,
+    ContactFilterService,
+    ContactExportService,
+    ContactSearchService,
+    ContactBulkService,
+    MailerService,
+    NewsletterService,
+    SpamService,
+    HealthService,
+    RateLimitService,
+    PrivacyService,
+    AuditService
+};
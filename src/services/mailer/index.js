@@ -0,0 +1,231 @@
+// GreenMind - Mailer Service
+// Author: Fatemeh - Group 6
+// Description: Sends contact emails through a pluggable transport and retries failed sends
+
+const { config } = require('../../config/environment');
+const { Utils, logger } = require('../../utils');
+const { createTransport } = require('./transports');
+const templates = require('./templates');
+
+/**
+ * Mailer service class
+ * Sends are attempted once; failures are queued and retried in the background
+ * with Utils.retry so a slow or unavailable mail server never blocks a request.
+ */
+class MailerService {
+    static transport = null;
+    static queue = [];
+    static processing = false;
+    static queueTimer = null;
+
+    /**
+     * Get the configured transport (created on first use)
+     * @returns {Object} Transport instance
+     */
+    static getTransport() {
+        if (!MailerService.transport) {
+            MailerService.transport = createTransport(config.mail);
+        }
+        return MailerService.transport;
+    }
+
+    /**
+     * Replace the transport (e.g. with a MemoryTransport in tests)
+     * @param {Object} transport - Object with an async send(message) method
+     */
+    static setTransport(transport) {
+        MailerService.transport = transport;
+    }
+
+    /**
+     * Get the staff address that handles a contact subject
+     * @param {string} subject - Contact subject value
+     * @returns {string} Staff email address
+     */
+    static getStaffRecipient(subject) {
+        const recipients = config.mail.staffRecipients;
+        return recipients[String(subject).toLowerCase()] || recipients.default;
+    }
+
+    /**
+     * Send a message, queueing it for retry if delivery fails
+     * @param {Object} message - Message with to, subject, text, html and optional replyTo and headers
+     * @returns {Promise<Object>} { sent: true, info } or { sent: false, queued: true }
+     */
+    static async send(message) {
+        const mail = { from: config.mail.from, ...message };
+
+        try {
+            const info = await MailerService.getTransport().send(mail);
+            return { sent: true, info };
+        } catch (error) {
+            logger.warn('Email failed, queued for retry', { subject: mail.subject, to: mail.to, error: error.message });
+            MailerService.enqueue(mail);
+            return { sent: false, queued: true };
+        }
+    }
+
+    /**
+     * Add a failed message to the retry queue
+     * @param {Object} mail - Message that could not be sent
+     */
+    static enqueue(mail) {
+        MailerService.queue.push({ mail, runs: 0, lastError: null });
+        MailerService.startQueue();
+
+        // Start retrying straight away rather than waiting for the next interval
+        MailerService.processQueue().catch(error => {
+            logger.error('Mail queue processing failed', { error });
+        });
+    }
+
+    /**
+     * Retry every queued message with Utils.retry
+     * Messages that still fail stay queued until they have used config.mail.maxQueueRuns runs.
+     * @returns {Promise<Object>} Counts of sent, remaining and dropped messages
+     */
+    static async processQueue() {
+        if (MailerService.processing) {
+            return { sent: 0, remaining: MailerService.queue.length, dropped: 0 };
+        }
+
+        MailerService.processing = true;
+        let sent = 0;
+        let dropped = 0;
+
+        try {
+            const pending = MailerService.queue.splice(0);
+
+            for (const item of pending) {
+                item.runs++;
+
+                try {
+                    await Utils.retry(
+                        () => MailerService.getTransport().send(item.mail),
+                        config.mail.maxRetries,
+                        config.mail.retryBaseDelay
+                    );
+                    sent++;
+                    logger.info('Queued email sent', { subject: item.mail.subject, to: item.mail.to, runs: item.runs });
+                } catch (error) {
+                    item.lastError = error.message;
+
+                    if (item.runs >= config.mail.maxQueueRuns) {
+                        dropped++;
+                        logger.error('Giving up on queued email', { subject: item.mail.subject, to: item.mail.to, runs: item.runs, error: error.message });
+                    } else {
+                        MailerService.queue.push(item);
+                    }
+                }
+            }
+        } finally {
+            MailerService.processing = false;
+        }
+
+        if (MailerService.queue.length === 0) {
+            MailerService.stopQueue();
+        }
+
+        return { sent, remaining: MailerService.queue.length, dropped };
+    }
+
+    /**
+     * Start the periodic queue run (does not keep the process alive)
+     */
+    static startQueue() {
+        if (MailerService.queueTimer) return;
+
+        MailerService.queueTimer = setInterval(() => {
+            MailerService.processQueue().catch(error => {
+                logger.error('Mail queue processing failed', { error });
+            });
+        }, config.mail.queueInterval);
+        MailerService.queueTimer.unref();
+    }
+
+    /**
+     * Stop the periodic queue run
+     */
+    static stopQueue() {
+        if (MailerService.queueTimer) {
+            clearInterval(MailerService.queueTimer);
+            MailerService.queueTimer = null;
+        }
+    }
+
+    /**
+     * Get the number of messages waiting to be retried
+     * @returns {number} Queue length
+     */
+    static getQueueLength() {
+        return MailerService.queue.length;
+    }
+
+    /**
+     * Send the acknowledgement to the submitter and the notification to staff
+     * @param {Object} contact - Saved contact document
+     * @returns {Promise<Object>} Send results for both messages
+     */
+    static async sendContactEmails(contact) {
+        const options = { appName: config.app.name };
+        const acknowledgement = templates.contactAcknowledgement(contact, options);
+        const notification = templates.contactNotification(contact, options);
+
+        const [acknowledgementResult, notificationResult] = await Promise.all([
+            MailerService.send({ to: contact.email, ...acknowledgement }),
+            MailerService.send({
+                to: MailerService.getStaffRecipient(contact.subject),
+                replyTo: contact.email,
+                ...notification
+            })
+        ]);
+
+        return {
+            acknowledgement: acknowledgementResult,
+            notification: notificationResult
+        };
+    }
+
+    /**
+     * Email a staff reply to the person who sent a contact message
+     * Replies to the email go to the staff address that handles the message's subject.
+     * @param {Object} contact - Contact document
+     * @param {Object} reply - Reply with author and body
+     * @returns {Promise<Object>} Send result
+     */
+    static async sendContactReply(contact, reply) {
+        const message = templates.contactReply(contact, reply, { appName: config.app.name });
+
+        return MailerService.send({
+            to: contact.email,
+            replyTo: MailerService.getStaffRecipient(contact.subject),
+            ...message
+        });
+    }
+
+    /**
+     * Email a newsletter confirmation link
+     * Includes List-Unsubscribe headers so mail clients can offer one-click unsubscribe.
+     * @param {Object} subscriber - Subscriber document
+     * @param {Object} links - confirmUrl, unsubscribeUrl and oneClickUrl
+     * @returns {Promise<Object>} Send result
+     */
+    static async sendNewsletterConfirmation(subscriber, links) {
+        const message = templates.newsletterConfirmation(subscriber, {
+            appName: config.app.name,
+            confirmUrl: links.confirmUrl,
+            unsubscribeUrl: links.unsubscribeUrl
+        });
+
+        return MailerService.send({
+            to: subscriber.email,
+            headers: {
+                'List-Unsubscribe': `<${links.oneClickUrl}>`,
+                'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+            },
+            ...message
+        });
+    }
+}
+
+module.exports = MailerService;
@@ -0,0 +1,191 @@
+// GreenMind - Mail Templates
+// Author: Fatemeh - Group 6
+// Description: Plain-text and HTML email templates for contact messages
+
+const { Utils } = require('../../utils');
+
+// Labels shown on the contact form for each subject value
+const SUBJECT_LABELS = {
+    general: 'General Question',
+    recycling: 'Recycling Inquiry',
+    energy: 'Energy Conservation',
+    water: 'Water Conservation',
+    climate: 'Climate Change',
+    feedback: 'Website Feedback',
+    collaboration: 'Collaboration Opportunity',
+    other: 'Other'
+};
+
+/**
+ * Get the display label for a contact subject
+ * @param {string} subject - Subject value
+ * @returns {string} Subject label
+ */
+function subjectLabel(subject) {
+    return SUBJECT_LABELS[subject] || subject;
+}
+
+/**
+ * Wrap HTML content in the shared email layout
+ * @param {string} appName - Application name
+ * @param {string} body - Inner HTML
+ * @returns {string} Full HTML document
+ */
+function layout(appName, body) {
+    return `<!DOCTYPE html>
+<html>
+<body style="font-family: Arial, sans-serif; color: #2c3e50; line-height: 1.6;">
+    <h2 style="color: #27ae60;">🌱 ${Utils.sanitizeHTML(appName)}</h2>
+    ${body}
+</body>
+</html>`;
+}
+
+/**
+ * Acknowledgement sent to the person who submitted the contact form
+ * The message itself is not quoted, so the form can't be used to send text to any address.
+ * @param {Object} contact - Contact document
+ * @param {Object} options - Template options ({ appName })
+ * @returns {Object} Email subject, text and html
+ */
+function contactAcknowledgement(contact, { appName }) {
+    const label = subjectLabel(contact.subject);
+
+    const text = [
+        `Hi ${contact.name},`,
+        '',
+        `Thank you for contacting ${appName}. We have received your message about "${label}" and will get back to you soon.`,
+        '',
+        `The ${appName} team`
+    ].join('\n');
+
+    const html = layout(appName, `
+    <p>Hi ${Utils.sanitizeHTML(contact.name)},</p>
+    <p>Thank you for contacting ${Utils.sanitizeHTML(appName)}. We have received your message about
+    <strong>${Utils.sanitizeHTML(label)}</strong> and will get back to you soon.</p>
+    <p>The ${Utils.sanitizeHTML(appName)} team</p>`);
+
+    return {
+        subject: `We received your message - ${appName}`,
+        text,
+        html
+    };
+}
+
+/**
+ * Notification sent to staff about a new contact message
+ * @param {Object} contact - Contact document
+ * @param {Object} options - Template options ({ appName })
+ * @returns {Object} Email subject, text and html
+ */
+function contactNotification(contact, { appName }) {
+    const label = subjectLabel(contact.subject);
+    const details = [
+        ['Name', contact.name],
+        ['Email', contact.email],
+        ['Subject', label],
+        ['Newsletter', contact.newsletter ? 'Yes' : 'No'],
+        ['Received', new Date(contact.createdAt || Date.now()).toISOString()],
+        ['Message ID', String(contact._id)]
+    ];
+
+    const text = [
+        `New contact message on ${appName}`,
+        '',
+        ...details.map(([key, value]) => `${key}: ${value}`),
+        '',
+        contact.message
+    ].join('\n');
+
+    const html = layout(appName, `
+    <p>New contact message:</p>
+    <table cellpadding="4">
+        ${details.map(([key, value]) => `<tr><th align="left">${key}</th><td>${Utils.sanitizeHTML(value)}</td></tr>`).join('\n        ')}
+    </table>
+    <p style="white-space: pre-wrap;">${Utils.sanitizeHTML(contact.message)}</p>`);
+
+    return {
+        subject: `[${appName}] New ${label} message from ${contact.name}`,
+        text,
+        html
+    };
+}
+
+/**
+ * Staff reply to a contact message, quoting the original message
+ * @param {Object} contact - Contact document
+ * @param {Object} reply - Reply with author and body
+ * @param {Object} options - Template options ({ appName })
+ * @returns {Object} Email subject, text and html
+ */
+function contactReply(contact, reply, { appName }) {
+    const label = subjectLabel(contact.subject);
+    const quoted = contact.message.split('\n').map(line => `> ${line}`).join('\n');
+
+    const text = [
+        `Hi ${contact.name},`,
+        '',
+        reply.body,
+        '',
+        reply.author.name,
+        `The ${appName} team`,
+        '',
+        `On ${new Date(contact.createdAt).toISOString()} you wrote:`,
+        quoted
+    ].join('\n');
+
+    const html = layout(appName, `
+    <p>Hi ${Utils.sanitizeHTML(contact.name)},</p>
+    <p style="white-space: pre-wrap;">${Utils.sanitizeHTML(reply.body)}</p>
+    <p>${Utils.sanitizeHTML(reply.author.name)}<br>The ${Utils.sanitizeHTML(appName)} team</p>
+    <p style="color: #7f8c8d;">You wrote:</p>
+    <blockquote style="border-left: 4px solid #bdc3c7; margin: 0; padding-left: 1em; color: #7f8c8d; white-space: pre-wrap;">${Utils.sanitizeHTML(contact.message)}</blockquote>`);
+
+    return {
+        subject: `Re: ${label} - ${appName}`,
+        text,
+        html
+    };
+}
+
+/**
+ * Double opt-in confirmation for a newsletter subscription
+ * @param {Object} subscriber - Subscriber document
+ * @param {Object} options - Template options ({ appName, confirmUrl, unsubscribeUrl })
+ * @returns {Object} Email subject, text and html
+ */
+function newsletterConfirmation(subscriber, { appName, confirmUrl, unsubscribeUrl }) {
+    const greeting = subscriber.name ? `Hi ${subscriber.name},` : 'Hi,';
+
+    const text = [
+        greeting,
+        '',
+        `Please confirm that you want to receive the ${appName} newsletter by opening this link:`,
+        confirmUrl,
+        '',
+        'If you did not sign up, you can ignore this email and you will not be subscribed.',
+        `To stop receiving emails from us at any time: ${unsubscribeUrl}`
+    ].join('\n');
+
+    const html = layout(appName, `
+    <p>${Utils.sanitizeHTML(greeting)}</p>
+    <p>Please confirm that you want to receive the ${Utils.sanitizeHTML(appName)} newsletter.</p>
+    <p><a href="${Utils.sanitizeHTML(confirmUrl)}" style="background: #27ae60; color: #ffffff; padding: 10px 20px; border-radius: 4px; text-decoration: none;">Confirm subscription</a></p>
+    <p style="color: #7f8c8d; font-size: 0.875em;">If you did not sign up, you can ignore this email and you will not be subscribed.
+    <a href="${Utils.sanitizeHTML(unsubscribeUrl)}">Unsubscribe</a></p>`);
+
+    return {
+        subject: `Confirm your ${appName} newsletter subscription`,
+        text,
+        html
+    };
+}
+
+module.exports = {
+    SUBJECT_LABELS,
+    subjectLabel,
+    contactAcknowledgement,
+    contactNotification,
+    contactReply,
+    newsletterConfirmation
+};
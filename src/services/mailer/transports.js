@@ -0,0 +1,122 @@
+// GreenMind - Mail Transports
+// Author: Fatemeh - Group 6
+// Description: SMTP, file and in-memory transports used by the mailer service
+
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { Utils } = require('../../utils');
+
+/**
+ * SMTP transport (production)
+ */
+class SmtpTransport {
+    /**
+     * Create SMTP transport
+     * @param {Object} options - SMTP host, port, secure flag and credentials
+     */
+    constructor(options) {
+        this.name = 'smtp';
+        this.transporter = nodemailer.createTransport({
+            host: options.host,
+            port: options.port,
+            secure: options.secure,
+            auth: options.user ? { user: options.user, pass: options.pass } : undefined
+        });
+    }
+
+    /**
+     * Send a message
+     * @param {Object} message - Message with from, to, replyTo, subject, text and html
+     * @returns {Promise<Object>} Delivery info
+     */
+    async send(message) {
+        const info = await this.transporter.sendMail(message);
+        return { messageId: info.messageId };
+    }
+}
+
+/**
+ * File transport (development) - writes each message to a JSON file
+ */
+class FileTransport {
+    /**
+     * Create file transport
+     * @param {string} directory - Directory messages are written to
+     */
+    constructor(directory) {
+        this.name = 'file';
+        this.directory = path.resolve(directory);
+    }
+
+    /**
+     * Write a message to disk
+     * @param {Object} message - Message to write
+     * @returns {Promise<Object>} Delivery info with the file path
+     */
+    async send(message) {
+        await fs.mkdir(this.directory, { recursive: true });
+
+        const messageId = Utils.generateId();
+        const file = path.join(this.directory, `${Date.now()}-${messageId}.json`);
+        await fs.writeFile(file, JSON.stringify({ ...message, messageId, sentAt: new Date() }, null, 2));
+
+        return { messageId, file };
+    }
+}
+
+/**
+ * In-memory transport (tests) - keeps sent messages in an array
+ */
+class MemoryTransport {
+    /**
+     * Create memory transport
+     */
+    constructor() {
+        this.name = 'memory';
+        this.sent = [];
+    }
+
+    /**
+     * Store a message
+     * @param {Object} message - Message to store
+     * @returns {Promise<Object>} Delivery info
+     */
+    async send(message) {
+        const messageId = Utils.generateId();
+        this.sent.push({ ...message, messageId, sentAt: new Date() });
+        return { messageId };
+    }
+
+    /**
+     * Remove all stored messages
+     */
+    clear() {
+        this.sent = [];
+    }
+}
+
+/**
+ * Create the transport named in the mail configuration
+ * @param {Object} mailConfig - config.mail
+ * @returns {Object} Transport instance
+ */
+function createTransport(mailConfig) {
+    switch (mailConfig.transport) {
+        case 'smtp':
+            return new SmtpTransport(mailConfig.smtp);
+        case 'file':
+            return new FileTransport(mailConfig.fileDirectory);
+        case 'memory':
+            return new MemoryTransport();
+        default:
+            throw new Error(`Unknown mail transport: ${mailConfig.transport}`);
+    }
+}
+
+module.exports = {
+    SmtpTransport,
+    FileTransport,
+    MemoryTransport,
+    createTransport
+};
@@ -0,0 +1,223 @@
+// GreenMind - Newsletter Service
+// Author: Fatemeh - Group 6
+// Description: Double opt-in newsletter subscriptions, signed unsubscribe links and contact migration
+
+const jwt = require('jsonwebtoken');
+const { Subscriber, Contact } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { config } = require('../config/environment');
+const MailerService = require('./mailer');
+const { logger } = require('../utils/logger');
+
+const CONFIRM_AUDIENCE = 'greenmind-newsletter-confirm';
+const UNSUBSCRIBE_AUDIENCE = 'greenmind-newsletter-unsubscribe';
+
+/**
+ * Newsletter service class
+ */
+class NewsletterService {
+    /**
+     * Subscribe an email address and send the confirmation email
+     * Already-confirmed subscribers are left as they are, so the response never
+     * reveals whether an address is on the list. A pending address is only emailed again
+     * once config.newsletter.resendIntervalSeconds have passed since the last confirmation.
+     * @param {Object} data - Subscriber email, optional name and source
+     * @param {Object} options - { sendConfirmation: false } to skip the email (migration)
+     * @returns {Promise<Object>} Subscriber and whether a confirmation was sent
+     */
+    static async subscribe({ email, name = null, source = 'form' }, { sendConfirmation = true } = {}) {
+        const normalizedEmail = email.trim().toLowerCase();
+        let subscriber = await Subscriber.findOne({ email: normalizedEmail });
+
+        if (subscriber && subscriber.status === 'confirmed') {
+            return { subscriber, confirmationSent: false };
+        }
+
+        if (subscriber && subscriber.status === 'pending' && NewsletterService.confirmationRecentlySent(subscriber)) {
+            return { subscriber, confirmationSent: false };
+        }
+
+        if (!subscriber) {
+            subscriber = new Subscriber({ email: normalizedEmail, name, source });
+        } else {
+            subscriber.status = 'pending';
+            if (name) subscriber.name = name;
+        }
+
+        if (sendConfirmation) {
+            subscriber.confirmationSentAt = new Date();
+        }
+        await subscriber.save();
+
+        if (sendConfirmation) {
+            await NewsletterService.sendConfirmation(subscriber);
+        }
+
+        return { subscriber, confirmationSent: sendConfirmation };
+    }
+
+    /**
+     * Whether a confirmation email went out within the resend interval
+     * @param {Object} subscriber - Subscriber document
+     * @returns {boolean} True if another email has to wait
+     */
+    static confirmationRecentlySent(subscriber) {
+        return Boolean(subscriber.confirmationSentAt) &&
+            Date.now() - subscriber.confirmationSentAt.getTime() < config.newsletter.resendIntervalSeconds * 1000;
+    }
+
+    /**
+     * Email a confirmation link to a pending subscriber
+     * @param {Object} subscriber - Subscriber document
+     * @returns {Promise<Object>} Mailer send result
+     */
+    static async sendConfirmation(subscriber) {
+        return MailerService.sendNewsletterConfirmation(subscriber, NewsletterService.getLinks(subscriber));
+    }
+
+    /**
+     * Build the confirmation and unsubscribe links for a subscriber
+     * @param {Object} subscriber - Subscriber document
+     * @returns {Object} confirmUrl, unsubscribeUrl (page) and oneClickUrl (List-Unsubscribe)
+     */
+    static getLinks(subscriber) {
+        const baseUrl = config.app.url.replace(/\/$/, '');
+        const confirmToken = NewsletterService.createConfirmationToken(subscriber);
+        const unsubscribeToken = NewsletterService.createUnsubscribeToken(subscriber);
+
+        return {
+            confirmUrl: `${baseUrl}/newsletter.html?confirm=${encodeURIComponent(confirmToken)}`,
+            unsubscribeUrl: `${baseUrl}/newsletter.html?unsubscribe=${encodeURIComponent(unsubscribeToken)}`,
+            oneClickUrl: `${baseUrl}${config.api.prefix}/${config.api.version}/newsletter/unsubscribe?token=${encodeURIComponent(unsubscribeToken)}`
+        };
+    }
+
+    /**
+     * Create a signed, expiring confirmation token
+     * @param {Object} subscriber - Subscriber document
+     * @returns {string} Signed token
+     */
+    static createConfirmationToken(subscriber) {
+        return jwt.sign(
+            { sid: subscriber._id.toString(), email: subscriber.email },
+            config.security.sessionSecret,
+            { audience: CONFIRM_AUDIENCE, expiresIn: config.newsletter.confirmationTtlSeconds }
+        );
+    }
+
+    /**
+     * Create a signed unsubscribe token (does not expire, so old emails keep working)
+     * @param {Object} subscriber - Subscriber document
+     * @returns {string} Signed token
+     */
+    static createUnsubscribeToken(subscriber) {
+        return jwt.sign(
+            { sid: subscriber._id.toString() },
+            config.security.sessionSecret,
+            { audience: UNSUBSCRIBE_AUDIENCE }
+        );
+    }
+
+    /**
+     * Confirm a subscription from a confirmation token
+     * @param {string} token - Confirmation token
+     * @returns {Promise<Object>} Confirmed subscriber
+     */
+    static async confirm(token) {
+        let payload;
+        try {
+            payload = jwt.verify(token, config.security.sessionSecret, { audience: CONFIRM_AUDIENCE });
+        } catch (error) {
+            if (error.name === 'TokenExpiredError') {
+                throw new AppError('This confirmation link has expired. Please subscribe again.', 410);
+            }
+            throw new AppError('Invalid confirmation link', 400);
+        }
+
+        const subscriber = await Subscriber.findById(payload.sid);
+
+        if (!subscriber || subscriber.email !== payload.email) {
+            throw new AppError('Invalid confirmation link', 400);
+        }
+
+        if (subscriber.status === 'unsubscribed') {
+            throw new AppError('This address has unsubscribed. Please subscribe again.', 410);
+        }
+
+        if (subscriber.status === 'pending') {
+            await subscriber.confirm();
+            logger.info('Newsletter subscription confirmed', { subscriberId: subscriber._id, email: subscriber.email });
+        }
+
+        return subscriber;
+    }
+
+    /**
+     * Unsubscribe from a signed unsubscribe token
+     * @param {string} token - Unsubscribe token
+     * @returns {Promise<Object>} Unsubscribed subscriber
+     */
+    static async unsubscribe(token) {
+        let payload;
+        try {
+            payload = jwt.verify(token, config.security.sessionSecret, { audience: UNSUBSCRIBE_AUDIENCE });
+        } catch (error) {
+            throw new AppError('Invalid unsubscribe link', 400);
+        }
+
+        const subscriber = await Subscriber.findById(payload.sid);
+
+        if (!subscriber) {
+            throw new AppError('Invalid unsubscribe link', 400);
+        }
+
+        if (subscriber.status !== 'unsubscribed') {
+            await subscriber.unsubscribe();
+            logger.info('Newsletter unsubscribe', { subscriberId: subscriber._id, email: subscriber.email });
+        }
+
+        return subscriber;
+    }
+
+    /**
+     * Create pending subscribers for contacts that ticked the newsletter box
+     * Addresses that already have a subscriber record (in any status) are skipped. Quarantined spam,
+     * trashed messages and anonymized ones (whose address is a placeholder) are left out.
+     * @param {Object} options - { sendConfirmations: true } to email each new subscriber
+     * @returns {Promise<Object>} Counts of created and skipped addresses
+     */
+    static async migrateFromContacts({ sendConfirmations = false } = {}) {
+        const contacts = await Contact.aggregate([
+            { $match: { newsletter: true, status: { $ne: 'spam' }, deletedAt: null, anonymizedAt: null } },
+            { $sort: { createdAt: -1 } },
+            {
+                $group: {
+                    _id: '$email',
+                    name: { $first: '$name' }
+                }
+            }
+        ]);
+
+        const existing = new Set(await Subscriber.distinct('email', {
+            email: { $in: contacts.map(contact => contact._id) }
+        }));
+
+        let created = 0;
+        for (const contact of contacts) {
+            if (existing.has(contact._id)) continue;
+
+            await NewsletterService.subscribe(
+                { email: contact._id, name: contact.name, source: 'migration' },
+                { sendConfirmation: sendConfirmations }
+            );
+            created++;
+        }
+
+        return {
+            created,
+            skipped: contacts.length - created
+        };
+    }
+}
+
+module.exports = NewsletterService;
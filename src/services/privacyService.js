@@ -0,0 +1,219 @@
+// GreenMind - Privacy Service
+// Author: Fatemeh - Group 6
+// Description: Data-subject export and erasure by email, and the data retention policy
+
+const crypto = require('crypto');
+const { Contact, QuizResult, Subscriber, User } = require('../models');
+const { config } = require('../config/environment');
+const { AppError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const AuditService = require('./auditService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Privacy service class
+ */
+class PrivacyService {
+    // Report of the most recent retention run (null until the first run)
+    static lastRetentionReport = null;
+
+    static retentionTimer = null;
+
+    /**
+     * Normalize an email address the way the models store it
+     * @param {string} email - Email address
+     * @returns {string} Trimmed, lower-case address
+     */
+    static normalizeEmail(email) {
+        return String(email).trim().toLowerCase();
+    }
+
+    /**
+     * Key for a data subject in the audit log (a hash, so the log holds no email addresses)
+     * @param {string} email - Email address
+     * @returns {string} SHA-256 hex digest of the normalized address
+     */
+    static subjectKey(email) {
+        return crypto.createHash('sha256').update(PrivacyService.normalizeEmail(email)).digest('hex');
+    }
+
+    /**
+     * Collect every record tied to an email address
+     * @param {string} email - Data subject's email address
+     * @returns {Promise<Object>} Archive of contacts, newsletter subscriptions, account and quiz results
+     */
+    static async exportSubject(email) {
+        const address = PrivacyService.normalizeEmail(email);
+
+        const [contacts, subscriptions, account] = await Promise.all([
+            Contact.find({ email: address }).sort({ createdAt: 1 }).select('-__v').lean(),
+            Subscriber.find({ email: address }).select('-__v').lean(),
+            User.findOne({ email: address }).select('+importedQuizAttempts -password -tokenVersion -__v').lean()
+        ]);
+
+        const quizResults = account
+            ? await QuizResult.find({ userId: account._id }).sort({ completedAt: 1 }).select('-__v').lean()
+            : [];
+
+        return {
+            email: address,
+            generatedAt: new Date(),
+            contacts,
+            subscriptions,
+            account,
+            quizResults
+        };
+    }
+
+    /**
+     * Erase or anonymize every record tied to an email address
+     * Newsletter subscriptions and the learner account are always deleted. With 'anonymize',
+     * contact messages and quiz results are kept without personal data so statistics still add up.
+     * @param {string} email - Data subject's email address
+     * @param {string} mode - erase or anonymize
+     * @returns {Promise<Object>} Report of what was removed
+     */
+    static async eraseSubject(email, mode = 'erase') {
+        const address = PrivacyService.normalizeEmail(email);
+        const account = await User.findOne({ email: address });
+
+        if (account && account.role === 'admin') {
+            throw new AppError('Administrator accounts cannot be erased. Remove the admin role first.', 409);
+        }
+
+        const report = { email: address, mode, contacts: 0, subscriptions: 0, account: false, quizResults: 0 };
+
+        if (mode === 'anonymize') {
+            report.contacts = (await Contact.anonymize({ email: address })).modifiedCount;
+        } else {
+            report.contacts = (await Contact.deleteMany({ email: address })).deletedCount;
+        }
+
+        report.subscriptions = (await Subscriber.deleteMany({ email: address })).deletedCount;
+
+        if (account) {
+            if (mode === 'anonymize') {
+                report.quizResults = (await QuizResult.updateMany(
+                    { userId: account._id },
+                    { $set: { userId: null }, $unset: { sessionId: 1, userAgent: 1 } }
+                )).modifiedCount;
+            } else {
+                report.quizResults = (await QuizResult.deleteMany({ userId: account._id })).deletedCount;
+            }
+
+            await User.deleteOne({ _id: account._id });
+            report.account = true;
+        }
+
+        return report;
+    }
+
+    /**
+     * Apply the retention policy: anonymize or purge old contact messages, strip old user agents
+     * and permanently delete messages whose trash grace period is over
+     * @param {Date} now - Reference time (defaults to now)
+     * @returns {Promise<Object>} Report of what was removed
+     */
+    static async applyRetention(now = new Date()) {
+        const { contactRetentionDays, contactRetentionAction, userAgentRetentionDays, contactTrashDays } = config.privacy;
+        const report = {
+            ranAt: now,
+            contacts: { action: contactRetentionAction, retentionDays: contactRetentionDays, before: null, count: 0 },
+            userAgents: { retentionDays: userAgentRetentionDays, before: null, contacts: 0, quizResults: 0 },
+            trash: { graceDays: contactTrashDays, before: null, count: 0 }
+        };
+
+        if (contactTrashDays > 0) {
+            report.trash.before = new Date(now.getTime() - contactTrashDays * DAY_MS);
+            report.trash.count = (await Contact.purgeTrash(report.trash.before)).deletedCount;
+        }
+
+        if (contactRetentionDays > 0) {
+            const before = new Date(now.getTime() - contactRetentionDays * DAY_MS);
+            const filter = { createdAt: { $lt: before } };
+
+            report.contacts.before = before;
+            report.contacts.count = contactRetentionAction === 'purge'
+                ? (await Contact.deleteMany(filter)).deletedCount
+                : (await Contact.anonymize(filter)).modifiedCount;
+        }
+
+        if (userAgentRetentionDays > 0) {
+            const before = new Date(now.getTime() - userAgentRetentionDays * DAY_MS);
+            const strip = { $unset: { userAgent: 1 } };
+
+            report.userAgents.before = before;
+            report.userAgents.contacts = (await Contact.updateMany(
+                { createdAt: { $lt: before }, userAgent: { $exists: true } }, strip
+            )).modifiedCount;
+            report.userAgents.quizResults = (await QuizResult.updateMany(
+                { completedAt: { $lt: before }, userAgent: { $exists: true } }, strip
+            )).modifiedCount;
+        }
+
+        PrivacyService.lastRetentionReport = report;
+        logger.info('Retention policy applied', {
+            contacts: report.contacts.count,
+            contactAction: report.contacts.action,
+            userAgentsStripped: report.userAgents.contacts + report.userAgents.quizResults,
+            trashPurged: report.trash.count
+        });
+
+        return report;
+    }
+
+    /**
+     * Get the retention policy and the report of its last run
+     * @returns {Object} { policy, lastRun }
+     */
+    static getRetentionStatus() {
+        const {
+            contactRetentionDays, contactRetentionAction, userAgentRetentionDays, contactTrashDays, retentionInterval
+        } = config.privacy;
+
+        return {
+            policy: {
+                contactRetentionDays,
+                contactRetentionAction,
+                userAgentRetentionDays,
+                contactTrashDays,
+                intervalHours: retentionInterval / (60 * 60 * 1000)
+            },
+            lastRun: PrivacyService.lastRetentionReport
+        };
+    }
+
+    /**
+     * Run the retention policy shortly after startup and then periodically (does not keep the process alive)
+     */
+    static startRetention() {
+        if (PrivacyService.retentionTimer) return;
+
+        const run = () => PrivacyService.applyRetention()
+            .then(report => AuditService.record(null, { action: 'privacy.retention', targetType: 'contact', details: report }))
+            .catch(error => {
+                logger.error('Retention policy run failed', { error });
+            });
+
+        PrivacyService.retentionTimer = setTimeout(() => {
+            run();
+            PrivacyService.retentionTimer = setInterval(run, config.privacy.retentionInterval);
+            PrivacyService.retentionTimer.unref();
+        }, config.privacy.retentionStartDelay);
+        PrivacyService.retentionTimer.unref();
+    }
+
+    /**
+     * Stop the periodic retention run
+     */
+    static stopRetention() {
+        if (PrivacyService.retentionTimer) {
+            clearTimeout(PrivacyService.retentionTimer);
+            clearInterval(PrivacyService.retentionTimer);
+            PrivacyService.retentionTimer = null;
+        }
+    }
+}
+
+module.exports = PrivacyService;
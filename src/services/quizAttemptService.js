@@ -0,0 +1,238 @@
+// GreenMind - Quiz Attempt Service
+// Author: Fatemeh - Group 6
+// Description: Issues signed quiz attempts and grades them on the server
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Question } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { Utils } = require('../utils');
+const { config } = require('../config/environment');
+
+const ATTEMPT_AUDIENCE = 'greenmind-quiz-attempt';
+const CLAIM_AUDIENCE = 'greenmind-quiz-claim';
+
+/**
+ * Quiz attempt service class
+ */
+class QuizAttemptService {
+    /**
+     * Create a new quiz attempt
+     * Questions are sampled at random and each question's options are shuffled;
+     * the option order is carried in the signed token so grading can map it back.
+     * @param {Object} options - Generation options
+     * @param {string[]} options.categories - Category names or prefixes (empty for all)
+     * @param {string} options.difficulty - easy, medium, hard or mixed
+     * @param {number} options.count - Number of questions to sample
+     * @returns {Promise<Object>} Signed attempt with public question data
+     */
+    static async createAttempt({
+        categories = [],
+        difficulty = 'mixed',
+        count = config.quiz.defaultQuestionCount
+    } = {}) {
+        const filter = { active: true };
+
+        if (difficulty !== 'mixed') {
+            filter.difficulty = difficulty;
+        }
+
+        if (categories.length > 0) {
+            filter.category = { $in: await QuizAttemptService.resolveCategories(categories) };
+        }
+
+        const questions = await Question.aggregate([
+            { $match: filter },
+            { $sample: { size: count } },
+            { $project: { category: 1, prompt: 1, options: 1, difficulty: 1 } }
+        ]);
+
+        if (questions.length === 0) {
+            if (categories.length > 0 || difficulty !== 'mixed') {
+                throw new AppError('No quiz questions match the selected categories and difficulty', 404);
+            }
+            throw new AppError('No quiz questions are available right now. Please check back later.', 503);
+        }
+
+        const optionOrders = questions.map(question => Utils.shuffle(question.options.map((option, index) => index)));
+
+        const attemptId = crypto.randomUUID();
+        const startedAt = new Date();
+        const expiresAt = new Date(startedAt.getTime() + config.quiz.attemptTtlSeconds * 1000);
+
+        const attemptToken = jwt.sign(
+            {
+                aid: attemptId,
+                q: questions.map(question => question._id.toString()),
+                o: optionOrders.map(order => order.join('')), // Options are capped at 6, so one digit each
+                d: difficulty,
+                st: startedAt.getTime()
+            },
+            config.security.sessionSecret,
+            { audience: ATTEMPT_AUDIENCE, expiresIn: config.quiz.attemptTtlSeconds }
+        );
+
+        return {
+            attemptId,
+            attemptToken,
+            difficulty,
+            startedAt,
+            expiresAt,
+            questions: questions.map((question, index) => ({
+                id: question._id,
+                category: question.category,
+                prompt: question.prompt,
+                options: optionOrders[index].map(originalIndex => question.options[originalIndex]),
+                difficulty: question.difficulty
+            }))
+        };
+    }
+
+    /**
+     * Resolve requested category names against the active question bank
+     * Matching is case-insensitive and a leading word is enough ("water" matches "Water Conservation").
+     * @param {string[]} requested - Requested category names
+     * @returns {Promise<string[]>} Matching category names
+     * @throws {AppError} If a requested category matches nothing
+     */
+    static async resolveCategories(requested) {
+        const available = await Question.distinct('category', { active: true });
+        const resolved = new Set();
+
+        requested.forEach(name => {
+            const wanted = name.trim().toLowerCase();
+            const matches = available.filter(category => {
+                const candidate = category.toLowerCase();
+                return candidate === wanted || candidate.startsWith(`${wanted} `);
+            });
+
+            if (matches.length === 0) {
+                throw new AppError(`Unknown quiz category: ${name}. Available categories: ${available.join(', ')}`, 400);
+            }
+
+            matches.forEach(category => resolved.add(category));
+        });
+
+        return [...resolved];
+    }
+
+    /**
+     * Verify a signed attempt token
+     * @param {string} attemptToken - Token returned by createAttempt
+     * @returns {Object} Decoded attempt ({ attemptId, questionIds, optionOrders, difficulty, startedAt })
+     * @throws {AppError} If the token is invalid or expired
+     */
+    static verifyAttempt(attemptToken) {
+        let payload;
+        try {
+            payload = jwt.verify(attemptToken, config.security.sessionSecret, { audience: ATTEMPT_AUDIENCE });
+        } catch (error) {
+            if (error.name === 'TokenExpiredError') {
+                throw new AppError('This quiz attempt has expired. Please start a new quiz.', 410);
+            }
+            throw new AppError('Invalid quiz attempt. Please start a new quiz.', 400);
+        }
+
+        return {
+            attemptId: payload.aid,
+            questionIds: payload.q,
+            optionOrders: (payload.o || []).map(order => order.split('').map(Number)),
+            difficulty: payload.d || 'mixed',
+            startedAt: new Date(payload.st)
+        };
+    }
+
+    /**
+     * Sign a claim for an anonymous result
+     * The browser keeps it with its local history; a learner who signs in later proves
+     * with it that the result was taken in that browser.
+     * @param {Object} resultId - Saved quiz result ID
+     * @returns {string} Claim token
+     */
+    static issueClaimToken(resultId) {
+        return jwt.sign({ rid: resultId.toString() }, config.security.sessionSecret, { audience: CLAIM_AUDIENCE });
+    }
+
+    /**
+     * Verify a claim token
+     * @param {string} claimToken - Token returned by issueClaimToken
+     * @returns {string|null} Result ID the claim is for, or null if the token is invalid
+     */
+    static verifyClaimToken(claimToken) {
+        try {
+            return jwt.verify(claimToken, config.security.sessionSecret, { audience: CLAIM_AUDIENCE }).rid || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Grade the chosen options for an attempt
+     * Indexes in answers and in the review refer to the shuffled order the learner saw.
+     * Questions deleted or edited since the attempt started are left out of the result.
+     * @param {Object} attempt - Verified attempt from verifyAttempt
+     * @param {Object} answers - Map of question ID to chosen option index
+     * @returns {Promise<Object>} Graded result
+     */
+    static async gradeAttempt(attempt, answers) {
+        const questions = await Question
+            .find({ _id: { $in: attempt.questionIds } })
+            .select('category prompt options correctIndex explanation');
+
+        const questionsById = new Map(questions.map(question => [question._id.toString(), question]));
+
+        let correctAnswers = 0;
+        const categories = {};
+        const review = [];
+
+        attempt.questionIds.forEach((questionId, position) => {
+            const question = questionsById.get(questionId);
+            if (!question) return;
+
+            // Attempts issued without shuffling keep the stored order
+            const order = attempt.optionOrders[position] || question.options.map((option, index) => index);
+            if (order.length !== question.options.length) return;
+
+            const answer = answers[questionId];
+            const selectedIndex = Number.isInteger(answer) && answer < order.length ? answer : null;
+            const correctIndex = order.indexOf(question.correctIndex);
+            const isCorrect = selectedIndex === correctIndex;
+
+            if (isCorrect) correctAnswers++;
+
+            if (!categories[question.category]) {
+                categories[question.category] = { correct: 0, total: 0 };
+            }
+            categories[question.category].total++;
+            if (isCorrect) categories[question.category].correct++;
+
+            review.push({
+                questionId,
+                category: question.category,
+                prompt: question.prompt,
+                selectedIndex,
+                correctIndex,
+                isCorrect,
+                explanation: question.explanation
+            });
+        });
+
+        const totalQuestions = review.length;
+        if (totalQuestions === 0) {
+            throw new AppError('The questions in this attempt are no longer available. Please start a new quiz.', 410);
+        }
+
+        const elapsedSeconds = Math.round((Date.now() - attempt.startedAt.getTime()) / 1000);
+
+        return {
+            score: Math.round((correctAnswers / totalQuestions) * 100),
+            correctAnswers,
+            totalQuestions,
+            timeTaken: Math.min(Math.max(elapsedSeconds, 1), config.quiz.attemptTtlSeconds),
+            categories,
+            review
+        };
+    }
+}
+
+module.exports = QuizAttemptService;
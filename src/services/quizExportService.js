@@ -0,0 +1,140 @@
+// GreenMind - Quiz Export Service
+// Author: Fatemeh - Group 6
+// Description: Streams quiz results as JSON, NDJSON or CSV with one column pair per category
+
+const { QuizResult } = require('../models');
+const ExportService = require('./exportService');
+
+// Fixed CSV columns; every category adds "<category> Correct" and "<category> Total" after them
+const CSV_COLUMNS = [
+    'Result ID',
+    'Completed At',
+    'Score',
+    'Correct Answers',
+    'Total Questions',
+    'Time Taken',
+    'Performance Level',
+    'Difficulty'
+];
+
+/**
+ * Quiz export service class
+ */
+class QuizExportService {
+    /**
+     * Build the results query from the export filters
+     * @param {Object} filters - { startDate, endDate, difficulty, minScore, maxScore }
+     * @returns {Object} MongoDB filter
+     */
+    static buildFilter({ startDate, endDate, difficulty, minScore, maxScore } = {}) {
+        const filter = {};
+
+        if (startDate || endDate) {
+            filter.completedAt = {};
+            if (startDate) filter.completedAt.$gte = new Date(startDate);
+            if (endDate) filter.completedAt.$lte = new Date(endDate);
+        }
+
+        if (difficulty) {
+            filter.difficulty = difficulty;
+        }
+
+        if (minScore !== undefined || maxScore !== undefined) {
+            filter.score = {};
+            if (minScore !== undefined) filter.score.$gte = minScore;
+            if (maxScore !== undefined) filter.score.$lte = maxScore;
+        }
+
+        return filter;
+    }
+
+    /**
+     * Shape a result for the JSON and NDJSON exports
+     * @param {Object} result - Lean quiz result
+     * @returns {Object} Exported record
+     */
+    static toRecord(result) {
+        return {
+            id: result._id,
+            completedAt: result.completedAt,
+            score: result.score,
+            correctAnswers: result.correctAnswers,
+            totalQuestions: result.totalQuestions,
+            timeTaken: result.timeTaken ?? null,
+            performanceLevel: QuizResult.performanceLevelFor(result.score),
+            difficulty: result.difficulty,
+            categories: result.categories || {},
+            sessionId: result.sessionId ?? null,
+            userId: result.userId ?? null
+        };
+    }
+
+    /**
+     * Build the CSV columns
+     * @param {string[]} categories - Category names, in column order
+     * @returns {string[]} Column names
+     */
+    static csvHeader(categories) {
+        return [
+            ...CSV_COLUMNS,
+            ...categories.flatMap(category => [`${category} Correct`, `${category} Total`])
+        ];
+    }
+
+    /**
+     * Build the CSV cells of a result
+     * @param {Object} result - Lean quiz result
+     * @param {string[]} categories - Category names, in column order
+     * @returns {Array} Cell values
+     */
+    static csvRow(result, categories) {
+        const scores = result.categories || {};
+
+        return [
+            result._id,
+            result.completedAt,
+            result.score,
+            result.correctAnswers,
+            result.totalQuestions,
+            result.timeTaken,
+            QuizResult.performanceLevelFor(result.score),
+            result.difficulty,
+            ...categories.flatMap(category => scores[category]
+                ? [scores[category].correct, scores[category].total]
+                : [null, null])
+        ];
+    }
+
+    /**
+     * Stream the matching results to the response
+     * @param {Object} res - Express response object
+     * @param {Object} options - Options
+     * @param {string} options.format - json, ndjson or csv
+     * @param {Object} options.filters - Filters for buildFilter (echoed in the JSON export)
+     * @returns {Promise<number>} Number of results exported
+     */
+    static async stream(res, { format = 'json', filters = {} }) {
+        const filter = QuizExportService.buildFilter(filters);
+        // CSV columns have to be known before the first row
+        const categories = format === 'csv' ? await QuizResult.getCategoryNames(filter) : [];
+
+        const cursor = QuizResult
+            .find(filter)
+            .sort({ completedAt: -1 })
+            .select('-userAgent -__v')
+            .lean()
+            .cursor({ batchSize: 500 });
+
+        return ExportService.stream(res, cursor, {
+            format,
+            filename: 'quiz-results',
+            key: 'results',
+            record: QuizExportService.toRecord,
+            csvHeader: QuizExportService.csvHeader(categories),
+            csvRow: result => QuizExportService.csvRow(result, categories),
+            summary: { filters }
+        });
+    }
+}
+
+module.exports = QuizExportService;
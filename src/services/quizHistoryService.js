@@ -0,0 +1,220 @@
+// GreenMind - Quiz History Service
+// Author: Fatemeh - Group 6
+// Description: Learner quiz history, per-category trends and local history import
+
+const { QuizResult, User } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const QuizAttemptService = require('./quizAttemptService');
+const { logger } = require('../utils/logger');
+
+/**
+ * Quiz history service class
+ */
+class QuizHistoryService {
+    /**
+     * Build a learner's quiz history with overall and per-category trends
+     * Combines server-graded results with attempts imported from the browser.
+     * @param {Object} userId - Learner's user ID
+     * @param {number} limit - Maximum number of attempts to list (newest first)
+     * @returns {Promise<Object>} History summary, category trends and attempts
+     */
+    static async getHistory(userId, limit = 20) {
+        const [results, user] = await Promise.all([
+            QuizResult
+                .find({ userId })
+                .sort({ completedAt: 1 })
+                .select('score correctAnswers totalQuestions timeTaken categories difficulty completedAt'),
+            User.findById(userId).select('+importedQuizAttempts')
+        ]);
+
+        const graded = results.map(result => ({
+            id: result._id,
+            source: 'graded',
+            score: result.score,
+            correctAnswers: result.correctAnswers,
+            totalQuestions: result.totalQuestions,
+            timeTaken: result.timeTaken,
+            difficulty: result.difficulty,
+            categories: Object.fromEntries(result.categories || []),
+            completedAt: result.completedAt
+        }));
+
+        const imported = ((user && user.importedQuizAttempts) || []).map(attempt => ({
+            id: null,
+            source: 'import',
+            score: attempt.score,
+            correctAnswers: attempt.correctAnswers,
+            totalQuestions: attempt.totalQuestions,
+            timeTaken: attempt.timeTaken,
+            difficulty: null,
+            categories: Object.fromEntries(attempt.categories || []),
+            completedAt: attempt.completedAt
+        }));
+
+        const attempts = [...graded, ...imported]
+            .sort((a, b) => new Date(a.completedAt) - new Date(b.completedAt));
+
+        return {
+            summary: QuizHistoryService.summarize(attempts.map(attempt => ({
+                score: attempt.score,
+                completedAt: attempt.completedAt
+            }))),
+            categoryTrends: QuizHistoryService.getCategoryTrends(attempts),
+            attempts: attempts.slice(-limit).reverse(),
+            importedAt: user ? user.quizHistoryImportedAt : null
+        };
+    }
+
+    /**
+     * Summarize a chronological series of scores
+     * @param {Array} points - Points ({ score, completedAt }) oldest first
+     * @returns {Object} Summary with trend
+     */
+    static summarize(points) {
+        if (points.length === 0) {
+            return {
+                totalAttempts: 0,
+                averageScore: 0,
+                bestScore: 0,
+                firstScore: null,
+                latestScore: null,
+                change: 0,
+                trend: 'not_enough_data'
+            };
+        }
+
+        const scores = points.map(point => point.score);
+        const total = scores.reduce((sum, score) => sum + score, 0);
+
+        return {
+            totalAttempts: scores.length,
+            averageScore: Math.round(total / scores.length),
+            bestScore: Math.max(...scores),
+            firstScore: scores[0],
+            latestScore: scores[scores.length - 1],
+            change: scores[scores.length - 1] - scores[0],
+            trend: QuizHistoryService.describeTrend(scores)
+        };
+    }
+
+    /**
+     * Describe the direction of a score series
+     * Compares the last three scores with the three before them, like the quiz page does.
+     * @param {number[]} scores - Scores oldest first
+     * @returns {string} improving, declining, steady or not_enough_data
+     */
+    static describeTrend(scores) {
+        if (scores.length < 2) return 'not_enough_data';
+
+        const recent = scores.slice(-3);
+        const older = scores.slice(-6, -3);
+        const baseline = older.length > 0 ? older : scores.slice(0, 1);
+
+        const recentAvg = recent.reduce((sum, score) => sum + score, 0) / recent.length;
+        const olderAvg = baseline.reduce((sum, score) => sum + score, 0) / baseline.length;
+
+        if (recentAvg > olderAvg + 5) return 'improving';
+        if (recentAvg < olderAvg - 5) return 'declining';
+        return 'steady';
+    }
+
+    /**
+     * Build per-category score series and trends
+     * @param {Array} attempts - Attempts oldest first
+     * @returns {Array} Category trends sorted by category name
+     */
+    static getCategoryTrends(attempts) {
+        const pointsByCategory = new Map();
+
+        attempts.forEach(attempt => {
+            Object.entries(attempt.categories).forEach(([category, stats]) => {
+                if (!stats || !stats.total) return;
+
+                if (!pointsByCategory.has(category)) {
+                    pointsByCategory.set(category, []);
+                }
+                pointsByCategory.get(category).push({
+                    score: Math.round((stats.correct / stats.total) * 100),
+                    correct: stats.correct,
+                    total: stats.total,
+                    completedAt: attempt.completedAt
+                });
+            });
+        });
+
+        return [...pointsByCategory.entries()]
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([category, points]) => ({
+                category,
+                ...QuizHistoryService.summarize(points),
+                points
+            }));
+    }
+
+    /**
+     * Import a browser's local quiz history into a learner account (once per account)
+     * Anonymous server results are claimed only with the claim token /quiz/submit returned
+     * for them, so a result ID alone (public or guessed) proves nothing. Attempts without a
+     * result ID are stored as imported attempts because their scores were calculated in the
+     * browser; ones with a result ID but no valid claim are left out.
+     * @param {Object} userId - Learner's user ID
+     * @param {Array} attempts - Attempts from localStorage
+     * @returns {Promise<Object>} Counts of claimed results and imported attempts
+     */
+    static async importLocalHistory(userId, attempts) {
+        // Claim the import first, so concurrent requests can't both pass the once-per-account check
+        const importedAt = new Date();
+        const user = await User.findOneAndUpdate(
+            { _id: userId, quizHistoryImportedAt: null },
+            { $set: { quizHistoryImportedAt: importedAt } },
+            { new: true }
+        ).select('+importedQuizAttempts');
+
+        if (!user) {
+            if (!(await User.exists({ _id: userId }))) {
+                throw new AppError('The user belonging to this token no longer exists.', 401);
+            }
+            throw new AppError('Quiz history has already been imported for this account', 409);
+        }
+
+        try {
+            const claimedIds = attempts
+                .filter(attempt => attempt.resultId && attempt.claimToken)
+                .filter(attempt => QuizAttemptService.verifyClaimToken(attempt.claimToken) === String(attempt.resultId))
+                .map(attempt => attempt.resultId);
+
+            const claimed = await QuizResult.updateMany(
+                { _id: { $in: claimedIds }, userId: null },
+                { $set: { userId: user._id } }
+            );
+
+            const unverified = attempts.filter(attempt => !attempt.resultId);
+
+            unverified.forEach(attempt => {
+                user.importedQuizAttempts.push({
+                    score: attempt.score,
+                    correctAnswers: attempt.correctAnswers,
+                    totalQuestions: attempt.totalQuestions,
+                    timeTaken: Number.isInteger(attempt.timeTaken) ? attempt.timeTaken : undefined,
+                    categories: attempt.categoryScores || {},
+                    completedAt: new Date(attempt.date)
+                });
+            });
+
+            await user.save({ validateModifiedOnly: true });
+
+            logger.info('Quiz history imported', { userId: user._id, claimed: claimed.modifiedCount, imported: unverified.length });
+
+            return {
+                claimed: claimed.modifiedCount,
+                imported: unverified.length
+            };
+        } catch (error) {
+            // Release the claim so the learner can try again
+            await User.updateOne({ _id: user._id, quizHistoryImportedAt: importedAt }, { $set: { quizHistoryImportedAt: null } });
+            throw error;
+        }
+    }
+}
+
+module.exports = QuizHistoryService;
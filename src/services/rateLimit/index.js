@@ -0,0 +1,143 @@
+// GreenMind - Rate Limit Service
+// Author: Fatemeh - Group 6
+// Description: Rate-limit policies, the trusted IP allowlist and inspecting or resetting a client's counters
+
+const net = require('net');
+const { config } = require('../../config/environment');
+const { logger } = require('../../utils/logger');
+const MongoRateLimitStore = require('./store');
+
+/**
+ * Rate limit service class
+ */
+class RateLimitService {
+    // Stores created for each policy, so a client's counters can be read and reset from one place
+    static stores = new Map();
+
+    // Allowlist built from config.security.rateLimit.allowlist (rebuilt when the config changes)
+    static allowlist = { entries: null, blockList: null };
+
+    /**
+     * Get a policy from config.security.rateLimit.policies
+     * @param {string} name - Policy name
+     * @returns {Object} { windowMs, max, skipSuccessfulRequests, message }
+     */
+    static getPolicy(name) {
+        const policy = config.security.rateLimit.policies[name];
+        if (!policy) {
+            throw new Error(`Unknown rate-limit policy: ${name}`);
+        }
+        return policy;
+    }
+
+    /**
+     * Create the store for a limiter of a policy
+     * @param {string} policy - Policy name
+     * @returns {MongoRateLimitStore} Store
+     */
+    static createStore(policy) {
+        const store = new MongoRateLimitStore(policy);
+
+        if (!RateLimitService.stores.has(policy)) {
+            RateLimitService.stores.set(policy, []);
+        }
+        RateLimitService.stores.get(policy).push(store);
+
+        return store;
+    }
+
+    /**
+     * Build a block list from IP and CIDR entries
+     * @param {string[]} entries - e.g. ['127.0.0.1', '10.0.0.0/8', '::1']
+     * @returns {net.BlockList} Block list
+     */
+    static buildAllowlist(entries) {
+        const blockList = new net.BlockList();
+
+        entries.forEach(entry => {
+            const [address, prefix] = entry.split('/');
+            const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+
+            if (!net.isIP(address) || (prefix !== undefined && !/^\d+$/.test(prefix))) {
+                logger.warn('Ignoring invalid rate-limit allowlist entry', { entry });
+                return;
+            }
+
+            if (prefix === undefined) {
+                blockList.addAddress(address, type);
+            } else {
+                blockList.addSubnet(address, parseInt(prefix, 10), type);
+            }
+        });
+
+        return blockList;
+    }
+
+    /**
+     * Whether a client IP is on the allowlist and never limited
+     * @param {string} ip - Client IP
+     * @returns {boolean} True if allowlisted
+     */
+    static isAllowlisted(ip) {
+        const entries = config.security.rateLimit.allowlist;
+        if (!ip || entries.length === 0) return false;
+
+        if (RateLimitService.allowlist.entries !== entries) {
+            RateLimitService.allowlist = { entries, blockList: RateLimitService.buildAllowlist(entries) };
+        }
+
+        // IPv4 clients of a dual-stack server show up as ::ffff:a.b.c.d
+        const address = ip.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '');
+        if (!net.isIP(address)) return false;
+
+        return RateLimitService.allowlist.blockList.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+    }
+
+    /**
+     * Get a client's counter for every policy
+     * @param {string} client - Client key (IP)
+     * @returns {Promise<Object>} { client, allowlisted, policies: [{ policy, limit, windowMs, hits, remaining, resetAt, limited }] }
+     */
+    static async inspectClient(client) {
+        const policies = await Promise.all(Object.entries(config.security.rateLimit.policies).map(async ([name, policy]) => {
+            const stores = RateLimitService.stores.get(name) || [];
+            // Every store of a policy shares the MongoDB counters; the latest one has the live fallback
+            const counter = stores.length > 0 ? await stores[stores.length - 1].get(client) : undefined;
+            const hits = counter ? counter.totalHits : 0;
+
+            return {
+                policy: name,
+                limit: policy.max,
+                windowMs: policy.windowMs,
+                hits,
+                remaining: Math.max(0, policy.max - hits),
+                resetAt: counter ? counter.resetTime : null,
+                limited: hits > policy.max
+            };
+        }));
+
+        return {
+            client,
+            allowlisted: RateLimitService.isAllowlisted(client),
+            policies
+        };
+    }
+
+    /**
+     * Reset a client's counters
+     * @param {string} client - Client key (IP)
+     * @param {string} [policy] - Only reset this policy
+     * @returns {Promise<string[]>} Names of the policies that were reset
+     */
+    static async resetClient(client, policy) {
+        const names = policy ? [policy] : Object.keys(config.security.rateLimit.policies);
+
+        await Promise.all(names.flatMap(name =>
+            (RateLimitService.stores.get(name) || []).map(store => store.resetKey(client))));
+
+        logger.info('Rate-limit counters reset', { client, policies: names });
+        return names;
+    }
+}
+
+module.exports = RateLimitService;
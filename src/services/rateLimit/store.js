@@ -0,0 +1,127 @@
+// GreenMind - MongoDB Rate Limit Store
+// Author: Fatemeh - Group 6
+// Description: express-rate-limit store that keeps counters in MongoDB
+
+const mongoose = require('mongoose');
+const { MemoryStore } = require('express-rate-limit');
+const { config } = require('../../config/environment');
+const { logger } = require('../../utils/logger');
+const RateLimit = require('../../models/RateLimit');
+
+/**
+ * MongoDB rate-limit store class
+ * Counters are shared by every app instance and survive restarts. While the database
+ * is unavailable (or with RATE_LIMIT_STORE=memory) the store counts in memory instead,
+ * so requests are still limited per process rather than failing.
+ */
+class MongoRateLimitStore {
+    /**
+     * @param {string} policy - Policy name, which keeps the counters of each policy apart
+     */
+    constructor(policy) {
+        this.policy = policy;
+        this.prefix = `${policy}:`; // Read by express-rate-limit to tell policies apart in its double-count check
+        this.localKeys = false; // Tells express-rate-limit the counters are shared
+        this.memory = new MemoryStore();
+        this.windowMs = 60 * 1000;
+        this.usingFallback = false;
+    }
+
+    /**
+     * Called by express-rate-limit with the limiter's options
+     * @param {Object} options - Limiter options
+     */
+    init(options) {
+        this.windowMs = options.windowMs;
+        this.memory.init(options);
+    }
+
+    /**
+     * Whether counters go to MongoDB right now
+     * @returns {boolean} True when configured for MongoDB and connected
+     */
+    useDatabase() {
+        const connected = config.security.rateLimit.store === 'mongo' && mongoose.connection.readyState === 1;
+
+        if (!connected && config.security.rateLimit.store === 'mongo' && !this.usingFallback) {
+            logger.warn('Rate-limit store unavailable, counting in memory', { policy: this.policy });
+        }
+        this.usingFallback = !connected;
+
+        return connected;
+    }
+
+    /**
+     * Get a client's counter
+     * @param {string} key - Client key
+     * @returns {Promise<Object|undefined>} { totalHits, resetTime }
+     */
+    async get(key) {
+        if (!this.useDatabase()) return this.memory.get(key);
+
+        const counter = await RateLimit.findOne({ policy: this.policy, key, resetAt: { $gt: new Date() } }).lean();
+        return counter ? { totalHits: counter.hits, resetTime: counter.resetAt } : undefined;
+    }
+
+    /**
+     * Count a request
+     * @param {string} key - Client key
+     * @returns {Promise<Object>} { totalHits, resetTime }
+     */
+    async increment(key) {
+        if (!this.useDatabase()) return this.memory.increment(key);
+
+        try {
+            const counter = await RateLimit.hit(this.policy, key, this.windowMs);
+            return { totalHits: counter.hits, resetTime: counter.resetAt };
+        } catch (error) {
+            logger.error('Rate-limit counter update failed, counting in memory', { policy: this.policy, error });
+            return this.memory.increment(key);
+        }
+    }
+
+    /**
+     * Take back a request that should not count (e.g. a successful form submission)
+     * @param {string} key - Client key
+     */
+    async decrement(key) {
+        if (!this.useDatabase()) return this.memory.decrement(key);
+
+        await RateLimit.updateOne(
+            { policy: this.policy, key, hits: { $gt: 0 }, resetAt: { $gt: new Date() } },
+            { $inc: { hits: -1 } }
+        );
+    }
+
+    /**
+     * Reset a client's counter
+     * @param {string} key - Client key
+     */
+    async resetKey(key) {
+        await this.memory.resetKey(key);
+
+        if (this.useDatabase()) {
+            await RateLimit.deleteOne({ policy: this.policy, key });
+        }
+    }
+
+    /**
+     * Reset every counter of the policy
+     */
+    async resetAll() {
+        await this.memory.resetAll();
+
+        if (this.useDatabase()) {
+            await RateLimit.deleteMany({ policy: this.policy });
+        }
+    }
+
+    /**
+     * Stop the in-memory fallback's cleanup timer
+     */
+    shutdown() {
+        this.memory.shutdown();
+    }
+}
+
+module.exports = MongoRateLimitStore;
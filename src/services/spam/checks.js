@@ -0,0 +1,147 @@
+// GreenMind - Spam Checks
+// Author: Fatemeh - Group 6
+// Description: Built-in heuristics used by SpamService to score contact messages
+
+const { Contact } = require('../../models');
+const { config } = require('../../config/environment');
+const { Utils } = require('../../utils');
+
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)\S+/gi;
+const REPEATED_CHARACTERS = /(\S)\1{5,}/;
+
+/**
+ * Every check has a name and an evaluate(submission, context) function that
+ * returns { score, detail } when it finds something, or null. A result marked
+ * decisive quarantines the message on its own, whatever else lowers the score.
+ * submission: { name, email, subject, message }
+ * context: { honeypot, formStartedAt, now }
+ */
+const keywords = {
+    name: 'keywords',
+    evaluate(submission) {
+        const text = `${submission.name} ${submission.message}`;
+        const matched = config.spam.keywords.filter(keyword =>
+            new RegExp(`\\b${Utils.escapeRegex(keyword)}\\b`, 'i').test(text)
+        );
+
+        if (matched.length === 0) return null;
+
+        return {
+            score: matched.length * 2,
+            detail: `Matched ${matched.join(', ')}`
+        };
+    }
+};
+
+const links = {
+    name: 'links',
+    evaluate(submission) {
+        const count = (submission.message.match(LINK_PATTERN) || []).length;
+        if (count === 0) return null;
+
+        const words = submission.message.split(/\s+/).filter(Boolean).length;
+        let score = 0;
+
+        if (count > config.spam.maxLinks) {
+            score += (count - config.spam.maxLinks) * 2;
+        }
+        // Messages that are mostly links
+        if (count / words >= 0.2) {
+            score += 2;
+        }
+
+        return score > 0 ? { score, detail: `${count} link(s) in ${words} word(s)` } : null;
+    }
+};
+
+const repeatedCharacters = {
+    name: 'repeatedCharacters',
+    evaluate(submission) {
+        const match = submission.message.match(REPEATED_CHARACTERS);
+        if (!match) return null;
+
+        return {
+            score: 2,
+            detail: `"${match[1]}" repeated ${match[0].length} times`
+        };
+    }
+};
+
+const honeypot = {
+    name: 'honeypot',
+    evaluate(submission, context) {
+        if (typeof context.honeypot !== 'string' || context.honeypot.trim() === '') return null;
+
+        // People never see the field, so filling it in is enough on its own
+        return {
+            score: config.spam.threshold,
+            detail: `Hidden "${config.spam.honeypotField}" field was filled in`,
+            decisive: true
+        };
+    }
+};
+
+const timeOnForm = {
+    name: 'timeOnForm',
+    evaluate(submission, context) {
+        const { formStartedAt } = context;
+        const startedAt = Number(formStartedAt);
+        const isTimestamp = (typeof formStartedAt === 'number' || (typeof formStartedAt === 'string' && formStartedAt.trim() !== ''))
+            && Number.isFinite(startedAt);
+
+        // The contact form always sends it; scripts posting straight to the API often don't
+        if (!isTimestamp) {
+            return {
+                score: 2,
+                detail: 'No valid form start time'
+            };
+        }
+
+        const seconds = (context.now - startedAt) / 1000;
+        if (seconds >= config.spam.minFormSeconds) return null;
+
+        return {
+            score: 4,
+            detail: `Submitted ${Math.max(seconds, 0).toFixed(1)}s after the form loaded`
+        };
+    }
+};
+
+const senderReputation = {
+    name: 'senderReputation',
+    async evaluate(submission) {
+        const email = submission.email.toLowerCase();
+        const [confirmedSpam, trusted] = await Promise.all([
+            Contact.countDocuments({ email, 'spam.review': 'confirmed' }),
+            Contact.countDocuments({ email, $or: [{ status: 'replied' }, { 'spam.review': 'released' }] })
+        ]);
+
+        // Once an admin has confirmed spam from an address, quarantine everything else it sends
+        if (confirmedSpam > 0) {
+            return {
+                score: config.spam.threshold,
+                detail: `${confirmedSpam} earlier message(s) confirmed as spam`,
+                decisive: true
+            };
+        }
+
+        if (trusted > 0) {
+            return {
+                score: -3,
+                detail: `${trusted} earlier message(s) answered or released`
+            };
+        }
+
+        return null;
+    }
+};
+
+module.exports = {
+    keywords,
+    links,
+    repeatedCharacters,
+    honeypot,
+    timeOnForm,
+    senderReputation,
+    defaultChecks: [keywords, links, repeatedCharacters, honeypot, timeOnForm, senderReputation]
+};
@@ -0,0 +1,83 @@
+// GreenMind - Spam Service
+// Author: Fatemeh - Group 6
+// Description: Scores contact messages with a pluggable list of spam checks
+
+const { config } = require('../../config/environment');
+const { logger } = require('../../utils/logger');
+const { defaultChecks } = require('./checks');
+
+/**
+ * Spam service class
+ * Each check adds to (or, for trusted senders, takes from) the score. Messages
+ * scoring at or above config.spam.threshold, or flagged by a decisive check,
+ * are quarantined for review instead of being rejected, so a false positive
+ * never loses a message.
+ */
+class SpamService {
+    static checks = [...defaultChecks];
+
+    /**
+     * Add a check, replacing any existing check with the same name
+     * @param {Object} check - { name, evaluate(submission, context) } returning { score, detail, decisive } or null
+     */
+    static registerCheck(check) {
+        if (!check || !check.name || typeof check.evaluate !== 'function') {
+            throw new Error('A spam check needs a name and an evaluate function');
+        }
+
+        SpamService.removeCheck(check.name);
+        SpamService.checks.push(check);
+    }
+
+    /**
+     * Remove a check by name
+     * @param {string} name - Check name
+     */
+    static removeCheck(name) {
+        SpamService.checks = SpamService.checks.filter(check => check.name !== name);
+    }
+
+    /**
+     * Restore the built-in checks
+     */
+    static resetChecks() {
+        SpamService.checks = [...defaultChecks];
+    }
+
+    /**
+     * Score a contact submission
+     * @param {Object} submission - name, email, subject and message
+     * @param {Object} context - honeypot value and formStartedAt (ms timestamp) from the form
+     * @returns {Promise<Object>} Total score, the reasons that contributed and whether it is spam
+     */
+    static async evaluate(submission, context = {}) {
+        const checkContext = { now: Date.now(), ...context };
+
+        const results = await Promise.all(SpamService.checks.map(async check => {
+            try {
+                const result = await check.evaluate(submission, checkContext);
+                return result && result.score ? { check: check.name, ...result } : null;
+            } catch (error) {
+                // A broken check should not block contact submissions
+                logger.warn('Spam check failed', { check: check.name, error });
+                return null;
+            }
+        }));
+
+        // Trust earned by earlier messages can't outweigh a decisive check such as the honeypot
+        const found = results.filter(Boolean);
+        const decisive = found.some(reason => reason.decisive);
+        const reasons = found
+            .filter(reason => !decisive || reason.score > 0)
+            .map(({ decisive: _decisive, ...reason }) => reason);
+        const score = reasons.reduce((total, reason) => total + reason.score, 0);
+
+        return {
+            score,
+            reasons,
+            isSpam: decisive || score >= config.spam.threshold
+        };
+    }
+}
+
+module.exports = SpamService;
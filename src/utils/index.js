@@ -3,6 +3,8 @@
 // Description: Utility functions and helpers
 
 const { AppError, catchAsync } = require('../middleware/errorHandler');
+const { logger } = require('./logger');
+const Metrics = require('./metrics');
 
 /**
  * Utility functions class
@@ -35,6 +37,83 @@ class Utils {
             .replace(/\//g, '&#x2F;');
     }
 
+    /**
+     * Escape a value for a CSV cell (RFC 4180)
+     * Text starting with =, +, -, @, a tab or a carriage return gets a leading ' so spreadsheets
+     * show it instead of running it as a formula; numbers are left as they are.
+     * @param {*} value - Cell value
+     * @returns {string} Escaped cell
+     */
+    static escapeCsv(value) {
+        if (value === null || value === undefined) return '';
+
+        let str = value instanceof Date ? value.toISOString() : String(value);
+        if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(str)) {
+            str = `'${str}`;
+        }
+
+        return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    }
+
+    /**
+     * Escape a string for literal use in a regular expression (user input in MongoDB $regex)
+     * @param {string} str - String to escape
+     * @returns {string} Escaped string
+     */
+    static escapeRegex(str) {
+        return String(str).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    /**
+     * Stream documents from a cursor to the response, waiting whenever the client falls behind
+     * Stops reading when the client disconnects. An error after the first chunk can no longer
+     * become an error response, so it is logged and the connection is cut short instead.
+     * @param {Object} res - Express response object (headers already set)
+     * @param {AsyncIterable} cursor - Mongoose query cursor
+     * @param {Object} options - Output
+     * @param {string} options.head - Written before the first document
+     * @param {Function} options.row - (doc, index) => chunk for one document
+     * @param {Function} options.tail - (count) => chunk written after the last document
+     * @returns {Promise<number>} Number of documents written
+     */
+    static async streamCursor(res, cursor, { head = '', row, tail = () => '' }) {
+        const write = chunk => new Promise(resolve => {
+            if (!chunk || res.write(chunk)) return resolve();
+
+            const done = () => {
+                res.off('drain', done);
+                res.off('close', done);
+                resolve();
+            };
+            res.on('drain', done);
+            res.on('close', done);
+        });
+
+        let count = 0;
+
+        try {
+            await write(head);
+
+            for await (const doc of cursor) {
+                if (res.destroyed) break;
+                await write(row(doc, count));
+                count++;
+            }
+
+            if (!res.destroyed) {
+                await write(tail(count));
+                res.end();
+            }
+        } catch (error) {
+            if (!res.headersSent) throw error;
+
+            logger.error('Export stream failed', { path: res.req && res.req.originalUrl, written: count, error });
+            res.destroy(error);
+        }
+
+        return count;
+    }
+
     /**
      * Generate unique ID
      * @returns {string} Unique identifier
@@ -297,6 +376,20 @@ class Utils {
         return result;
     }
 
+    /**
+     * Shuffle an array (Fisher-Yates)
+     * @param {Array} array - Array to shuffle
+     * @returns {Array} New shuffled array
+     */
+    static shuffle(array) {
+        const shuffled = [...array];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+
     /**
      * Convert bytes to human readable format
      * @param {number} bytes - Bytes to convert
@@ -319,5 +412,7 @@ class Utils {
 module.exports = {
     Utils,
     AppError,
-    catchAsync
-};
\ No newline at end of file
+    catchAsync,
+    logger,
+    Metrics
+};
@@ -0,0 +1,337 @@
+// GreenMind - Logger
+// Author: Fatemeh - Group 6
+// Description: Structured JSON logger with request IDs, pluggable sinks and PII redaction
+
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const { config } = require('../config/environment');
+
+const LEVELS = {
+    silent: -1,
+    error: 0,
+    warn: 1,
+    info: 2,
+    debug: 3
+};
+
+const REDACTED = '[REDACTED]';
+const EMAIL_PATTERN = /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+const TOKEN_PARAM_PATTERN = /([?&](?:token|confirm|unsubscribe)=)[^&\s]+/gi;
+
+// Holds { requestId } for the request being handled, so any log line can include it
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Mask email addresses and token query parameters in a string
+ * @param {string} value - Raw string
+ * @returns {string} Redacted string (jane@example.com becomes j***@example.com)
+ */
+function redactString(value) {
+    return value
+        .replace(EMAIL_PATTERN, '$1***@$2')
+        .replace(TOKEN_PARAM_PATTERN, `$1${REDACTED}`);
+}
+
+/**
+ * Redact a log value: emails are masked everywhere and values under redacted keys are removed
+ * @param {*} value - Value to redact
+ * @param {Array} redactKeys - Keys whose values are replaced entirely
+ * @param {number} depth - Current nesting depth
+ * @returns {*} Redacted copy
+ */
+function redact(value, redactKeys = config.logging.redactKeys, depth = 0) {
+    if (value === null || value === undefined) return value;
+    if (typeof value === 'string') return redactString(value);
+    if (typeof value !== 'object') return value;
+    if (depth > 5) return '[Object]';
+
+    if (value instanceof Error) {
+        return redact(serializeError(value), redactKeys, depth + 1);
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, redactKeys, depth + 1));
+    }
+
+    const keys = redactKeys.map(key => key.toLowerCase());
+    const source = typeof value.toJSON === 'function' ? value.toJSON() : value;
+    // ObjectIds and similar serialize to a string
+    if (source === null || typeof source !== 'object') {
+        return redact(source, redactKeys, depth + 1);
+    }
+
+    return Object.fromEntries(Object.entries(source).map(([key, item]) => [
+        key,
+        keys.includes(key.toLowerCase()) ? REDACTED : redact(item, redactKeys, depth + 1)
+    ]));
+}
+
+/**
+ * Turn an error into a plain object (error properties are not enumerable)
+ * @param {Error} error - Error to serialize
+ * @returns {Object} type, message, statusCode, code and stack
+ */
+function serializeError(error) {
+    const serialized = {
+        type: error.name,
+        message: error.message
+    };
+
+    if (error.statusCode) serialized.statusCode = error.statusCode;
+    if (error.code) serialized.code = error.code;
+    if (error.stack) serialized.stack = error.stack;
+
+    return serialized;
+}
+
+/**
+ * Writes log lines to standard output
+ */
+class StdoutSink {
+    /**
+     * Write a log line
+     * @param {string} line - JSON log line
+     */
+    write(line) {
+        process.stdout.write(`${line}\n`);
+    }
+}
+
+/**
+ * Appends log lines to a file, rotating it when it reaches maxSize
+ * app.log is renamed to app.log.1, app.log.1 to app.log.2 and so on, keeping maxFiles old files.
+ * Writes are synchronous so lines logged just before process.exit are not lost.
+ */
+class RotatingFileSink {
+    /**
+     * Create a rotating file sink
+     * @param {Object} options - { path, maxSize (bytes), maxFiles }
+     */
+    constructor({ path: filePath, maxSize, maxFiles }) {
+        this.path = filePath;
+        this.maxSize = maxSize;
+        this.maxFiles = maxFiles;
+
+        fs.mkdirSync(path.dirname(this.path), { recursive: true });
+        this.open();
+    }
+
+    /**
+     * Open the log file for appending
+     */
+    open() {
+        this.fd = fs.openSync(this.path, 'a');
+        this.size = fs.fstatSync(this.fd).size;
+    }
+
+    /**
+     * Write a log line, rotating first if it would not fit
+     * @param {string} line - JSON log line
+     */
+    write(line) {
+        const data = `${line}\n`;
+        const bytes = Buffer.byteLength(data);
+
+        if (this.size > 0 && this.size + bytes > this.maxSize) {
+            this.rotate();
+        }
+
+        fs.writeSync(this.fd, data);
+        this.size += bytes;
+    }
+
+    /**
+     * Shift the old files along and start a new file
+     */
+    rotate() {
+        fs.closeSync(this.fd);
+
+        for (let index = this.maxFiles - 1; index >= 1; index--) {
+            const from = `${this.path}.${index}`;
+            if (fs.existsSync(from)) {
+                fs.renameSync(from, `${this.path}.${index + 1}`);
+            }
+        }
+        if (this.maxFiles > 0) {
+            fs.renameSync(this.path, `${this.path}.1`);
+        } else {
+            fs.unlinkSync(this.path);
+        }
+
+        this.open();
+    }
+
+    /**
+     * Close the file
+     */
+    close() {
+        fs.closeSync(this.fd);
+    }
+}
+
+/**
+ * Keeps log entries in memory (used by tests)
+ */
+class MemorySink {
+    constructor() {
+        this.entries = [];
+    }
+
+    /**
+     * Store a log entry
+     * @param {string} line - JSON log line
+     * @param {Object} entry - Log entry
+     */
+    write(line, entry) {
+        this.entries.push(entry);
+    }
+
+    /**
+     * Remove all stored entries
+     */
+    clear() {
+        this.entries = [];
+    }
+}
+
+/**
+ * Create a sink from its configured name
+ * @param {string} name - stdout, file or memory
+ * @param {Object} loggingConfig - config.logging
+ * @returns {Object} Sink instance
+ */
+function createSink(name, loggingConfig) {
+    switch (name) {
+        case 'stdout':
+            return new StdoutSink();
+        case 'file':
+            return new RotatingFileSink(loggingConfig.file);
+        case 'memory':
+            return new MemorySink();
+        default:
+            throw new Error(`Unknown log sink: ${name}`);
+    }
+}
+
+/**
+ * Logger class
+ * Each entry is one JSON line with time, level, message, the current request ID
+ * and any bound or per-call fields, redacted before it reaches a sink.
+ */
+class Logger {
+    /**
+     * Create a logger
+     * @param {Object} options - { level, sinks, bindings }
+     */
+    constructor({ level = 'info', sinks = [], bindings = {} } = {}) {
+        this.level = level;
+        this.sinks = sinks;
+        this.bindings = bindings;
+    }
+
+    /**
+     * Create a logger that adds fields to every entry and shares this logger's sinks
+     * @param {Object} bindings - Fields to add (e.g. { component: 'mailer' })
+     * @returns {Logger} Child logger
+     */
+    child(bindings) {
+        const child = Object.create(this);
+        child.bindings = { ...this.bindings, ...bindings };
+        return child;
+    }
+
+    /**
+     * Change the minimum level written
+     * @param {string} level - silent, error, warn, info or debug
+     */
+    setLevel(level) {
+        if (!(level in LEVELS)) {
+            throw new Error(`Unknown log level: ${level}`);
+        }
+        this.level = level;
+    }
+
+    /**
+     * Replace the sinks (e.g. with a MemorySink in tests)
+     * @param {Array} sinks - Sink instances
+     */
+    setSinks(sinks) {
+        this.sinks = sinks;
+    }
+
+    /**
+     * Check whether a level would be written
+     * @param {string} level - Level name
+     * @returns {boolean} True if enabled
+     */
+    isLevelEnabled(level) {
+        return LEVELS[level] <= LEVELS[this.level];
+    }
+
+    /**
+     * Write a log entry
+     * @param {string} level - error, warn, info or debug
+     * @param {string} message - What happened
+     * @param {Object} meta - Extra fields (Error values are serialized)
+     */
+    log(level, message, meta = {}) {
+        if (!this.isLevelEnabled(level)) return;
+
+        const context = requestContext.getStore();
+        const entry = redact({
+            time: new Date().toISOString(),
+            level,
+            message,
+            ...(context && context.requestId ? { requestId: context.requestId } : {}),
+            ...this.bindings,
+            ...meta
+        });
+        const line = JSON.stringify(entry);
+
+        this.sinks.forEach(sink => {
+            try {
+                sink.write(line, entry);
+            } catch (error) {
+                process.stderr.write(`Log sink failed: ${error.message}\n`);
+            }
+        });
+    }
+
+    error(message, meta) {
+        this.log('error', message, meta);
+    }
+
+    warn(message, meta) {
+        this.log('warn', message, meta);
+    }
+
+    info(message, meta) {
+        this.log('info', message, meta);
+    }
+
+    debug(message, meta) {
+        this.log('debug', message, meta);
+    }
+}
+
+// Shared application logger, configured from config.logging
+const logger = new Logger({
+    level: config.logging.level,
+    sinks: config.logging.sinks.map(name => createSink(name, config.logging))
+});
+
+module.exports = {
+    logger,
+    Logger,
+    LEVELS,
+    requestContext,
+    redact,
+    serializeError,
+    StdoutSink,
+    RotatingFileSink,
+    MemorySink,
+    createSink
+};
@@ -0,0 +1,149 @@
+// GreenMind - Metrics
+// Author: Fatemeh - Group 6
+// Description: Prometheus metrics registry for HTTP traffic, rate limiting, MongoDB and form activity
+
+const client = require('prom-client');
+
+const PREFIX = 'greenmind_';
+const DB_STATES = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+
+// Own registry rather than the prom-client global one, so tests can reset it
+const registry = new client.Registry();
+
+client.collectDefaultMetrics({ register: registry, prefix: PREFIX });
+
+const httpRequestsTotal = new client.Counter({
+    name: `${PREFIX}http_requests_total`,
+    help: 'HTTP requests by method, route and status code',
+    labelNames: ['method', 'route', 'status_code'],
+    registers: [registry]
+});
+
+const httpRequestDuration = new client.Histogram({
+    name: `${PREFIX}http_request_duration_seconds`,
+    help: 'HTTP request latency by method, route and status code',
+    labelNames: ['method', 'route', 'status_code'],
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    registers: [registry]
+});
+
+const rateLimitRejections = new client.Counter({
+    name: `${PREFIX}rate_limit_rejections_total`,
+    help: 'Requests rejected by a rate limiter',
+    labelNames: ['limiter'],
+    registers: [registry]
+});
+
+const quizSubmissions = new client.Counter({
+    name: `${PREFIX}quiz_submissions_total`,
+    help: 'Submitted quizzes by performance level',
+    labelNames: ['level'],
+    registers: [registry]
+});
+
+const contactSubmissions = new client.Counter({
+    name: `${PREFIX}contact_submissions_total`,
+    help: 'Contact messages by subject and whether they were quarantined as spam',
+    labelNames: ['subject', 'spam'],
+    registers: [registry]
+});
+
+new client.Gauge({
+    name: `${PREFIX}mongodb_connection_state`,
+    help: 'MongoDB connection state (1 for the current state, 0 for the others)',
+    labelNames: ['state'],
+    registers: [registry],
+    collect() {
+        const mongoose = require('mongoose');
+        const current = DB_STATES[mongoose.connection.readyState];
+
+        DB_STATES.forEach(state => this.set({ state }, state === current ? 1 : 0));
+    }
+});
+
+/**
+ * Metrics helper class
+ */
+class Metrics {
+    /**
+     * Route template for a request, e.g. /api/contact/:id
+     * Express resets req.baseUrl when an error leaves a router, so the mount path is rebuilt
+     * from the URL segments in front of the matched route. Requests that matched no route
+     * (static files, 404s) share one label to keep the number of series bounded.
+     * @param {Object} req - Express request object
+     * @returns {string} Route label
+     */
+    static routeLabel(req) {
+        if (!req.route || typeof req.route.path !== 'string') {
+            return 'unmatched';
+        }
+
+        const routeSegments = req.route.path.split('/').filter(Boolean);
+        const urlSegments = req.originalUrl.split('?')[0].split('/').filter(Boolean);
+        const mountSegments = urlSegments.slice(0, urlSegments.length - routeSegments.length);
+
+        return `/${[...mountSegments, ...routeSegments].join('/')}`;
+    }
+
+    /**
+     * Record a finished HTTP request
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {number} durationMs - Time taken in milliseconds
+     */
+    static observeRequest(req, res, durationMs) {
+        const labels = {
+            method: req.method,
+            route: Metrics.routeLabel(req),
+            status_code: res.statusCode
+        };
+
+        httpRequestsTotal.inc(labels);
+        httpRequestDuration.observe(labels, durationMs / 1000);
+    }
+
+    /**
+     * Record a rate-limit rejection
+     * @param {string} limiter - Rate-limit policy name (api, contact, login, ...)
+     */
+    static rateLimited(limiter) {
+        rateLimitRejections.inc({ limiter });
+    }
+
+    /**
+     * Record a quiz submission
+     * @param {string} level - Performance level (e.g. excellent)
+     */
+    static quizSubmitted(level) {
+        quizSubmissions.inc({ level });
+    }
+
+    /**
+     * Record a contact message
+     * @param {string} subject - Contact subject
+     * @param {boolean} isSpam - Whether it was quarantined
+     */
+    static contactSubmitted(subject, isSpam) {
+        contactSubmissions.inc({ subject, spam: String(Boolean(isSpam)) });
+    }
+
+    /**
+     * Render every metric in the Prometheus text format
+     * @returns {Promise<string>} Exposition text
+     */
+    static render() {
+        return registry.metrics();
+    }
+
+    /**
+     * Reset all counters and histograms (used by tests)
+     */
+    static reset() {
+        registry.resetMetrics();
+    }
+}
+
+Metrics.contentType = registry.contentType;
+Metrics.registry = registry;
+
+module.exports = Metrics;
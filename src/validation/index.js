@@ -0,0 +1,38 @@
+// GreenMind - Validation Index
+// Author: Fatemeh - Group 6
+// Description: Central export point for the shared validation schemas
+
+const SchemaValidator = require('./schemaValidator');
+const schemas = require('./schemas');
+
+/**
+ * Mongoose path options for a field of a validation schema
+ * Models spread these into the path definition so documents are held to the same
+ * rules and messages as the API and the browser forms.
+ * @param {Object} schema - Validation schema
+ * @param {string} field - Field name
+ * @returns {Object} { required, validate } path options
+ */
+function modelField(schema, field) {
+    const rule = schema.fields[field];
+    const options = {
+        validate: {
+            validator: function(value) {
+                return SchemaValidator.validateField(rule, value, this) === null;
+            },
+            message: props => SchemaValidator.validateField(rule, props.value)
+        }
+    };
+
+    if (rule.required) {
+        options.required = [true, SchemaValidator.message(rule, 'required')];
+    }
+
+    return options;
+}
+
+module.exports = {
+    SchemaValidator,
+    schemas,
+    modelField
+};
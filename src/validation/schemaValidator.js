@@ -0,0 +1,193 @@
+// GreenMind - Schema Validator
+// Author: Fatemeh - Group 6
+// Description: Declarative field validation shared by the Express middleware, the Mongoose models and the browser forms
+
+(function (root) {
+    'use strict';
+
+    const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+    /**
+     * Schema validator class
+     * A schema is plain JSON ({ fields: { [name]: rule } }) so it can be sent to the browser.
+     * A rule may use these keywords, checked in this order:
+     *   required, type (string|integer|number|boolean|object|array), trim, lowercase,
+     *   minLength, maxLength, format ('email'), pattern, enum, min, max,
+     *   minItems, maxItems, items (rule for every element),
+     *   maxProperties, keyPattern, values (rule for every property value),
+     *   check (name of a registered check)
+     * messages holds the error per keyword; the required message is also used for a wrong
+     * type and invalid is the fallback. In the items/values messages {index} and {key} are
+     * replaced with the position or key of the element that failed.
+     */
+    class SchemaValidator {
+        // Named checks for rules that don't fit a keyword: (value, data) => true | false | message
+        static checks = {
+            fullName: (value) => {
+                // At least first and last name, each two characters or more
+                const parts = value.split(/\s+/);
+                return parts.length >= 2 && parts.every(part => part.length >= 2);
+            },
+            emailDomain: (value) => {
+                const domain = value.split('@')[1];
+                return Boolean(domain) && /\.[a-z]{2,}$/i.test(domain);
+            }
+        };
+
+        /**
+         * Register a named check
+         * Checks registered only on the server are skipped in the browser; the server still runs them.
+         * @param {string} name - Check name used in rules
+         * @param {Function} check - (value, data) => true, false or an error message
+         */
+        static addCheck(name, check) {
+            SchemaValidator.checks[name] = check;
+        }
+
+        /**
+         * Whether a value counts as not provided
+         * @param {Object} rule - Field rule
+         * @param {*} value - Field value
+         * @returns {boolean} True for undefined, null and (for string fields) blank strings
+         */
+        static isEmpty(rule, value) {
+            if (value === undefined || value === null) return true;
+            return rule.type === 'string' && typeof value === 'string' && (rule.trim ? value.trim() : value) === '';
+        }
+
+        /**
+         * Get the message for a failed keyword
+         * @param {Object} rule - Field rule
+         * @param {string} keyword - Keyword that failed
+         * @param {Object} replacements - Values for {placeholders}
+         * @returns {string} Error message
+         */
+        static message(rule, keyword, replacements = {}) {
+            const messages = rule.messages || {};
+            const label = rule.label || 'Value';
+            const template = messages[keyword] ||
+                (keyword === 'type' && messages.required) ||
+                messages.invalid ||
+                (keyword === 'required' ? `${label} is required` : `${label} is invalid`);
+
+            return template.replace(/\{(\w+)\}/g, (match, name) =>
+                replacements[name] !== undefined ? String(replacements[name]) : match);
+        }
+
+        /**
+         * Check a value against the rule's type
+         * @param {string} type - Expected type
+         * @param {*} value - Value to check
+         * @returns {boolean} True if the value has the type
+         */
+        static hasType(type, value) {
+            switch (type) {
+                case 'string': return typeof value === 'string';
+                case 'integer': return Number.isInteger(value);
+                case 'number': return typeof value === 'number' && Number.isFinite(value);
+                case 'boolean': return typeof value === 'boolean';
+                case 'array': return Array.isArray(value);
+                case 'object': return typeof value === 'object' && value !== null && !Array.isArray(value);
+                default: return true;
+            }
+        }
+
+        /**
+         * Validate one value against a field rule
+         * @param {Object} rule - Field rule
+         * @param {*} value - Field value
+         * @param {Object} data - Whole payload, for checks that compare fields
+         * @returns {string|null} Error message or null if valid
+         */
+        static validateField(rule, value, data = {}) {
+            if (SchemaValidator.isEmpty(rule, value)) {
+                return rule.required ? SchemaValidator.message(rule, 'required') : null;
+            }
+
+            if (rule.type && !SchemaValidator.hasType(rule.type, value)) {
+                return SchemaValidator.message(rule, 'type');
+            }
+
+            let subject = value;
+            if (typeof subject === 'string') {
+                if (rule.trim) subject = subject.trim();
+                if (rule.lowercase) subject = subject.toLowerCase();
+            }
+
+            const fail = keyword => SchemaValidator.message(rule, keyword);
+
+            if (typeof subject === 'string') {
+                if (rule.minLength !== undefined && subject.length < rule.minLength) return fail('minLength');
+                if (rule.maxLength !== undefined && subject.length > rule.maxLength) return fail('maxLength');
+                if (rule.format === 'email' && !EMAIL_PATTERN.test(subject)) return fail('format');
+                if (rule.pattern && !new RegExp(rule.pattern).test(subject)) return fail('pattern');
+            }
+
+            if (rule.enum && !rule.enum.includes(subject)) return fail('enum');
+
+            if (typeof subject === 'number') {
+                if (rule.min !== undefined && subject < rule.min) return fail('min');
+                if (rule.max !== undefined && subject > rule.max) return fail('max');
+            }
+
+            if (Array.isArray(subject)) {
+                if (rule.minItems !== undefined && subject.length < rule.minItems) return fail('minItems');
+                if (rule.maxItems !== undefined && subject.length > rule.maxItems) return fail('maxItems');
+
+                if (rule.items) {
+                    const index = subject.findIndex(item => SchemaValidator.validateField(rule.items, item, data) !== null);
+                    if (index !== -1) return SchemaValidator.message(rule, 'items', { index: index + 1 });
+                }
+            } else if (rule.type === 'object') {
+                const entries = Object.entries(subject);
+                if (rule.maxProperties !== undefined && entries.length > rule.maxProperties) return fail('maxProperties');
+
+                for (const [key, item] of entries) {
+                    if (rule.keyPattern && !new RegExp(rule.keyPattern).test(key)) {
+                        return SchemaValidator.message(rule, 'keyPattern', { key });
+                    }
+                    if (rule.values && SchemaValidator.validateField(rule.values, item, data) !== null) {
+                        return SchemaValidator.message(rule, 'values', { key });
+                    }
+                }
+            }
+
+            const check = rule.check && SchemaValidator.checks[rule.check];
+            if (check) {
+                const result = check(subject, data);
+                if (result !== true) {
+                    return typeof result === 'string' ? result : fail('check');
+                }
+            }
+
+            return null;
+        }
+
+        /**
+         * Validate a payload against a schema
+         * @param {Object} schema - Schema with a fields map
+         * @param {Object} data - Payload to validate
+         * @param {Object} options - { partial: only check the fields present (updates) }
+         * @returns {Object} Error message keyed by field name (empty when valid)
+         */
+        static validate(schema, data, options = {}) {
+            const payload = data || {};
+            const errors = {};
+
+            Object.entries(schema.fields).forEach(([field, rule]) => {
+                if (options.partial && payload[field] === undefined) return;
+
+                const error = SchemaValidator.validateField(rule, payload[field], payload);
+                if (error) errors[field] = error;
+            });
+
+            return errors;
+        }
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = SchemaValidator;
+    } else {
+        root.SchemaValidator = SchemaValidator;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,302 @@
+// GreenMind - Validation Schemas
+// Author: Fatemeh - Group 6
+// Description: One schema per request payload, used by ValidationMiddleware, the models and the browser forms
+
+const SchemaValidator = require('./schemaValidator');
+
+const CONTACT_SUBJECTS = ['general', 'recycling', 'energy', 'water', 'climate', 'feedback', 'collaboration', 'other'];
+const CONTACT_STATUSES = ['new', 'read', 'replied', 'archived', 'spam'];
+const QUESTION_DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// Server-only checks; the browser skips checks it doesn't know
+SchemaValidator.addCheck('passwordStrength', (password) => {
+    const { Utils } = require('../utils');
+    const strength = Utils.validatePasswordStrength(password);
+    return strength.isValid || strength.feedback[0];
+});
+
+SchemaValidator.addCheck('optionIndex', (correctIndex, question) =>
+    !Array.isArray(question.options) || correctIndex < question.options.length);
+
+/**
+ * Email field rule
+ * @param {Object} options - { maxLength, domain: also require a TLD of two letters or more }
+ * @returns {Object} Field rule
+ */
+function email({ maxLength, domain = false } = {}) {
+    const rule = {
+        type: 'string',
+        required: true,
+        trim: true,
+        format: 'email',
+        messages: {
+            required: 'Email is required and must be a string',
+            format: 'Please enter a valid email address'
+        }
+    };
+
+    if (maxLength) {
+        rule.maxLength = maxLength;
+        rule.messages.maxLength = `Email cannot exceed ${maxLength} characters`;
+    }
+    if (domain) {
+        rule.check = 'emailDomain';
+        rule.messages.check = 'Please enter an email with a valid domain';
+    }
+
+    return rule;
+}
+
+const sessionId = {
+    type: 'string',
+    maxLength: 100,
+    messages: { invalid: 'Session ID must be a string of at most 100 characters' }
+};
+
+const schemas = {
+    contact: {
+        fields: {
+            name: {
+                type: 'string',
+                required: true,
+                trim: true,
+                minLength: 2,
+                maxLength: 100,
+                check: 'fullName',
+                messages: {
+                    required: 'Name is required and must be a string',
+                    minLength: 'Name must be at least 2 characters long',
+                    maxLength: 'Name cannot exceed 100 characters',
+                    check: 'Please enter your full name (first and last name)'
+                }
+            },
+            email: email({ maxLength: 255, domain: true }),
+            subject: {
+                type: 'string',
+                required: true,
+                trim: true,
+                lowercase: true,
+                enum: CONTACT_SUBJECTS,
+                messages: {
+                    required: 'Subject is required and must be a string',
+                    enum: 'Please select a valid subject'
+                }
+            },
+            // Spam is scored by SpamService after validation, so suspicious messages are quarantined rather than rejected
+            message: {
+                type: 'string',
+                required: true,
+                trim: true,
+                minLength: 10,
+                maxLength: 1000,
+                messages: {
+                    required: 'Message is required and must be a string',
+                    minLength: 'Message must be at least 10 characters long',
+                    maxLength: 'Message cannot exceed 1000 characters'
+                }
+            }
+        }
+    },
+
+    contactReply: {
+        fields: {
+            body: {
+                type: 'string',
+                required: true,
+                trim: true,
+                maxLength: 5000,
+                messages: {
+                    required: 'Reply body is required and must be a string',
+                    maxLength: 'Reply cannot exceed 5000 characters'
+                }
+            }
+        }
+    },
+
+    // Inbox filters shared by the contact export, search and bulk operations (and the model's status)
+    contactFilter: {
+        fields: {
+            status: {
+                type: 'string',
+                enum: CONTACT_STATUSES,
+                messages: { invalid: `Invalid status. Must be one of: ${CONTACT_STATUSES.join(', ')}` }
+            },
+            subject: {
+                type: 'string',
+                enum: CONTACT_SUBJECTS,
+                messages: { invalid: `Invalid subject. Must be one of: ${CONTACT_SUBJECTS.join(', ')}` }
+            }
+        }
+    },
+
+    newsletterSubscription: {
+        fields: {
+            email: email({ maxLength: 255 }),
+            name: {
+                type: 'string',
+                trim: true,
+                maxLength: 100,
+                messages: {
+                    type: 'Name must be a string',
+                    maxLength: 'Name cannot exceed 100 characters'
+                }
+            }
+        }
+    },
+
+    // Data-subject access and erasure requests (admin); mode only applies to erasure
+    dataSubject: {
+        fields: {
+            email: email({ maxLength: 255 }),
+            mode: {
+                type: 'string',
+                enum: ['erase', 'anonymize'],
+                messages: { invalid: 'Mode must be erase or anonymize' }
+            }
+        }
+    },
+
+    // Only the signed attempt and the chosen option per question are accepted; scores are calculated on the server
+    quizSubmission: {
+        fields: {
+            attemptToken: {
+                type: 'string',
+                required: true,
+                maxLength: 4096,
+                messages: {
+                    required: 'Attempt token is required and must be a string',
+                    maxLength: 'Attempt token is too long'
+                }
+            },
+            answers: {
+                type: 'object',
+                required: true,
+                maxProperties: 50,
+                keyPattern: '^[0-9a-fA-F]{24}$',
+                values: { type: 'integer', min: 0, max: 5, nullable: true },
+                messages: {
+                    required: 'Answers are required and must be an object keyed by question ID',
+                    maxProperties: 'Too many answers submitted',
+                    keyPattern: 'Invalid question ID: {key}',
+                    values: 'Answer for question {key} must be an option index or null'
+                }
+            },
+            sessionId
+        }
+    },
+
+    login: {
+        fields: {
+            email: email(),
+            password: {
+                type: 'string',
+                required: true,
+                maxLength: 128,
+                messages: {
+                    required: 'Password is required and must be a string',
+                    maxLength: 'Password cannot exceed 128 characters'
+                }
+            }
+        }
+    },
+
+    registration: {
+        fields: {
+            name: {
+                type: 'string',
+                required: true,
+                trim: true,
+                minLength: 2,
+                maxLength: 100,
+                messages: {
+                    required: 'Name is required and must be a string',
+                    minLength: 'Name must be at least 2 characters long',
+                    maxLength: 'Name cannot exceed 100 characters'
+                }
+            },
+            email: email({ maxLength: 255 }),
+            password: {
+                type: 'string',
+                required: true,
+                maxLength: 128,
+                check: 'passwordStrength',
+                messages: {
+                    required: 'Password is required and must be a string',
+                    maxLength: 'Password cannot exceed 128 characters'
+                }
+            }
+        }
+    },
+
+    // Updates (PUT) are validated with { partial: true }
+    question: {
+        fields: {
+            category: {
+                type: 'string',
+                required: true,
+                trim: true,
+                maxLength: 50,
+                messages: {
+                    required: 'Category is required and must be a string',
+                    maxLength: 'Category cannot exceed 50 characters'
+                }
+            },
+            prompt: {
+                type: 'string',
+                required: true,
+                trim: true,
+                minLength: 10,
+                maxLength: 500,
+                messages: {
+                    required: 'Question prompt is required and must be a string',
+                    minLength: 'Question prompt must be at least 10 characters long',
+                    maxLength: 'Question prompt cannot exceed 500 characters'
+                }
+            },
+            options: {
+                type: 'array',
+                required: true,
+                minItems: 2,
+                maxItems: 6,
+                items: { type: 'string', required: true, trim: true },
+                messages: {
+                    required: 'Options are required and must be an array',
+                    minItems: 'A question must have between 2 and 6 options',
+                    maxItems: 'A question must have between 2 and 6 options',
+                    items: 'Every option must be a non-empty string'
+                }
+            },
+            correctIndex: {
+                type: 'integer',
+                required: true,
+                min: 0,
+                check: 'optionIndex',
+                messages: {
+                    required: 'Correct option index is required and must be a whole number',
+                    min: 'Correct option index cannot be negative',
+                    check: 'Correct option index must point to one of the options'
+                }
+            },
+            explanation: {
+                type: 'string',
+                trim: true,
+                maxLength: 1000,
+                messages: {
+                    type: 'Explanation must be a string',
+                    maxLength: 'Explanation cannot exceed 1000 characters'
+                }
+            },
+            difficulty: {
+                type: 'string',
+                enum: QUESTION_DIFFICULTIES,
+                messages: { invalid: 'Difficulty must be easy, medium or hard' }
+            },
+            active: {
+                type: 'boolean',
+                messages: { invalid: 'Active must be a boolean' }
+            }
+        }
+    }
+};
+
+module.exports = schemas;
@@ -0,0 +1,63 @@
+// GreenMind - Test Application Helper
+// Author: Fatemeh - Group 6
+// Description: Builds the Express app for supertest and creates signed-in users
+
+const createApp = require('../../src/app');
+const { User } = require('../../src/models');
+const { AuthMiddleware } = require('../../src/middleware');
+
+let ipCounter = 0;
+
+/**
+ * Get a fresh client IP for X-Forwarded-For
+ * Form routes are rate limited per IP, so tests that post forms use a new IP each time.
+ * @returns {string} IPv4 address
+ */
+function nextIp() {
+    ipCounter++;
+    return `10.${Math.floor(ipCounter / 65536) % 256}.${Math.floor(ipCounter / 256) % 256}.${ipCounter % 256}`;
+}
+
+/**
+ * Create a user and a bearer token for them
+ * @param {Object} overrides - User fields to override (e.g. role)
+ * @returns {Promise<Object>} { user, token, auth } where auth is the Authorization header value
+ */
+async function createUser(overrides = {}) {
+    const user = await User.create({
+        name: 'Test Admin',
+        email: `user${Date.now()}${Math.floor(Math.random() * 1000)}@example.com`,
+        password: 'S3cure!pass',
+        role: 'admin',
+        ...overrides
+    });
+    const token = AuthMiddleware.signToken(user);
+
+    return { user, token, auth: `Bearer ${token}` };
+}
+
+/**
+ * Retry an assertion until it passes (for work finished after the response is sent)
+ * @param {Function} assertion - Async or sync function that throws until the condition holds
+ * @param {number} timeout - Maximum time to wait in milliseconds
+ * @returns {Promise<*>} The assertion's return value
+ */
+async function eventually(assertion, timeout = 2000) {
+    const deadline = Date.now() + timeout;
+
+    for (;;) {
+        try {
+            return await assertion();
+        } catch (error) {
+            if (Date.now() > deadline) throw error;
+            await new Promise(resolve => setTimeout(resolve, 25));
+        }
+    }
+}
+
+module.exports = {
+    createApp,
+    createUser,
+    nextIp,
+    eventually
+};
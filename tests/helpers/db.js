@@ -0,0 +1,60 @@
+// GreenMind - Test Database Helper
+// Author: Fatemeh - Group 6
+// Description: Runs each test file against its own in-memory MongoDB
+
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+let mongoServer = null;
+
+/**
+ * Start an in-memory MongoDB server and connect Mongoose to it
+ * @returns {Promise<string>} Connection URI
+ */
+async function connect() {
+    mongoServer = await MongoMemoryServer.create();
+    const uri = mongoServer.getUri();
+
+    await mongoose.connect(uri);
+
+    // Build indexes up front so unique constraints apply from the first test
+    await Promise.all(mongoose.modelNames().map(name => mongoose.model(name).init()));
+
+    return uri;
+}
+
+/**
+ * Remove every document from every collection
+ */
+async function clear() {
+    const collections = Object.values(mongoose.connection.collections);
+    await Promise.all(collections.map(collection => collection.deleteMany({})));
+}
+
+/**
+ * Disconnect Mongoose and stop the in-memory server
+ */
+async function disconnect() {
+    await mongoose.disconnect();
+
+    if (mongoServer) {
+        await mongoServer.stop();
+        mongoServer = null;
+    }
+}
+
+/**
+ * Register hooks that connect before, clear after each, and disconnect after the current describe block
+ */
+function useTestDatabase() {
+    beforeAll(connect);
+    afterEach(clear);
+    afterAll(disconnect);
+}
+
+module.exports = {
+    connect,
+    clear,
+    disconnect,
+    useTestDatabase
+};
@@ -0,0 +1,42 @@
+// GreenMind - Audit Log Model Tests
+// Author: Fatemeh - Group 6
+// Description: Tests that audit log entries are validated and can never be changed or deleted
+
+const { AuditLog } = require('../../src/models');
+const { useTestDatabase } = require('../helpers/db');
+
+const validEntry = {
+    actor: { name: 'Staff Member', role: 'admin' },
+    action: 'contact.update',
+    targetType: 'contact',
+    targetId: '65a1b2c3d4e5f6a7b8c9d0e1',
+    changes: [{ field: 'status', before: 'new', after: 'read' }]
+};
+
+describe('AuditLog model', () => {
+    it('rejects unknown actions', () => {
+        const error = new AuditLog({ ...validEntry, action: 'contact.burn' }).validateSync();
+
+        expect(error.errors.action.message).toBe('Unknown audit action: contact.burn');
+    });
+
+    describe('persistence', () => {
+        useTestDatabase();
+
+        it('is append-only', async () => {
+            const entry = await AuditLog.create(validEntry);
+            const message = 'Audit log entries cannot be changed or deleted';
+
+            await expect(AuditLog.updateOne({ _id: entry._id }, { action: 'contact.delete' })).rejects.toThrow(message);
+            await expect(AuditLog.findByIdAndUpdate(entry._id, { ip: '127.0.0.1' })).rejects.toThrow(message);
+            await expect(AuditLog.deleteMany({})).rejects.toThrow(message);
+            await expect(AuditLog.findByIdAndDelete(entry._id)).rejects.toThrow(message);
+
+            entry.ip = '127.0.0.1';
+            await expect(entry.save()).rejects.toThrow(message);
+
+            const saved = await AuditLog.findById(entry._id).lean();
+            expect(saved).toMatchObject({ action: 'contact.update', ip: null, changes: validEntry.changes });
+        });
+    });
+});
@@ -0,0 +1,190 @@
+// GreenMind - Contact Model Tests
+// Author: Fatemeh - Group 6
+// Description: Tests for Contact schema validators, pre-save hook and reply thread
+
+const mongoose = require('mongoose');
+const { Contact } = require('../../src/models');
+const { useTestDatabase } = require('../helpers/db');
+
+const validContact = {
+    name: 'Jane Doe',
+    email: 'Jane@Example.com',
+    subject: 'recycling',
+    message: 'Where can I recycle old batteries in my area?'
+};
+
+/**
+ * Validate a contact without saving it
+ * @param {Object} changes - Fields to override on the valid contact
+ * @returns {Object} Map of path to validation message (empty when valid)
+ */
+function validationErrors(changes = {}) {
+    const error = new Contact({ ...validContact, ...changes }).validateSync();
+    if (!error) return {};
+
+    return Object.fromEntries(Object.entries(error.errors).map(([path, err]) => [path, err.message]));
+}
+
+describe('Contact model', () => {
+    describe('validators', () => {
+        it('accepts a valid contact and normalizes the email', () => {
+            const contact = new Contact(validContact);
+
+            expect(contact.validateSync()).toBeUndefined();
+            expect(contact.email).toBe('jane@example.com');
+            expect(contact.status).toBe('new');
+            expect(contact.newsletter).toBe(false);
+        });
+
+        it('requires every field', () => {
+            const error = new Contact({}).validateSync();
+
+            expect(Object.keys(error.errors).sort()).toEqual(['email', 'message', 'name', 'subject']);
+        });
+
+        it.each([
+            ['Jane', 'Please enter your full name (first and last name)'],
+            ['Jane D', 'Please enter your full name (first and last name)'],
+            ['J', 'Name must be at least 2 characters long']
+        ])('rejects the name %j', (name, message) => {
+            expect(validationErrors({ name }).name).toBe(message);
+        });
+
+        it('accepts names with more than two parts', () => {
+            expect(validationErrors({ name: 'Mary Jane Watson' })).toEqual({});
+        });
+
+        it.each([
+            ['jane.example.com', 'Please enter a valid email address'],
+            ['jane@example.c', 'Please enter an email with a valid domain']
+        ])('rejects the email %j', (email, message) => {
+            expect(validationErrors({ email }).email).toBe(message);
+        });
+
+        it('rejects an unknown subject', () => {
+            expect(validationErrors({ subject: 'sales' }).subject).toBe('Please select a valid subject');
+        });
+
+        it('accepts spam-like messages so they can be quarantined', () => {
+            const message = 'Congratulations! Click here to claim your prize.';
+            expect(validationErrors({ message, status: 'spam', spam: { score: 6 } })).toEqual({});
+        });
+
+        it('rejects an unknown spam review', () => {
+            expect(validationErrors({ spam: { review: 'maybe' } })).toHaveProperty(['spam.review']);
+        });
+    });
+
+    describe('persistence', () => {
+        useTestDatabase();
+
+        it('updates updatedAt on every save', async () => {
+            const contact = await Contact.create(validContact);
+            const firstUpdate = contact.updatedAt;
+
+            await new Promise(resolve => setTimeout(resolve, 5));
+            await contact.markAsRead();
+
+            expect(contact.status).toBe('read');
+            expect(contact.updatedAt.getTime()).toBeGreaterThan(firstUpdate.getTime());
+        });
+
+        it('adds replies and returns the thread in chronological order', async () => {
+            const contact = await Contact.create(validContact);
+            const author = { id: new mongoose.Types.ObjectId(), name: 'Staff Member', email: 'staff@greenmind.local' };
+
+            await contact.addReply({ author, body: 'Second reply', delivery: 'queued', sentAt: new Date(Date.now() + 2000) });
+            await contact.addReply({ author, body: 'First reply', delivery: 'sent', sentAt: new Date(Date.now() + 1000) });
+
+            const saved = await Contact.findById(contact._id);
+            const thread = saved.getThread();
+
+            expect(saved.status).toBe('replied');
+            expect(saved.replies).toHaveLength(2);
+            expect(thread.map(entry => entry.body)).toEqual([validContact.message, 'First reply', 'Second reply']);
+            expect(thread[0]).toMatchObject({ type: 'message', author: { name: 'Jane Doe', email: 'jane@example.com' } });
+            expect(thread[1]).toMatchObject({ type: 'reply', delivery: 'sent' });
+        });
+
+        it('records spam reviews', async () => {
+            const contact = await Contact.create({ ...validContact, status: 'spam', spam: { score: 5 } });
+            const admin = { _id: new mongoose.Types.ObjectId() };
+
+            await contact.releaseFromSpam(admin);
+            expect(contact.status).toBe('new');
+            expect(contact.spam).toMatchObject({ score: 5, review: 'released', reviewedBy: admin._id });
+
+            await contact.confirmSpam(admin);
+            const saved = await Contact.findById(contact._id);
+            expect(saved.status).toBe('spam');
+            expect(saved.spam.review).toBe('confirmed');
+            expect(saved.spam.reviewedAt).toBeInstanceOf(Date);
+        });
+
+        it('leaves spam out of recent messages', async () => {
+            await Contact.create(validContact);
+            await Contact.create({ ...validContact, status: 'spam' });
+
+            expect(await Contact.findRecent(7)).toHaveLength(1);
+        });
+
+        it('anonymizes personal data but keeps subject, status and dates', async () => {
+            const contact = await Contact.create({
+                ...validContact,
+                status: 'replied',
+                newsletter: true,
+                userAgent: 'jest',
+                spam: { score: 1, reasons: [{ check: 'links', score: 1, detail: 'http://example.com' }] },
+                replies: [{ author: { name: 'Staff Member' }, body: 'Thanks for writing', sentAt: new Date() }]
+            });
+            const other = await Contact.create({ ...validContact, email: 'someone@example.com' });
+
+            const result = await Contact.anonymize({ email: 'jane@example.com' });
+            expect(result.modifiedCount).toBe(1);
+
+            const saved = await Contact.findById(contact._id).lean();
+            expect(saved).toMatchObject({
+                name: 'Anonymized Sender',
+                email: `anonymized-${contact._id}@anonymized.invalid`,
+                message: '[Removed to protect personal data]',
+                subject: 'recycling',
+                status: 'replied',
+                newsletter: false,
+                spam: { score: 1, reasons: [] }
+            });
+            expect(saved.replies[0].body).toBe('[Removed to protect personal data]');
+            expect(saved.anonymizedAt).toBeInstanceOf(Date);
+            expect(saved.createdAt).toEqual(contact.createdAt);
+            expect(saved).not.toHaveProperty('userAgent');
+
+            // Still valid, and not anonymized twice
+            await expect(Contact.hydrate(saved).validate()).resolves.toBeUndefined();
+            expect((await Contact.anonymize({})).modifiedCount).toBe(1);
+            expect((await Contact.findById(other._id)).name).toBe('Anonymized Sender');
+        });
+
+        it('moves messages to the trash, restores them and purges old ones', async () => {
+            const contact = await Contact.create({ ...validContact, status: 'read' });
+            const old = await Contact.create({ ...validContact, deletedAt: new Date('2024-01-01') });
+            const admin = { _id: new mongoose.Types.ObjectId() };
+
+            await contact.moveToTrash(admin);
+            expect(contact).toMatchObject({ status: 'read', deletedBy: admin._id });
+            expect(await Contact.getStats()).toEqual([]);
+
+            await contact.restoreFromTrash();
+            expect(contact.deletedAt).toBeNull();
+
+            expect((await Contact.purgeTrash(new Date('2024-06-01'))).deletedCount).toBe(1);
+            expect(await Contact.exists({ _id: old._id })).toBeNull();
+            expect(await Contact.exists({ _id: contact._id })).not.toBeNull();
+        });
+
+        it('rejects an empty reply body', async () => {
+            const contact = await Contact.create(validContact);
+            const author = { id: new mongoose.Types.ObjectId(), name: 'Staff Member' };
+
+            await expect(contact.addReply({ author, body: '' })).rejects.toThrow('Reply body is required');
+        });
+    });
+});
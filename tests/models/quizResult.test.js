@@ -0,0 +1,60 @@
+// GreenMind - Quiz Result Model Tests
+// Author: Fatemeh - Group 6
+// Description: Tests for the QuizResult pre-save score check, performance helpers and category names
+
+const { QuizResult } = require('../../src/models');
+const { useTestDatabase } = require('../helpers/db');
+
+describe('QuizResult model', () => {
+    useTestDatabase();
+
+    it('saves a result whose score matches the answers', async () => {
+        const result = await QuizResult.create({ score: 70, totalQuestions: 10, correctAnswers: 7 });
+
+        expect(result._id).toBeDefined();
+        expect(result.getPerformanceLevel()).toBe('fair');
+    });
+
+    it('allows a 1% tolerance for rounding', async () => {
+        // 2 / 3 = 66.67%, rounded to 67
+        await expect(QuizResult.create({ score: 66, totalQuestions: 3, correctAnswers: 2 })).resolves.toBeDefined();
+        await expect(QuizResult.create({ score: 68, totalQuestions: 3, correctAnswers: 2 })).resolves.toBeDefined();
+    });
+
+    it('rejects a score that does not match the answers', async () => {
+        await expect(QuizResult.create({ score: 100, totalQuestions: 10, correctAnswers: 7 }))
+            .rejects.toThrow('Score does not match correct answers and total questions');
+
+        expect(await QuizResult.countDocuments()).toBe(0);
+    });
+
+    it('rejects more correct answers than questions', async () => {
+        await expect(QuizResult.create({ score: 100, totalQuestions: 5, correctAnswers: 6 }))
+            .rejects.toThrow('Correct answers must be a whole number and not exceed total questions');
+    });
+
+    it('computes per-category percentages', async () => {
+        const result = await QuizResult.create({
+            score: 50,
+            totalQuestions: 4,
+            correctAnswers: 2,
+            categories: { water: { correct: 2, total: 2 }, energy: { correct: 0, total: 2 } }
+        });
+
+        const performance = result.getCategoryPerformance();
+
+        expect(performance.water.score).toBe(100);
+        expect(performance.energy.score).toBe(0);
+    });
+
+    it('lists the categories used by matching results', async () => {
+        await QuizResult.create([
+            { score: 100, totalQuestions: 2, correctAnswers: 2, difficulty: 'easy', categories: { water: { correct: 2, total: 2 } } },
+            { score: 50, totalQuestions: 2, correctAnswers: 1, difficulty: 'hard', categories: { energy: { correct: 1, total: 1 }, climate: { correct: 0, total: 1 } } },
+            { score: 0, totalQuestions: 1, correctAnswers: 0 }
+        ]);
+
+        expect(await QuizResult.getCategoryNames()).toEqual(['climate', 'energy', 'water']);
+        expect(await QuizResult.getCategoryNames({ difficulty: 'easy' })).toEqual(['water']);
+    });
+});
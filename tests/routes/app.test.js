@@ -0,0 +1,340 @@
+// GreenMind - Application Route Tests
+// Author: Fatemeh - Group 6
+// Description: Tests for health, info, docs, OpenAPI, API versions, stats, metrics, rate limits, request IDs and 404 handling
+
+const request = require('supertest');
+const { Contact, RateLimit } = require('../../src/models');
+const { HealthService } = require('../../src/services');
+const { config } = require('../../src/config/environment');
+const { useTestDatabase } = require('../helpers/db');
+const { createApp, createUser } = require('../helpers/app');
+
+describe('Application routes', () => {
+    useTestDatabase();
+
+    let app;
+
+    beforeAll(() => {
+        app = createApp();
+    });
+
+    describe('GET /api/health', () => {
+        it('reports the API and database status', async () => {
+            const res = await request(app).get('/api/health');
+
+            expect(res.status).toBe(200);
+            expect(res.body.status).toBe('success');
+            expect(res.body.database.status).toBe('connected');
+            expect(res.body).toHaveProperty('uptime');
+        });
+
+        it('returns 503 when the instance is not ready', async () => {
+            HealthService.startDraining();
+
+            const res = await request(app).get('/api/health');
+            HealthService.draining = false;
+
+            expect(res.status).toBe(503);
+            expect(res.body).toMatchObject({ status: 'error', state: 'draining' });
+            expect(res.body.checks.database).toMatchObject({ status: 'up' });
+        });
+    });
+
+    describe('health probes', () => {
+        afterEach(() => {
+            HealthService.draining = false;
+        });
+
+        it('reports the process as alive', async () => {
+            const res = await request(app).get('/api/health/live');
+
+            expect(res.status).toBe(200);
+            expect(res.body).toMatchObject({ status: 'success', state: 'alive' });
+        });
+
+        it('is ready when the database answers a ping', async () => {
+            const res = await request(app).get('/api/health/ready');
+
+            expect(res.status).toBe(200);
+            expect(res.body).toMatchObject({ ready: true, state: 'ready' });
+            expect(res.body.checks.database).toMatchObject({ status: 'up', state: 'connected' });
+        });
+
+        it('returns 503 from readiness but stays live while draining', async () => {
+            HealthService.startDraining();
+
+            const ready = await request(app).get('/api/health/ready');
+            const live = await request(app).get('/api/health/live');
+
+            expect(ready.status).toBe(503);
+            expect(ready.body).toMatchObject({ status: 'error', ready: false, state: 'draining' });
+            expect(live.status).toBe(200);
+            expect(live.body.state).toBe('draining');
+        });
+    });
+
+    describe('GET /api/info', () => {
+        it('returns application information', async () => {
+            const res = await request(app).get('/api/info');
+
+            expect(res.status).toBe(200);
+            expect(res.body.data).toMatchObject({ name: expect.any(String), version: expect.any(String) });
+            expect(res.body.data.features).toEqual(expect.arrayContaining(['Interactive Quiz System']));
+        });
+    });
+
+    describe('GET /api/docs', () => {
+        it('documents every route group', async () => {
+            const res = await request(app).get('/api/docs');
+
+            expect(res.status).toBe(200);
+            expect(Object.keys(res.body.data.endpoints)).toEqual(
+                expect.arrayContaining(['health', 'auth', 'contact', 'newsletter', 'questions', 'quiz'])
+            );
+            expect(res.body.data.baseUrl).toMatch(/\/api\/v1$/);
+            expect(res.body.data.endpoints.quiz).toContainEqual(expect.objectContaining({
+                method: 'GET',
+                path: '/quiz/export',
+                access: 'Private'
+            }));
+        });
+    });
+
+    describe('GET /api/openapi.json', () => {
+        it('serves the generated OpenAPI document', async () => {
+            const res = await request(app).get('/api/v1/openapi.json');
+
+            expect(res.status).toBe(200);
+            expect(res.body.openapi).toMatch(/^3\./);
+            expect(res.body.paths['/api/v1/contact/{id}/replies'].post.summary).toBeTruthy();
+            expect(res.body.components.securitySchemes).toHaveProperty('bearerAuth');
+        });
+
+        it('serves the Swagger UI assets for the docs page', async () => {
+            const res = await request(app).get('/vendor/swagger-ui/swagger-ui-bundle.js');
+
+            expect(res.status).toBe(200);
+        });
+    });
+
+    describe('GET /api/schemas', () => {
+        it('serves the validation schema of a form', async () => {
+            const res = await request(app).get('/api/v1/schemas/contact');
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.fields.name).toMatchObject({ required: true, check: 'fullName' });
+        });
+
+        it('returns 404 for an unknown schema', async () => {
+            const res = await request(app).get('/api/v1/schemas/unknown');
+
+            expect(res.status).toBe(404);
+        });
+
+        it('serves the validator script for the browser', async () => {
+            const res = await request(app).get('/js/schema-validator.js');
+
+            expect(res.status).toBe(200);
+            expect(res.text).toContain('root.SchemaValidator = SchemaValidator');
+        });
+    });
+
+    describe('API versions', () => {
+        it('serves the API under /api/v1', async () => {
+            const res = await request(app).get('/api/v1/info');
+
+            expect(res.status).toBe(200);
+            expect(res.headers['api-version']).toBe('v1');
+            expect(res.headers).not.toHaveProperty('deprecation');
+        });
+
+        it('keeps /api as a deprecated alias of v1', async () => {
+            const res = await request(app).get('/api/info?lang=en');
+
+            expect(res.status).toBe(200);
+            expect(res.headers['api-version']).toBe('v1');
+            expect(res.headers.deprecation).toMatch(/^@\d+$/);
+            expect(new Date(res.headers.sunset).getTime()).toBe(new Date(config.api.legacyAlias.sunsetAt).getTime());
+            expect(res.headers.link).toContain('</api/v1/info?lang=en>; rel="successor-version"');
+        });
+
+        it('does not treat unknown versions as alias paths', async () => {
+            const res = await request(app).get('/api/v9/info');
+
+            expect(res.status).toBe(404);
+            expect(res.headers).not.toHaveProperty('deprecation');
+        });
+    });
+
+    describe('GET /api/stats', () => {
+        it('requires authentication', async () => {
+            const res = await request(app).get('/api/stats');
+
+            expect(res.status).toBe(401);
+        });
+
+        it('requires the admin role', async () => {
+            const { auth } = await createUser({ role: 'learner' });
+            const res = await request(app).get('/api/stats').set('Authorization', auth);
+
+            expect(res.status).toBe(403);
+        });
+
+        it('returns system statistics for admins', async () => {
+            const { auth } = await createUser();
+            await Contact.create({
+                name: 'Jane Doe',
+                email: 'jane@example.com',
+                subject: 'general',
+                message: 'Hello from the test suite!'
+            });
+
+            const res = await request(app).get('/api/stats').set('Authorization', auth);
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.overview).toEqual({
+                totalContacts: 1,
+                totalQuizResults: 0,
+                recentContacts: 1,
+                recentQuizzes: 0
+            });
+            expect(res.body.data.system.uptimeFormatted).toEqual(expect.any(String));
+        });
+    });
+
+    describe('GET /api/metrics', () => {
+        afterEach(() => {
+            config.metrics.token = '';
+        });
+
+        it('requires the metrics token or an admin', async () => {
+            const { auth } = await createUser({ role: 'learner' });
+
+            expect((await request(app).get('/api/metrics')).status).toBe(401);
+            expect((await request(app).get('/api/metrics').set('Authorization', auth)).status).toBe(403);
+        });
+
+        it('accepts the configured metrics token', async () => {
+            config.metrics.token = 'scrape-token';
+
+            const wrong = await request(app).get('/api/metrics').set('Authorization', 'Bearer wrong-token');
+            const res = await request(app).get('/api/metrics').set('Authorization', 'Bearer scrape-token');
+
+            expect(wrong.status).toBe(401);
+            expect(res.status).toBe(200);
+            expect(res.type).toBe('text/plain');
+        });
+
+        it('reports request counts by route and the database state to admins', async () => {
+            const { auth } = await createUser();
+            await request(app).get('/api/info');
+
+            const res = await request(app).get('/api/metrics').set('Authorization', auth);
+
+            expect(res.status).toBe(200);
+            expect(res.text).toMatch(/greenmind_http_requests_total\{method="GET",route="\/api\/info",status_code="200"\} \d+/);
+            expect(res.text).toContain('greenmind_mongodb_connection_state{state="connected"} 1');
+        });
+    });
+
+    describe('/api/rate-limits', () => {
+        const client = '198.51.100.20';
+
+        it('requires the admin role', async () => {
+            const { auth } = await createUser({ role: 'learner' });
+            const res = await request(app).get('/api/rate-limits').set('Authorization', auth);
+
+            expect(res.status).toBe(403);
+        });
+
+        it('lists the policies', async () => {
+            const { auth } = await createUser();
+            const res = await request(app).get('/api/rate-limits').set('Authorization', auth);
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.policies.map(({ policy }) => policy)).toEqual(Object.keys(config.security.rateLimit.policies));
+        });
+
+        it('shows a client\'s counters from MongoDB and resets them', async () => {
+            const { auth } = await createUser();
+            await request(app).get('/api/info').set('X-Forwarded-For', client);
+            await request(app).get('/api/info').set('X-Forwarded-For', client);
+
+            const counter = await RateLimit.findOne({ policy: 'api', key: client });
+            expect(counter.hits).toBe(2);
+            expect(counter.resetAt.getTime()).toBeGreaterThan(Date.now());
+
+            const inspected = await request(app).get(`/api/rate-limits/${client}`).set('Authorization', auth);
+            expect(inspected.status).toBe(200);
+            expect(inspected.body.data.policies.find(({ policy }) => policy === 'api')).toMatchObject({ hits: 2, limited: false });
+
+            const reset = await request(app).delete(`/api/rate-limits/${client}?policy=api`).set('Authorization', auth);
+            expect(reset.status).toBe(200);
+            expect(reset.body.data).toEqual({ client, policies: ['api'] });
+            expect(await RateLimit.countDocuments({ key: client })).toBe(0);
+        });
+
+        it('rejects invalid clients and unknown policies', async () => {
+            const { auth } = await createUser();
+
+            const badClient = await request(app).get('/api/rate-limits/localhost').set('Authorization', auth);
+            const badPolicy = await request(app).delete(`/api/rate-limits/${client}?policy=nope`).set('Authorization', auth);
+
+            expect(badClient.status).toBe(400);
+            expect(badClient.body.errors).toEqual({ client: 'client must be an IPv4 or IPv6 address' });
+            expect(badPolicy.status).toBe(400);
+            expect(badPolicy.body.message).toBe('Unknown rate-limit policy: nope');
+        });
+    });
+
+    describe('not found', () => {
+        it('lists the available endpoints for unknown API routes', async () => {
+            const res = await request(app).get('/api/unknown');
+
+            expect(res.status).toBe(404);
+            expect(res.body.message).toBe('API endpoint not found: GET /api/unknown');
+            expect(res.body.availableEndpoints).toHaveProperty('health', 'GET /api/v1/health');
+        });
+
+        it('serves the 404 page for unknown pages', async () => {
+            const res = await request(app).get('/no-such-page');
+
+            expect(res.status).toBe(404);
+            expect(res.type).toBe('text/html');
+        });
+    });
+
+    describe('request IDs', () => {
+        it('generates an X-Request-Id for each request', async () => {
+            const first = await request(app).get('/api/health');
+            const second = await request(app).get('/api/health');
+
+            expect(first.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+            expect(second.headers['x-request-id']).not.toBe(first.headers['x-request-id']);
+        });
+
+        it('reuses a valid incoming X-Request-Id and ignores invalid ones', async () => {
+            const valid = await request(app).get('/api/health').set('X-Request-Id', 'proxy-123.abc');
+            const invalid = await request(app).get('/api/health').set('X-Request-Id', 'not valid <script>');
+
+            expect(valid.headers['x-request-id']).toBe('proxy-123.abc');
+            expect(invalid.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+        });
+
+        it('includes the request ID in error responses', async () => {
+            const res = await request(app).get('/api/contact').set('X-Request-Id', 'trace-me');
+
+            expect(res.status).toBe(401);
+            expect(res.body.requestId).toBe('trace-me');
+        });
+    });
+
+    describe('GET /', () => {
+        it('serves the home page', async () => {
+            const res = await request(app).get('/');
+
+            expect(res.status).toBe(200);
+            expect(res.type).toBe('text/html');
+        });
+    });
+});
@@ -0,0 +1,147 @@
+// GreenMind - Audit Route Tests
+// Author: Fatemeh - Group 6
+// Description: Tests that admin changes and exports are audited and for reading the audit log
+
+const request = require('supertest');
+const { AuditLog, Contact, Question } = require('../../src/models');
+const { useTestDatabase } = require('../helpers/db');
+const { createApp, createUser } = require('../helpers/app');
+
+const validContact = {
+    name: 'Jane Doe',
+    email: 'jane@example.com',
+    subject: 'recycling',
+    message: 'Where can I recycle old batteries in my area?'
+};
+
+describe('Audit log', () => {
+    useTestDatabase();
+
+    let app;
+    let admin;
+
+    beforeAll(() => {
+        app = createApp();
+    });
+
+    beforeEach(async () => {
+        admin = await createUser({ name: 'Staff Member' });
+    });
+
+    describe('recording', () => {
+        it('records contact status changes with the actor, diff and IP', async () => {
+            const contact = await Contact.create(validContact);
+
+            await request(app)
+                .put(`/api/contact/${contact._id}`)
+                .set('Authorization', admin.auth)
+                .send({ status: 'archived' })
+                .expect(200);
+
+            const entry = await AuditLog.findOne({ action: 'contact.update' }).lean();
+            expect(entry).toMatchObject({
+                actor: { id: admin.user._id, name: 'Staff Member', role: 'admin' },
+                targetType: 'contact',
+                targetId: String(contact._id),
+                changes: [{ field: 'status', before: 'new', after: 'archived' }],
+                ip: '127.0.0.1'
+            });
+            expect(entry.createdAt).toBeInstanceOf(Date);
+        });
+
+        it('records deletions and restores, without personal data', async () => {
+            const contact = await Contact.create(validContact);
+
+            await request(app).delete(`/api/contact/${contact._id}`).set('Authorization', admin.auth).expect(204);
+            await request(app).post(`/api/contact/${contact._id}/restore`).set('Authorization', admin.auth).expect(200);
+
+            const deletion = await AuditLog.findOne({ action: 'contact.delete' }).lean();
+            expect(deletion.changes).toEqual([{ field: 'deletedAt', before: null, after: expect.any(Date) }]);
+            expect(JSON.stringify(deletion)).not.toContain('jane@example.com');
+
+            const restore = await AuditLog.findOne({ action: 'contact.restore' }).lean();
+            expect(restore.changes).toEqual([{ field: 'deletedAt', before: expect.any(Date), after: null }]);
+        });
+
+        it('records question changes', async () => {
+            const question = await Question.create({
+                category: 'Energy',
+                prompt: 'Which of these is a renewable energy source?',
+                options: ['Coal', 'Wind'],
+                correctIndex: 1
+            });
+
+            await request(app)
+                .put(`/api/questions/${question._id}`)
+                .set('Authorization', admin.auth)
+                .send({ difficulty: 'hard' })
+                .expect(200);
+
+            const entry = await AuditLog.findOne({ action: 'question.update' }).lean();
+            expect(entry.changes).toEqual([{ field: 'difficulty', before: 'medium', after: 'hard' }]);
+        });
+
+        it('records exports with their format, filters and count', async () => {
+            await Contact.create(validContact);
+
+            await request(app)
+                .get('/api/contact/export?format=csv&subject=recycling')
+                .set('Authorization', admin.auth)
+                .expect(200);
+
+            const entry = await AuditLog.findOne({ action: 'contact.export' }).lean();
+            expect(entry).toMatchObject({
+                targetType: 'contact',
+                targetId: null,
+                changes: [],
+                details: { format: 'csv', count: 1, includeMessage: true, filters: { subject: 'recycling' } }
+            });
+        });
+    });
+
+    describe('GET /api/audit', () => {
+        beforeEach(async () => {
+            const other = await createUser({ name: 'Other Admin' });
+
+            await AuditLog.create([
+                { actor: { id: admin.user._id }, action: 'contact.update', targetType: 'contact', targetId: 'a', createdAt: new Date('2024-01-01') },
+                { actor: { id: admin.user._id }, action: 'contact.delete', targetType: 'contact', targetId: 'a', createdAt: new Date('2024-02-01') },
+                { actor: { id: other.user._id }, action: 'quiz.export', targetType: 'quizResult', createdAt: new Date('2024-03-01') }
+            ]);
+        });
+
+        it('requires the admin role', async () => {
+            const { auth } = await createUser({ role: 'learner' });
+
+            expect((await request(app).get('/api/audit').set('Authorization', auth)).status).toBe(403);
+        });
+
+        it('lists entries newest first with pagination', async () => {
+            const res = await request(app).get('/api/audit?limit=2').set('Authorization', admin.auth);
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.entries.map(entry => entry.action)).toEqual(['quiz.export', 'contact.delete']);
+            expect(res.body.data.pagination).toMatchObject({ currentPage: 1, totalPages: 2, totalItems: 3, hasNextPage: true });
+        });
+
+        it('filters by actor, action, target and date', async () => {
+            const byActor = await request(app).get(`/api/audit?actor=${admin.user._id}`).set('Authorization', admin.auth);
+            const byAction = await request(app).get('/api/audit?action=quiz.export').set('Authorization', admin.auth);
+            const byTarget = await request(app).get('/api/audit?targetType=contact&targetId=a&endDate=2024-01-15').set('Authorization', admin.auth);
+
+            expect(byActor.body.data.pagination.totalItems).toBe(2);
+            expect(byAction.body.data.entries).toHaveLength(1);
+            expect(byTarget.body.data.entries.map(entry => entry.action)).toEqual(['contact.update']);
+        });
+
+        it('rejects unknown actions and invalid actors', async () => {
+            const badAction = await request(app).get('/api/audit?action=contact.burn').set('Authorization', admin.auth);
+            const badActor = await request(app).get('/api/audit?actor=nope').set('Authorization', admin.auth);
+
+            expect(badAction.status).toBe(400);
+            expect(Object.keys(badAction.body.errors)).toEqual(['action']);
+            expect(badActor.status).toBe(400);
+            expect(badActor.body.errors).toEqual({ actor: 'Invalid actor format' });
+        });
+    });
+});
@@ -0,0 +1,144 @@
+// GreenMind - Auth Route Tests
+// Author: Fatemeh - Group 6
+// Description: Tests for the cookie login and logout flow, wrong credentials and the current-user endpoint
+
+const request = require('supertest');
+const { User } = require('../../src/models');
+const { config } = require('../../src/config/environment');
+const { useTestDatabase } = require('../helpers/db');
+const { createApp, createUser, nextIp } = require('../helpers/app');
+
+/**
+ * Log in from a fresh address
+ * @param {Object} app - Express app
+ * @param {Object} credentials - { email, password }
+ * @returns {Promise<Object>} Supertest response
+ */
+function login(app, credentials) {
+    return request(app).post('/api/auth/login').set('X-Forwarded-For', nextIp()).send(credentials);
+}
+
+/**
+ * Find the auth cookie in a response
+ * @param {Object} res - Supertest response
+ * @returns {string|undefined} Set-Cookie header of the auth cookie
+ */
+function authCookie(res) {
+    return (res.headers['set-cookie'] || []).find(cookie => cookie.startsWith(`${config.auth.cookieName}=`));
+}
+
+describe('Auth routes', () => {
+    useTestDatabase();
+
+    let app;
+    let admin;
+
+    beforeAll(() => {
+        app = createApp();
+    });
+
+    beforeEach(async () => {
+        admin = await createUser({ email: 'admin@example.com' });
+    });
+
+    describe('POST /api/auth/login', () => {
+        it('returns a token and sets it as an httpOnly cookie', async () => {
+            const res = await login(app, { email: 'Admin@Example.com', password: 'S3cure!pass' });
+
+            expect(res.status).toBe(200);
+            expect(res.body.message).toBe('Logged in successfully');
+            expect(res.body.data).toMatchObject({ token: expect.any(String), user: { email: 'admin@example.com', role: 'admin' } });
+            expect(res.body.data.user).not.toHaveProperty('password');
+
+            const cookie = authCookie(res);
+            expect(cookie).toContain(`${config.auth.cookieName}=${res.body.data.token}`);
+            expect(cookie).toMatch(/HttpOnly/);
+            expect(cookie).toMatch(/SameSite=Strict/);
+
+            expect((await User.findById(admin.user._id)).lastLoginAt).toBeInstanceOf(Date);
+        });
+
+        it('rejects a wrong password and an unknown email with the same message', async () => {
+            const wrongPassword = await login(app, { email: 'admin@example.com', password: 'Wr0ng!pass' });
+            const unknownEmail = await login(app, { email: 'nobody@example.com', password: 'S3cure!pass' });
+
+            for (const res of [wrongPassword, unknownEmail]) {
+                expect(res.status).toBe(401);
+                expect(res.body.message).toBe('Incorrect email or password');
+                expect(authCookie(res)).toBeUndefined();
+            }
+        });
+
+        it('rejects deactivated accounts', async () => {
+            await User.updateOne({ _id: admin.user._id }, { active: false });
+
+            const res = await login(app, { email: 'admin@example.com', password: 'S3cure!pass' });
+
+            expect(res.status).toBe(401);
+        });
+
+        it('requires an email and a password', async () => {
+            const res = await login(app, {});
+
+            expect(res.status).toBe(400);
+            expect(Object.keys(res.body.errors).sort()).toEqual(['email', 'password']);
+        });
+
+        it('rate limits repeated failed logins from one address', async () => {
+            const ip = nextIp();
+
+            for (let i = 0; i < 5; i++) {
+                await request(app).post('/api/auth/login').set('X-Forwarded-For', ip)
+                    .send({ email: 'admin@example.com', password: 'Wr0ng!pass' }).expect(401);
+            }
+
+            const limited = await request(app).post('/api/auth/login').set('X-Forwarded-For', ip)
+                .send({ email: 'admin@example.com', password: 'S3cure!pass' });
+
+            expect(limited.status).toBe(429);
+        });
+    });
+
+    describe('cookie session', () => {
+        it('authenticates with the cookie and ends every session on logout', async () => {
+            const res = await login(app, { email: 'admin@example.com', password: 'S3cure!pass' });
+            const cookie = authCookie(res).split(';')[0];
+            const { token } = res.body.data;
+
+            const me = await request(app).get('/api/auth/me').set('Cookie', cookie);
+            expect(me.status).toBe(200);
+            expect(me.body.data.user.email).toBe('admin@example.com');
+
+            const logout = await request(app).post('/api/auth/logout').set('Cookie', cookie).send({});
+            expect(logout.status).toBe(200);
+            expect(logout.body.message).toBe('Logged out successfully');
+            expect(authCookie(logout)).toMatch(/Expires=Thu, 01 Jan 1970/);
+
+            // The token itself no longer works either, from the cookie or the header
+            const withCookie = await request(app).get('/api/auth/me').set('Cookie', cookie);
+            const withHeader = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`);
+
+            for (const after of [withCookie, withHeader]) {
+                expect(after.status).toBe(401);
+                expect(after.body.message).toBe('Your session has ended. Please log in again.');
+            }
+        });
+
+        it('opens admin pages with the cookie', async () => {
+            const res = await login(app, { email: 'admin@example.com', password: 'S3cure!pass' });
+
+            const stats = await request(app).get('/api/contact/stats').set('Cookie', authCookie(res).split(';')[0]);
+
+            expect(stats.status).toBe(200);
+        });
+
+        it('requires a login for logout and the current user', async () => {
+            const me = await request(app).get('/api/auth/me');
+            const logout = await request(app).post('/api/auth/logout').send({});
+
+            expect(me.status).toBe(401);
+            expect(logout.status).toBe(401);
+            expect(me.body.message).toBe('You are not logged in. Please log in to get access.');
+        });
+    });
+});
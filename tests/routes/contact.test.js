@@ -0,0 +1,883 @@
+// GreenMind - Contact Route Tests
+// Author: Fatemeh - Group 6
+// Description: Tests for contact form submission and the admin inbox API
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { AuditLog, Contact, Subscriber } = require('../../src/models');
+const { MailerService, ContactBulkService, NewsletterService } = require('../../src/services');
+const { MemoryTransport } = require('../../src/services/mailer/transports');
+const { Metrics } = require('../../src/utils');
+const { useTestDatabase } = require('../helpers/db');
+const { createApp, createUser, nextIp, eventually } = require('../helpers/app');
+
+const validContact = {
+    name: 'Jane Doe',
+    email: 'Jane@Example.com',
+    subject: 'recycling',
+    message: 'Where can I recycle old batteries in my area?',
+    // As sent by the contact form, loaded well before submitting
+    formStartedAt: Date.now() - 60000
+};
+
+/**
+ * Create a stored contact message
+ * @param {Object} overrides - Fields to override
+ * @returns {Promise<Object>} Contact document
+ */
+function createContact(overrides = {}) {
+    return Contact.create({ ...validContact, ...overrides });
+}
+
+describe('Contact routes', () => {
+    useTestDatabase();
+
+    let app;
+    let transport;
+    let admin;
+
+    beforeAll(() => {
+        app = createApp();
+    });
+
+    beforeEach(async () => {
+        transport = new MemoryTransport();
+        MailerService.setTransport(transport);
+        admin = await createUser({ name: 'Staff Member', email: 'staff@greenmind.local' });
+    });
+
+    describe('POST /api/contact', () => {
+        it('stores the message and emails the sender and staff', async () => {
+            const res = await request(app)
+                .post('/api/contact')
+                .set('X-Forwarded-For', nextIp())
+                .set('User-Agent', 'jest')
+                .send(validContact);
+
+            expect(res.status).toBe(201);
+            expect(res.body.status).toBe('success');
+
+            const contact = await Contact.findById(res.body.data.id);
+            expect(contact).toMatchObject({ email: 'jane@example.com', status: 'new', newsletter: false, userAgent: 'jest' });
+
+            await eventually(() => expect(transport.sent).toHaveLength(2));
+            expect(transport.sent.map(message => message.to)).toEqual(
+                expect.arrayContaining(['jane@example.com', MailerService.getStaffRecipient('recycling')])
+            );
+            expect(await Subscriber.countDocuments()).toBe(0);
+        });
+
+        it('starts a newsletter subscription when the box is ticked', async () => {
+            const res = await request(app)
+                .post('/api/contact')
+                .set('X-Forwarded-For', nextIp())
+                .send({ ...validContact, newsletter: true });
+
+            expect(res.status).toBe(201);
+
+            const subscriber = await eventually(async () => {
+                const found = await Subscriber.findOne({ email: 'jane@example.com' });
+                expect(found).not.toBeNull();
+                return found;
+            });
+            expect(subscriber).toMatchObject({ status: 'pending', source: 'contact', name: 'Jane Doe' });
+        });
+
+        it('rejects invalid submissions with field errors', async () => {
+            const res = await request(app)
+                .post('/api/contact')
+                .set('X-Forwarded-For', nextIp())
+                .send({ ...validContact, email: 'nope', subject: 'sales' });
+
+            expect(res.status).toBe(400);
+            expect(Object.keys(res.body.errors).sort()).toEqual(['email', 'subject']);
+            expect(await Contact.countDocuments()).toBe(0);
+        });
+
+        it('counts the submission under its stored subject', async () => {
+            await request(app)
+                .post('/api/contact')
+                .set('X-Forwarded-For', nextIp())
+                .send({ ...validContact, subject: ' Energy ' })
+                .expect(201);
+
+            const output = await Metrics.render();
+
+            expect(output).toMatch(/greenmind_contact_submissions_total\{subject="energy",spam="false"\} \d+/);
+            expect(output).not.toContain('subject=" Energy "');
+        });
+
+        it('requires a JSON body', async () => {
+            const res = await request(app)
+                .post('/api/contact')
+                .set('X-Forwarded-For', nextIp())
+                .type('form')
+                .send(validContact);
+
+            expect(res.status).toBe(400);
+            expect(res.body.message).toBe('Content-Type must be application/json');
+        });
+
+        it('rate limits repeated failed submissions from one address', async () => {
+            const ip = nextIp();
+
+            for (let i = 0; i < 5; i++) {
+                const res = await request(app).post('/api/contact').set('X-Forwarded-For', ip).send({});
+                expect(res.status).toBe(400);
+            }
+
+            const limited = await request(app).post('/api/contact').set('X-Forwarded-For', ip).send(validContact);
+
+            expect(limited.status).toBe(429);
+            expect(limited.body.message).toBe('Too many form submissions. Please wait before submitting again.');
+        });
+
+        it('counts successful submissions towards the limit too', async () => {
+            const ip = nextIp();
+
+            for (let i = 0; i < 5; i++) {
+                await request(app).post('/api/contact').set('X-Forwarded-For', ip).send(validContact).expect(201);
+            }
+
+            const limited = await request(app).post('/api/contact').set('X-Forwarded-For', ip).send(validContact);
+
+            expect(limited.status).toBe(429);
+            expect(await Contact.countDocuments()).toBe(5);
+        });
+
+        it('does not quote the message back to the sender', async () => {
+            await request(app).post('/api/contact').set('X-Forwarded-For', nextIp()).send(validContact).expect(201);
+
+            await eventually(() => expect(transport.sent).toHaveLength(2));
+            const acknowledgement = transport.sent.find(message => message.to === 'jane@example.com');
+            expect(acknowledgement.text).not.toContain(validContact.message);
+            expect(acknowledgement.html).not.toContain(validContact.message);
+        });
+    });
+
+    describe('spam quarantine', () => {
+        /**
+         * Submit the contact form from a fresh address
+         * @param {Object} body - Fields to add to the valid contact
+         * @returns {Promise<Object>} Supertest response
+         */
+        function submit(body = {}) {
+            return request(app)
+                .post('/api/contact')
+                .set('X-Forwarded-For', nextIp())
+                .send({ ...validContact, ...body });
+        }
+
+        it('quarantines a filled-in honeypot without emailing anyone', async () => {
+            const res = await submit({ website: 'https://spam.example', newsletter: true });
+
+            expect(res.status).toBe(201);
+            expect(res.body.message).toBe('Thank you for your message! We will get back to you soon.');
+
+            const contact = await Contact.findById(res.body.data.id);
+            expect(contact.status).toBe('spam');
+            expect(contact.spam.reasons.map(reason => reason.check)).toContain('honeypot');
+
+            // Give any background work a chance to run before checking nothing was sent
+            await new Promise(resolve => setTimeout(resolve, 100));
+            expect(transport.sent).toHaveLength(0);
+            expect(await Subscriber.countDocuments()).toBe(0);
+        });
+
+        it('quarantines spam phrases instead of rejecting them', async () => {
+            const res = await submit({ message: 'Congratulations! Click here to claim your lottery prize.' });
+
+            expect(res.status).toBe(201);
+            expect((await Contact.findById(res.body.data.id)).status).toBe('spam');
+        });
+
+        it('quarantines forms submitted too quickly', async () => {
+            const res = await submit({ formStartedAt: Date.now() });
+            const contact = await Contact.findById(res.body.data.id);
+
+            expect(contact.status).toBe('spam');
+            expect(contact.spam.reasons[0].check).toBe('timeOnForm');
+        });
+
+        it('stores the score of messages that pass', async () => {
+            const res = await submit({ message: 'This is urgent: the river behind our school is polluted.' });
+            const contact = await Contact.findById(res.body.data.id);
+
+            expect(contact.status).toBe('new');
+            expect(contact.spam.score).toBe(2);
+            expect(contact.spam.checkedAt).toBeInstanceOf(Date);
+        });
+
+        it('quarantines senders with confirmed spam', async () => {
+            await createContact({ status: 'spam', spam: { score: 6, review: 'confirmed' } });
+
+            const res = await submit();
+            const contact = await Contact.findById(res.body.data.id);
+
+            expect(contact.status).toBe('spam');
+            expect(contact.spam.reasons).toEqual([
+                expect.objectContaining({ check: 'senderReputation', score: 4 })
+            ]);
+        });
+
+        it('quarantines a filled-in honeypot from a trusted sender', async () => {
+            await createContact({ status: 'replied' });
+
+            const res = await submit({ website: 'https://spam.example' });
+            const contact = await Contact.findById(res.body.data.id);
+
+            expect(contact.status).toBe('spam');
+            expect(contact.spam.reasons.map(reason => reason.check)).toEqual(['honeypot']);
+        });
+
+        it('scores submissions without a form start time', async () => {
+            const res = await submit({ formStartedAt: undefined });
+            const contact = await Contact.findById(res.body.data.id);
+
+            expect(contact.status).toBe('new');
+            expect(contact.spam.reasons).toEqual([expect.objectContaining({ check: 'timeOnForm', score: 2 })]);
+        });
+
+        it('trusts senders who have been answered before', async () => {
+            await createContact({ status: 'replied' });
+
+            const res = await submit({ message: 'Urgent: one more question about the battery drop-off.' });
+            const contact = await Contact.findById(res.body.data.id);
+
+            expect(contact.status).toBe('new');
+            expect(contact.spam.score).toBe(-1);
+        });
+
+        it('keeps spam out of the inbox, search and recent messages', async () => {
+            await createContact();
+            await createContact({ status: 'spam', message: 'Where can I recycle batteries? Click here!' });
+
+            const list = await request(app).get('/api/contact').set('Authorization', admin.auth);
+            const search = await request(app).get('/api/contact/search?q=batteries').set('Authorization', admin.auth);
+            const stats = await request(app).get('/api/contact/stats').set('Authorization', admin.auth);
+            const spamOnly = await request(app).get('/api/contact?status=spam').set('Authorization', admin.auth);
+
+            expect(list.body.data.pagination.totalItems).toBe(1);
+            expect(search.body.data.count).toBe(1);
+            expect(stats.body.data).toMatchObject({ recentContactsCount: 1, quarantinedSpam: 1 });
+            expect(spamOnly.body.data.contacts).toHaveLength(1);
+        });
+
+        it('GET /api/contact/spam lists quarantined messages, highest score first', async () => {
+            await createContact();
+            await createContact({ status: 'spam', spam: { score: 5 } });
+            await createContact({ status: 'spam', spam: { score: 9 } });
+
+            const res = await request(app).get('/api/contact/spam').set('Authorization', admin.auth);
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.contacts.map(contact => contact.spam.score)).toEqual([9, 5]);
+            expect(res.body.data.threshold).toBe(4);
+            expect(res.body.data.pagination.totalItems).toBe(2);
+        });
+
+        it('POST /api/contact/:id/release moves the message to the inbox and sends its emails', async () => {
+            const contact = await createContact({ status: 'spam', newsletter: true, spam: { score: 5 } });
+
+            const res = await request(app)
+                .post(`/api/contact/${contact._id}/release`)
+                .set('Authorization', admin.auth)
+                .send({});
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.contact.status).toBe('new');
+            expect(res.body.data.contact.spam).toMatchObject({ review: 'released', reviewedBy: admin.user._id.toString() });
+
+            await eventually(async () => {
+                expect(transport.sent.map(message => message.to)).toContain('jane@example.com');
+                expect(await Subscriber.countDocuments({ email: 'jane@example.com' })).toBe(1);
+            });
+        });
+
+        it('POST /api/contact/:id/release only releases quarantined messages', async () => {
+            const contact = await createContact();
+
+            const res = await request(app)
+                .post(`/api/contact/${contact._id}/release`)
+                .set('Authorization', admin.auth)
+                .send({});
+
+            expect(res.status).toBe(400);
+            expect(res.body.message).toBe('Only messages in the spam queue can be released');
+        });
+
+        it('POST /api/contact/:id/confirm-spam flags any message as spam', async () => {
+            const contact = await createContact({ status: 'read' });
+
+            const res = await request(app)
+                .post(`/api/contact/${contact._id}/confirm-spam`)
+                .set('Authorization', admin.auth)
+                .send({});
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.contact).toMatchObject({ status: 'spam', spam: { review: 'confirmed' } });
+        });
+
+        it('review endpoints return 404 for missing messages', async () => {
+            const id = new mongoose.Types.ObjectId();
+
+            const release = await request(app).post(`/api/contact/${id}/release`).set('Authorization', admin.auth).send({});
+            const confirm = await request(app).post(`/api/contact/${id}/confirm-spam`).set('Authorization', admin.auth).send({});
+
+            expect(release.status).toBe(404);
+            expect(confirm.status).toBe(404);
+        });
+
+        it('leaves quarantined and trashed messages out of the newsletter migration', async () => {
+            await createContact({ status: 'spam', newsletter: true, spam: { score: 6 } });
+            await createContact({ email: 'trashed@example.com', newsletter: true, deletedAt: new Date() });
+            await createContact({ email: 'reader@example.com', newsletter: true });
+
+            expect(await NewsletterService.migrateFromContacts()).toEqual({ created: 1, skipped: 0 });
+            expect(await Subscriber.distinct('email')).toEqual(['reader@example.com']);
+        });
+    });
+
+    describe('admin endpoints', () => {
+        it('require authentication', async () => {
+            const id = new mongoose.Types.ObjectId();
+            const responses = await Promise.all([
+                request(app).get('/api/contact'),
+                request(app).get('/api/contact/stats'),
+                request(app).get('/api/contact/search?q=jane'),
+                request(app).get('/api/contact/spam'),
+                request(app).get('/api/contact/export'),
+                request(app).post(`/api/contact/${id}/release`).send({}),
+                request(app).post(`/api/contact/${id}/confirm-spam`).send({}),
+                request(app).get(`/api/contact/${id}`),
+                request(app).post(`/api/contact/${id}/replies`).send({ body: 'Hi' }),
+                request(app).put(`/api/contact/${id}`).send({ status: 'read' }),
+                request(app).delete(`/api/contact/${id}`)
+            ]);
+
+            responses.forEach(res => expect(res.status).toBe(401));
+        });
+
+        it('require the admin role', async () => {
+            const learner = await createUser({ role: 'learner' });
+            const res = await request(app).get('/api/contact').set('Authorization', learner.auth);
+
+            expect(res.status).toBe(403);
+        });
+    });
+
+    describe('GET /api/contact', () => {
+        it('paginates and filters messages', async () => {
+            await createContact({ status: 'read' });
+            await createContact({ subject: 'water' });
+            await createContact({ subject: 'water' });
+
+            const res = await request(app)
+                .get('/api/contact?subject=water&limit=1&page=2')
+                .set('Authorization', admin.auth);
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.contacts).toHaveLength(1);
+            expect(res.body.data.pagination).toMatchObject({
+                currentPage: 2,
+                totalPages: 2,
+                totalItems: 2,
+                hasNextPage: false,
+                hasPrevPage: true
+            });
+        });
+
+        it('validates pagination', async () => {
+            const res = await request(app).get('/api/contact?limit=500').set('Authorization', admin.auth);
+
+            expect(res.status).toBe(400);
+        });
+    });
+
+    describe('GET /api/contact/stats', () => {
+        it('summarizes messages and subscribers', async () => {
+            await createContact({ newsletter: true });
+            await createContact({ subject: 'water' });
+            await Subscriber.create({ email: 'jane@example.com', status: 'confirmed' });
+
+            const res = await request(app).get('/api/contact/stats').set('Authorization', admin.auth);
+
+            expect(res.status).toBe(200);
+            expect(res.body.data).toMatchObject({
+                totalContacts: 2,
+                subscribedToNewsletter: 1,
+                confirmedSubscribers: 1,
+                recentContactsCount: 2
+            });
+            expect(res.body.data.subjectDistribution).toHaveLength(2);
+        });
+    });
+
+    describe('GET /api/contact/search', () => {
+        it('searches all fields by default', async () => {
+            await createContact();
+            await createContact({ name: 'John Smith', email: 'john@example.com', message: 'Solar panels question here.' });
+
+            const res = await request(app).get('/api/contact/search?q=solar').set('Authorization', admin.auth);
+
+            expect(res.status).toBe(200);
+            expect(res.body.data).toMatchObject({ query: 'solar', field: 'all', count: 1 });
+            expect(res.body.data.results[0].name).toBe('John Smith');
+        });
+
+        it('searches a single field', async () => {
+            await createContact();
+
+            const res = await request(app)
+                .get('/api/contact/search?q=batteries&field=name')
+                .set('Authorization', admin.auth);
+
+            expect(res.body.data.count).toBe(0);
+        });
+
+        it('rejects an unknown field', async () => {
+            const res = await request(app)
+                .get('/api/contact/search?q=jane&field=password')
+                .set('Authorization', admin.auth);
+
+            expect(res.status).toBe(400);
+        });
+
+        it('ranks matches in the name above matches in the message and highlights them', async () => {
+            await createContact({ message: 'My neighbour Morgan says solar panels work in winter.' });
+            await createContact({ name: 'Morgan Lee', email: 'morgan@example.com', subject: 'energy' });
+
+            const res = await request(app).get('/api/contact/search?q=morgan').set('Authorization', admin.auth);
+
+            expect(res.body.data.results.map(contact => contact.name)).toEqual(['Morgan Lee', 'Jane Doe']);
+            expect(res.body.data.results[0].score).toBeGreaterThan(res.body.data.results[1].score);
+            expect(res.body.data.results[0].highlights).toEqual({
+                name: '<mark>Morgan</mark> Lee',
+                email: '<mark>morgan</mark>@example.com'
+            });
+            expect(res.body.data.results[1].highlights).toEqual({
+                message: 'My neighbour <mark>Morgan</mark> says solar panels work in winter.'
+            });
+        });
+
+        it('combines filters and paginates', async () => {
+            await createContact({ subject: 'energy', createdAt: new Date('2024-01-01') });
+            await createContact({ subject: 'energy', createdAt: new Date('2024-03-01') });
+            await createContact({ subject: 'energy', createdAt: new Date('2024-05-01') });
+            await createContact({ subject: 'water', createdAt: new Date('2024-03-01') });
+
+            const res = await request(app)
+                .get('/api/contact/search?q=batteries&subject=energy&startDate=2024-02-01&limit=1&page=2')
+                .set('Authorization', admin.auth);
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.count).toBe(1);
+            expect(res.body.data.results[0].createdAt).toBe('2024-03-01T00:00:00.000Z');
+            expect(res.body.data.pagination).toMatchObject({ currentPage: 2, totalPages: 2, totalItems: 2, hasNextPage: false });
+        });
+
+        it('treats regular expression syntax as plain text', async () => {
+            await createContact();
+
+            const res = await request(app)
+                .get(`/api/contact/search?q=${encodeURIComponent('(a+)+$ batteries')}&field=message`)
+                .set('Authorization', admin.auth);
+            const symbolsOnly = await request(app).get('/api/contact/search?q=.*').set('Authorization', admin.auth);
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.count).toBe(1);
+            expect(symbolsOnly.status).toBe(400);
+        });
+    });
+
+    describe('GET /api/contact/export', () => {
+        beforeEach(async () => {
+            await createContact({ newsletter: true, message: 'Hello, "team"\nWhere do batteries go?', createdAt: new Date('2024-03-01') });
+            await createContact({ subject: 'water', createdAt: new Date('2024-05-01') });
+            await createContact({ status: 'spam', createdAt: new Date('2024-05-02') });
+        });
+
+        it('streams JSON without quarantined spam', async () => {
+            const res = await request(app).get('/api/contact/export').set('Authorization', admin.auth);
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.count).toBe(2);
+            expect(res.body.data.contacts.map(contact => contact.subject)).toEqual(['water', 'recycling']);
+            expect(res.body.data.contacts[0]).not.toHaveProperty('userAgent');
+        });
+
+        it('filters by newsletter flag and date range', async () => {
+            const res = await request(app)
+                .get('/api/contact/export?newsletter=true&startDate=2024-02-01&endDate=2024-04-01')
+                .set('Authorization', admin.auth);
+
+            expect(res.body.data.contacts).toHaveLength(1);
+            expect(res.body.data.contacts[0].newsletter).toBe(true);
+        });
+
+        it('exports CSV with escaped message bodies', async () => {
+            const res = await request(app).get('/api/contact/export?format=csv&subject=recycling').set('Authorization', admin.auth);
+
+            expect(res.status).toBe(200);
+            expect(res.headers['content-type']).toMatch(/^text\/csv/);
+            expect(res.headers['content-disposition']).toBe('attachment; filename=contacts.csv');
+            expect(res.text.split('\r\n')[0]).toBe('Contact ID,Received At,Name,Email,Subject,Status,Newsletter,Spam Score,Replies,Last Reply At,Message');
+            expect(res.text).toContain(',yes,0,0,,"Hello, ""team""\nWhere do batteries go?"\r\n');
+        });
+
+        it('leaves out message bodies on request', async () => {
+            const json = await request(app).get('/api/contact/export?includeMessage=false').set('Authorization', admin.auth);
+            const csv = await request(app).get('/api/contact/export?format=csv&includeMessage=false').set('Authorization', admin.auth);
+
+            json.body.data.contacts.forEach(contact => expect(contact).not.toHaveProperty('message'));
+            expect(csv.text).not.toContain('Message');
+            expect(csv.text).not.toContain('batteries');
+        });
+
+        it('validates filters', async () => {
+            const badStatus = await request(app).get('/api/contact/export?status=deleted').set('Authorization', admin.auth);
+            const badRange = await request(app).get('/api/contact/export?startDate=2024-06-01&endDate=2024-01-01').set('Authorization', admin.auth);
+
+            expect(badStatus.status).toBe(400);
+            expect(badStatus.body.errors).toHaveProperty('status');
+            expect(badRange.status).toBe(400);
+            expect(badRange.body.message).toBe('Start date must be before end date');
+        });
+    });
+
+    describe('GET /api/contact/:id', () => {
+        it('returns the message and its thread', async () => {
+            const contact = await createContact();
+
+            const res = await request(app).get(`/api/contact/${contact._id}`).set('Authorization', admin.auth);
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.contact._id).toBe(contact._id.toString());
+            expect(res.body.data.thread).toHaveLength(1);
+            expect(res.body.data.thread[0].type).toBe('message');
+        });
+
+        it('returns 404 for a missing message', async () => {
+            const res = await request(app)
+                .get(`/api/contact/${new mongoose.Types.ObjectId()}`)
+                .set('Authorization', admin.auth);
+
+            expect(res.status).toBe(404);
+            expect(res.body.message).toBe('Contact message not found');
+        });
+
+        it('returns 400 for an invalid ID', async () => {
+            const res = await request(app).get('/api/contact/123').set('Authorization', admin.auth);
+
+            expect(res.status).toBe(400);
+            expect(res.body.message).toBe('Invalid id format');
+        });
+    });
+
+    describe('POST /api/contact/:id/replies', () => {
+        it('emails the reply and adds it to the thread', async () => {
+            const contact = await createContact();
+
+            const res = await request(app)
+                .post(`/api/contact/${contact._id}/replies`)
+                .set('Authorization', admin.auth)
+                .send({ body: 'Your local council runs a battery drop-off point.' });
+
+            expect(res.status).toBe(201);
+            expect(res.body.message).toBe('Reply sent');
+            expect(res.body.data.reply).toMatchObject({
+                body: 'Your local council runs a battery drop-off point.',
+                delivery: 'sent',
+                author: { name: 'Staff Member', email: 'staff@greenmind.local' }
+            });
+            expect(res.body.data.contact.status).toBe('replied');
+            expect(res.body.data.thread.map(entry => entry.type)).toEqual(['message', 'reply']);
+
+            expect(transport.sent).toHaveLength(1);
+            expect(transport.sent[0]).toMatchObject({ to: 'jane@example.com' });
+        });
+
+        it('records the reply as queued when sending fails', async () => {
+            const contact = await createContact();
+            const flaky = {
+                send: jest.fn()
+                    .mockRejectedValueOnce(new Error('SMTP down'))
+                    .mockResolvedValue({ messageId: 'retried' })
+            };
+            MailerService.setTransport(flaky);
+
+            const res = await request(app)
+                .post(`/api/contact/${contact._id}/replies`)
+                .set('Authorization', admin.auth)
+                .send({ body: 'We will look into it.' });
+
+            expect(res.status).toBe(201);
+            expect(res.body.message).toBe('Reply saved; the email will be retried shortly');
+            expect(res.body.data.reply.delivery).toBe('queued');
+
+            // The queue retries straight away and the second attempt succeeds
+            await eventually(() => expect(flaky.send).toHaveBeenCalledTimes(2));
+            await eventually(() => expect(MailerService.processing).toBe(false));
+            expect(MailerService.getQueueLength()).toBe(0);
+        });
+
+        it('requires a reply body', async () => {
+            const contact = await createContact();
+
+            const res = await request(app)
+                .post(`/api/contact/${contact._id}/replies`)
+                .set('Authorization', admin.auth)
+                .send({});
+
+            expect(res.status).toBe(400);
+            expect(res.body.errors).toHaveProperty('body');
+        });
+    });
+
+    describe('PUT /api/contact/:id', () => {
+        it('updates the status', async () => {
+            const contact = await createContact();
+
+            const res = await request(app)
+                .put(`/api/contact/${contact._id}`)
+                .set('Authorization', admin.auth)
+                .send({ status: 'archived' });
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.contact.status).toBe('archived');
+        });
+
+        it('rejects an invalid status', async () => {
+            const contact = await createContact();
+
+            const res = await request(app)
+                .put(`/api/contact/${contact._id}`)
+                .set('Authorization', admin.auth)
+                .send({ status: 'deleted' });
+
+            expect(res.status).toBe(400);
+            expect(res.body.message).toBe('Invalid status. Must be one of: new, read, replied, archived');
+        });
+
+        it('leaves quarantined spam to the release review', async () => {
+            const contact = await createContact({ status: 'spam', spam: { score: 6 } });
+
+            const res = await request(app)
+                .put(`/api/contact/${contact._id}`)
+                .set('Authorization', admin.auth)
+                .send({ status: 'read' });
+
+            expect(res.status).toBe(400);
+            expect(res.body.message).toBe('Quarantined spam has to be released first with POST /api/contact/:id/release');
+            expect((await Contact.findById(contact._id)).status).toBe('spam');
+        });
+    });
+
+    describe('DELETE /api/contact/:id', () => {
+        it('moves the message to the trash', async () => {
+            const contact = await createContact();
+
+            const res = await request(app).delete(`/api/contact/${contact._id}`).set('Authorization', admin.auth);
+
+            expect(res.status).toBe(204);
+
+            const saved = await Contact.findById(contact._id);
+            expect(saved.deletedAt).toBeInstanceOf(Date);
+            expect(saved.deletedBy).toEqual(admin.user._id);
+            expect(saved.status).toBe('new');
+        });
+
+        it('leaves trashed messages out of listing, search and stats', async () => {
+            const contact = await createContact();
+            await createContact({ email: 'someone@example.com' });
+            await request(app).delete(`/api/contact/${contact._id}`).set('Authorization', admin.auth).expect(204);
+
+            const list = await request(app).get('/api/contact').set('Authorization', admin.auth);
+            const search = await request(app).get('/api/contact/search?q=jane').set('Authorization', admin.auth);
+            const stats = await request(app).get('/api/contact/stats').set('Authorization', admin.auth);
+
+            expect(list.body.data.contacts).toHaveLength(1);
+            expect(search.body.data.count).toBe(1);
+            expect(stats.body.data).toMatchObject({ totalContacts: 1, inTrash: 1 });
+        });
+
+        it('returns 404 for a message already in the trash', async () => {
+            const contact = await createContact();
+            await request(app).delete(`/api/contact/${contact._id}`).set('Authorization', admin.auth).expect(204);
+
+            const res = await request(app).delete(`/api/contact/${contact._id}`).set('Authorization', admin.auth);
+
+            expect(res.status).toBe(404);
+        });
+
+        it('returns 404 for a missing message', async () => {
+            const res = await request(app)
+                .delete(`/api/contact/${new mongoose.Types.ObjectId()}`)
+                .set('Authorization', admin.auth);
+
+            expect(res.status).toBe(404);
+        });
+    });
+
+    describe('trash', () => {
+        let trashed;
+
+        beforeEach(async () => {
+            trashed = await createContact();
+            await createContact({ email: 'someone@example.com' });
+            await request(app).delete(`/api/contact/${trashed._id}`).set('Authorization', admin.auth).expect(204);
+        });
+
+        it('lists trashed messages with the grace period', async () => {
+            const res = await request(app).get('/api/contact/trash').set('Authorization', admin.auth);
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.contacts.map(contact => contact._id)).toEqual([String(trashed._id)]);
+            expect(res.body.data.graceDays).toBe(30);
+            expect(res.body.data.pagination.totalItems).toBe(1);
+        });
+
+        it('restores a trashed message', async () => {
+            const res = await request(app)
+                .post(`/api/contact/${trashed._id}/restore`)
+                .set('Authorization', admin.auth);
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.contact.deletedAt).toBeNull();
+
+            const list = await request(app).get('/api/contact').set('Authorization', admin.auth);
+            expect(list.body.data.contacts).toHaveLength(2);
+        });
+
+        it('only restores messages in the trash', async () => {
+            const other = await Contact.findOne({ deletedAt: null });
+
+            const notTrashed = await request(app).post(`/api/contact/${other._id}/restore`).set('Authorization', admin.auth);
+            const missing = await request(app)
+                .post(`/api/contact/${new mongoose.Types.ObjectId()}/restore`)
+                .set('Authorization', admin.auth);
+
+            expect(notTrashed.status).toBe(400);
+            expect(notTrashed.body.message).toBe('Only messages in the trash can be restored');
+            expect(missing.status).toBe(404);
+        });
+
+        it('leaves trashed messages alone until they are restored', async () => {
+            const requests = [
+                request(app).post(`/api/contact/${trashed._id}/replies`).send({ body: 'Your local council runs a battery drop-off point.' }),
+                request(app).put(`/api/contact/${trashed._id}`).send({ status: 'read' }),
+                request(app).post(`/api/contact/${trashed._id}/release`),
+                request(app).post(`/api/contact/${trashed._id}/confirm-spam`)
+            ];
+
+            for (const req of requests) {
+                expect((await req.set('Authorization', admin.auth)).status).toBe(404);
+            }
+            expect(await Contact.findById(trashed._id).lean()).toMatchObject({ status: 'new', replies: [] });
+        });
+
+        it('requires the admin role', async () => {
+            const { auth } = await createUser({ role: 'learner' });
+
+            expect((await request(app).get('/api/contact/trash').set('Authorization', auth)).status).toBe(403);
+            expect((await request(app).post(`/api/contact/${trashed._id}/restore`).set('Authorization', auth)).status).toBe(403);
+        });
+    });
+
+    describe('POST /api/contact/bulk', () => {
+        let contacts;
+
+        beforeEach(async () => {
+            contacts = await Promise.all([
+                createContact({ subject: 'water' }),
+                createContact({ subject: 'water', email: 'someone@example.com' }),
+                createContact({ subject: 'energy', message: 'How do solar panels work in winter?' }),
+                createContact({ status: 'spam' })
+            ]);
+        });
+
+        const bulk = body => request(app).post('/api/contact/bulk').set('Authorization', admin.auth).send(body);
+
+        it('sets the status of the listed messages and reports each one', async () => {
+            const missing = String(new mongoose.Types.ObjectId());
+            const ids = [contacts[0]._id, contacts[3]._id, missing].map(String);
+
+            const res = await bulk({ ids, operation: 'setStatus', status: 'read' });
+
+            expect(res.status).toBe(200);
+            expect(res.body.message).toBe('1 of 3 messages updated');
+            expect(res.body.data).toEqual({
+                operation: 'setStatus',
+                total: 3,
+                succeeded: 1,
+                failed: 2,
+                results: [
+                    { id: ids[0], success: true },
+                    { id: ids[1], success: false, error: 'Quarantined spam has to be released or confirmed first' },
+                    { id: missing, success: false, error: 'Contact message not found' }
+                ]
+            });
+            expect((await Contact.findById(contacts[0]._id)).status).toBe('read');
+            expect((await Contact.findById(contacts[3]._id)).status).toBe('spam');
+        });
+
+        it('archives the messages matching a filter', async () => {
+            const res = await bulk({ filter: { subject: 'water', q: 'someone@' }, operation: 'archive' });
+
+            expect(res.body.data).toMatchObject({ total: 1, succeeded: 1 });
+            expect(res.body.data.results[0].id).toBe(String(contacts[1]._id));
+            expect(await Contact.countDocuments({ status: 'archived' })).toBe(1);
+        });
+
+        it('moves messages to the trash and audits each one', async () => {
+            const res = await bulk({ filter: { subject: 'water' }, operation: 'delete' });
+
+            expect(res.body.data).toMatchObject({ total: 2, succeeded: 2, failed: 0 });
+            expect(await Contact.countDocuments({ deletedAt: { $ne: null }, deletedBy: admin.user._id })).toBe(2);
+
+            const entries = await AuditLog.find({ action: 'contact.delete' }).lean();
+            expect(entries).toHaveLength(2);
+            expect(entries[0]).toMatchObject({ targetType: 'contact', details: { bulk: true, operation: 'delete' } });
+
+            const again = await bulk({ ids: [String(contacts[0]._id)], operation: 'delete' });
+            expect(again.body.data.results[0]).toEqual({ id: String(contacts[0]._id), success: false, error: 'Message is in the trash' });
+        });
+
+        it('adds tags without duplicates', async () => {
+            const ids = [String(contacts[2]._id)];
+
+            await bulk({ ids, operation: 'tag', tags: ['solar'] }).expect(200);
+            const res = await bulk({ ids, operation: 'tag', tags: ['Solar', 'follow-up'] });
+
+            expect(res.body.data.succeeded).toBe(1);
+            expect((await Contact.findById(contacts[2]._id)).tags).toEqual(['solar', 'follow-up']);
+            expect(await AuditLog.countDocuments({ action: 'contact.update', targetId: ids[0] })).toBe(2);
+        });
+
+        it('refuses a filter that matches too many messages', async () => {
+            const maxItems = ContactBulkService.MAX_ITEMS;
+            ContactBulkService.MAX_ITEMS = 2;
+
+            try {
+                const res = await bulk({ filter: {}, operation: 'archive' });
+
+                expect(res.status).toBe(400);
+                expect(res.body.message).toBe('The filter matches 3 messages; narrow it down to 2 or fewer');
+                expect(await Contact.countDocuments({ status: 'archived' })).toBe(0);
+            } finally {
+                ContactBulkService.MAX_ITEMS = maxItems;
+            }
+        });
+
+        it('requires the admin role and a valid request', async () => {
+            const { auth } = await createUser({ role: 'learner' });
+
+            const forbidden = await request(app).post('/api/contact/bulk').set('Authorization', auth).send({ ids: [String(contacts[0]._id)], operation: 'archive' });
+            const invalid = await bulk({ operation: 'archive' });
+
+            expect(forbidden.status).toBe(403);
+            expect(invalid.status).toBe(400);
+            expect(invalid.body.errors).toEqual({ ids: 'Provide either a list of IDs or a filter' });
+        });
+    });
+});
@@ -0,0 +1,274 @@
+// GreenMind - Newsletter Route Tests
+// Author: Fatemeh - Group 6
+// Description: Tests for the double opt-in subscription, confirmation, unsubscribe and subscriber export endpoints
+
+const request = require('supertest');
+const { Subscriber } = require('../../src/models');
+const { MailerService, NewsletterService } = require('../../src/services');
+const { MemoryTransport } = require('../../src/services/mailer/transports');
+const { config } = require('../../src/config/environment');
+const { useTestDatabase } = require('../helpers/db');
+const { createApp, createUser, nextIp, eventually } = require('../helpers/app');
+
+const MINUTE_MS = 60 * 1000;
+
+describe('Newsletter routes', () => {
+    useTestDatabase();
+
+    let app;
+    let transport;
+
+    beforeAll(() => {
+        app = createApp();
+    });
+
+    beforeEach(() => {
+        transport = new MemoryTransport();
+        MailerService.setTransport(transport);
+    });
+
+    /**
+     * Subscribe from a fresh address
+     * @param {Object} body - Subscription body
+     * @returns {Promise<Object>} Supertest response
+     */
+    function subscribe(body) {
+        return request(app).post('/api/newsletter/subscribe').set('X-Forwarded-For', nextIp()).send(body);
+    }
+
+    describe('POST /api/newsletter/subscribe', () => {
+        it('stores a pending subscriber and emails a confirmation link', async () => {
+            const res = await subscribe({ email: 'Jane@Example.com', name: ' Jane ' });
+
+            expect(res.status).toBe(202);
+            expect(res.body.message).toBe('Thanks! Please check your inbox and confirm your subscription.');
+
+            const subscriber = await Subscriber.findOne({ email: 'jane@example.com' });
+            expect(subscriber).toMatchObject({ status: 'pending', name: 'Jane', source: 'form' });
+            expect(subscriber.confirmationSentAt).toBeInstanceOf(Date);
+
+            await eventually(() => expect(transport.sent).toHaveLength(1));
+            expect(transport.sent[0].to).toBe('jane@example.com');
+            expect(transport.sent[0].headers).toHaveProperty('List-Unsubscribe-Post', 'List-Unsubscribe=One-Click');
+        });
+
+        it('does not email a pending address again within the resend interval', async () => {
+            await subscribe({ email: 'jane@example.com' }).expect(202);
+            await eventually(() => expect(transport.sent).toHaveLength(1));
+
+            const again = await subscribe({ email: 'jane@example.com' });
+
+            expect(again.status).toBe(202);
+            expect(transport.sent).toHaveLength(1);
+            expect(await Subscriber.countDocuments()).toBe(1);
+        });
+
+        it('emails a pending address again once the interval has passed', async () => {
+            await Subscriber.create({
+                email: 'jane@example.com',
+                confirmationSentAt: new Date(Date.now() - config.newsletter.resendIntervalSeconds * 1000 - MINUTE_MS)
+            });
+
+            await subscribe({ email: 'jane@example.com' }).expect(202);
+
+            await eventually(() => expect(transport.sent).toHaveLength(1));
+        });
+
+        it('gives the same response for a confirmed address without emailing it', async () => {
+            await Subscriber.create({ email: 'jane@example.com', status: 'confirmed', confirmedAt: new Date() });
+
+            const res = await subscribe({ email: 'jane@example.com' });
+
+            expect(res.status).toBe(202);
+            expect(transport.sent).toHaveLength(0);
+            expect((await Subscriber.findOne({ email: 'jane@example.com' })).status).toBe('confirmed');
+        });
+
+        it('rejects an invalid email', async () => {
+            const res = await subscribe({ email: 'nope' });
+
+            expect(res.status).toBe(400);
+            expect(res.body.errors).toHaveProperty('email');
+        });
+
+        it('counts successful sign-ups towards the rate limit', async () => {
+            const ip = nextIp();
+
+            for (let i = 0; i < 5; i++) {
+                await request(app).post('/api/newsletter/subscribe').set('X-Forwarded-For', ip)
+                    .send({ email: `reader${i}@example.com` }).expect(202);
+            }
+
+            const limited = await request(app).post('/api/newsletter/subscribe').set('X-Forwarded-For', ip)
+                .send({ email: 'reader5@example.com' });
+
+            expect(limited.status).toBe(429);
+            expect(await Subscriber.countDocuments()).toBe(5);
+        });
+    });
+
+    describe('POST /api/newsletter/confirm', () => {
+        let subscriber;
+
+        beforeEach(async () => {
+            subscriber = await Subscriber.create({ email: 'jane@example.com', confirmationSentAt: new Date() });
+        });
+
+        it('confirms a pending subscriber', async () => {
+            const res = await request(app)
+                .post('/api/newsletter/confirm')
+                .send({ token: NewsletterService.createConfirmationToken(subscriber) });
+
+            expect(res.status).toBe(200);
+            expect(res.body.data).toMatchObject({ email: 'jane@example.com', status: 'confirmed' });
+            expect((await Subscriber.findById(subscriber._id)).confirmedAt).toBeInstanceOf(Date);
+        });
+
+        it('rejects an invalid token', async () => {
+            const res = await request(app).post('/api/newsletter/confirm').send({ token: 'forged' });
+
+            expect(res.status).toBe(400);
+            expect(res.body.message).toBe('Invalid confirmation link');
+        });
+
+        it('rejects an unsubscribe token', async () => {
+            const res = await request(app)
+                .post('/api/newsletter/confirm')
+                .send({ token: NewsletterService.createUnsubscribeToken(subscriber) });
+
+            expect(res.status).toBe(400);
+        });
+
+        it('answers 410 for an expired token', async () => {
+            const { confirmationTtlSeconds } = config.newsletter;
+            config.newsletter.confirmationTtlSeconds = -1;
+            const token = NewsletterService.createConfirmationToken(subscriber);
+            config.newsletter.confirmationTtlSeconds = confirmationTtlSeconds;
+
+            const res = await request(app).post('/api/newsletter/confirm').send({ token });
+
+            expect(res.status).toBe(410);
+            expect(res.body.message).toBe('This confirmation link has expired. Please subscribe again.');
+            expect((await Subscriber.findById(subscriber._id)).status).toBe('pending');
+        });
+
+        it('requires a token', async () => {
+            const res = await request(app).post('/api/newsletter/confirm').send({});
+
+            expect(res.status).toBe(400);
+            expect(res.body.errors.token).toBe('A valid token is required');
+        });
+    });
+
+    describe('POST /api/newsletter/unsubscribe', () => {
+        let subscriber;
+
+        beforeEach(async () => {
+            subscriber = await Subscriber.create({ email: 'jane@example.com', status: 'confirmed', confirmedAt: new Date() });
+        });
+
+        it('unsubscribes with a token in the body', async () => {
+            const res = await request(app)
+                .post('/api/newsletter/unsubscribe')
+                .send({ token: NewsletterService.createUnsubscribeToken(subscriber) });
+
+            expect(res.status).toBe(200);
+            expect(res.body.data).toMatchObject({ email: 'jane@example.com', status: 'unsubscribed' });
+        });
+
+        it('accepts the one-click form-encoded POST from mail clients (RFC 8058)', async () => {
+            const token = NewsletterService.createUnsubscribeToken(subscriber);
+
+            const res = await request(app)
+                .post(`/api/newsletter/unsubscribe?token=${encodeURIComponent(token)}`)
+                .type('form')
+                .send('List-Unsubscribe=One-Click');
+
+            expect(res.status).toBe(200);
+            expect((await Subscriber.findById(subscriber._id)).status).toBe('unsubscribed');
+        });
+
+        it('keeps requiring JSON on other newsletter endpoints', async () => {
+            const res = await request(app)
+                .post('/api/newsletter/confirm')
+                .type('form')
+                .send('token=abc');
+
+            expect(res.status).toBe(400);
+            expect(res.body.message).toBe('Content-Type must be application/json');
+        });
+
+        it('rejects an invalid token', async () => {
+            const res = await request(app).post('/api/newsletter/unsubscribe').send({ token: 'forged' });
+
+            expect(res.status).toBe(400);
+            expect(res.body.message).toBe('Invalid unsubscribe link');
+            expect((await Subscriber.findById(subscriber._id)).status).toBe('confirmed');
+        });
+
+        it('lets an unsubscribed address sign up again', async () => {
+            await request(app)
+                .post('/api/newsletter/unsubscribe')
+                .send({ token: NewsletterService.createUnsubscribeToken(subscriber) })
+                .expect(200);
+
+            await subscribe({ email: 'jane@example.com' }).expect(202);
+
+            expect((await Subscriber.findById(subscriber._id)).status).toBe('pending');
+            await eventually(() => expect(transport.sent).toHaveLength(1));
+        });
+    });
+
+    describe('GET /api/newsletter/subscribers/export', () => {
+        let admin;
+
+        beforeEach(async () => {
+            admin = await createUser();
+            await Subscriber.create([
+                { email: 'jane@example.com', name: '=Jane', status: 'confirmed', confirmedAt: new Date() },
+                { email: 'pending@example.com' }
+            ]);
+        });
+
+        it('exports confirmed subscribers as JSON by default', async () => {
+            const res = await request(app).get('/api/newsletter/subscribers/export').set('Authorization', admin.auth);
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.count).toBe(1);
+            expect(res.body.data.subscribers[0]).toMatchObject({ email: 'jane@example.com' });
+            expect(res.body.data.subscribers[0]).not.toHaveProperty('_id');
+        });
+
+        it('exports CSV', async () => {
+            const res = await request(app)
+                .get('/api/newsletter/subscribers/export?format=csv')
+                .set('Authorization', admin.auth);
+
+            expect(res.status).toBe(200);
+            expect(res.headers['content-type']).toMatch(/^text\/csv/);
+            expect(res.headers['content-disposition']).toBe('attachment; filename=newsletter-subscribers.csv');
+
+            const lines = res.text.split('\r\n');
+            expect(lines[0]).toBe('Email,Name,Source,Confirmed At,Subscribed At');
+            expect(lines).toHaveLength(2);
+            expect(lines[1]).toMatch(/^jane@example\.com,'=Jane,form,/);
+        });
+
+        it('rejects an unknown format', async () => {
+            const res = await request(app)
+                .get('/api/newsletter/subscribers/export?format=xml')
+                .set('Authorization', admin.auth);
+
+            expect(res.status).toBe(400);
+            expect(res.body.errors.format).toBe('Invalid format. Must be one of: json, csv');
+        });
+
+        it('requires the admin role', async () => {
+            const { auth } = await createUser({ role: 'learner' });
+
+            const res = await request(app).get('/api/newsletter/subscribers/export').set('Authorization', auth);
+
+            expect(res.status).toBe(403);
+        });
+    });
+});
@@ -0,0 +1,203 @@
+// GreenMind - Privacy Route Tests
+// Author: Fatemeh - Group 6
+// Description: Tests for data-subject export and erasure and the retention policy
+
+const request = require('supertest');
+const { Contact, QuizResult, Subscriber, User } = require('../../src/models');
+const { config } = require('../../src/config/environment');
+const { NewsletterService } = require('../../src/services');
+const { useTestDatabase } = require('../helpers/db');
+const { createApp, createUser } = require('../helpers/app');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const validContact = {
+    name: 'Jane Doe',
+    email: 'jane@example.com',
+    subject: 'recycling',
+    message: 'Where can I recycle old batteries in my area?'
+};
+
+const validResult = { score: 80, totalQuestions: 5, correctAnswers: 4, timeTaken: 30 };
+
+describe('Privacy routes', () => {
+    useTestDatabase();
+
+    let app;
+    let admin;
+    let learner;
+
+    beforeAll(() => {
+        app = createApp();
+    });
+
+    beforeEach(async () => {
+        admin = await createUser();
+        learner = await createUser({ name: 'Jane Doe', email: 'jane@example.com', role: 'learner' });
+
+        await Contact.create([
+            { ...validContact, userAgent: 'jest' },
+            { ...validContact, subject: 'water', status: 'replied' },
+            { ...validContact, email: 'someone@example.com' }
+        ]);
+        await Subscriber.create({ email: 'jane@example.com', name: 'Jane' });
+        await QuizResult.create([
+            { ...validResult, userId: learner.user._id, sessionId: 'session-1', userAgent: 'jest' },
+            { ...validResult }
+        ]);
+    });
+
+    it('requires the admin role', async () => {
+        const res = await request(app)
+            .get('/api/privacy/export?email=jane@example.com')
+            .set('Authorization', learner.auth);
+
+        expect(res.status).toBe(403);
+    });
+
+    describe('GET /api/privacy/export', () => {
+        it('returns every record for the email as a JSON archive', async () => {
+            const res = await request(app)
+                .get('/api/privacy/export?email=Jane@Example.com')
+                .set('Authorization', admin.auth);
+
+            expect(res.status).toBe(200);
+            expect(res.headers['content-disposition']).toBe('attachment; filename=personal-data.json');
+
+            const { data } = res.body;
+            expect(data.email).toBe('jane@example.com');
+            expect(data.contacts).toHaveLength(2);
+            expect(data.contacts[0]).toMatchObject({ message: validContact.message, userAgent: 'jest' });
+            expect(data.subscriptions).toHaveLength(1);
+            expect(data.account).toMatchObject({ email: 'jane@example.com', role: 'learner' });
+            expect(data.account).not.toHaveProperty('password');
+            expect(data.quizResults).toHaveLength(1);
+        });
+
+        it('requires a valid email', async () => {
+            const res = await request(app).get('/api/privacy/export?email=nope').set('Authorization', admin.auth);
+
+            expect(res.status).toBe(400);
+            expect(res.body.errors).toEqual({ email: 'Please enter a valid email address' });
+        });
+    });
+
+    describe('POST /api/privacy/erase', () => {
+        it('erases contacts, subscriptions, the account and its quiz results', async () => {
+            const res = await request(app)
+                .post('/api/privacy/erase')
+                .set('Authorization', admin.auth)
+                .send({ email: 'jane@example.com' });
+
+            expect(res.status).toBe(200);
+            expect(res.body.data).toEqual({
+                email: 'jane@example.com',
+                mode: 'erase',
+                contacts: 2,
+                subscriptions: 1,
+                account: true,
+                quizResults: 1
+            });
+
+            expect(await Contact.countDocuments()).toBe(1);
+            expect(await Subscriber.countDocuments()).toBe(0);
+            expect(await User.exists({ _id: learner.user._id })).toBeNull();
+            expect(await QuizResult.countDocuments()).toBe(1);
+        });
+
+        it('anonymizes contacts and detaches quiz results', async () => {
+            const res = await request(app)
+                .post('/api/privacy/erase')
+                .set('Authorization', admin.auth)
+                .send({ email: 'jane@example.com', mode: 'anonymize' });
+
+            expect(res.status).toBe(200);
+            expect(res.body.message).toBe('Personal data anonymized');
+            expect(res.body.data).toMatchObject({ contacts: 2, quizResults: 1, account: true });
+
+            expect(await Contact.countDocuments({ email: 'jane@example.com' })).toBe(0);
+            expect(await Contact.countDocuments({ anonymizedAt: { $ne: null } })).toBe(2);
+            expect(await QuizResult.countDocuments()).toBe(2);
+
+            expect(await QuizResult.countDocuments({ userId: learner.user._id })).toBe(0);
+            expect(await QuizResult.countDocuments({ sessionId: 'session-1' })).toBe(0);
+            expect(await QuizResult.countDocuments({ userAgent: { $exists: true } })).toBe(0);
+        });
+
+        it('keeps anonymized contacts out of the newsletter migration', async () => {
+            await Contact.updateMany({ email: 'jane@example.com' }, { newsletter: true });
+
+            await request(app)
+                .post('/api/privacy/erase')
+                .set('Authorization', admin.auth)
+                .send({ email: 'jane@example.com', mode: 'anonymize' })
+                .expect(200);
+
+            expect(await Contact.countDocuments({ newsletter: true })).toBe(0);
+            expect(await NewsletterService.migrateFromContacts()).toMatchObject({ created: 0 });
+            expect(await Subscriber.countDocuments()).toBe(0);
+        });
+
+        it('refuses to erase an admin account', async () => {
+            const res = await request(app)
+                .post('/api/privacy/erase')
+                .set('Authorization', admin.auth)
+                .send({ email: admin.user.email });
+
+            expect(res.status).toBe(409);
+            expect(await User.exists({ _id: admin.user._id })).not.toBeNull();
+        });
+    });
+
+    describe('retention policy', () => {
+        const policy = { ...config.privacy };
+
+        afterEach(() => {
+            Object.assign(config.privacy, policy);
+        });
+
+        beforeEach(async () => {
+            const old = new Date(Date.now() - 800 * DAY_MS);
+            const recent = new Date(Date.now() - 60 * DAY_MS);
+
+            await Contact.create([
+                { ...validContact, email: 'old@example.com', userAgent: 'old', createdAt: old },
+                { ...validContact, email: 'recent@example.com', userAgent: 'recent', createdAt: recent },
+                { ...validContact, email: 'trashed@example.com', deletedAt: new Date(Date.now() - 40 * DAY_MS) },
+                { ...validContact, email: 'restorable@example.com', deletedAt: new Date(Date.now() - DAY_MS) }
+            ]);
+            await QuizResult.create({ ...validResult, userAgent: 'recent', completedAt: recent });
+        });
+
+        it('anonymizes old contacts and strips old user agents', async () => {
+            const res = await request(app).post('/api/privacy/retention/run').set('Authorization', admin.auth);
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.contacts).toMatchObject({ action: 'anonymize', retentionDays: 730, count: 1 });
+            expect(res.body.data.userAgents).toMatchObject({ retentionDays: 30, contacts: 1, quizResults: 1 });
+            expect(res.body.data.trash).toMatchObject({ graceDays: 30, count: 1 });
+
+            expect(await Contact.findOne({ email: 'old@example.com' })).toBeNull();
+            expect(await Contact.findOne({ email: 'recent@example.com' }).lean()).not.toHaveProperty('userAgent');
+            expect(await Contact.countDocuments({ userAgent: { $exists: true } })).toBe(1);
+            expect(await QuizResult.countDocuments({ userAgent: { $exists: true } })).toBe(1);
+            expect(await Contact.exists({ email: 'trashed@example.com' })).toBeNull();
+            expect(await Contact.exists({ email: 'restorable@example.com' })).not.toBeNull();
+
+            const status = await request(app).get('/api/privacy/retention').set('Authorization', admin.auth);
+            expect(status.body.data.policy).toMatchObject({ contactRetentionDays: 730, contactRetentionAction: 'anonymize', contactTrashDays: 30 });
+            expect(status.body.data.lastRun.contacts.count).toBe(1);
+        });
+
+        it('purges old contacts when configured to', async () => {
+            Object.assign(config.privacy, { contactRetentionAction: 'purge', userAgentRetentionDays: 0 });
+
+            const res = await request(app).post('/api/privacy/retention/run').set('Authorization', admin.auth);
+
+            expect(res.body.data.contacts).toMatchObject({ action: 'purge', count: 1 });
+            expect(res.body.data.userAgents).toMatchObject({ before: null, contacts: 0, quizResults: 0 });
+            expect(await Contact.countDocuments({ email: 'old@example.com' })).toBe(0);
+            expect(await Contact.countDocuments({ userAgent: 'recent' })).toBe(1);
+        });
+    });
+});
@@ -0,0 +1,148 @@
+// GreenMind - Question Route Tests
+// Author: Fatemeh - Group 6
+// Description: Tests for the admin question bank: create, read, update and delete with cross-field validation
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { AuditLog, Question } = require('../../src/models');
+const { useTestDatabase } = require('../helpers/db');
+const { createApp, createUser } = require('../helpers/app');
+
+const validQuestion = {
+    category: 'Recycling',
+    prompt: 'Which of these items should NOT go in the recycling bin?',
+    options: ['Clean pizza boxes', 'Plastic bottles', 'Batteries', 'Aluminum cans'],
+    correctIndex: 2,
+    explanation: 'Batteries contain hazardous materials and need a special drop-off.',
+    difficulty: 'medium'
+};
+
+describe('Question routes', () => {
+    useTestDatabase();
+
+    let app;
+    let admin;
+
+    beforeAll(() => {
+        app = createApp();
+    });
+
+    beforeEach(async () => {
+        admin = await createUser();
+    });
+
+    describe('POST /api/questions', () => {
+        it('creates a question', async () => {
+            const res = await request(app).post('/api/questions').set('Authorization', admin.auth).send(validQuestion);
+
+            expect(res.status).toBe(201);
+            expect(res.body.data.question).toMatchObject({ ...validQuestion, active: true });
+            expect(await AuditLog.countDocuments({ action: 'question.create' })).toBe(1);
+        });
+
+        it('rejects a correct index outside the options', async () => {
+            const res = await request(app)
+                .post('/api/questions')
+                .set('Authorization', admin.auth)
+                .send({ ...validQuestion, correctIndex: 4 });
+
+            expect(res.status).toBe(400);
+            expect(res.body.errors.correctIndex).toBe('Correct option index must point to one of the options');
+            expect(await Question.countDocuments()).toBe(0);
+        });
+
+        it('requires every field and ignores fields that are not editable', async () => {
+            const missing = await request(app).post('/api/questions').set('Authorization', admin.auth).send({});
+            expect(missing.status).toBe(400);
+            expect(Object.keys(missing.body.errors)).toEqual(expect.arrayContaining(['category', 'prompt', 'options', 'correctIndex']));
+
+            const res = await request(app)
+                .post('/api/questions')
+                .set('Authorization', admin.auth)
+                .send({ ...validQuestion, createdAt: '2000-01-01T00:00:00.000Z' });
+            expect(res.status).toBe(201);
+            expect(new Date(res.body.data.question.createdAt).getFullYear()).not.toBe(2000);
+        });
+    });
+
+    describe('existing questions', () => {
+        let question;
+
+        beforeEach(async () => {
+            question = await Question.create(validQuestion);
+        });
+
+        it('lists and reads questions, including inactive ones', async () => {
+            await Question.create({ ...validQuestion, prompt: 'Which bin do glass jars go in?', active: false });
+
+            const list = await request(app).get('/api/questions?active=false').set('Authorization', admin.auth);
+            const one = await request(app).get(`/api/questions/${question._id}`).set('Authorization', admin.auth);
+
+            expect(list.status).toBe(200);
+            expect(list.body.data.questions).toHaveLength(1);
+            expect(list.body.data.pagination.totalItems).toBe(1);
+            expect(one.status).toBe(200);
+            expect(one.body.data.question.prompt).toBe(validQuestion.prompt);
+        });
+
+        it('updates only the fields sent', async () => {
+            const res = await request(app)
+                .put(`/api/questions/${question._id}`)
+                .set('Authorization', admin.auth)
+                .send({ difficulty: 'hard', active: false });
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.question).toMatchObject({ difficulty: 'hard', active: false, correctIndex: 2 });
+
+            const entry = await AuditLog.findOne({ action: 'question.update' }).lean();
+            expect(entry.changes.map(change => change.field).sort()).toEqual(['active', 'difficulty']);
+        });
+
+        it('checks the stored correct index against new options', async () => {
+            const res = await request(app)
+                .put(`/api/questions/${question._id}`)
+                .set('Authorization', admin.auth)
+                .send({ options: ['Glass', 'Paper'] });
+
+            expect(res.status).toBe(400);
+            expect(res.body.errors.correctIndex).toBe('Correct option index must point to one of the options');
+            expect((await Question.findById(question._id)).options).toHaveLength(4);
+        });
+
+        it('checks a new correct index against the options sent with it', async () => {
+            const res = await request(app)
+                .put(`/api/questions/${question._id}`)
+                .set('Authorization', admin.auth)
+                .send({ options: ['Glass', 'Paper'], correctIndex: 2 });
+
+            expect(res.status).toBe(400);
+            expect(res.body.errors.correctIndex).toBe('Correct option index must point to one of the options');
+        });
+
+        it('deletes a question', async () => {
+            const res = await request(app).delete(`/api/questions/${question._id}`).set('Authorization', admin.auth);
+
+            expect(res.status).toBe(204);
+            expect(await Question.exists({ _id: question._id })).toBeNull();
+            expect(await AuditLog.countDocuments({ action: 'question.delete' })).toBe(1);
+        });
+
+        it('returns 404 for a missing question', async () => {
+            const id = new mongoose.Types.ObjectId();
+
+            const read = await request(app).get(`/api/questions/${id}`).set('Authorization', admin.auth);
+            const update = await request(app).put(`/api/questions/${id}`).set('Authorization', admin.auth).send({ active: false });
+            const remove = await request(app).delete(`/api/questions/${id}`).set('Authorization', admin.auth);
+
+            expect([read.status, update.status, remove.status]).toEqual([404, 404, 404]);
+        });
+
+        it('requires the admin role', async () => {
+            const { auth } = await createUser({ role: 'learner' });
+
+            expect((await request(app).get('/api/questions').set('Authorization', auth)).status).toBe(403);
+            expect((await request(app).delete(`/api/questions/${question._id}`).set('Authorization', auth)).status).toBe(403);
+            expect(await Question.exists({ _id: question._id })).not.toBeNull();
+        });
+    });
+});
@@ -0,0 +1,374 @@
+// GreenMind - Quiz Route Tests
+// Author: Fatemeh - Group 6
+// Description: Tests for quiz attempts, grading, statistics and admin exports
+
+const request = require('supertest');
+const { Question, QuizResult, User } = require('../../src/models');
+const { SEED_QUESTIONS } = require('../../scripts/seed-questions');
+const { useTestDatabase } = require('../helpers/db');
+const { createApp, createUser, nextIp } = require('../helpers/app');
+
+/**
+ * Answer every question in an attempt correctly
+ * Options are shuffled per attempt, so the correct option is found by its text.
+ * @param {Array} questions - Questions returned by /quiz/start or /quiz/generate
+ * @returns {Promise<Object>} Answers keyed by question ID
+ */
+async function correctAnswers(questions) {
+    const stored = await Question.find({ _id: { $in: questions.map(question => question.id) } });
+    const byId = new Map(stored.map(question => [question._id.toString(), question]));
+
+    return Object.fromEntries(questions.map(question => {
+        const original = byId.get(question.id);
+        return [question.id, question.options.indexOf(original.options[original.correctIndex])];
+    }));
+}
+
+/**
+ * Submit answers for an attempt
+ * @param {Object} app - Express app
+ * @param {Object} body - Submission body
+ * @param {string} auth - Optional Authorization header
+ * @returns {Promise<Object>} Supertest response
+ */
+function submit(app, body, auth) {
+    const req = request(app).post('/api/quiz/submit').set('X-Forwarded-For', nextIp());
+    if (auth) req.set('Authorization', auth);
+    return req.send(body);
+}
+
+describe('Quiz routes', () => {
+    useTestDatabase();
+
+    let app;
+
+    beforeAll(() => {
+        app = createApp();
+    });
+
+    beforeEach(async () => {
+        await Question.insertMany(SEED_QUESTIONS);
+    });
+
+    describe('POST /api/quiz/start', () => {
+        it('starts an attempt without revealing answers', async () => {
+            const res = await request(app).post('/api/quiz/start');
+
+            expect(res.status).toBe(201);
+            expect(res.body.data.attemptToken).toEqual(expect.any(String));
+            expect(res.body.data.questions.length).toBeGreaterThan(0);
+            res.body.data.questions.forEach(question => {
+                expect(question).not.toHaveProperty('correctIndex');
+                expect(question).not.toHaveProperty('explanation');
+            });
+        });
+
+        it('returns 503 when the question bank is empty', async () => {
+            await Question.deleteMany({});
+
+            const res = await request(app).post('/api/quiz/start');
+
+            expect(res.status).toBe(503);
+        });
+    });
+
+    describe('GET /api/quiz/generate', () => {
+        it('samples the requested number of questions', async () => {
+            const res = await request(app).get('/api/quiz/generate?count=3&difficulty=easy');
+
+            expect(res.status).toBe(200);
+            expect(res.body.data).toMatchObject({ requestedCount: 3, count: 3, difficulty: 'easy' });
+            res.body.data.questions.forEach(question => expect(question.difficulty).toBe('easy'));
+        });
+
+        it('filters by category prefix', async () => {
+            const res = await request(app).get('/api/quiz/generate?categories=energy');
+
+            expect(res.status).toBe(200);
+            res.body.data.questions.forEach(question => expect(question.category).toBe('Energy Conservation'));
+        });
+
+        it('rejects an unknown category', async () => {
+            const res = await request(app).get('/api/quiz/generate?categories=astrology');
+
+            expect(res.status).toBe(400);
+            expect(res.body.message).toMatch(/^Unknown quiz category: astrology/);
+        });
+
+        it('validates the count', async () => {
+            const res = await request(app).get('/api/quiz/generate?count=99');
+
+            expect(res.status).toBe(400);
+            expect(res.body.errors).toHaveProperty('count');
+        });
+    });
+
+    describe('GET /api/quiz/options', () => {
+        it('lists categories with question counts', async () => {
+            const res = await request(app).get('/api/quiz/options');
+            const total = res.body.data.categories.reduce((sum, category) => sum + category.count, 0);
+
+            expect(res.status).toBe(200);
+            expect(total).toBe(SEED_QUESTIONS.length);
+            expect(res.body.data.difficulties).toEqual(['mixed', 'easy', 'medium', 'hard']);
+        });
+    });
+
+    describe('POST /api/quiz/submit', () => {
+        it('grades the attempt on the server', async () => {
+            const start = await request(app).post('/api/quiz/start');
+            const { attemptToken, questions } = start.body.data;
+
+            const res = await submit(app, { attemptToken, answers: await correctAnswers(questions), sessionId: 'session-1' });
+
+            expect(res.status).toBe(201);
+            expect(res.body.data).toMatchObject({
+                score: 100,
+                correctAnswers: questions.length,
+                totalQuestions: questions.length,
+                performance: { level: 'excellent' }
+            });
+            expect(res.body.data.review.every(item => item.isCorrect)).toBe(true);
+
+            const saved = await QuizResult.findById(res.body.data.id);
+            expect(saved).toMatchObject({ sessionId: 'session-1', userId: null });
+            expect(typeof res.body.data.claimToken).toBe('string');
+        });
+
+        it('counts unanswered questions as wrong', async () => {
+            const start = await request(app).get('/api/quiz/generate?count=4');
+            const { attemptToken, questions } = start.body.data;
+            const answers = await correctAnswers(questions);
+            answers[questions[0].id] = null;
+
+            const res = await submit(app, { attemptToken, answers });
+
+            expect(res.status).toBe(201);
+            expect(res.body.data).toMatchObject({ score: 75, correctAnswers: 3, totalQuestions: 4 });
+        });
+
+        it('links the result to a signed-in learner', async () => {
+            const learner = await createUser({ role: 'learner' });
+            const start = await request(app).post('/api/quiz/start');
+            const { attemptToken } = start.body.data;
+
+            const res = await submit(app, { attemptToken, answers: {} }, learner.auth);
+
+            expect(res.status).toBe(201);
+            expect((await QuizResult.findById(res.body.data.id)).userId.toString()).toBe(learner.user._id.toString());
+            expect(res.body.data).not.toHaveProperty('claimToken');
+        });
+
+        it('accepts each attempt only once', async () => {
+            const start = await request(app).post('/api/quiz/start');
+            const { attemptToken } = start.body.data;
+
+            await submit(app, { attemptToken, answers: {} });
+            const res = await submit(app, { attemptToken, answers: {} });
+
+            expect(res.status).toBe(409);
+            expect(await QuizResult.countDocuments()).toBe(1);
+        });
+
+        it('rejects an invalid attempt token', async () => {
+            const res = await submit(app, { attemptToken: 'forged', answers: {} });
+
+            expect(res.status).toBe(400);
+            expect(res.body.message).toBe('Invalid quiz attempt. Please start a new quiz.');
+        });
+    });
+
+    describe('POST /api/me/quiz-history/import', () => {
+        const attempt = { score: 50, correctAnswers: 5, totalQuestions: 10, date: '2024-01-01T12:00:00.000Z' };
+
+        it('claims only the results the browser holds a claim token for', async () => {
+            const start = await request(app).post('/api/quiz/start');
+            const res = await submit(app, { attemptToken: start.body.data.attemptToken, answers: {}, sessionId: 'session-1' });
+            const other = await QuizResult.create({ ...attempt, sessionId: 'session-1' });
+            const learner = await createUser({ role: 'learner' });
+
+            const imported = await request(app)
+                .post('/api/me/quiz-history/import')
+                .set('Authorization', learner.auth)
+                .send({
+                    attempts: [
+                        { ...attempt, resultId: res.body.data.id, claimToken: res.body.data.claimToken },
+                        { ...attempt, resultId: other._id.toString(), claimToken: res.body.data.claimToken },
+                        { ...attempt, resultId: other._id.toString() },
+                        attempt
+                    ]
+                });
+
+            expect(imported.status).toBe(201);
+            expect(imported.body.data).toEqual({ claimed: 1, imported: 1 });
+            expect((await QuizResult.findById(res.body.data.id)).userId.toString()).toBe(learner.user._id.toString());
+            expect((await QuizResult.findById(other._id)).userId).toBeNull();
+        });
+
+        it('imports once per account, even when requests arrive together', async () => {
+            const learner = await createUser({ role: 'learner' });
+            const importHistory = () => request(app)
+                .post('/api/me/quiz-history/import')
+                .set('Authorization', learner.auth)
+                .send({ attempts: [attempt] });
+
+            const results = await Promise.all([importHistory(), importHistory()]);
+            const again = await importHistory();
+
+            expect(results.map(res => res.status).sort()).toEqual([201, 409]);
+            expect(again.status).toBe(409);
+            expect(again.body.message).toBe('Quiz history has already been imported for this account');
+
+            const user = await User.findById(learner.user._id).select('+importedQuizAttempts');
+            expect(user.importedQuizAttempts).toHaveLength(1);
+        });
+    });
+
+    describe('statistics', () => {
+        beforeEach(async () => {
+            await QuizResult.create([
+                { score: 100, totalQuestions: 10, correctAnswers: 10, timeTaken: 120 },
+                { score: 50, totalQuestions: 10, correctAnswers: 5, timeTaken: 60 },
+                { score: 90, totalQuestions: 10, correctAnswers: 9, timeTaken: 90, completedAt: new Date('2020-01-01') }
+            ]);
+        });
+
+        it('GET /api/quiz/stats returns overall statistics', async () => {
+            const res = await request(app).get('/api/quiz/stats');
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.overall).toMatchObject({
+                totalAttempts: 3,
+                highestScore: 100,
+                lowestScore: 50,
+                averageScore: 80,
+                thisWeekAttempts: 2
+            });
+        });
+
+        it('GET /api/quiz/recent returns results from the period', async () => {
+            const res = await request(app).get('/api/quiz/recent?days=7');
+
+            expect(res.status).toBe(200);
+            expect(res.body.data).toMatchObject({ count: 2, period: '7 days' });
+            res.body.data.results.forEach(result => {
+                ['_id', 'id', 'userAgent', 'sessionId', 'userId', 'attemptId'].forEach(field => expect(result).not.toHaveProperty(field));
+            });
+        });
+
+        it('GET /api/quiz/leaderboard ranks by score', async () => {
+            const res = await request(app).get('/api/quiz/leaderboard?limit=2');
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.leaderboard.map(entry => [entry.rank, entry.score])).toEqual([[1, 100], [2, 90]]);
+        });
+
+        it('GET /api/quiz/leaderboard limits the period', async () => {
+            const res = await request(app).get('/api/quiz/leaderboard?period=week');
+
+            expect(res.body.data.leaderboard.map(entry => entry.score)).toEqual([100, 50]);
+        });
+    });
+
+    describe('admin endpoints', () => {
+        let admin;
+
+        beforeEach(async () => {
+            admin = await createUser();
+            await QuizResult.create([
+                {
+                    score: 80,
+                    totalQuestions: 5,
+                    correctAnswers: 4,
+                    timeTaken: 30,
+                    difficulty: 'hard',
+                    categories: { Energy: { correct: 3, total: 3 }, 'Water, Oceans': { correct: 1, total: 2 } },
+                    completedAt: new Date('2024-03-10')
+                },
+                { score: 40, totalQuestions: 5, correctAnswers: 2, timeTaken: 45, completedAt: new Date('2024-05-10') }
+            ]);
+        });
+
+        it('require the admin role', async () => {
+            const learner = await createUser({ role: 'learner' });
+
+            expect((await request(app).get('/api/quiz/analytics')).status).toBe(401);
+            expect((await request(app).get('/api/quiz/export').set('Authorization', learner.auth)).status).toBe(403);
+        });
+
+        it('GET /api/quiz/analytics returns trends', async () => {
+            const res = await request(app).get('/api/quiz/analytics?period=year').set('Authorization', admin.auth);
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.period).toBe('year');
+            expect(res.body.data).toHaveProperty('dailyTrend');
+            expect(res.body.data).toHaveProperty('scoreTrends');
+        });
+
+        it('GET /api/quiz/export returns JSON filtered by date', async () => {
+            const res = await request(app)
+                .get('/api/quiz/export?startDate=2024-04-01&endDate=2024-06-01')
+                .set('Authorization', admin.auth);
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.count).toBe(1);
+            expect(res.body.data.results[0].score).toBe(40);
+        });
+
+        it('GET /api/quiz/export returns CSV with a column pair per category', async () => {
+            const res = await request(app).get('/api/quiz/export?format=csv').set('Authorization', admin.auth);
+            const lines = res.text.split('\r\n');
+
+            expect(res.status).toBe(200);
+            expect(res.headers['content-type']).toMatch(/^text\/csv/);
+            expect(res.headers['content-disposition']).toBe('attachment; filename=quiz-results.csv');
+            expect(lines[0]).toBe('Result ID,Completed At,Score,Correct Answers,Total Questions,Time Taken,Performance Level,Difficulty,' +
+                'Energy Correct,Energy Total,"Water, Oceans Correct","Water, Oceans Total"');
+            expect(lines[1]).toMatch(/,2024-05-10T00:00:00\.000Z,40,2,5,45,poor,mixed,,,,$/);
+            expect(lines[2]).toMatch(/,2024-03-10T00:00:00\.000Z,80,4,5,30,good,hard,3,3,1,2$/);
+            expect(lines).toEqual([expect.any(String), expect.any(String), expect.any(String), '']);
+        });
+
+        it('GET /api/quiz/export streams NDJSON filtered by difficulty and score', async () => {
+            const res = await request(app)
+                .get('/api/quiz/export?format=ndjson&difficulty=hard&minScore=50&maxScore=90')
+                .set('Authorization', admin.auth)
+                .buffer(true)
+                .parse((response, callback) => {
+                    let text = '';
+                    response.on('data', chunk => { text += chunk; });
+                    response.on('end', () => callback(null, text));
+                });
+            const records = res.body.trim().split('\n').map(line => JSON.parse(line));
+
+            expect(res.status).toBe(200);
+            expect(res.headers['content-type']).toMatch(/^application\/x-ndjson/);
+            expect(records).toHaveLength(1);
+            expect(records[0]).toMatchObject({
+                score: 80,
+                difficulty: 'hard',
+                performanceLevel: 'good',
+                categories: { Energy: { correct: 3, total: 3 } }
+            });
+            expect(records[0]).not.toHaveProperty('userAgent');
+        });
+
+        it('GET /api/quiz/export rejects an invalid score range', async () => {
+            const res = await request(app)
+                .get('/api/quiz/export?minScore=90&maxScore=10')
+                .set('Authorization', admin.auth);
+
+            expect(res.status).toBe(400);
+            expect(res.body.errors).toEqual({ maxScore: 'maxScore cannot be less than minScore' });
+        });
+
+        it('GET /api/quiz/export rejects an invalid date range', async () => {
+            const res = await request(app)
+                .get('/api/quiz/export?startDate=2024-06-01&endDate=2024-01-01')
+                .set('Authorization', admin.auth);
+
+            expect(res.status).toBe(400);
+            expect(res.body.message).toBe('Start date must be before end date');
+        });
+    });
+});
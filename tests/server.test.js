@@ -0,0 +1,78 @@
+// GreenMind - Server Tests
+// Author: Fatemeh - Group 6
+// Description: Starts the real server against an in-memory MongoDB
+
+const { once } = require('events');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { config } = require('../src/config/environment');
+const { PrivacyService } = require('../src/services');
+const startServer = require('../server');
+
+const PROCESS_EVENTS = ['uncaughtException', 'unhandledRejection', 'SIGTERM', 'SIGINT'];
+
+describe('startServer', () => {
+    let mongoServer;
+    let server;
+    let originalListeners;
+    const originalPort = config.server.port;
+    const originalUri = process.env.MONGODB_URI;
+
+    beforeAll(async () => {
+        mongoServer = await MongoMemoryServer.create();
+        process.env.MONGODB_URI = mongoServer.getUri();
+        config.server.port = 0; // Let the OS pick a free port
+
+        originalListeners = Object.fromEntries(PROCESS_EVENTS.map(event => [event, process.listeners(event)]));
+
+        server = await startServer();
+        if (!server.listening) {
+            await once(server, 'listening');
+        }
+    });
+
+    afterAll(async () => {
+        // Remove only the process handlers startServer added, so Jest's own handlers stay in place
+        PROCESS_EVENTS.forEach(event => {
+            process.listeners(event)
+                .filter(listener => !originalListeners[event].includes(listener))
+                .forEach(listener => process.removeListener(event, listener));
+        });
+
+        PrivacyService.stopRetention();
+        if (server) {
+            await new Promise(resolve => server.close(resolve));
+        }
+        await mongoose.disconnect();
+        await mongoServer.stop();
+
+        config.server.port = originalPort;
+        if (originalUri === undefined) {
+            delete process.env.MONGODB_URI;
+        } else {
+            process.env.MONGODB_URI = originalUri;
+        }
+    });
+
+    it('connects to the database', () => {
+        expect(mongoose.connection.readyState).toBe(1);
+    });
+
+    it('serves requests on the configured port', async () => {
+        const res = await request(server).get('/api/health');
+
+        expect(res.status).toBe(200);
+        expect(res.body.database.status).toBe('connected');
+    });
+
+    it('schedules the retention policy', () => {
+        expect(PrivacyService.retentionTimer).not.toBeNull();
+    });
+
+    it('registers process error and shutdown handlers', () => {
+        PROCESS_EVENTS.forEach(event => {
+            expect(process.listeners(event).length).toBeGreaterThan(originalListeners[event].length);
+        });
+    });
+});
@@ -0,0 +1,13 @@
+// GreenMind - Test Setup
+// Author: Fatemeh - Group 6
+// Description: Runs before every test file; keeps request and error logging out of test output
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+    jest.restoreAllMocks();
+});
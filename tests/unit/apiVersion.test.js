@@ -0,0 +1,68 @@
+// GreenMind - API Version Tests
+// Author: Fatemeh - Group 6
+// Description: Unit tests for version parsing, the deprecated /api alias and registering new versions
+
+const express = require('express');
+const request = require('supertest');
+const { ApiVersionMiddleware } = require('../../src/middleware');
+const { registerApiVersion, API_VERSIONS } = require('../../src/routes');
+const { config } = require('../../src/config/environment');
+const createApp = require('../../src/app');
+
+describe('API versions', () => {
+    describe('parsePath', () => {
+        it('splits off a leading version segment', () => {
+            expect(ApiVersionMiddleware.parsePath('/v1/contact/123')).toEqual({ version: 'v1', path: '/contact/123' });
+            expect(ApiVersionMiddleware.parsePath('/v2')).toEqual({ version: 'v2', path: '/' });
+        });
+
+        it('leaves unversioned paths alone', () => {
+            expect(ApiVersionMiddleware.parsePath('/contact')).toEqual({ version: null, path: '/contact' });
+            expect(ApiVersionMiddleware.parsePath('/video/1')).toEqual({ version: null, path: '/video/1' });
+        });
+    });
+
+    describe('deprecatedAlias', () => {
+        it('adds Deprecation, Sunset and successor links', async () => {
+            const app = express();
+            const alias = express.Router();
+            alias.use(ApiVersionMiddleware.deprecatedAlias('v1'));
+            alias.get('/info', (req, res) => res.json({ version: req.apiVersion }));
+            app.use('/api', alias);
+
+            const res = await request(app).get('/api/info');
+
+            expect(res.body.version).toBe('v1');
+            expect(res.headers.deprecation).toBe(`@${new Date(config.api.legacyAlias.deprecatedAt).getTime() / 1000}`);
+            expect(res.headers.sunset).toBe(new Date(config.api.legacyAlias.sunsetAt).toUTCString());
+            expect(res.headers.link).toBe('</api/v1/info>; rel="successor-version", </api-docs.html>; rel="deprecation"');
+        });
+    });
+
+    describe('registerApiVersion', () => {
+        afterEach(() => {
+            delete API_VERSIONS.v2;
+        });
+
+        it('rejects invalid and duplicate versions', () => {
+            expect(() => registerApiVersion('2', [])).toThrow('Invalid API version');
+            expect(() => registerApiVersion('v1', [])).toThrow('already registered');
+            expect(() => registerApiVersion('v2', [], { base: 'v7' })).toThrow('not registered');
+        });
+
+        it('mounts a new version side by side, inheriting unchanged routers', async () => {
+            const quizV2 = express.Router();
+            quizV2.get('/options', (req, res) => res.json({ status: 'success', data: { version: req.apiVersion } }));
+            registerApiVersion('v2', [{ path: '/quiz', router: quizV2, tag: 'Quiz' }], { base: 'v1' });
+
+            const app = createApp();
+            const replaced = await request(app).get('/api/v2/quiz/options');
+            const inherited = await request(app).get('/api/v2/info');
+
+            expect(replaced.body.data.version).toBe('v2');
+            expect(replaced.headers['api-version']).toBe('v2');
+            expect(inherited.status).toBe(200);
+            expect(API_VERSIONS.v2.filter(route => route.path === '/quiz')).toHaveLength(1);
+        });
+    });
+});
@@ -0,0 +1,62 @@
+// GreenMind - Audit Service Tests
+// Author: Fatemeh - Group 6
+// Description: Unit tests for audit snapshots, diffs and filters
+
+const mongoose = require('mongoose');
+const { AuditService } = require('../../src/services');
+const { Contact } = require('../../src/models');
+
+describe('AuditService', () => {
+    describe('snapshot', () => {
+        it('reads nested fields of documents and plain objects', () => {
+            const contact = new Contact({ subject: 'water', status: 'spam', spam: { review: 'confirmed' } });
+
+            expect(AuditService.snapshot(contact, ['status', 'spam.review', 'missing.path'])).toEqual({
+                status: 'spam',
+                'spam.review': 'confirmed',
+                'missing.path': null
+            });
+            expect(AuditService.snapshot({ a: { b: 1 } }, ['a.b'])).toEqual({ 'a.b': 1 });
+            expect(AuditService.snapshot(null, ['status'])).toBeNull();
+        });
+    });
+
+    describe('diff', () => {
+        it('lists only the fields that changed', () => {
+            const before = { status: 'new', subject: 'water', options: ['a', 'b'] };
+            const after = { status: 'read', subject: 'water', options: ['a', 'c'] };
+
+            expect(AuditService.diff(before, after)).toEqual([
+                { field: 'status', before: 'new', after: 'read' },
+                { field: 'options', before: ['a', 'b'], after: ['a', 'c'] }
+            ]);
+        });
+
+        it('lists every field for creations and deletions', () => {
+            expect(AuditService.diff(null, { status: 'new' })).toEqual([{ field: 'status', before: null, after: 'new' }]);
+            expect(AuditService.diff({ status: 'new' }, null)).toEqual([{ field: 'status', before: 'new', after: null }]);
+        });
+    });
+
+    describe('buildFilter', () => {
+        it('combines the filters', () => {
+            const actor = new mongoose.Types.ObjectId().toString();
+
+            expect(AuditService.buildFilter({
+                actor,
+                action: 'contact.delete',
+                targetType: 'contact',
+                targetId: 'abc',
+                startDate: '2024-01-01',
+                endDate: '2024-02-01'
+            })).toEqual({
+                'actor.id': actor,
+                action: 'contact.delete',
+                targetType: 'contact',
+                targetId: 'abc',
+                createdAt: { $gte: new Date('2024-01-01'), $lte: new Date('2024-02-01') }
+            });
+            expect(AuditService.buildFilter()).toEqual({});
+        });
+    });
+});
@@ -0,0 +1,25 @@
+// GreenMind - Contact Bulk Service Tests
+// Author: Fatemeh - Group 6
+// Description: Unit tests for the bulk operation filter
+
+const { ContactBulkService } = require('../../src/services');
+
+describe('ContactBulkService', () => {
+    describe('buildFilter', () => {
+        it('uses the inbox rules for spam and the trash', () => {
+            expect(ContactBulkService.buildFilter()).toEqual({ status: { $ne: 'spam' }, deletedAt: null });
+            expect(ContactBulkService.buildFilter({ status: 'spam', subject: 'water', startDate: new Date('2024-01-01') })).toEqual({
+                status: 'spam',
+                subject: 'water',
+                deletedAt: null,
+                createdAt: { $gte: new Date('2024-01-01') }
+            });
+        });
+
+        it('selects the search term with the inbox full-text search', () => {
+            expect(ContactBulkService.buildFilter({ q: 'solar (panels' })).toMatchObject({
+                $text: { $search: 'solar panels' }
+            });
+        });
+    });
+});
@@ -0,0 +1,55 @@
+// GreenMind - Contact Search Service Tests
+// Author: Fatemeh - Group 6
+// Description: Unit tests for the search query, field allowlist and highlighted snippets
+
+const { ContactSearchService } = require('../../src/services');
+
+describe('ContactSearchService', () => {
+    describe('buildFilter', () => {
+        it('searches the text index with the filters of the inbox', () => {
+            expect(ContactSearchService.buildFilter({
+                q: 'Solar panels',
+                status: 'replied',
+                subject: 'energy',
+                startDate: new Date('2024-01-01')
+            })).toEqual({
+                status: 'replied',
+                subject: 'energy',
+                deletedAt: null,
+                createdAt: { $gte: new Date('2024-01-01') },
+                $text: { $search: 'solar panels' }
+            });
+        });
+
+        it('passes only words to the text search, and email addresses as a phrase', () => {
+            expect(ContactSearchService.textSearch('"-solar" (a+)+$')).toBe('solar a');
+            expect(ContactSearchService.textSearch(' Jane@Example.com ')).toBe('"Jane@Example.com"');
+        });
+
+        it('narrows a single-field search with escaped word prefixes', () => {
+            expect(ContactSearchService.buildFilter({ q: 'batteries c++', field: 'message' }).message)
+                .toEqual({ $regex: 'batter|c', $options: 'i' });
+        });
+    });
+
+    describe('highlight', () => {
+        const terms = ContactSearchService.terms('battery recycling');
+
+        it('marks every matching word and escapes the rest', () => {
+            expect(ContactSearchService.highlight('Can I recycle <b>batteries</b>?', terms))
+                .toBe('Can I <mark>recycle</mark> &lt;b&gt;<mark>batteries</mark>&lt;&#x2F;b&gt;?');
+        });
+
+        it('cuts long text around the first match', () => {
+            const snippet = ContactSearchService.highlight(`${'a '.repeat(200)}battery ${'b '.repeat(200)}`, terms);
+
+            expect(snippet).toMatch(/^….*<mark>battery<\/mark>.*…$/);
+            expect(snippet.replace(/<\/?mark>|…/g, '')).toHaveLength(160);
+        });
+
+        it('returns null without a match', () => {
+            expect(ContactSearchService.highlight('Jane Doe', terms)).toBeNull();
+            expect(ContactSearchService.highlight(undefined, terms)).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,161 @@
+// GreenMind - Error Handler Tests
+// Author: Fatemeh - Group 6
+// Description: Unit tests for ErrorHandler.globalErrorHandler error mapping
+
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const { AppError, ErrorHandler, catchAsync } = require('../../src/middleware/errorHandler');
+const { config } = require('../../src/config/environment');
+const Contact = require('../../src/models/Contact');
+
+/**
+ * Pass an error through the global error handler
+ * @param {Error} err - Error to handle
+ * @param {Object} req - Request (e.g. { id } for the request ID)
+ * @returns {Object} { statusCode, body }
+ */
+function handle(err, req = {}) {
+    const result = { statusCode: null, body: null };
+    const res = {
+        status(code) {
+            result.statusCode = code;
+            return this;
+        },
+        json(body) {
+            result.body = body;
+            return this;
+        }
+    };
+
+    ErrorHandler.globalErrorHandler(err, req, res, () => {});
+    return result;
+}
+
+describe('ErrorHandler.globalErrorHandler', () => {
+    const originalEnvironment = config.server.environment;
+
+    afterEach(() => {
+        config.server.environment = originalEnvironment;
+    });
+
+    describe('outside development', () => {
+        beforeEach(() => {
+            config.server.environment = 'production';
+        });
+
+        it('sends operational errors with their status and message', () => {
+            const { statusCode, body } = handle(new AppError('Contact message not found', 404));
+
+            expect(statusCode).toBe(404);
+            expect(body).toMatchObject({ status: 'fail', message: 'Contact message not found' });
+            expect(body.stack).toBeUndefined();
+        });
+
+        it('hides the details of unexpected errors', () => {
+            const { statusCode, body } = handle(new Error('secret connection string'));
+
+            expect(statusCode).toBe(500);
+            expect(body).toMatchObject({ status: 'error', message: 'Something went wrong!' });
+        });
+
+        it('includes the request ID so the response can be matched to the logs', () => {
+            expect(handle(new AppError('Nope', 400), { id: 'req-42' }).body.requestId).toBe('req-42');
+            expect(handle(new Error('boom'), { id: 'req-43' }).body.requestId).toBe('req-43');
+        });
+
+        it('maps Mongoose cast errors to 400', () => {
+            const castError = new mongoose.Error.CastError('ObjectId', 'abc', '_id');
+            const { statusCode, body } = handle(castError);
+
+            expect(statusCode).toBe(400);
+            expect(body.message).toBe('Invalid _id: abc');
+        });
+
+        it('maps Mongoose validation errors to 400 with every message', () => {
+            const validationError = new Contact({}).validateSync();
+            const { statusCode, body } = handle(validationError);
+
+            expect(statusCode).toBe(400);
+            expect(body.message).toMatch(/^Invalid input data\. /);
+            expect(body.message).toContain('Name is required');
+            expect(body.message).toContain('Email is required');
+            expect(body.errors).toMatchObject({
+                name: 'Name is required and must be a string',
+                email: 'Email is required and must be a string'
+            });
+        });
+
+        it('maps duplicate key errors to 400', () => {
+            const duplicate = new Error('E11000 duplicate key error');
+            duplicate.code = 11000;
+            duplicate.errmsg = 'E11000 duplicate key error collection: users index: email_1 dup key: { email: "jane@example.com" }';
+
+            const { statusCode, body } = handle(duplicate);
+
+            expect(statusCode).toBe(400);
+            expect(body.message).toBe('Duplicate field value: "jane@example.com". Please use another value!');
+        });
+
+        it('maps invalid and expired tokens to 401', () => {
+            let invalid;
+            try {
+                jwt.verify('not.a.token', 'secret');
+            } catch (error) {
+                invalid = error;
+            }
+            const expired = new jwt.TokenExpiredError('jwt expired', new Date());
+
+            expect(handle(invalid)).toMatchObject({
+                statusCode: 401,
+                body: { message: 'Invalid token. Please log in again!' }
+            });
+            expect(handle(expired)).toMatchObject({
+                statusCode: 401,
+                body: { message: 'Your token has expired! Please log in again.' }
+            });
+        });
+    });
+
+    describe('in development', () => {
+        beforeEach(() => {
+            config.server.environment = 'development';
+        });
+
+        it('includes the stack trace and original error', () => {
+            const { statusCode, body } = handle(new Error('boom'));
+
+            expect(statusCode).toBe(500);
+            expect(body.message).toBe('boom');
+            expect(body.stack).toContain('Error: boom');
+            expect(body.error).toBeDefined();
+        });
+
+        it('includes the request ID', () => {
+            expect(handle(new Error('boom'), { id: 'req-44' }).body.requestId).toBe('req-44');
+        });
+    });
+});
+
+describe('catchAsync', () => {
+    it('forwards rejected promises to next', async () => {
+        const error = new AppError('Nope', 400);
+        const next = jest.fn();
+
+        await catchAsync(async () => {
+            throw error;
+        })({}, {}, next);
+
+        expect(next).toHaveBeenCalledWith(error);
+    });
+});
+
+describe('ErrorHandler.handle404', () => {
+    it('creates a 404 AppError for the requested URL', () => {
+        const next = jest.fn();
+
+        ErrorHandler.handle404({ originalUrl: '/missing' }, {}, next);
+
+        expect(next.mock.calls[0][0]).toBeInstanceOf(AppError);
+        expect(next.mock.calls[0][0]).toMatchObject({ statusCode: 404, message: "Can't find /missing on this server!" });
+    });
+});
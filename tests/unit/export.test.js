@@ -0,0 +1,229 @@
+// GreenMind - Export Tests
+// Author: Fatemeh - Group 6
+// Description: Unit tests for quiz and contact export filters, CSV rows and streaming cursors to the response
+
+const express = require('express');
+const request = require('supertest');
+const { QuizExportService, ContactExportService } = require('../../src/services');
+const ExportService = require('../../src/services/exportService');
+const { Utils } = require('../../src/utils');
+
+/**
+ * Async iterable standing in for a Mongoose cursor
+ * @param {Object[]} docs - Documents to yield
+ * @param {Error} failAfter - Error to throw once the documents run out
+ * @returns {AsyncGenerator} Cursor
+ */
+async function* cursorOf(docs, failAfter = null) {
+    for (const doc of docs) yield doc;
+    if (failAfter) throw failAfter;
+}
+
+describe('QuizExportService', () => {
+    const result = {
+        _id: '65a1b2c3d4e5f6a7b8c9d0e1',
+        completedAt: new Date('2024-05-10T09:30:00Z'),
+        score: 80,
+        correctAnswers: 4,
+        totalQuestions: 5,
+        timeTaken: 42,
+        difficulty: 'hard',
+        categories: { 'Water, Oceans': { correct: 2, total: 2 }, Energy: { correct: 2, total: 3 } }
+    };
+
+    describe('buildFilter', () => {
+        it('combines dates, difficulty and the score range', () => {
+            expect(QuizExportService.buildFilter({
+                startDate: new Date('2024-01-01'),
+                difficulty: 'easy',
+                minScore: 0,
+                maxScore: 50
+            })).toEqual({
+                completedAt: { $gte: new Date('2024-01-01') },
+                difficulty: 'easy',
+                score: { $gte: 0, $lte: 50 }
+            });
+            expect(QuizExportService.buildFilter()).toEqual({});
+        });
+    });
+
+    describe('CSV', () => {
+        const categories = ['Climate', 'Energy', 'Water, Oceans'];
+
+        it('adds a correct/total column pair per category and escapes the header', () => {
+            expect(ExportService.csvLine(QuizExportService.csvHeader(categories))).toBe(
+                'Result ID,Completed At,Score,Correct Answers,Total Questions,Time Taken,Performance Level,Difficulty,' +
+                'Climate Correct,Climate Total,Energy Correct,Energy Total,"Water, Oceans Correct","Water, Oceans Total"\r\n'
+            );
+        });
+
+        it('writes ISO dates and leaves categories the result did not cover empty', () => {
+            expect(ExportService.csvLine(QuizExportService.csvRow(result, categories))).toBe(
+                '65a1b2c3d4e5f6a7b8c9d0e1,2024-05-10T09:30:00.000Z,80,4,5,42,good,hard,,,2,3,2,2\r\n'
+            );
+            expect(ExportService.csvLine(QuizExportService.csvRow({ ...result, timeTaken: undefined, categories: undefined }, ['Energy'])))
+                .toBe('65a1b2c3d4e5f6a7b8c9d0e1,2024-05-10T09:30:00.000Z,80,4,5,,good,hard,,\r\n');
+        });
+    });
+
+    describe('toRecord', () => {
+        it('adds the performance level and keeps the category map', () => {
+            expect(QuizExportService.toRecord(result)).toMatchObject({
+                id: result._id,
+                performanceLevel: 'good',
+                categories: result.categories,
+                sessionId: null,
+                userId: null
+            });
+        });
+    });
+});
+
+describe('ContactExportService', () => {
+    const contact = {
+        _id: '65a1b2c3d4e5f6a7b8c9d0e2',
+        createdAt: new Date('2024-05-10T09:30:00Z'),
+        name: 'Jane "JD" Doe',
+        email: 'jane@example.com',
+        subject: 'water',
+        message: 'Hello,\nhow do I save water?',
+        newsletter: true,
+        status: 'replied',
+        spam: { score: 1 },
+        replies: [{ sentAt: new Date('2024-05-11T08:00:00Z') }, { sentAt: new Date('2024-05-12T08:00:00Z') }]
+    };
+
+    describe('buildFilter', () => {
+        it('leaves out trashed messages, and quarantined spam unless asked for', () => {
+            expect(ContactExportService.buildFilter()).toEqual({ deletedAt: null, status: { $ne: 'spam' } });
+            expect(ContactExportService.buildFilter({ status: 'spam', subject: 'water', newsletter: false, endDate: new Date('2024-06-01') }))
+                .toEqual({ deletedAt: null, status: 'spam', subject: 'water', newsletter: false, createdAt: { $lte: new Date('2024-06-01') } });
+        });
+    });
+
+    describe('records', () => {
+        it('summarize replies and can leave out the message', () => {
+            expect(ContactExportService.toRecord(contact)).toMatchObject({
+                spamScore: 1,
+                replyCount: 2,
+                lastReplyAt: contact.replies[1].sentAt,
+                message: contact.message
+            });
+            expect(ContactExportService.toRecord(contact, false)).not.toHaveProperty('message');
+        });
+
+        it('escape quotes and line breaks in CSV', () => {
+            expect(ExportService.csvLine(ContactExportService.csvRow(contact))).toBe(
+                '65a1b2c3d4e5f6a7b8c9d0e2,2024-05-10T09:30:00.000Z,"Jane ""JD"" Doe",jane@example.com,water,replied,yes,1,2,' +
+                '2024-05-12T08:00:00.000Z,"Hello,\nhow do I save water?"\r\n'
+            );
+            expect(ContactExportService.csvHeader(false)).not.toContain('Message');
+            expect(ContactExportService.csvRow(contact, false)).toHaveLength(ContactExportService.csvHeader(false).length);
+        });
+
+        it('keep spreadsheets from running cells as formulas', () => {
+            const row = ContactExportService.csvRow({ ...contact, name: '=HYPERLINK("http://evil.example")', message: '@SUM(A1)' });
+
+            expect(ExportService.csvLine(row)).toContain(',"\'=HYPERLINK(""http://evil.example"")",');
+            expect(ExportService.csvLine(row)).toMatch(/,'@SUM\(A1\)\r\n$/);
+            expect(['+1', '-1', '\tx', '\rx'].map(Utils.escapeCsv)).toEqual(["'+1", "'-1", "'\tx", '"\'\rx"']);
+            expect(Utils.escapeCsv(-5)).toBe('-5');
+        });
+    });
+});
+
+describe('ExportService.stream', () => {
+    /**
+     * App that exports the given documents
+     * @param {string} format - Export format
+     * @returns {Object} Express app
+     */
+    function appFor(format) {
+        const app = express();
+        app.get('/export', (req, res, next) => ExportService.stream(res, cursorOf([{ n: 1 }, { n: 2 }]), {
+            format,
+            filename: 'things',
+            key: 'things',
+            record: doc => ({ value: doc.n }),
+            csvHeader: ['Value'],
+            csvRow: doc => [doc.n],
+            summary: { source: 'test' }
+        }).catch(next));
+        return app;
+    }
+
+    it('wraps JSON in the API envelope', async () => {
+        const res = await request(appFor('json')).get('/export');
+
+        expect(res.headers['content-disposition']).toBeUndefined();
+        expect(res.body).toEqual({
+            status: 'success',
+            data: { things: [{ value: 1 }, { value: 2 }], count: 2, exportedAt: expect.any(String), source: 'test' }
+        });
+    });
+
+    it('sends CSV and NDJSON as attachments', async () => {
+        const csv = await request(appFor('csv')).get('/export');
+        const ndjson = await request(appFor('ndjson')).get('/export').buffer(true).parse((response, callback) => {
+            let text = '';
+            response.on('data', chunk => { text += chunk; });
+            response.on('end', () => callback(null, text));
+        });
+
+        expect(csv.headers['content-disposition']).toBe('attachment; filename=things.csv');
+        expect(csv.text).toBe('Value\r\n1\r\n2\r\n');
+        expect(ndjson.headers['content-disposition']).toBe('attachment; filename=things.ndjson');
+        expect(ndjson.body).toBe('{"value":1}\n{"value":2}\n');
+    });
+});
+
+describe('Utils.streamCursor', () => {
+    /**
+     * App that streams the given cursor as a JSON array
+     * @param {Function} createCursor - Returns a fresh cursor per request
+     * @returns {Object} Express app
+     */
+    function appFor(createCursor) {
+        const app = express();
+        app.get('/export', async (req, res, next) => {
+            try {
+                res.setHeader('Content-Type', 'application/json');
+                await Utils.streamCursor(res, createCursor(), {
+                    head: '[',
+                    row: (doc, index) => (index > 0 ? ',' : '') + JSON.stringify(doc),
+                    tail: count => `,{"count":${count}}]`
+                });
+            } catch (error) {
+                next(error);
+            }
+        });
+        app.use((err, req, res, next) => res.status(500).json({ message: err.message }));
+        return app;
+    }
+
+    it('writes the head, every document and the tail', async () => {
+        const res = await request(appFor(() => cursorOf([{ a: 1 }, { a: 2 }]))).get('/export');
+
+        expect(res.status).toBe(200);
+        expect(res.body).toEqual([{ a: 1 }, { a: 2 }, { count: 2 }]);
+    });
+
+    it('cuts the response short when the cursor fails mid-stream', async () => {
+        const app = appFor(() => cursorOf([{ a: 1 }], new Error('cursor died')));
+
+        await expect(request(app).get('/export')).rejects.toThrow();
+    });
+
+    it('leaves errors before anything was written to the error handler', async () => {
+        const app = express();
+        app.get('/export', (req, res, next) => Utils
+            .streamCursor(res, cursorOf([], new Error('bad query')), { row: JSON.stringify })
+            .catch(next));
+        app.use((err, req, res, next) => res.status(500).json({ message: err.message }));
+
+        const res = await request(app).get('/export');
+
+        expect(res.status).toBe(500);
+        expect(res.body.message).toBe('bad query');
+    });
+});
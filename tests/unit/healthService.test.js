@@ -0,0 +1,98 @@
+// GreenMind - Health Service Tests
+// Author: Fatemeh - Group 6
+// Description: Unit tests for liveness, readiness and the draining state
+
+const mongoose = require('mongoose');
+const { HealthService, MailerService } = require('../../src/services');
+const { config } = require('../../src/config/environment');
+
+describe('HealthService', () => {
+    const originalTimeout = config.health.dbPingTimeout;
+
+    afterEach(() => {
+        HealthService.draining = false;
+        MailerService.queue = [];
+        config.health.dbPingTimeout = originalTimeout;
+        delete mongoose.connection.readyState;
+        delete mongoose.connection.db;
+    });
+
+    /**
+     * Pretend MongoDB is connected and answers pings with the given promise
+     * @param {Function} ping - Returns the ping promise
+     */
+    function connectWithPing(ping) {
+        // Shadows the prototype getter; deleting it restores the real state
+        Object.defineProperty(mongoose.connection, 'readyState', { value: 1, configurable: true });
+        mongoose.connection.db = { admin: () => ({ ping }) };
+    }
+
+    describe('checkLiveness', () => {
+        it('reports alive, or draining during shutdown', () => {
+            expect(HealthService.checkLiveness()).toMatchObject({ state: 'alive', uptime: expect.any(Number) });
+
+            HealthService.startDraining();
+            expect(HealthService.checkLiveness().state).toBe('draining');
+        });
+    });
+
+    describe('checkReadiness', () => {
+        it('is ready when the database answers a ping', async () => {
+            connectWithPing(() => Promise.resolve({ ok: 1 }));
+
+            const readiness = await HealthService.checkReadiness();
+
+            expect(readiness).toMatchObject({ ready: true, state: 'ready' });
+            expect(readiness.checks.database).toMatchObject({
+                critical: true,
+                status: 'up',
+                state: 'connected',
+                latencyMs: expect.any(Number)
+            });
+        });
+
+        it('is not ready when the database is disconnected', async () => {
+            const readiness = await HealthService.checkReadiness();
+
+            expect(readiness).toMatchObject({ ready: false, state: 'not_ready' });
+            expect(readiness.checks.database).toMatchObject({ status: 'down', state: 'disconnected' });
+        });
+
+        it('is not ready when the ping does not answer in time', async () => {
+            config.health.dbPingTimeout = 20;
+            connectWithPing(() => new Promise(() => {}));
+
+            const readiness = await HealthService.checkReadiness();
+
+            expect(readiness.state).toBe('not_ready');
+            expect(readiness.checks.database).toMatchObject({
+                status: 'down',
+                error: 'Database ping timed out after 20ms'
+            });
+        });
+
+        it('stays ready but reports degraded when the mail queue backs up', async () => {
+            connectWithPing(() => Promise.resolve({ ok: 1 }));
+            MailerService.queue = Array.from({ length: config.health.mailQueueDegradedAt }, () => ({}));
+
+            const readiness = await HealthService.checkReadiness();
+
+            expect(readiness).toMatchObject({ ready: true, state: 'degraded' });
+            expect(readiness.checks.mailQueue).toMatchObject({
+                critical: false,
+                status: 'degraded',
+                pending: config.health.mailQueueDegradedAt
+            });
+        });
+
+        it('is not ready while draining, even with healthy dependencies', async () => {
+            connectWithPing(() => Promise.resolve({ ok: 1 }));
+            HealthService.startDraining();
+
+            const readiness = await HealthService.checkReadiness();
+
+            expect(readiness).toMatchObject({ ready: false, state: 'draining' });
+            expect(readiness.checks.database.status).toBe('up');
+        });
+    });
+});
@@ -0,0 +1,165 @@
+// GreenMind - Logger Tests
+// Author: Fatemeh - Group 6
+// Description: Unit tests for log levels, redaction, request context and the rotating file sink
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const {
+    Logger,
+    MemorySink,
+    RotatingFileSink,
+    requestContext,
+    redact,
+    createSink
+} = require('../../src/utils/logger');
+
+describe('Logger', () => {
+    let sink;
+    let logger;
+
+    beforeEach(() => {
+        sink = new MemorySink();
+        logger = new Logger({ level: 'info', sinks: [sink] });
+    });
+
+    it('writes entries with time, level, message and fields', () => {
+        logger.info('Quiz completed', { score: 80 });
+
+        expect(sink.entries).toHaveLength(1);
+        expect(sink.entries[0]).toMatchObject({ level: 'info', message: 'Quiz completed', score: 80 });
+        expect(new Date(sink.entries[0].time).toISOString()).toBe(sink.entries[0].time);
+    });
+
+    it('skips entries below the configured level', () => {
+        logger.debug('Request received');
+        logger.warn('Rate limit exceeded');
+
+        expect(sink.entries.map(entry => entry.level)).toEqual(['warn']);
+
+        logger.setLevel('silent');
+        logger.error('Nothing is written');
+        expect(sink.entries).toHaveLength(1);
+    });
+
+    it('rejects unknown levels', () => {
+        expect(() => logger.setLevel('verbose')).toThrow('Unknown log level: verbose');
+    });
+
+    it('adds the request ID of the current request', () => {
+        requestContext.run({ requestId: 'req-123' }, () => {
+            logger.info('Inside a request');
+        });
+        logger.info('Outside a request');
+
+        expect(sink.entries[0].requestId).toBe('req-123');
+        expect(sink.entries[1]).not.toHaveProperty('requestId');
+    });
+
+    it('adds child bindings and shares the parent sinks', () => {
+        const child = logger.child({ component: 'mailer' });
+        child.info('Queued email sent');
+
+        expect(sink.entries[0]).toMatchObject({ component: 'mailer', message: 'Queued email sent' });
+    });
+
+    it('serializes errors', () => {
+        const error = new Error('connection refused');
+        error.code = 'ECONNREFUSED';
+
+        logger.error('Mail queue processing failed', { error });
+
+        expect(sink.entries[0].error).toMatchObject({
+            type: 'Error',
+            message: 'connection refused',
+            code: 'ECONNREFUSED'
+        });
+        expect(sink.entries[0].error.stack).toContain('connection refused');
+    });
+
+    it('keeps logging when a sink throws', () => {
+        const stderr = jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+        logger.setSinks([{ write: () => { throw new Error('disk full'); } }, sink]);
+
+        logger.info('Still written');
+
+        expect(sink.entries).toHaveLength(1);
+        expect(stderr).toHaveBeenCalledWith('Log sink failed: disk full\n');
+        stderr.mockRestore();
+    });
+});
+
+describe('redact', () => {
+    it('masks email addresses anywhere in a value', () => {
+        expect(redact({ email: 'jane.doe@example.com', note: 'from jane@example.com' })).toEqual({
+            email: 'j***@example.com',
+            note: 'from j***@example.com'
+        });
+    });
+
+    it('replaces names, passwords and tokens', () => {
+        expect(redact({
+            name: 'Jane Doe',
+            password: 'S3cure!pass',
+            headers: { Authorization: 'Bearer abc' },
+            subject: 'feedback'
+        })).toEqual({
+            name: '[REDACTED]',
+            password: '[REDACTED]',
+            headers: { Authorization: '[REDACTED]' },
+            subject: 'feedback'
+        });
+    });
+
+    it('logs ObjectIds as their hex string', () => {
+        const id = new mongoose.Types.ObjectId();
+        const sink = new MemorySink();
+        new Logger({ sinks: [sink] }).info('Contact message moved to the trash', { contactId: id, ids: [id] });
+
+        expect(sink.entries[0]).toMatchObject({ contactId: id.toString(), ids: [id.toString()] });
+    });
+
+    it('masks tokens in URLs', () => {
+        expect(redact('/api/newsletter/unsubscribe?token=abc.def&format=json'))
+            .toBe('/api/newsletter/unsubscribe?token=[REDACTED]&format=json');
+    });
+
+    it('redacts log messages as well as fields', () => {
+        const sink = new MemorySink();
+        new Logger({ sinks: [sink] }).info('Reply sent to jane@example.com');
+
+        expect(sink.entries[0].message).toBe('Reply sent to j***@example.com');
+    });
+});
+
+describe('createSink', () => {
+    it('rejects unknown sinks', () => {
+        expect(() => createSink('syslog', {})).toThrow('Unknown log sink: syslog');
+    });
+});
+
+describe('RotatingFileSink', () => {
+    let directory;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'greenmind-logs-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('rotates when the file would exceed maxSize and keeps maxFiles old files', () => {
+        const file = path.join(directory, 'nested', 'app.log');
+        const fileSink = new RotatingFileSink({ path: file, maxSize: 20, maxFiles: 2 });
+
+        ['first line', 'second line', 'third line', 'fourth line'].forEach(line => fileSink.write(line));
+        fileSink.close();
+
+        expect(fs.readFileSync(file, 'utf8')).toBe('fourth line\n');
+        expect(fs.readFileSync(`${file}.1`, 'utf8')).toBe('third line\n');
+        expect(fs.readFileSync(`${file}.2`, 'utf8')).toBe('second line\n');
+        expect(fs.existsSync(`${file}.3`)).toBe(false);
+    });
+});
@@ -0,0 +1,90 @@
+// GreenMind - Metrics Tests
+// Author: Fatemeh - Group 6
+// Description: Unit tests for route labels and the Prometheus exposition output
+
+const express = require('express');
+const request = require('supertest');
+const Metrics = require('../../src/utils/metrics');
+
+describe('Metrics', () => {
+    beforeEach(() => {
+        Metrics.reset();
+    });
+
+    describe('routeLabel', () => {
+        it('uses the route template instead of the URL', () => {
+            const req = { route: { path: '/:id/release' }, originalUrl: '/api/contact/65a1b2c3d4e5f6a7b8c9d0e1/release?x=1' };
+
+            expect(Metrics.routeLabel(req)).toBe('/api/contact/:id/release');
+        });
+
+        it('labels the root route of a router with its mount path', () => {
+            expect(Metrics.routeLabel({ route: { path: '/' }, originalUrl: '/api/contact' })).toBe('/api/contact');
+            expect(Metrics.routeLabel({ route: { path: '/' }, originalUrl: '/' })).toBe('/');
+        });
+
+        it('groups requests that matched no route', () => {
+            expect(Metrics.routeLabel({ originalUrl: '/css/styles.css' })).toBe('unmatched');
+        });
+
+        it('keeps the mount path when an error leaves the router', async () => {
+            const app = express();
+            const router = express.Router();
+            router.get('/:id', (req, res, next) => next(new Error('boom')));
+            app.use('/api/things', router);
+            // The error handler runs after the router has reset req.baseUrl
+            app.use((err, req, res, next) => {
+                res.on('finish', () => Metrics.observeRequest(req, res, 12));
+                res.status(500).end();
+            });
+
+            await request(app).get('/api/things/42');
+
+            expect(await Metrics.render()).toContain(
+                'greenmind_http_requests_total{method="GET",route="/api/things/:id",status_code="500"} 1'
+            );
+        });
+    });
+
+    it('counts requests and observes their duration in seconds', async () => {
+        const req = { method: 'POST', route: { path: '/submit' }, originalUrl: '/api/quiz/submit' };
+
+        Metrics.observeRequest(req, { statusCode: 201 }, 250);
+        Metrics.observeRequest(req, { statusCode: 201 }, 500);
+
+        const output = await Metrics.render();
+        const labels = 'method="POST",route="/api/quiz/submit",status_code="201"';
+
+        expect(output).toContain(`greenmind_http_requests_total{${labels}} 2`);
+        expect(output).toContain(`greenmind_http_request_duration_seconds_bucket{le="0.1",${labels}} 0`);
+        expect(output).toContain(`greenmind_http_request_duration_seconds_bucket{le="0.25",${labels}} 1`);
+        expect(output).toContain(`greenmind_http_request_duration_seconds_bucket{le="0.5",${labels}} 2`);
+        expect(output).toContain(`greenmind_http_request_duration_seconds_sum{${labels}} 0.75`);
+    });
+
+    it('counts rate-limit rejections, quizzes and contact messages', async () => {
+        Metrics.rateLimited('form');
+        Metrics.quizSubmitted('excellent');
+        Metrics.quizSubmitted('excellent');
+        Metrics.contactSubmitted('feedback', false);
+        Metrics.contactSubmitted('general', true);
+
+        const output = await Metrics.render();
+
+        expect(output).toContain('greenmind_rate_limit_rejections_total{limiter="form"} 1');
+        expect(output).toContain('greenmind_quiz_submissions_total{level="excellent"} 2');
+        expect(output).toContain('greenmind_contact_submissions_total{subject="feedback",spam="false"} 1');
+        expect(output).toContain('greenmind_contact_submissions_total{subject="general",spam="true"} 1');
+    });
+
+    it('reports the MongoDB connection state', async () => {
+        const output = await Metrics.render();
+
+        expect(output).toContain('greenmind_mongodb_connection_state{state="disconnected"} 1');
+        expect(output).toContain('greenmind_mongodb_connection_state{state="connected"} 0');
+    });
+
+    it('includes the default process metrics', async () => {
+        expect(await Metrics.render()).toContain('greenmind_process_cpu_seconds_total');
+    });
+});
@@ -0,0 +1,156 @@
+// GreenMind - OpenAPI Tests
+// Author: Fatemeh - Group 6
+// Description: Unit tests for the generated OpenAPI document and the request/response validator
+
+const express = require('express');
+const request = require('supertest');
+const OpenApi = require('../../src/openapi');
+const OpenApiValidator = require('../../src/openapi/validator');
+const operations = require('../../src/openapi/operations');
+
+describe('OpenAPI', () => {
+    const document = OpenApi.getDocument();
+    const operation = (method, path) => document.paths[path][method];
+
+    describe('document', () => {
+        it('documents every route of every API router', () => {
+            const routes = OpenApi.collectRoutes();
+            const docs = OpenApi.readRouteDocs();
+
+            expect(routes.length).toBeGreaterThan(30);
+            routes.forEach(route => {
+                const openApiPath = route.versionedPath.replace(/:(\w+)/g, '{$1}');
+
+                // Every route needs a JSDoc block with @route and @desc
+                expect(docs[`${route.method} ${route.path}`]).toBeDefined();
+                expect(operation(route.method.toLowerCase(), openApiPath).summary).not.toBe('');
+            });
+        });
+
+        it('only describes operations that exist', () => {
+            const routeKeys = OpenApi.collectRoutes().map(route => `${route.method} ${route.path}`);
+
+            Object.keys(operations).forEach(key => {
+                expect(routeKeys).toContain(key);
+            });
+        });
+
+        it('includes the routes the hand-written docs missed', () => {
+            expect(operation('get', '/api/v1/quiz/analytics')).toBeDefined();
+            expect(operation('get', '/api/v1/quiz/export')).toBeDefined();
+            expect(operation('post', '/api/v1/contact/{id}/replies')).toBeDefined();
+            expect(operation('put', '/api/v1/contact/{id}')).toBeDefined();
+        });
+
+        it('reads authentication and roles from the route middleware', () => {
+            expect(operation('post', '/api/v1/contact').security).toBeUndefined();
+            expect(operation('get', '/api/v1/auth/me').security).toEqual([{ bearerAuth: [] }, { cookieAuth: [] }]);
+            expect(operation('get', '/api/v1/auth/me')['x-roles']).toBeUndefined();
+            expect(operation('post', '/api/v1/quiz/submit').security).toContainEqual({});
+
+            // Router-level middleware (router.use) counts too
+            const question = operation('delete', '/api/v1/questions/{id}');
+            expect(question['x-roles']).toEqual(['admin']);
+            expect(question.responses).toHaveProperty('401');
+            expect(question.responses).toHaveProperty('403');
+            expect(question.responses).toHaveProperty('404');
+        });
+
+        it('documents path parameters and operation IDs', () => {
+            const reply = operation('post', '/api/v1/contact/{id}/replies');
+
+            expect(reply.operationId).toBe('postContactByIdReplies');
+            expect(reply.parameters).toContainEqual({
+                name: 'id',
+                in: 'path',
+                required: true,
+                schema: { $ref: '#/components/schemas/ObjectId' }
+            });
+            expect(reply.requestBody.required).toBe(true);
+        });
+    });
+
+    describe('validator', () => {
+        /**
+         * App with the validator in front of a handler that answers with the given body
+         * @param {string} mode - warn or strict
+         * @param {Object} response - { status, body } to send from every route
+         * @returns {Object} Express app
+         */
+        function createApp(mode, response = { status: 200, body: { status: 'success' } }) {
+            const app = express();
+            app.use(express.json());
+            app.use('/api/', OpenApiValidator.middleware(mode));
+            app.use((req, res) => res.status(response.status).json(response.body));
+            return app;
+        }
+
+        it('rejects requests that do not match in strict mode', async () => {
+            const res = await request(createApp('strict'))
+                .post('/api/v1/contact')
+                .send({ name: 'Jane Doe', email: 'not-an-email', subject: 'weather', message: 'short' });
+
+            expect(res.status).toBe(400);
+            expect(res.body.message).toBe('Request does not match the API specification');
+            expect(res.body.errors).toEqual({
+                email: expect.any(String),
+                subject: expect.any(String),
+                message: expect.any(String)
+            });
+        });
+
+        it('checks query strings with type coercion and path parameters', async () => {
+            const app = createApp('strict');
+
+            expect((await request(app).get('/api/quiz/recent?days=7&limit=5')).status).toBe(200);
+            expect((await request(app).get('/api/quiz/recent?days=abc')).body.errors).toEqual({ days: expect.any(String) });
+            expect((await request(app).get('/api/contact/not-an-id')).body.errors).toEqual({ id: expect.any(String) });
+        });
+
+        it('matches literal paths before parameterised ones', () => {
+            expect(OpenApiValidator.findOperation('GET', '/api/v1/contact/spam').entry.template).toBe('/api/v1/contact/spam');
+            expect(OpenApiValidator.findOperation('GET', '/api/v1/contact/65a1b2c3d4e5f6a7b8c9d0e1')).toMatchObject({
+                entry: { template: '/api/v1/contact/{id}' },
+                params: { id: '65a1b2c3d4e5f6a7b8c9d0e1' }
+            });
+            expect(OpenApiValidator.findOperation('GET', '/api/v1/unknown')).toBeNull();
+        });
+
+        it('leaves paths with malformed percent-encoding unmatched', async () => {
+            expect(OpenApiValidator.findOperation('GET', '/api/v1/contact/%E0%A4%A')).toBeNull();
+
+            const res = await request(createApp('strict')).get('/api/v1/contact/%E0%A4%A');
+            expect(res.status).toBe(200);
+        });
+
+        it('checks unversioned alias paths against the alias version', () => {
+            expect(OpenApiValidator.findOperation('GET', '/api/contact/spam').entry.template).toBe('/api/v1/contact/spam');
+            expect(OpenApiValidator.findOperation('GET', '/api/v9/contact/spam')).toBeNull();
+        });
+
+        it('replaces responses that do not match in strict mode', async () => {
+            const app = createApp('strict', { status: 201, body: { status: 'success', data: { score: 'high' } } });
+
+            const res = await request(app).post('/api/quiz/submit').send({ attemptToken: 'token', answers: {} });
+
+            expect(res.status).toBe(500);
+            expect(res.body.message).toBe('Response does not match the API specification');
+        });
+
+        it('only logs mismatches in warn mode', async () => {
+            const app = createApp('warn', { status: 201, body: { status: 'success' } });
+
+            const res = await request(app).post('/api/contact').send({ email: 'bad' });
+
+            expect(res.status).toBe(201);
+        });
+
+        it('accepts error responses in the standard format', async () => {
+            const app = createApp('strict', { status: 404, body: { status: 'error', message: 'Not found' } });
+
+            const res = await request(app).get('/api/questions/65a1b2c3d4e5f6a7b8c9d0e1');
+
+            expect(res.status).toBe(404);
+        });
+    });
+});
@@ -0,0 +1,126 @@
+// GreenMind - Rate Limit Tests
+// Author: Fatemeh - Group 6
+// Description: Unit tests for rate-limit policies, the allowlist and inspecting or resetting counters
+
+const express = require('express');
+const request = require('supertest');
+const { config } = require('../../src/config/environment');
+const RateLimitService = require('../../src/services/rateLimit');
+const SecurityMiddleware = require('../../src/middleware/security');
+
+describe('RateLimitService', () => {
+    const { allowlist } = config.security.rateLimit;
+
+    afterEach(() => {
+        config.security.rateLimit.allowlist = allowlist;
+    });
+
+    describe('getPolicy', () => {
+        it('returns configured policies and rejects unknown ones', () => {
+            expect(RateLimitService.getPolicy('contact')).toMatchObject({ max: 5 });
+            expect(RateLimitService.getPolicy('contact').skipSuccessfulRequests).toBeFalsy();
+            expect(RateLimitService.getPolicy('newsletter').skipSuccessfulRequests).toBeFalsy();
+            expect(RateLimitService.getPolicy('login')).toMatchObject({ max: 5, skipSuccessfulRequests: true });
+            expect(() => RateLimitService.getPolicy('nope')).toThrow('Unknown rate-limit policy: nope');
+        });
+
+        it('reads limits from the environment', () => {
+            process.env.RATE_LIMIT_QUIZ_SUBMIT_MAX = '12';
+            process.env.RATE_LIMIT_QUIZ_SUBMIT_WINDOW_MINUTES = '2';
+
+            jest.isolateModules(() => {
+                const { config: fresh } = require('../../src/config/environment');
+                expect(fresh.security.rateLimit.policies.quizSubmit).toMatchObject({ max: 12, windowMs: 2 * 60 * 1000 });
+                expect(fresh.security.rateLimit.policies.contact.max).toBe(5);
+            });
+
+            delete process.env.RATE_LIMIT_QUIZ_SUBMIT_MAX;
+            delete process.env.RATE_LIMIT_QUIZ_SUBMIT_WINDOW_MINUTES;
+        });
+    });
+
+    describe('isAllowlisted', () => {
+        it('matches addresses and CIDR ranges, including IPv4-mapped IPv6', () => {
+            config.security.rateLimit.allowlist = ['203.0.113.7', '10.0.0.0/8', '2001:db8::/32'];
+
+            expect(RateLimitService.isAllowlisted('203.0.113.7')).toBe(true);
+            expect(RateLimitService.isAllowlisted('10.20.30.40')).toBe(true);
+            expect(RateLimitService.isAllowlisted('::ffff:10.1.2.3')).toBe(true);
+            expect(RateLimitService.isAllowlisted('2001:db8::1')).toBe(true);
+            expect(RateLimitService.isAllowlisted('203.0.113.8')).toBe(false);
+            expect(RateLimitService.isAllowlisted(undefined)).toBe(false);
+        });
+
+        it('ignores invalid entries', () => {
+            config.security.rateLimit.allowlist = ['not-an-ip', '192.168.0.0/x', '192.168.1.1'];
+
+            expect(RateLimitService.isAllowlisted('192.168.1.1')).toBe(true);
+            expect(RateLimitService.isAllowlisted('192.168.0.1')).toBe(false);
+        });
+    });
+
+    describe('limiting without a database', () => {
+        const client = '127.0.0.1';
+        let app;
+
+        beforeEach(() => {
+            app = express();
+            app.post('/form', SecurityMiddleware.configureFormRateLimit('login'), (req, res) => {
+                res.status(req.query.ok ? 201 : 400).end();
+            });
+        });
+
+        afterEach(async () => {
+            await RateLimitService.resetClient(client);
+        });
+
+        it('counts failed submissions in memory and rejects once over the limit', async () => {
+            for (let i = 0; i < 4; i++) {
+                expect((await request(app).post('/form')).status).toBe(400);
+            }
+            expect((await request(app).post('/form?ok=1')).status).toBe(201);
+            expect((await request(app).post('/form')).status).toBe(400);
+
+            const limited = await request(app).post('/form');
+
+            expect(limited.status).toBe(429);
+            expect(limited.body).toEqual({ status: 'error', message: config.security.rateLimit.policies.login.message, retryAfter: 15 });
+        });
+
+        it('reports and resets a client\'s counters', async () => {
+            for (let i = 0; i < 6; i++) await request(app).post('/form');
+
+            const before = await RateLimitService.inspectClient(client);
+            expect(before.policies.find(({ policy }) => policy === 'login')).toMatchObject({ hits: 6, remaining: 0, limited: true });
+
+            expect(await RateLimitService.resetClient(client, 'login')).toEqual(['login']);
+
+            const after = await RateLimitService.inspectClient(client);
+            expect(after.policies.find(({ policy }) => policy === 'login')).toMatchObject({ hits: 0, limited: false });
+            expect((await request(app).post('/form')).status).toBe(400);
+        });
+
+        it('counts a request once per policy when several limiters apply', async () => {
+            const errors = jest.spyOn(console, 'error').mockImplementation(() => {});
+            app = express();
+            app.post('/form', SecurityMiddleware.configureApiRateLimit(), SecurityMiddleware.configureFormRateLimit('login'), (req, res) => {
+                res.status(400).end();
+            });
+
+            try {
+                expect((await request(app).post('/form')).status).toBe(400);
+                expect(errors).not.toHaveBeenCalledWith(expect.objectContaining({ code: 'ERR_ERL_DOUBLE_COUNT' }));
+            } finally {
+                errors.mockRestore();
+            }
+        });
+
+        it('never limits allowlisted clients', async () => {
+            config.security.rateLimit.allowlist = [client];
+
+            for (let i = 0; i < 7; i++) {
+                expect((await request(app).post('/form')).status).toBe(400);
+            }
+        });
+    });
+});
@@ -0,0 +1,107 @@
+// GreenMind - Schema Validator Tests
+// Author: Fatemeh - Group 6
+// Description: Unit tests for the shared schema validator, the payload schemas and their use in the models
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { SchemaValidator, schemas } = require('../../src/validation');
+const { Contact, QuizResult } = require('../../src/models');
+
+describe('SchemaValidator', () => {
+    describe('validateField', () => {
+        const name = {
+            type: 'string',
+            required: true,
+            trim: true,
+            minLength: 2,
+            messages: { required: 'Name is required', minLength: 'Too short' }
+        };
+
+        it('treats missing and blank values as not provided', () => {
+            expect(SchemaValidator.validateField(name, undefined)).toBe('Name is required');
+            expect(SchemaValidator.validateField(name, '   ')).toBe('Name is required');
+            expect(SchemaValidator.validateField({ ...name, required: false }, null)).toBeNull();
+        });
+
+        it('uses the required message for a wrong type unless there is a type message', () => {
+            expect(SchemaValidator.validateField(name, 42)).toBe('Name is required');
+            expect(SchemaValidator.validateField({ ...name, messages: { ...name.messages, type: 'Not text' } }, 42)).toBe('Not text');
+        });
+
+        it('checks lengths after trimming', () => {
+            expect(SchemaValidator.validateField(name, ' J ')).toBe('Too short');
+            expect(SchemaValidator.validateField(name, ' Jo ')).toBeNull();
+        });
+
+        it('falls back to the invalid message, then a generic one', () => {
+            expect(SchemaValidator.validateField({ type: 'integer', max: 5, messages: { invalid: 'Bad' } }, 6)).toBe('Bad');
+            expect(SchemaValidator.validateField({ type: 'integer', label: 'Count', max: 5 }, 6)).toBe('Count is invalid');
+        });
+
+        it('fills in the key of a failing object entry', () => {
+            const answers = schemas.quizSubmission.fields.answers;
+
+            expect(SchemaValidator.validateField(answers, { abc: 1 })).toBe('Invalid question ID: abc');
+            expect(SchemaValidator.validateField(answers, { '507f1f77bcf86cd799439011': null })).toBeNull();
+        });
+
+        it('passes the whole payload to checks', () => {
+            const errors = SchemaValidator.validate(schemas.question, {
+                category: 'Water',
+                prompt: 'How much water does a shower use?',
+                options: ['10 litres', '60 litres'],
+                correctIndex: 2
+            });
+
+            expect(errors).toEqual({ correctIndex: 'Correct option index must point to one of the options' });
+        });
+
+        it('skips checks that are not registered', () => {
+            expect(SchemaValidator.validateField({ type: 'string', check: 'serverOnly' }, 'anything')).toBeNull();
+        });
+    });
+
+    describe('validate', () => {
+        it('only checks the fields present in partial mode', () => {
+            expect(Object.keys(SchemaValidator.validate(schemas.question, {}))).toHaveLength(4);
+            expect(SchemaValidator.validate(schemas.question, { active: true }, { partial: true })).toEqual({});
+        });
+    });
+
+    describe('in the browser', () => {
+        it('registers on window and validates the schemas as served (JSON)', () => {
+            const context = { window: {} };
+            vm.createContext(context);
+            vm.runInContext(fs.readFileSync(path.join(__dirname, '../../src/validation/schemaValidator.js'), 'utf8'), context);
+
+            const contact = JSON.parse(JSON.stringify(schemas.contact));
+            const errors = context.window.SchemaValidator.validate(contact, {
+                name: 'Jane',
+                email: 'jane@example.com',
+                subject: 'water',
+                message: 'How do I start composting at home?'
+            });
+
+            // The browser now rejects single-word names, like the API and the model
+            expect(errors).toEqual({ name: 'Please enter your full name (first and last name)' });
+        });
+    });
+
+    describe('models', () => {
+        it('hold contacts to the contact schema', () => {
+            const contact = new Contact({ name: 'Jane Doe', email: 'jane@example.com', subject: ' Water ', message: 'Too short' });
+            const error = contact.validateSync();
+
+            expect(contact.subject).toBe('water');
+            expect(Object.keys(error.errors)).toEqual(['message']);
+            expect(error.errors.message.message).toBe(schemas.contact.fields.message.messages.minLength);
+        });
+
+        it('hold quiz results to the submission session ID rule', () => {
+            const result = new QuizResult({ score: 70, totalQuestions: 10, correctAnswers: 7, sessionId: 'x'.repeat(101) });
+
+            expect(result.validateSync().errors.sessionId.message).toBe('Session ID must be a string of at most 100 characters');
+        });
+    });
+});
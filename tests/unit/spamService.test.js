@@ -0,0 +1,181 @@
+// GreenMind - Spam Service Tests
+// Author: Fatemeh - Group 6
+// Description: Unit tests for spam checks and the pluggable scoring pipeline
+
+const { SpamService } = require('../../src/services');
+const checks = require('../../src/services/spam/checks');
+const { config } = require('../../src/config/environment');
+
+const submission = {
+    name: 'Jane Doe',
+    email: 'jane@example.com',
+    subject: 'recycling',
+    message: 'Where can I recycle old batteries in my area?'
+};
+
+/**
+ * Context of a form filled in at a human pace
+ * @returns {Object} Spam check context
+ */
+function humanContext() {
+    return { formStartedAt: Date.now() - 30000 };
+}
+
+describe('spam checks', () => {
+    const now = Date.now();
+
+    describe('keywords', () => {
+        it('scores 2 per matched keyword in the name or message', () => {
+            const result = checks.keywords.evaluate({
+                ...submission,
+                name: 'Lottery Winner',
+                message: 'Congratulations! Click here to claim your reward.'
+            });
+
+            expect(result.score).toBe(8);
+            expect(result.detail).toBe('Matched congratulations, click here, lottery, winner');
+        });
+
+        it('matches whole words only', () => {
+            expect(checks.keywords.evaluate({ ...submission, message: 'Cryptography and surprises' })).toBeNull();
+        });
+    });
+
+    describe('links', () => {
+        it('ignores a message with a couple of links among plenty of words', () => {
+            const message = 'Our school project is at https://example.org and the photos are on www.example.org/photos if you want to see them.';
+            expect(checks.links.evaluate({ ...submission, message })).toBeNull();
+        });
+
+        it('scores links over the limit and link-heavy messages', () => {
+            const message = 'See https://a.example https://b.example https://c.example https://d.example now';
+            const result = checks.links.evaluate({ ...submission, message });
+
+            expect(result.score).toBe((4 - config.spam.maxLinks) * 2 + 2);
+            expect(result.detail).toBe('4 link(s) in 6 word(s)');
+        });
+    });
+
+    describe('repeatedCharacters', () => {
+        it('flags long runs of one character', () => {
+            expect(checks.repeatedCharacters.evaluate({ ...submission, message: 'Buy now!!!!!!!' })).toEqual({
+                score: 2,
+                detail: '"!" repeated 7 times'
+            });
+        });
+
+        it('ignores normal text', () => {
+            expect(checks.repeatedCharacters.evaluate({ ...submission, message: 'Hmm... really?' })).toBeNull();
+        });
+    });
+
+    describe('honeypot', () => {
+        it('scores a filled-in honeypot at the threshold and marks it decisive', () => {
+            expect(checks.honeypot.evaluate(submission, { honeypot: 'https://spam.example' }))
+                .toMatchObject({ score: config.spam.threshold, decisive: true });
+        });
+
+        it('ignores an empty or missing honeypot', () => {
+            expect(checks.honeypot.evaluate(submission, { honeypot: '' })).toBeNull();
+            expect(checks.honeypot.evaluate(submission, {})).toBeNull();
+        });
+    });
+
+    describe('timeOnForm', () => {
+        it('flags forms submitted too quickly', () => {
+            const result = checks.timeOnForm.evaluate(submission, { now, formStartedAt: now - 1000 });
+
+            expect(result).toEqual({ score: 4, detail: 'Submitted 1.0s after the form loaded' });
+        });
+
+        it('accepts the timestamp as a string', () => {
+            expect(checks.timeOnForm.evaluate(submission, { now, formStartedAt: String(now) }).score).toBe(4);
+        });
+
+        it('ignores forms that took long enough', () => {
+            expect(checks.timeOnForm.evaluate(submission, { now, formStartedAt: now - 60000 })).toBeNull();
+        });
+
+        it('scores a missing or invalid timestamp below the threshold', () => {
+            for (const formStartedAt of [undefined, null, '', 'soon', true, {}]) {
+                expect(checks.timeOnForm.evaluate(submission, { now, formStartedAt }))
+                    .toEqual({ score: 2, detail: 'No valid form start time' });
+            }
+        });
+    });
+});
+
+describe('SpamService', () => {
+    beforeEach(() => {
+        // Sender reputation needs the database; it is covered by the contact route tests
+        SpamService.removeCheck('senderReputation');
+    });
+
+    afterEach(() => {
+        SpamService.resetChecks();
+    });
+
+    it('passes a normal message', async () => {
+        expect(await SpamService.evaluate(submission, humanContext())).toEqual({
+            score: 0,
+            reasons: [],
+            isSpam: false
+        });
+    });
+
+    it('adds up the checks and compares with the threshold', async () => {
+        const result = await SpamService.evaluate({
+            ...submission,
+            message: 'URGENT!!!!!! Congratulations, you are our winner.'
+        }, humanContext());
+
+        expect(result.score).toBe(8);
+        expect(result.reasons.map(reason => reason.check)).toEqual(['keywords', 'repeatedCharacters']);
+        expect(result.isSpam).toBe(true);
+    });
+
+    it('quarantines a single keyword only with other signals', async () => {
+        const message = 'This is urgent: the river behind our school is polluted.';
+
+        expect((await SpamService.evaluate({ ...submission, message }, humanContext())).isSpam).toBe(false);
+        expect((await SpamService.evaluate({ ...submission, message }, { formStartedAt: Date.now() })).isSpam).toBe(true);
+        expect((await SpamService.evaluate({ ...submission, message })).isSpam).toBe(true);
+    });
+
+    it('does not let trust outweigh a filled-in honeypot', async () => {
+        SpamService.registerCheck({ name: 'senderReputation', evaluate: () => ({ score: -3, detail: 'trusted' }) });
+
+        const result = await SpamService.evaluate(submission, { ...humanContext(), honeypot: 'https://spam.example' });
+
+        expect(result).toEqual({
+            score: config.spam.threshold,
+            reasons: [{ check: 'honeypot', score: config.spam.threshold, detail: 'Hidden "website" field was filled in' }],
+            isSpam: true
+        });
+    });
+
+    it('runs registered checks and replaces checks with the same name', async () => {
+        SpamService.registerCheck({ name: 'custom', evaluate: () => ({ score: 1, detail: 'first' }) });
+        SpamService.registerCheck({ name: 'custom', evaluate: async () => ({ score: 10, detail: 'second' }) });
+
+        const result = await SpamService.evaluate(submission, humanContext());
+
+        expect(result.reasons).toEqual([{ check: 'custom', score: 10, detail: 'second' }]);
+        expect(result.isSpam).toBe(true);
+    });
+
+    it('rejects checks without a name or evaluate function', () => {
+        expect(() => SpamService.registerCheck({ name: 'broken' })).toThrow('A spam check needs a name and an evaluate function');
+    });
+
+    it('ignores checks that throw', async () => {
+        SpamService.registerCheck({
+            name: 'flaky',
+            evaluate: () => {
+                throw new Error('lookup failed');
+            }
+        });
+
+        expect((await SpamService.evaluate(submission, humanContext())).score).toBe(0);
+    });
+});
@@ -0,0 +1,564 @@
+// GreenMind - Validation Middleware Tests
+// Author: Fatemeh - Group 6
+// Description: Unit tests for every validation path in ValidationMiddleware
+
+const { ValidationMiddleware } = require('../../src/middleware');
+
+/**
+ * Run a middleware against a fake request
+ * @param {Function} middleware - Middleware to run
+ * @param {Object} req - Partial request ({ body, query, params, method })
+ * @returns {Object} { req, statusCode, body, nextCalled }
+ */
+function run(middleware, req = {}) {
+    const request = { body: {}, query: {}, params: {}, method: 'POST', ...req };
+    const result = { req: request, statusCode: null, body: null, nextCalled: false };
+    const res = {
+        status(code) {
+            result.statusCode = code;
+            return this;
+        },
+        json(body) {
+            result.body = body;
+            return this;
+        }
+    };
+
+    middleware(request, res, () => {
+        result.nextCalled = true;
+    });
+
+    return result;
+}
+
+const validContact = {
+    name: 'Jane Doe',
+    email: 'jane@example.com',
+    subject: 'general',
+    message: 'I love what you are doing for the planet!'
+};
+
+describe('ValidationMiddleware', () => {
+    describe('validateContactForm', () => {
+        it('passes a valid contact form', () => {
+            expect(run(ValidationMiddleware.validateContactForm, { body: validContact }).nextCalled).toBe(true);
+        });
+
+        it('reports every missing field', () => {
+            const result = run(ValidationMiddleware.validateContactForm, { body: {} });
+
+            expect(result.statusCode).toBe(400);
+            expect(result.body.message).toBe('Validation failed');
+            expect(Object.keys(result.body.errors).sort()).toEqual(['email', 'message', 'name', 'subject']);
+        });
+
+        it.each([
+            ['name', 'J', 'Name must be at least 2 characters long'],
+            ['name', 'x'.repeat(101), 'Name cannot exceed 100 characters'],
+            ['name', 'Jane', 'Please enter your full name (first and last name)'],
+            ['email', 'not-an-email', 'Please enter a valid email address'],
+            ['email', `${'x'.repeat(250)}@example.com`, 'Email cannot exceed 255 characters'],
+            ['email', 'jane@example.c', 'Please enter an email with a valid domain'],
+            ['subject', 'sales', 'Please select a valid subject'],
+            ['message', 'Too short', 'Message must be at least 10 characters long'],
+            ['message', 'x'.repeat(1001), 'Message cannot exceed 1000 characters']
+        ])('rejects an invalid %s (%s)', (field, value, message) => {
+            const result = run(ValidationMiddleware.validateContactForm, { body: { ...validContact, [field]: value } });
+
+            expect(result.statusCode).toBe(400);
+            expect(result.body.errors[field]).toBe(message);
+        });
+
+        it('leaves suspicious messages to spam scoring', () => {
+            const body = { ...validContact, message: 'URGENT! Congratulations, you have won! Click here.' };
+            expect(run(ValidationMiddleware.validateContactForm, { body }).nextCalled).toBe(true);
+        });
+    });
+
+    describe('validateBody', () => {
+        it('rejects unknown schemas when the route is defined', () => {
+            expect(() => ValidationMiddleware.validateBody('nope')).toThrow('Unknown validation schema: nope');
+        });
+
+        it('accepts mixed-case subjects like the model, which lowercases them', () => {
+            const body = { ...validContact, subject: ' Recycling ' };
+            expect(run(ValidationMiddleware.validateContactForm, { body }).nextCalled).toBe(true);
+        });
+    });
+
+    describe('validateContactReply', () => {
+        it('requires a non-empty body', () => {
+            const result = run(ValidationMiddleware.validateContactReply, { body: { body: '   ' } });
+            expect(result.statusCode).toBe(400);
+            expect(result.body.errors.body).toBe('Reply body is required and must be a string');
+        });
+
+        it('limits the reply length', () => {
+            const result = run(ValidationMiddleware.validateContactReply, { body: { body: 'x'.repeat(5001) } });
+            expect(result.body.errors.body).toBe('Reply cannot exceed 5000 characters');
+        });
+
+        it('passes a valid reply', () => {
+            expect(run(ValidationMiddleware.validateContactReply, { body: { body: 'Thanks!' } }).nextCalled).toBe(true);
+        });
+    });
+
+    describe('validateNewsletterSubscription', () => {
+        it('requires a valid email', () => {
+            const result = run(ValidationMiddleware.validateNewsletterSubscription, { body: { email: 'nope' } });
+            expect(result.body.errors.email).toBe('Please enter a valid email address');
+        });
+
+        it('rejects a non-string name', () => {
+            const result = run(ValidationMiddleware.validateNewsletterSubscription, {
+                body: { email: 'jane@example.com', name: 42 }
+            });
+            expect(result.body.errors.name).toBe('Name must be a string');
+        });
+
+        it('passes without a name', () => {
+            const result = run(ValidationMiddleware.validateNewsletterSubscription, { body: { email: 'jane@example.com' } });
+            expect(result.nextCalled).toBe(true);
+        });
+    });
+
+    describe('validateNewsletterToken', () => {
+        it('requires a token', () => {
+            const result = run(ValidationMiddleware.validateNewsletterToken);
+            expect(result.statusCode).toBe(400);
+            expect(result.body.errors.token).toBe('A valid token is required');
+        });
+
+        it('reads the token from the query string for one-click unsubscribe', () => {
+            const result = run(ValidationMiddleware.validateNewsletterToken, { query: { token: 'abc' } });
+            expect(result.nextCalled).toBe(true);
+            expect(result.req.body.token).toBe('abc');
+        });
+    });
+
+    describe('validateSubscriberExport', () => {
+        it('accepts json and csv and rejects other formats', () => {
+            expect(run(ValidationMiddleware.validateSubscriberExport, { query: { format: 'csv' } }).nextCalled).toBe(true);
+
+            const result = run(ValidationMiddleware.validateSubscriberExport, { query: { format: 'xml' } });
+            expect(result.statusCode).toBe(400);
+            expect(result.body.errors.format).toBe('Invalid format. Must be one of: json, csv');
+        });
+    });
+
+    describe('validateQuizSubmission', () => {
+        const questionId = '507f1f77bcf86cd799439011';
+
+        it('requires an attempt token and answers', () => {
+            const result = run(ValidationMiddleware.validateQuizSubmission, { body: {} });
+            expect(Object.keys(result.body.errors).sort()).toEqual(['answers', 'attemptToken']);
+        });
+
+        it('rejects an over-long attempt token', () => {
+            const result = run(ValidationMiddleware.validateQuizSubmission, {
+                body: { attemptToken: 'x'.repeat(4097), answers: {} }
+            });
+            expect(result.body.errors.attemptToken).toBe('Attempt token is too long');
+        });
+
+        it.each([
+            [[], 'Answers are required and must be an object keyed by question ID'],
+            [{ 'not-an-id': 1 }, 'Invalid question ID: not-an-id'],
+            [{ [questionId]: 6 }, `Answer for question ${questionId} must be an option index or null`],
+            [{ [questionId]: 1.5 }, `Answer for question ${questionId} must be an option index or null`]
+        ])('rejects invalid answers %j', (answers, message) => {
+            const result = run(ValidationMiddleware.validateQuizSubmission, { body: { attemptToken: 'token', answers } });
+            expect(result.body.errors.answers).toBe(message);
+        });
+
+        it('rejects more than 50 answers', () => {
+            const answers = {};
+            for (let i = 0; i < 51; i++) {
+                answers[(0x507f1f77bcf86cd799439011n + BigInt(i)).toString(16)] = 0;
+            }
+
+            const result = run(ValidationMiddleware.validateQuizSubmission, { body: { attemptToken: 'token', answers } });
+            expect(result.body.errors.answers).toBe('Too many answers submitted');
+        });
+
+        it('rejects an invalid session ID', () => {
+            const result = run(ValidationMiddleware.validateQuizSubmission, {
+                body: { attemptToken: 'token', answers: {}, sessionId: 'x'.repeat(101) }
+            });
+            expect(result.body.errors.sessionId).toBe('Session ID must be a string of at most 100 characters');
+        });
+
+        it('passes unanswered (null) questions', () => {
+            const result = run(ValidationMiddleware.validateQuizSubmission, {
+                body: { attemptToken: 'token', answers: { [questionId]: null }, sessionId: 'abc' }
+            });
+            expect(result.nextCalled).toBe(true);
+        });
+    });
+
+    describe('validateQuizGeneration', () => {
+        it('applies defaults', () => {
+            const result = run(ValidationMiddleware.validateQuizGeneration, { method: 'GET' });
+
+            expect(result.nextCalled).toBe(true);
+            expect(result.req.query).toEqual({ categories: [], difficulty: 'mixed', count: 10 });
+        });
+
+        it('normalizes categories and count', () => {
+            const result = run(ValidationMiddleware.validateQuizGeneration, {
+                method: 'GET',
+                query: { categories: ' water, recycling ,', difficulty: 'easy', count: '5' }
+            });
+
+            expect(result.req.query).toEqual({ categories: ['water', 'recycling'], difficulty: 'easy', count: 5 });
+        });
+
+        it.each([
+            [{ categories: ['a', 'b'] }, 'categories', 'Categories must be a comma-separated list'],
+            [{ categories: 'a,b,c,d,e,f,g,h,i,j,k' }, 'categories', 'No more than 10 categories can be selected'],
+            [{ categories: 'x'.repeat(51) }, 'categories', 'Category names cannot exceed 50 characters'],
+            [{ difficulty: 'extreme' }, 'difficulty', 'Difficulty must be easy, medium, hard or mixed'],
+            [{ count: '0' }, 'count', 'Count must be a whole number between 1 and 50'],
+            [{ count: '51' }, 'count', 'Count must be a whole number between 1 and 50'],
+            [{ count: '2.5' }, 'count', 'Count must be a whole number between 1 and 50']
+        ])('rejects %j', (query, field, message) => {
+            const result = run(ValidationMiddleware.validateQuizGeneration, { method: 'GET', query });
+            expect(result.statusCode).toBe(400);
+            expect(result.body.errors[field]).toBe(message);
+        });
+    });
+
+    describe('validateLogin', () => {
+        it('requires email and password', () => {
+            const result = run(ValidationMiddleware.validateLogin, { body: {} });
+            expect(Object.keys(result.body.errors).sort()).toEqual(['email', 'password']);
+        });
+
+        it('rejects an invalid email and an over-long password', () => {
+            const result = run(ValidationMiddleware.validateLogin, {
+                body: { email: 'nope', password: 'x'.repeat(129) }
+            });
+            expect(result.body.errors).toEqual({
+                email: 'Please enter a valid email address',
+                password: 'Password cannot exceed 128 characters'
+            });
+        });
+
+        it('passes valid credentials', () => {
+            const result = run(ValidationMiddleware.validateLogin, {
+                body: { email: 'admin@example.com', password: 'anything' }
+            });
+            expect(result.nextCalled).toBe(true);
+        });
+    });
+
+    describe('validateRegistration', () => {
+        const valid = { name: 'Jane Doe', email: 'jane@example.com', password: 'S3cure!pass' };
+
+        it('passes a valid registration', () => {
+            expect(run(ValidationMiddleware.validateRegistration, { body: valid }).nextCalled).toBe(true);
+        });
+
+        it('rejects a weak password with the first piece of feedback', () => {
+            const result = run(ValidationMiddleware.validateRegistration, { body: { ...valid, password: 'password' } });
+            expect(result.statusCode).toBe(400);
+            expect(typeof result.body.errors.password).toBe('string');
+        });
+
+        it('rejects a short name and invalid email', () => {
+            const result = run(ValidationMiddleware.validateRegistration, {
+                body: { ...valid, name: 'J', email: 'jane' }
+            });
+            expect(result.body.errors).toEqual({
+                name: 'Name must be at least 2 characters long',
+                email: 'Please enter a valid email address'
+            });
+        });
+    });
+
+    describe('validateQuizHistoryImport', () => {
+        const attempt = { totalQuestions: 10, correctAnswers: 7, score: 70, date: '2024-01-01T10:00:00.000Z' };
+
+        it('passes valid attempts', () => {
+            const result = run(ValidationMiddleware.validateQuizHistoryImport, {
+                body: { attempts: [attempt, { ...attempt, resultId: '507f1f77bcf86cd799439011', categoryScores: {} }] }
+            });
+            expect(result.nextCalled).toBe(true);
+        });
+
+        it.each([
+            [{ attempts: 'nope' }, 'attempts', 'Attempts are required and must be an array'],
+            [{ attempts: new Array(51).fill(attempt) }, 'attempts', 'No more than 50 attempts can be imported'],
+            [{ attempts: [null] }, 'attempts', 'Attempt 1 must be an object'],
+            [{ attempts: [{ ...attempt, totalQuestions: 0 }] }, 'attempts', 'Attempt 1: total questions must be a whole number between 1 and 50'],
+            [{ attempts: [{ ...attempt, correctAnswers: 11 }] }, 'attempts', 'Attempt 1: correct answers must be a whole number not exceeding total questions'],
+            [{ attempts: [{ ...attempt, score: 101 }] }, 'attempts', 'Attempt 1: score must be a whole number between 0 and 100'],
+            [{ attempts: [{ ...attempt, date: 'yesterday' }] }, 'attempts', 'Attempt 1: a valid completion date is required'],
+            [{ attempts: [{ ...attempt, resultId: 'abc' }] }, 'attempts', 'Attempt 1: invalid result ID'],
+            [{ attempts: [{ ...attempt, categoryScores: [] }] }, 'attempts', 'Attempt 1: category scores must be an object'],
+            [{ attempts: [{ ...attempt, claimToken: 42 }] }, 'attempts', 'Attempt 1: claim token must be a string of at most 1000 characters']
+        ])('rejects %#', (body, field, message) => {
+            const result = run(ValidationMiddleware.validateQuizHistoryImport, { body });
+            expect(result.statusCode).toBe(400);
+            expect(result.body.errors[field]).toBe(message);
+        });
+    });
+
+    describe('validateQuestion', () => {
+        const question = {
+            category: 'Recycling',
+            prompt: 'Which bin do batteries go in?',
+            options: ['Blue bin', 'Special drop-off'],
+            correctIndex: 1
+        };
+
+        it('passes a valid new question', () => {
+            expect(run(ValidationMiddleware.validateQuestion, { body: question }).nextCalled).toBe(true);
+        });
+
+        it('requires every field when creating', () => {
+            const result = run(ValidationMiddleware.validateQuestion, { body: {} });
+            expect(Object.keys(result.body.errors).sort()).toEqual(['category', 'correctIndex', 'options', 'prompt']);
+        });
+
+        it('checks only the provided fields when updating', () => {
+            expect(run(ValidationMiddleware.validateQuestion, { method: 'PUT', body: { active: false } }).nextCalled).toBe(true);
+        });
+
+        it.each([
+            [{ category: 'x'.repeat(51) }, 'category', 'Category cannot exceed 50 characters'],
+            [{ prompt: 'Too short' }, 'prompt', 'Question prompt must be at least 10 characters long'],
+            [{ prompt: 'x'.repeat(501) }, 'prompt', 'Question prompt cannot exceed 500 characters'],
+            [{ options: ['Only one'] }, 'options', 'A question must have between 2 and 6 options'],
+            [{ options: ['One', ' '] }, 'options', 'Every option must be a non-empty string'],
+            [{ correctIndex: -1 }, 'correctIndex', 'Correct option index cannot be negative'],
+            [{ correctIndex: 2 }, 'correctIndex', 'Correct option index must point to one of the options'],
+            [{ correctIndex: '1' }, 'correctIndex', 'Correct option index is required and must be a whole number'],
+            [{ explanation: 42 }, 'explanation', 'Explanation must be a string'],
+            [{ explanation: 'x'.repeat(1001) }, 'explanation', 'Explanation cannot exceed 1000 characters'],
+            [{ difficulty: 'extreme' }, 'difficulty', 'Difficulty must be easy, medium or hard'],
+            [{ active: 'yes' }, 'active', 'Active must be a boolean']
+        ])('rejects %j', (changes, field, message) => {
+            const result = run(ValidationMiddleware.validateQuestion, { body: { ...question, ...changes } });
+            expect(result.body.errors[field]).toBe(message);
+        });
+    });
+
+    describe('validatePagination', () => {
+        it('converts page and limit to numbers', () => {
+            const result = run(ValidationMiddleware.validatePagination, { method: 'GET', query: { page: '2', limit: '25' } });
+            expect(result.nextCalled).toBe(true);
+            expect(result.req.query).toEqual({ page: 2, limit: 25 });
+        });
+
+        it.each([
+            [{ page: '0' }, 'Page must be a positive integer'],
+            [{ page: 'first' }, 'Page must be a positive integer'],
+            [{ limit: '0' }, 'Limit must be between 1 and 100'],
+            [{ limit: '101' }, 'Limit must be between 1 and 100']
+        ])('rejects %j', (query, message) => {
+            const result = run(ValidationMiddleware.validatePagination, { method: 'GET', query });
+            expect(result.statusCode).toBe(400);
+            expect(result.body.message).toBe(message);
+            expect(result.body.errors).toEqual({ [Object.keys(query)[0]]: message });
+        });
+    });
+
+    describe('validateObjectId', () => {
+        const middleware = ValidationMiddleware.validateObjectId('id');
+
+        it('requires the parameter', () => {
+            expect(run(middleware).body.message).toBe('id parameter is required');
+        });
+
+        it('rejects an invalid ID', () => {
+            const result = run(middleware, { params: { id: '123' } });
+            expect(result.body.message).toBe('Invalid id format');
+            expect(result.body.errors).toEqual({ id: 'Invalid id format' });
+        });
+
+        it('passes a valid ID', () => {
+            expect(run(middleware, { params: { id: '507f1f77bcf86cd799439011' } }).nextCalled).toBe(true);
+        });
+    });
+
+    describe('validateDateRange', () => {
+        it('converts dates', () => {
+            const result = run(ValidationMiddleware.validateDateRange, {
+                method: 'GET',
+                query: { startDate: '2024-01-01', endDate: '2024-02-01' }
+            });
+            expect(result.nextCalled).toBe(true);
+            expect(result.req.query.startDate).toBeInstanceOf(Date);
+            expect(result.req.query.endDate).toBeInstanceOf(Date);
+        });
+
+        it.each([
+            [{ startDate: 'soon' }, 'Invalid start date format'],
+            [{ endDate: 'later' }, 'Invalid end date format'],
+            [{ startDate: '2024-02-01', endDate: '2024-01-01' }, 'Start date must be before end date']
+        ])('rejects %j', (query, message) => {
+            const result = run(ValidationMiddleware.validateDateRange, { method: 'GET', query });
+            expect(result.statusCode).toBe(400);
+            expect(result.body.message).toBe(message);
+        });
+    });
+
+    describe('validateQuizExport', () => {
+        it('converts the score range', () => {
+            const result = run(ValidationMiddleware.validateQuizExport, {
+                method: 'GET',
+                query: { format: 'ndjson', difficulty: 'hard', minScore: '0', maxScore: '100' }
+            });
+            expect(result.nextCalled).toBe(true);
+            expect(result.req.query).toMatchObject({ minScore: 0, maxScore: 100 });
+        });
+
+        it.each([
+            [{ format: 'xml' }, 'format', 'Invalid format. Must be one of: json, csv, ndjson'],
+            [{ difficulty: 'expert' }, 'difficulty', 'Invalid difficulty. Must be one of: easy, medium, hard, mixed'],
+            [{ minScore: '-5' }, 'minScore', 'minScore must be a whole number between 0 and 100'],
+            [{ maxScore: '101' }, 'maxScore', 'maxScore must be a whole number between 0 and 100'],
+            [{ minScore: '7.5' }, 'minScore', 'minScore must be a whole number between 0 and 100'],
+            [{ minScore: '80', maxScore: '60' }, 'maxScore', 'maxScore cannot be less than minScore']
+        ])('rejects %j', (query, field, message) => {
+            const result = run(ValidationMiddleware.validateQuizExport, { method: 'GET', query });
+            expect(result.statusCode).toBe(400);
+            expect(result.body.errors).toEqual({ [field]: message });
+        });
+    });
+
+    describe('validateContactExport', () => {
+        it('converts the flags to booleans', () => {
+            const result = run(ValidationMiddleware.validateContactExport, {
+                method: 'GET',
+                query: { format: 'csv', status: 'spam', subject: 'water', newsletter: 'false', includeMessage: 'true' }
+            });
+            expect(result.nextCalled).toBe(true);
+            expect(result.req.query).toMatchObject({ newsletter: false, includeMessage: true });
+        });
+
+        it.each([
+            [{ format: 'ndjson' }, 'format'],
+            [{ status: 'deleted' }, 'status'],
+            [{ subject: 'gardening' }, 'subject'],
+            [{ newsletter: 'yes' }, 'newsletter'],
+            [{ includeMessage: '0' }, 'includeMessage']
+        ])('rejects %j', (query, field) => {
+            const result = run(ValidationMiddleware.validateContactExport, { method: 'GET', query });
+            expect(result.statusCode).toBe(400);
+            expect(Object.keys(result.body.errors)).toEqual([field]);
+        });
+    });
+
+    describe('validateContactBulk', () => {
+        const id = '65a1b2c3d4e5f6a7b8c9d0e1';
+
+        it('de-duplicates IDs and normalizes tags', () => {
+            const result = run(ValidationMiddleware.validateContactBulk, {
+                body: { ids: [id, id.toUpperCase()], operation: 'tag', tags: [' Urgent ', 'urgent', 'follow-up'] }
+            });
+            expect(result.nextCalled).toBe(true);
+            expect(result.req.body).toMatchObject({ ids: [id], tags: ['urgent', 'follow-up'] });
+        });
+
+        it('converts the filter dates', () => {
+            const result = run(ValidationMiddleware.validateContactBulk, {
+                body: { filter: { status: 'new', startDate: '2024-01-01', q: 'batteries' }, operation: 'archive' }
+            });
+            expect(result.nextCalled).toBe(true);
+            expect(result.req.body.filter.startDate).toEqual(new Date('2024-01-01'));
+        });
+
+        it.each([
+            [{ ids: [id], operation: 'burn' }, 'operation'],
+            [{ operation: 'archive' }, 'ids'],
+            [{ ids: [id], filter: {}, operation: 'archive' }, 'ids'],
+            [{ ids: [], operation: 'archive' }, 'ids'],
+            [{ ids: ['nope'], operation: 'archive' }, 'ids'],
+            [{ filter: [], operation: 'archive' }, 'filter'],
+            [{ filter: { status: 'deleted' }, operation: 'archive' }, 'filter.status'],
+            [{ filter: { startDate: 'soon' }, operation: 'archive' }, 'filter.startDate'],
+            [{ filter: { startDate: '2024-02-01', endDate: '2024-01-01' }, operation: 'archive' }, 'filter.endDate'],
+            [{ filter: { q: 'a' }, operation: 'archive' }, 'filter.q'],
+            [{ filter: { q: '.*' }, operation: 'archive' }, 'filter.q'],
+            [{ ids: [id], operation: 'setStatus', status: 'spam' }, 'status'],
+            [{ ids: [id], operation: 'tag' }, 'tags'],
+            [{ ids: [id], operation: 'tag', tags: ['<b>'] }, 'tags']
+        ])('rejects %j', (body, field) => {
+            const result = run(ValidationMiddleware.validateContactBulk, { body });
+            expect(result.statusCode).toBe(400);
+            expect(Object.keys(result.body.errors)).toEqual([field]);
+        });
+    });
+
+    describe('validateDataSubject', () => {
+        it('requires a valid email and a known mode', () => {
+            const result = run(ValidationMiddleware.validateDataSubject, { body: { email: 'nope', mode: 'shred' } });
+            expect(result.body.errors).toEqual({
+                email: 'Please enter a valid email address',
+                mode: 'Mode must be erase or anonymize'
+            });
+        });
+
+        it('passes without a mode', () => {
+            expect(run(ValidationMiddleware.validateDataSubject, { body: { email: 'jane@example.com' } }).nextCalled).toBe(true);
+        });
+
+        it('reads the export request from the query string', () => {
+            expect(run(ValidationMiddleware.validateDataSubjectQuery, {
+                method: 'GET',
+                query: { email: 'jane@example.com' }
+            }).nextCalled).toBe(true);
+
+            const result = run(ValidationMiddleware.validateDataSubjectQuery, { method: 'GET', body: { email: 'jane@example.com' } });
+            expect(result.body.errors.email).toBe('Email is required and must be a string');
+        });
+    });
+
+    describe('validateAuditQuery', () => {
+        it('passes known filters', () => {
+            const result = run(ValidationMiddleware.validateAuditQuery, {
+                method: 'GET',
+                query: { actor: '65a1b2c3d4e5f6a7b8c9d0e1', action: 'contact.delete', targetType: 'contact', targetId: 'abc' }
+            });
+            expect(result.nextCalled).toBe(true);
+        });
+
+        it.each([
+            [{ actor: 'nope' }, 'actor'],
+            [{ action: 'contact.burn' }, 'action'],
+            [{ targetType: 'user' }, 'targetType'],
+            [{ targetId: 'x'.repeat(101) }, 'targetId']
+        ])('rejects %j', (query, field) => {
+            const result = run(ValidationMiddleware.validateAuditQuery, { method: 'GET', query });
+            expect(result.statusCode).toBe(400);
+            expect(Object.keys(result.body.errors)).toEqual([field]);
+        });
+    });
+
+    describe('validateSearchQuery', () => {
+        it('passes a valid search', () => {
+            const result = run(ValidationMiddleware.validateSearchQuery, {
+                method: 'GET',
+                query: { q: 'solar', field: 'message', status: 'replied', subject: 'energy' }
+            });
+            expect(result.nextCalled).toBe(true);
+        });
+
+        it.each([
+            [{}, 'Search query (q) is required and must be a string'],
+            [{ q: 'a' }, 'Search query must be at least 2 characters long'],
+            [{ q: 'x'.repeat(101) }, 'Search query cannot exceed 100 characters'],
+            [{ q: '.*+?' }, 'Search query must contain letters or numbers'],
+            [{ q: 'solar', field: 'password' }, 'Invalid field. Must be one of: all, name, email, message'],
+            [{ q: 'solar', field: 'subject' }, 'Invalid field. Must be one of: all, name, email, message'],
+            [{ q: 'solar', status: 'deleted' }, 'Invalid status. Must be one of: new, read, replied, archived, spam'],
+            [{ q: 'solar', subject: 'gardening' }, 'Invalid subject. Must be one of: general, recycling, energy, water, climate, feedback, collaboration, other']
+        ])('rejects %j', (query, message) => {
+            const result = run(ValidationMiddleware.validateSearchQuery, { method: 'GET', query });
+            expect(result.statusCode).toBe(400);
+            expect(result.body.message).toBe(message);
+        });
+    });
+});